@@ -0,0 +1,160 @@
+/**
+ * 🔑 ALL-KI AUTH SESSION
+ * Gemeinsamer Token-Speicher für alle Seiten (Login, Dashboard, Chat, Widgets)
+ *
+ * - Hängt den Access Token als Bearer Header an API-Requests
+ * - Erneuert abgelaufene Access Tokens über /api/auth/refresh (einmalig pro Request)
+ * - Leitet bei ungültiger Sitzung zur Anmeldung weiter
+ */
+
+class AuthSession {
+    constructor() {
+        this.keys = {
+            accessToken: 'authToken',
+            refreshToken: 'refreshToken',
+            expiresAt: 'tokenExpiresAt',
+            userData: 'userData'
+        };
+        this.refreshPromise = null;
+    }
+
+    // ========================================
+    // TOKEN STORAGE
+    // ========================================
+
+    getAccessToken() {
+        return localStorage.getItem(this.keys.accessToken);
+    }
+
+    getRefreshToken() {
+        return localStorage.getItem(this.keys.refreshToken);
+    }
+
+    isLoggedIn() {
+        return !!(this.getAccessToken() || this.getRefreshToken());
+    }
+
+    saveTokens(response) {
+        const accessToken = response.accessToken || response.token;
+
+        if (accessToken) {
+            localStorage.setItem(this.keys.accessToken, accessToken);
+        }
+
+        if (response.refreshToken) {
+            localStorage.setItem(this.keys.refreshToken, response.refreshToken);
+        }
+
+        if (response.expiresAt) {
+            localStorage.setItem(this.keys.expiresAt, response.expiresAt);
+        }
+
+        if (response.user) {
+            localStorage.setItem(this.keys.userData, JSON.stringify(response.user));
+        }
+    }
+
+    clear() {
+        Object.values(this.keys).forEach(key => localStorage.removeItem(key));
+    }
+
+    getAuthHeaders() {
+        const token = this.getAccessToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    // ========================================
+    // REFRESH
+    // ========================================
+
+    // Mehrere parallele 401er teilen sich einen Refresh-Request
+    async refresh() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async performRefresh() {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) {
+                this.clear();
+                return false;
+            }
+
+            this.saveTokens(await response.json());
+            return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
+    // ========================================
+    // AUTHENTICATED FETCH
+    // ========================================
+
+    async fetch(url, options = {}) {
+        const withAuth = () => ({
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...this.getAuthHeaders()
+            }
+        });
+
+        let response = await fetch(url, withAuth());
+
+        if (response.status === 401 && await this.refresh()) {
+            response = await fetch(url, withAuth());
+        }
+
+        if (response.status === 401) {
+            this.redirectToLogin();
+        }
+
+        return response;
+    }
+
+    async logout(everywhere = false) {
+        try {
+            if (everywhere) {
+                await this.fetch('/api/auth/logout-all', { method: 'POST' });
+            } else {
+                await fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...this.getAuthHeaders()
+                    },
+                    body: JSON.stringify({ refreshToken: this.getRefreshToken() })
+                });
+            }
+        } catch (error) {
+            console.error('Logout request failed:', error);
+        } finally {
+            this.clear();
+            window.location.href = '/login';
+        }
+    }
+
+    redirectToLogin() {
+        this.clear();
+        if (window.location.pathname !== '/login' && window.location.pathname !== '/') {
+            window.location.href = '/login';
+        }
+    }
+}
+
+window.authSession = new AuthSession();
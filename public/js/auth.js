@@ -22,6 +22,7 @@ class AuthManager {
         this.initializeEventListeners();
         this.loadStoredData();
         this.setupDebugMode();
+        this.handleEmailLinks();
         console.log('✅ AuthManager: Ready');
     }
 
@@ -57,6 +58,24 @@ class AuthManager {
             console.log('✅ Register form listener attached');
         }
 
+        const twoFactorForm = document.querySelector('#twoFactorForm form');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactor(e));
+        }
+
+        const resetForm = document.querySelector('#resetForm form');
+        if (resetForm) {
+            resetForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+        }
+
+        const forgotPasswordLink = document.querySelector('.forgot-password');
+        if (forgotPasswordLink) {
+            forgotPasswordLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleForgotPassword();
+            });
+        }
+
         // Form toggle buttons
         const toggleToRegister = document.getElementById('toggleToRegister');
         const toggleToLogin = document.getElementById('toggleToLogin');
@@ -75,6 +94,24 @@ class AuthManager {
             });
         }
 
+        const twoFactorToLogin = document.getElementById('twoFactorToLogin');
+        if (twoFactorToLogin) {
+            twoFactorToLogin.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.twoFactorToken = null;
+                this.switchToLogin();
+            });
+        }
+
+        const resetToLogin = document.getElementById('resetToLogin');
+        if (resetToLogin) {
+            resetToLogin.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetToken = null;
+                this.switchToLogin();
+            });
+        }
+
         // Real-time validation
         this.setupRealTimeValidation();
     }
@@ -147,6 +184,8 @@ class AuthManager {
         
         if (loginForm && registerForm) {
             registerForm.classList.add('hidden');
+            document.getElementById('resetForm')?.classList.add('hidden');
+            document.getElementById('twoFactorForm')?.classList.add('hidden');
             loginForm.classList.remove('hidden');
             this.currentForm = 'login';
             this.clearAllErrors();
@@ -154,6 +193,137 @@ class AuthManager {
         }
     }
 
+    switchToReset() {
+        console.log('🔄 Switching to password reset form');
+        const resetForm = document.getElementById('resetForm');
+        
+        if (resetForm) {
+            document.getElementById('loginForm')?.classList.add('hidden');
+            document.getElementById('registerForm')?.classList.add('hidden');
+            resetForm.classList.remove('hidden');
+            this.currentForm = 'reset';
+            this.clearAllErrors();
+        }
+    }
+
+    switchToTwoFactor() {
+        console.log('🔄 Switching to two-factor form');
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        
+        if (twoFactorForm) {
+            document.getElementById('loginForm')?.classList.add('hidden');
+            twoFactorForm.classList.remove('hidden');
+            this.currentForm = 'twoFactor';
+            this.clearAllErrors();
+            document.getElementById('twoFactorCode')?.focus();
+        }
+    }
+
+    // ========================================
+    // EMAIL LINKS (BESTÄTIGUNG & PASSWORT-RESET)
+    // ========================================
+
+    async handleEmailLinks() {
+        const params = new URLSearchParams(window.location.search);
+        const verifyToken = params.get('verifyToken');
+        const resetToken = params.get('resetToken');
+
+        if (!verifyToken && !resetToken) return;
+
+        // Token nicht in der Adresszeile / History stehen lassen
+        window.history.replaceState({}, document.title, window.location.pathname);
+
+        if (resetToken) {
+            this.resetToken = resetToken;
+            this.switchToReset();
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/auth/verify-email/confirm', 'POST', { token: verifyToken });
+            
+            if (response.success) {
+                this.showSuccess('E-Mail-Adresse bestätigt! Sie können sich jetzt anmelden.');
+            } else {
+                this.showError(response.error || 'E-Mail-Bestätigung fehlgeschlagen');
+            }
+        } catch (error) {
+            console.error('❌ Verify email error:', error);
+            this.showError('Verbindungsfehler. Bitte versuchen Sie es später erneut.');
+        }
+    }
+
+    async handleForgotPassword() {
+        const emailInput = document.querySelector('#loginForm input[name="email"]');
+        const email = emailInput ? emailInput.value.trim() : '';
+
+        this.clearAllErrors();
+
+        if (!this.isValidEmail(email)) {
+            this.showFieldError('email', 'Bitte geben Sie zuerst Ihre E-Mail-Adresse ein');
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/api/auth/password-reset/request', 'POST', { email });
+            
+            if (response.success) {
+                this.showSuccess(response.message);
+            } else {
+                this.showError(response.error || 'Anfrage fehlgeschlagen');
+            }
+        } catch (error) {
+            console.error('❌ Forgot password error:', error);
+            this.showError('Verbindungsfehler. Bitte versuchen Sie es später erneut.');
+        }
+    }
+
+    async handleResetPassword(event) {
+        event.preventDefault();
+
+        if (this.isLoading) return;
+
+        const formData = new FormData(event.target);
+        const password = formData.get('password');
+        const confirmPassword = formData.get('confirmPassword');
+
+        this.clearAllErrors();
+
+        if (!password || password.length < 6) {
+            this.showError('Passwort muss mindestens 6 Zeichen haben');
+            return;
+        }
+
+        if (password !== confirmPassword) {
+            this.showError('Passwörter stimmen nicht überein');
+            return;
+        }
+
+        this.setLoadingState(true);
+
+        try {
+            const response = await this.apiCall('/api/auth/password-reset/confirm', 'POST', {
+                token: this.resetToken,
+                password,
+                confirmPassword
+            });
+            
+            if (response.success) {
+                this.resetToken = null;
+                window.authSession.clear();
+                this.showSuccess(response.message);
+                setTimeout(() => this.switchToLogin(), 2000);
+            } else {
+                this.showError(response.error || 'Passwort konnte nicht geändert werden');
+            }
+        } catch (error) {
+            console.error('❌ Reset password error:', error);
+            this.showError('Verbindungsfehler. Bitte versuchen Sie es später erneut.');
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
     // ========================================
     // FORM HANDLING
     // ========================================
@@ -188,8 +358,19 @@ class AuthManager {
             const response = await this.apiCall('/api/auth/login', 'POST', loginData);
             this.updateDebug(`Login response: ${JSON.stringify(response)}`);
             
-            if (response.success) {
+            if (response.twoFactorRequired) {
+                this.twoFactorToken = response.twoFactorToken;
+                this.updateDebug('Password ok, 2FA code required');
+                this.switchToTwoFactor();
+            } else if (response.success) {
                 this.handleLoginSuccess(response);
+            } else if (response.code === 'ACCOUNT_LOCKED') {
+                const minutes = Math.ceil((response.retryAfterSeconds || 0) / 60);
+                this.showError(`Zu viele fehlgeschlagene Anmeldeversuche. Account für ${minutes} Minute(n) gesperrt.`);
+                this.updateDebug(`Login locked until: ${response.lockedUntil}`);
+            } else if (response.attemptsRemaining !== undefined) {
+                this.showError(`${response.error} - noch ${response.attemptsRemaining} Versuch(e) bis zur Sperre.`);
+                this.updateDebug(`Login failed: ${response.error}`);
             } else {
                 this.showError(response.error || response.message || 'Login fehlgeschlagen');
                 this.updateDebug(`Login failed: ${response.error || response.message}`);
@@ -204,6 +385,54 @@ class AuthManager {
         }
     }
 
+    // Zweiter Login-Schritt mit TOTP- oder Recovery-Code
+    async handleTwoFactor(event) {
+        event.preventDefault();
+
+        if (this.isLoading) return;
+
+        const code = new FormData(event.target).get('twoFactorCode')?.trim();
+        this.clearAllErrors();
+
+        if (!code) {
+            this.showError('Bitte geben Sie den Code ein');
+            return;
+        }
+
+        this.setLoadingState(true);
+
+        try {
+            const response = await this.apiCall('/api/auth/2fa/verify', 'POST', {
+                twoFactorToken: this.twoFactorToken,
+                code
+            });
+            
+            if (response.success) {
+                this.twoFactorToken = null;
+                if (response.twoFactorMethod === 'recovery') {
+                    this.handleLoginSuccess(response, `Angemeldet mit Recovery Code - noch ${response.recoveryCodesRemaining} übrig. Weiterleitung...`);
+                } else {
+                    this.handleLoginSuccess(response);
+                }
+            } else if (response.code === 'ACCOUNT_LOCKED') {
+                const minutes = Math.ceil((response.retryAfterSeconds || 0) / 60);
+                this.showError(`Zu viele fehlgeschlagene Anmeldeversuche. Account für ${minutes} Minute(n) gesperrt.`);
+            } else if (response.code === 'INVALID_2FA_CODE') {
+                this.showError(`${response.error} - noch ${response.attemptsRemaining} Versuch(e) bis zur Sperre.`);
+            } else {
+                // Teil-Sitzung abgelaufen oder verbraucht: Passwort erneut eingeben
+                this.twoFactorToken = null;
+                this.switchToLogin();
+                this.showError(response.error || 'Bitte melden Sie sich erneut an');
+            }
+        } catch (error) {
+            console.error('❌ 2FA error:', error);
+            this.showError('Verbindungsfehler. Bitte versuchen Sie es später erneut.');
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
     async handleRegister(event) {
         event.preventDefault();
         console.log('👤 Handling registration...');
@@ -373,6 +602,19 @@ class AuthManager {
         if (!response.ok) {
             const errorText = await response.text();
             this.updateDebug(`API Error: ${errorText}`);
+            
+            // Server-Fehler mit JSON-Body (z.B. gesperrter Account) an den Aufrufer durchreichen
+            let errorBody = null;
+            try {
+                errorBody = JSON.parse(errorText);
+            } catch (parseError) {
+                // Kein JSON - unten als HTTP-Fehler werfen
+            }
+            
+            if (errorBody && (errorBody.error || errorBody.message)) {
+                return { ...errorBody, success: false, status: response.status };
+            }
+            
             throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
         }
         
@@ -530,19 +772,16 @@ class AuthManager {
     // SUCCESS HANDLERS
     // ========================================
 
-    handleLoginSuccess(response) {
+    handleLoginSuccess(response, message = 'Erfolgreich angemeldet! Weiterleitung...') {
         console.log('✅ Login successful:', response);
         
-        if (response.token) {
-            localStorage.setItem('authToken', response.token);
-        }
-        
+        window.authSession.saveTokens(response);
+
         if (response.user) {
-            localStorage.setItem('userData', JSON.stringify(response.user));
             localStorage.setItem('lastEmail', response.user.email);
         }
 
-        this.showSuccess('Erfolgreich angemeldet! Weiterleitung...');
+        this.showSuccess(message);
         this.updateDebug('Login successful, redirecting...');
 
         setTimeout(() => {
@@ -553,7 +792,7 @@ class AuthManager {
     handleRegisterSuccess(response) {
         console.log('✅ Registration successful:', response);
         
-        this.showSuccess('Registrierung erfolgreich! Sie können sich jetzt anmelden.');
+        this.showSuccess('Registrierung erfolgreich! Bitte bestätigen Sie Ihre E-Mail-Adresse über den Link in Ihrem Postfach.');
         this.updateDebug('Registration successful, switching to login', true);
         
         setTimeout(() => {
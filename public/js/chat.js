@@ -19,26 +19,36 @@ class ModernChatSystem {
     constructor() {
         this.state = {
             currentProfile: null,
+            memories: [],
+            personality: null,
             currentChat: null,
+            chatList: [],
+            chatListCursor: null,
+            search: null,
             messages: [],
             isTyping: false,
             isDraftSaved: true,
             isRecording: false,
             connectionStatus: 'connected',
             messageQueue: [],
-            unsentMessages: new Map()
+            unsentMessages: new Map(),
+            activeStream: null
         };
         
         this.config = {
             typingTimeout: 1000,
             draftSaveInterval: 2000,
             maxMessageLength: 4000,
+            searchDelay: 300,
+            personalityPreviewDelay: 800,
+            minSearchLength: 2,
             maxFileSize: 10 * 1024 * 1024, // 10MB
             allowedFileTypes: ['image/jpeg', 'image/png', 'image/gif', 'text/plain', 'application/pdf']
         };
         
         this.timers = new Map();
         this.cache = new Map();
+        this.personalityPreviewController = null;
         
         this.init();
     }
@@ -62,7 +72,14 @@ class ModernChatSystem {
             
             if (profileId) {
                 await this.loadProfile(profileId);
-                await this.loadChatHistory();
+            }
+            
+            await this.loadChatHistory();
+            
+            // Deep link to a stored conversation: /chat?chat=<id>[&message=<id>]
+            const chatId = urlParams.get('chat');
+            if (chatId) {
+                await this.openChat(chatId, urlParams.get('message'));
             }
             
             this.showSuccessToast('Chat bereit! 💬');
@@ -91,7 +108,13 @@ class ModernChatSystem {
         // Send button
         const sendButton = document.getElementById('sendButton');
         if (sendButton) {
-            sendButton.addEventListener('click', () => this.sendMessage());
+            sendButton.addEventListener('click', () => {
+                if (this.state.activeStream) {
+                    this.cancelStream();
+                } else {
+                    this.sendMessage();
+                }
+            });
         }
         
         // Voice record button
@@ -110,6 +133,31 @@ class ModernChatSystem {
             fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
         }
         
+        // Chat history sidebar
+        const newChatBtn = document.getElementById('newChatBtn');
+        if (newChatBtn) {
+            newChatBtn.addEventListener('click', () => this.startNewChat());
+        }
+        
+        const chatList = document.getElementById('chatList');
+        if (chatList) {
+            chatList.addEventListener('click', (e) => this.handleChatListClick(e));
+        }
+        
+        // Full-text search across chats, messages and profiles
+        const searchChatsBtn = document.getElementById('searchChatsBtn');
+        if (searchChatsBtn) {
+            searchChatsBtn.addEventListener('click', () => this.toggleChatSearch());
+        }
+        
+        const chatSearchInput = document.getElementById('chatSearchInput');
+        if (chatSearchInput) {
+            chatSearchInput.addEventListener('input', (e) => this.handleSearchInput(e.target.value));
+            chatSearchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.toggleChatSearch(false);
+            });
+        }
+        
         // Emoji button
         const emojiButton = document.getElementById('emojiButton');
         if (emojiButton) {
@@ -127,6 +175,9 @@ class ModernChatSystem {
         const messagesContainer = document.getElementById('messagesContainer');
         if (messagesContainer) {
             messagesContainer.addEventListener('scroll', () => this.handleScroll());
+            messagesContainer.addEventListener('click', (e) => this.handleFeedbackClick(e));
+            messagesContainer.addEventListener('click', (e) => this.handleMessageAction(e));
+            messagesContainer.addEventListener('click', (e) => this.handleToolCallClick(e));
         }
     }
 
@@ -155,6 +206,13 @@ class ModernChatSystem {
     }
     
     handleKeyDown(e) {
+        // Cancel a running answer on Escape
+        if (e.key === 'Escape' && this.state.activeStream) {
+            e.preventDefault();
+            this.cancelStream();
+            return;
+        }
+        
         // Send on Enter (without Shift)
         if (e.key === 'Enter' && !e.shiftKey) {
             e.preventDefault();
@@ -206,6 +264,11 @@ class ModernChatSystem {
         const input = document.getElementById('messageInput');
         const message = input.value.trim();
         
+        // One answer at a time - the button acts as stop button while streaming
+        if (this.state.activeStream) {
+            return;
+        }
+        
         if (!message || message.length > this.config.maxMessageLength) {
             if (message.length > this.config.maxMessageLength) {
                 this.showErrorToast(`Nachricht zu lang (max. ${this.config.maxMessageLength} Zeichen)`);
@@ -234,36 +297,8 @@ class ModernChatSystem {
         this.scrollToBottom();
         
         try {
-            // Send to server
-            const response = await this.sendToServer(messageObj);
-            
-            if (response.success) {
-                // Update message status
-                this.updateMessageStatus(messageObj.id, 'sent');
-                
-                // Add AI response
-                if (response.aiResponse) {
-                    const aiMessage = {
-                        id: this.generateMessageId(),
-                        content: response.aiResponse,
-                        role: 'assistant',
-                        timestamp: new Date(),
-                        status: 'received'
-                    };
-                    
-                    // Simulate typing delay for more natural feel
-                    setTimeout(() => {
-                        this.showAITyping();
-                        setTimeout(() => {
-                            this.hideAITyping();
-                            this.addMessageToUI(aiMessage);
-                            this.scrollToBottom();
-                        }, Math.min(response.aiResponse.length * 20, 3000));
-                    }, 500);
-                }
-            } else {
-                throw new Error(response.error || 'Fehler beim Senden der Nachricht');
-            }
+            // Stream answer from server
+            await this.streamFromServer(messageObj);
             
         } catch (error) {
             console.error('Send message error:', error);
@@ -271,8 +306,10 @@ class ModernChatSystem {
             // Update message status to error
             this.updateMessageStatus(messageObj.id, 'error');
             
-            // Add to retry queue if offline
-            if (!navigator.onLine) {
+            // Token quota reached - retrying only helps after the reset
+            if (error.code === 'USAGE_QUOTA_EXCEEDED') {
+                this.showErrorToast(error.message);
+            } else if (!navigator.onLine) {
                 this.state.messageQueue.push(messageObj);
                 this.showToast('Nachricht wird gesendet, wenn Verbindung verfügbar ist', 'info');
             } else {
@@ -287,6 +324,196 @@ class ModernChatSystem {
         this.clearDraft();
     }
     
+    // POST /api/chat/stream - renders the answer while it is generated.
+    // Events: start -> delta* -> done | error (see src/routes/chat.js)
+    // message is null when regenerating; extraBody carries regenerate / editMessageId.
+    // Resolves to true once the answer has been stored.
+    async streamFromServer(message, extraBody = {}) {
+        const controller = new AbortController();
+        let aiMessage = null;
+        let completed = false;
+        
+        this.state.activeStream = controller;
+        this.updateStreamingState(true);
+        this.showAITyping();
+        
+        try {
+            const response = await window.authSession.fetch('/api/chat/stream', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    message: message?.content,
+                    profileId: this.state.currentProfile?.id,
+                    chatId: this.state.currentChat?.id,
+                    ...extraBody
+                }),
+                signal: controller.signal
+            });
+            
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+                error.code = data.code;
+                throw error;
+            }
+            
+            await this.readEventStream(response, (event, data) => {
+                switch (event) {
+                    case 'start':
+                        if (message) {
+                            this.updateMessageStatus(message.id, 'sent');
+                            this.assignServerId(message, data.userMessage.id);
+                        }
+                        this.rememberChat(data.chatId, data.title);
+                        break;
+                        
+                    case 'delta':
+                        if (!aiMessage) {
+                            this.hideAITyping();
+                            aiMessage = {
+                                id: this.generateMessageId(),
+                                content: '',
+                                role: 'assistant',
+                                timestamp: new Date(),
+                                status: 'streaming'
+                            };
+                            this.addMessageToUI(aiMessage);
+                        }
+                        aiMessage.content += data.content;
+                        this.updateMessageContent(aiMessage.id, aiMessage.content);
+                        this.scrollToBottom();
+                        break;
+                        
+                    case 'done':
+                        // After tool calls the stored text can differ from the streamed one
+                        // (or nothing was streamed at all, e.g. only a confirmation request)
+                        if (!aiMessage && data.message.content) {
+                            this.hideAITyping();
+                            aiMessage = {
+                                id: this.generateMessageId(),
+                                content: data.message.content,
+                                role: 'assistant',
+                                timestamp: new Date(),
+                                status: 'streaming'
+                            };
+                            this.addMessageToUI(aiMessage);
+                        }
+                        if (aiMessage) {
+                            if (data.message.content && data.message.content !== aiMessage.content) {
+                                aiMessage.content = data.message.content;
+                                this.updateMessageContent(aiMessage.id, aiMessage.content);
+                            }
+                            this.updateMessageStatus(aiMessage.id, 'received');
+                            this.assignServerId(aiMessage, data.message.id);
+                            aiMessage.toolCalls = data.message.toolCalls || [];
+                            this.showToolCalls(aiMessage);
+                            this.showFeedbackControls(aiMessage);
+                        }
+                        completed = true;
+                        this.rememberChat(data.chatId, data.title);
+                        break;
+                        
+                    case 'error':
+                        this.hideAITyping();
+                        this.addMessageToUI({
+                            id: this.generateMessageId(),
+                            content: data.error,
+                            role: 'assistant',
+                            timestamp: new Date(),
+                            status: 'error'
+                        });
+                        break;
+                }
+            });
+            
+            this.loadChatHistory();
+            return completed;
+            
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                throw error;
+            }
+            
+            // Cancelled by the user - the server keeps the partial answer
+            if (aiMessage) {
+                this.updateMessageStatus(aiMessage.id, 'received');
+            }
+            this.showToast('Antwort abgebrochen', 'info');
+            this.loadChatHistory();
+            return Boolean(aiMessage);
+            
+        } finally {
+            this.hideAITyping();
+            this.state.activeStream = null;
+            this.updateStreamingState(false);
+            this.scrollToBottom();
+        }
+    }
+    
+    // Minimal SSE parser for fetch responses (EventSource only supports GET)
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let done = false;
+        let value;
+        
+        while (!done) {
+            ({ value, done } = await reader.read());
+            
+            // Beim letzten read() (value undefined) leert decode() den Decoder
+            buffer += decoder.decode(value, { stream: !done });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+            
+            blocks.forEach(block => {
+                const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+                const data = block.match(/^data: (.*)$/m)?.[1];
+                if (data) {
+                    onEvent(event, JSON.parse(data));
+                }
+            });
+        }
+    }
+    
+    cancelStream() {
+        if (this.state.activeStream) {
+            this.state.activeStream.abort();
+        }
+    }
+    
+    updateStreamingState(streaming) {
+        const btn = document.getElementById('sendButton');
+        if (!btn) return;
+        
+        btn.classList.toggle('streaming', streaming);
+        btn.title = streaming ? 'Antwort abbrechen (Esc)' : 'Nachricht senden';
+        
+        const icon = btn.querySelector('.icon');
+        if (icon) {
+            icon.textContent = streaming ? '■' : '➤';
+        }
+        
+        if (streaming) {
+            btn.disabled = false;
+            btn.classList.remove('disabled');
+        } else {
+            const input = document.getElementById('messageInput');
+            this.updateSendButtonState(!!input && input.value.trim().length > 0);
+        }
+    }
+    
+    // Remember server-side chat so follow-up messages continue it
+    rememberChat(chatId, title) {
+        if (!chatId) return;
+        
+        this.state.currentChat = { ...this.state.currentChat, id: chatId, title };
+        this.updateChatHeader();
+        this.updateChatUrl(chatId);
+    }
+    
     async sendToServer(message) {
         const endpoint = '/api/chat';
         const payload = {
@@ -295,11 +522,10 @@ class ModernChatSystem {
             chatId: this.state.currentChat?.id
         };
         
-        const response = await fetch(endpoint, {
+        const response = await window.authSession.fetch(endpoint, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                ...this.getAuthHeaders()
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify(payload)
         });
@@ -311,6 +537,684 @@ class ModernChatSystem {
         return await response.json();
     }
 
+    // ========================================
+    // CHAT HISTORY (SIDEBAR)
+    // ========================================
+    
+    async loadChatHistory({ append = false } = {}) {
+        const params = new URLSearchParams({ limit: 20 });
+        if (append && this.state.chatListCursor) {
+            params.set('cursor', this.state.chatListCursor);
+        }
+        
+        try {
+            const response = await window.authSession.fetch(`/api/chats?${params}`);
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            this.state.chatList = append ? [...this.state.chatList, ...data.chats] : data.chats;
+            this.state.chatListCursor = data.nextCursor;
+            this.renderChatList();
+            
+        } catch (error) {
+            console.error('Chat history error:', error);
+            this.showErrorToast('Chat-Verlauf konnte nicht geladen werden');
+        }
+    }
+    
+    renderChatList() {
+        const list = document.getElementById('chatList');
+        if (!list) return;
+        
+        if (this.state.search) {
+            list.innerHTML = this.renderSearchResults(this.state.search);
+            return;
+        }
+        
+        if (this.state.chatList.length === 0) {
+            list.innerHTML = `
+                <div class="chat-list-placeholder">
+                    <div class="placeholder-icon">💬</div>
+                    <div class="placeholder-text">Noch keine Chats vorhanden</div>
+                    <div class="placeholder-subtext">Starten Sie eine Unterhaltung!</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = this.state.chatList.map(item => this.renderChatListItem(item)).join('') +
+            (this.state.chatListCursor
+                ? '<button class="chat-list-more" data-action="more">Weitere Chats laden</button>'
+                : '');
+    }
+    
+    renderChatListItem(item) {
+        const isActive = this.state.currentChat?.id === item.id;
+        const tags = (item.tags || [])
+            .map(tag => `<span class="chat-list-tag">#${this.escapeHtml(tag)}</span>`)
+            .join('');
+        
+        return `
+            <div class="chat-list-item${isActive ? ' active' : ''}" data-chat-id="${item.id}" data-action="open">
+                <div class="chat-list-item-main">
+                    <div class="chat-list-item-title">${this.escapeHtml(item.title)}</div>
+                    <div class="chat-list-item-meta">
+                        ${this.formatTimestamp(item.lastActivity)} • ${item.messageCount} Nachrichten
+                    </div>
+                    ${tags ? `<div class="chat-list-item-tags">${tags}</div>` : ''}
+                </div>
+                <div class="chat-list-item-actions">
+                    <button class="chat-list-action" data-action="rename" title="Umbenennen">✏️</button>
+                    <button class="chat-list-action" data-action="archive" title="Archivieren">📦</button>
+                    <button class="chat-list-action" data-action="delete" title="Löschen">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    handleChatListClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const chatId = target.closest('[data-chat-id]')?.dataset.chatId;
+        
+        switch (target.dataset.action) {
+            case 'more':
+                this.loadChatHistory({ append: true });
+                break;
+            case 'open':
+                this.openChat(chatId, target.dataset.messageId);
+                break;
+            case 'open-profile':
+                window.location.href = `/chat?profile=${encodeURIComponent(target.dataset.profileId)}`;
+                break;
+            case 'rename':
+                this.editChatTitle(chatId);
+                break;
+            case 'archive':
+                this.archiveChat(chatId);
+                break;
+            case 'delete':
+                this.deleteChat(chatId);
+                break;
+        }
+    }
+    
+    async openChat(chatId, messageId = null) {
+        try {
+            const response = await window.authSession.fetch(`/api/chats/${encodeURIComponent(chatId)}`);
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            let chat = data.chat;
+            
+            // Deep link into another branch (e.g. a search hit) - switch to it first
+            if (messageId && !chat.messages.some(message => message.id === messageId)) {
+                chat = await this.requestBranch(chat.id, messageId).catch(() => chat);
+            }
+            
+            this.renderChatDetail(chat, messageId);
+            
+            document.getElementById('chatSidebar')?.classList.remove('open');
+            
+        } catch (error) {
+            console.error('Open chat error:', error);
+            this.showErrorToast('Chat konnte nicht geöffnet werden');
+        }
+    }
+    
+    // Renders the visible branch of a chat as returned by GET /api/chats/:id
+    renderChatDetail(chat, messageId = null) {
+        this.clearMessagesUI();
+        
+        this.state.currentChat = { id: chat.id, title: chat.title, profileId: chat.profileId };
+        this.state.currentProfile = chat.profileId ? { id: chat.profileId } : null;
+        
+        const profileSelect = document.getElementById('profileSelect');
+        if (profileSelect) {
+            profileSelect.value = chat.profileId || '';
+        }
+        
+        chat.messages
+            .filter(message => message.role === 'user' || message.role === 'assistant')
+            .forEach(message => this.addMessageToUI({
+                id: message.id,
+                content: message.content,
+                role: message.role,
+                timestamp: message.timestamp,
+                status: message.role === 'user' ? 'sent' : 'received',
+                feedback: message.role === 'assistant' ? message.feedback : undefined,
+                toolCalls: message.toolCalls,
+                branch: message.branch
+            }));
+        
+        this.toggleWelcomeMessage(chat.messages.length === 0);
+        this.updateChatHeader();
+        this.updateChatUrl(chat.id, messageId);
+        this.renderChatList();
+        
+        if (!messageId || !this.highlightMessage(messageId)) {
+            this.scrollToBottom();
+        }
+    }
+    
+    startNewChat() {
+        this.state.currentChat = null;
+        this.clearMessagesUI();
+        this.toggleWelcomeMessage(true);
+        this.updateChatHeader();
+        this.updateChatUrl(null);
+        this.renderChatList();
+        document.getElementById('messageInput')?.focus();
+    }
+    
+    // Scrolls to a message and flashes it - false if it is not in the open chat
+    highlightMessage(messageId) {
+        const element = document.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+        if (!element) return false;
+        
+        element.scrollIntoView({ block: 'center' });
+        element.classList.add('message-highlight');
+        setTimeout(() => element.classList.remove('message-highlight'), 2500);
+        return true;
+    }
+
+    // ========================================
+    // SEARCH
+    // ========================================
+    
+    toggleChatSearch(visible) {
+        const container = document.getElementById('chatSearch');
+        const input = document.getElementById('chatSearchInput');
+        if (!container || !input) return;
+        
+        const show = visible ?? container.style.display === 'none';
+        container.style.display = show ? '' : 'none';
+        
+        if (show) {
+            input.focus();
+        } else {
+            input.value = '';
+            this.handleSearchInput('');
+        }
+    }
+    
+    handleSearchInput(value) {
+        clearTimeout(this.timers.get('search'));
+        const query = value.trim();
+        
+        if (query.length < this.config.minSearchLength) {
+            if (this.state.search) {
+                this.state.search = null;
+                this.renderChatList();
+            }
+            return;
+        }
+        
+        this.timers.set('search', setTimeout(() => this.runSearch(query), this.config.searchDelay));
+    }
+    
+    async runSearch(query) {
+        try {
+            const response = await window.authSession.fetch(`/api/search?q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            // Ignore late responses for an outdated query
+            if (document.getElementById('chatSearchInput')?.value.trim() !== query) return;
+            
+            this.state.search = { query, ...data };
+            this.renderChatList();
+            
+        } catch (error) {
+            console.error('Search error:', error);
+            this.showErrorToast('Suche fehlgeschlagen');
+        }
+    }
+    
+    renderSearchResults(search) {
+        if (search.total === 0) {
+            return `
+                <div class="chat-list-placeholder">
+                    <div class="placeholder-icon">🔍</div>
+                    <div class="placeholder-text">Keine Treffer für „${this.escapeHtml(search.query)}“</div>
+                </div>
+            `;
+        }
+        
+        const { messages, chats, profiles } = search.results;
+        const section = (title, items) => items.length
+            ? `<div class="search-section-title">${title}</div>${items.join('')}`
+            : '';
+        
+        return section('Nachrichten', messages.map(result => `
+                <div class="chat-list-item search-result" data-chat-id="${this.escapeHtml(result.chatId)}" data-message-id="${this.escapeHtml(result.messageId)}" data-action="open">
+                    <div class="chat-list-item-main">
+                        <div class="search-result-snippet">${this.highlightText(result.snippet, result.highlights)}</div>
+                        <div class="chat-list-item-meta">
+                            ${result.role === 'user' ? '👤' : '🤖'} ${this.escapeHtml(result.chatTitle)} • ${this.formatTimestamp(result.timestamp)}
+                        </div>
+                    </div>
+                </div>
+            `)) +
+            section('Chats', chats.map(result => `
+                <div class="chat-list-item search-result" data-chat-id="${this.escapeHtml(result.chatId)}" data-action="open">
+                    <div class="chat-list-item-main">
+                        <div class="chat-list-item-title">${this.highlightText(result.title, result.titleHighlights)}</div>
+                        <div class="chat-list-item-meta">
+                            ${result.profileName ? `${this.escapeHtml(result.profileName)} • ` : ''}${this.formatTimestamp(result.lastActivity)}
+                        </div>
+                        ${result.matchedTags.length ? `<div class="chat-list-item-tags">${result.matchedTags
+                            .map(tag => `<span class="chat-list-tag"><mark>#${this.escapeHtml(tag)}</mark></span>`)
+                            .join('')}</div>` : ''}
+                    </div>
+                </div>
+            `)) +
+            section('Profile', profiles.map(result => `
+                <div class="chat-list-item search-result" data-profile-id="${this.escapeHtml(result.profileId)}" data-action="open-profile">
+                    <div class="chat-list-item-main">
+                        <div class="chat-list-item-title">${this.highlightText(result.name, result.nameHighlights)}</div>
+                        ${result.snippet ? `<div class="search-result-snippet">${this.highlightText(result.snippet, result.highlights)}</div>` : ''}
+                    </div>
+                </div>
+            `));
+    }
+    
+    // Wraps the [start, end] ranges from the search API in <mark>, escaping everything else
+    highlightText(text, ranges = []) {
+        let html = '';
+        let position = 0;
+        
+        ranges.forEach(([start, end]) => {
+            if (start < position) return;
+            html += this.escapeHtml(text.slice(position, start)) + `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+    
+    async editChatTitle(chatId = this.state.currentChat?.id) {
+        if (!chatId) return;
+        
+        const item = this.state.chatList.find(entry => entry.id === chatId);
+        const title = prompt('Neuer Titel für den Chat:', item?.title || this.state.currentChat?.title || '');
+        if (!title || !title.trim()) return;
+        
+        const updated = await this.updateChat(chatId, '/title', 'PUT', { title: title.trim() }, 'Chat umbenannt');
+        if (updated && this.state.currentChat?.id === chatId) {
+            this.state.currentChat.title = updated.title;
+            this.updateChatHeader();
+        }
+    }
+    
+    async archiveChat(chatId = this.state.currentChat?.id) {
+        if (!chatId) return;
+        
+        if (await this.updateChat(chatId, '/archive', 'POST', null, 'Chat archiviert')) {
+            this.removeChatFromList(chatId);
+        }
+    }
+    
+    async deleteChat(chatId = this.state.currentChat?.id) {
+        if (!chatId) return;
+        
+        if (!confirm('Diesen Chat endgültig löschen? Das kann nicht rückgängig gemacht werden.')) {
+            return;
+        }
+        
+        if (await this.updateChat(chatId, '', 'DELETE', null, 'Chat gelöscht')) {
+            this.removeChatFromList(chatId);
+        }
+    }
+    
+    // Sends a chat management request and patches the sidebar entry with the result
+    async updateChat(chatId, path, method, body, successMessage) {
+        try {
+            const response = await window.authSession.fetch(`/api/chats/${encodeURIComponent(chatId)}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            if (data.chat) {
+                this.state.chatList = this.state.chatList.map(entry => entry.id === chatId ? data.chat : entry);
+                this.renderChatList();
+            }
+            
+            this.showSuccessToast(successMessage);
+            return data.chat || true;
+            
+        } catch (error) {
+            console.error('Chat update error:', error);
+            this.showErrorToast(error.message || 'Aktion fehlgeschlagen');
+            return null;
+        }
+    }
+    
+    // ========================================
+    // PROFILE MEMORIES
+    // ========================================
+    
+    async showMemories() {
+        if (!this.state.currentProfile?.id) {
+            this.showToast('Erinnerungen gibt es nur in Profil-Chats', 'info');
+            return;
+        }
+        
+        document.getElementById('memoryPanel').style.display = 'block';
+        await this.loadMemories();
+    }
+    
+    hideMemories() {
+        document.getElementById('memoryPanel').style.display = 'none';
+    }
+    
+    // Calls /api/profiles/:id/memories[/:memoryId] for the current profile
+    memoryRequest(path = '', method = 'GET', body = null) {
+        return this.profileRequest(`/memories${path}`, method, body);
+    }
+    
+    async loadMemories() {
+        const list = document.getElementById('memoryList');
+        
+        try {
+            const { memories } = await this.memoryRequest();
+            this.state.memories = memories;
+            
+            list.innerHTML = memories.length
+                ? memories.map(memory => this.renderMemoryItem(memory)).join('')
+                : '<div class="memory-empty">Noch keine Erinnerungen - sie entstehen automatisch beim Chatten.</div>';
+        } catch (error) {
+            console.error('Memories loading error:', error);
+            list.innerHTML = '<div class="memory-empty">Erinnerungen konnten nicht geladen werden</div>';
+        }
+    }
+    
+    renderMemoryItem(memory) {
+        const id = this.escapeHtml(memory.id);
+        const source = memory.source === 'user' ? 'von Ihnen' : 'aus einem Chat';
+        
+        return `
+            <div class="memory-item${memory.pinned ? ' pinned' : ''}">
+                <div class="memory-content">
+                    ${this.escapeHtml(memory.content)}
+                    <span class="memory-meta">${source} · ${new Date(memory.createdAt).toLocaleDateString('de-DE')}</span>
+                </div>
+                <div class="memory-actions">
+                    <button onclick="chat.toggleMemoryPin('${id}')" title="${memory.pinned ? 'Lösen' : 'Anheften'}">${memory.pinned ? '📌' : '📍'}</button>
+                    <button onclick="chat.editMemory('${id}')" title="Bearbeiten">✏️</button>
+                    <button onclick="chat.deleteMemory('${id}')" title="Löschen">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    async addMemory() {
+        const input = document.getElementById('memoryInput');
+        const content = input.value.trim();
+        if (!content) return;
+        
+        try {
+            await this.memoryRequest('', 'POST', { content });
+            input.value = '';
+            await this.loadMemories();
+        } catch (error) {
+            this.showErrorToast(error.message);
+        }
+    }
+    
+    async editMemory(memoryId) {
+        const memory = this.state.memories.find(entry => entry.id === memoryId);
+        const content = prompt('Erinnerung bearbeiten:', memory?.content || '');
+        if (!content || !content.trim() || content.trim() === memory?.content) return;
+        
+        await this.updateMemory(memoryId, 'PUT', { content: content.trim() }, 'Erinnerung aktualisiert');
+    }
+    
+    async toggleMemoryPin(memoryId) {
+        const memory = this.state.memories.find(entry => entry.id === memoryId);
+        await this.updateMemory(memoryId, 'PUT', { pinned: !memory?.pinned });
+    }
+    
+    async deleteMemory(memoryId) {
+        if (!confirm('Diese Erinnerung löschen?')) return;
+        
+        await this.updateMemory(memoryId, 'DELETE', null, 'Erinnerung gelöscht');
+    }
+    
+    async updateMemory(memoryId, method, body, successMessage) {
+        try {
+            await this.memoryRequest(`/${encodeURIComponent(memoryId)}`, method, body);
+            if (successMessage) this.showSuccessToast(successMessage);
+            await this.loadMemories();
+        } catch (error) {
+            this.showErrorToast(error.message);
+        }
+    }
+    
+    // ========================================
+    // PROFILE PERSONALITY
+    // ========================================
+    
+    async showPersonality() {
+        if (!this.state.currentProfile?.id) {
+            this.showToast('Die Persönlichkeit gibt es nur in Profil-Chats', 'info');
+            return;
+        }
+        
+        document.getElementById('personalityPanel').style.display = 'block';
+        await this.loadPersonality();
+    }
+    
+    hidePersonality() {
+        clearTimeout(this.timers.get('personalityPreview'));
+        this.personalityPreviewController?.abort();
+        document.getElementById('personalityPanel').style.display = 'none';
+    }
+    
+    // Calls /api/profiles/:id[/path] for the current profile
+    async profileRequest(path = '', method = 'GET', body = null, signal = undefined) {
+        const response = await window.authSession.fetch(
+            `/api/profiles/${encodeURIComponent(this.state.currentProfile.id)}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined,
+                signal
+            });
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+    
+    async loadPersonality() {
+        try {
+            const { profile } = await this.profileRequest();
+            this.state.personality = profile.personality;
+            this.fillPersonalityForm(profile.personality);
+            this.schedulePersonalityPreview();
+        } catch (error) {
+            console.error('Personality loading error:', error);
+            document.getElementById('personalityPreview').innerHTML =
+                '<div class="memory-empty">Persönlichkeit konnte nicht geladen werden</div>';
+        }
+    }
+    
+    fillPersonalityForm(personality = {}) {
+        document.querySelectorAll('#personalityPanel [data-trait]').forEach(input => {
+            input.value = personality.traits?.[input.dataset.trait] ?? input.defaultValue;
+        });
+        document.getElementById('personalityStyle').value = personality.communicationStyle || 'friendly';
+        document.getElementById('personalityLength').value = personality.responseLength || 'medium';
+        this.updatePersonalityLabels();
+    }
+    
+    readPersonalityForm() {
+        const traits = {};
+        document.querySelectorAll('#personalityPanel [data-trait]').forEach(input => {
+            traits[input.dataset.trait] = Number(input.value);
+        });
+        
+        return {
+            traits,
+            communicationStyle: document.getElementById('personalityStyle').value,
+            responseLength: document.getElementById('personalityLength').value
+        };
+    }
+    
+    updatePersonalityLabels() {
+        document.querySelectorAll('#personalityPanel [data-trait]').forEach(input => {
+            document.getElementById(`${input.id}Value`).textContent = input.value;
+        });
+    }
+    
+    handlePersonalityInput() {
+        this.updatePersonalityLabels();
+        this.schedulePersonalityPreview();
+    }
+    
+    // Sliders fire on every step - only the last position gets a preview
+    schedulePersonalityPreview() {
+        clearTimeout(this.timers.get('personalityPreview'));
+        this.timers.set('personalityPreview', setTimeout(() => this.runPersonalityPreview(), this.config.personalityPreviewDelay));
+    }
+    
+    async runPersonalityPreview() {
+        const container = document.getElementById('personalityPreview');
+        const message = document.getElementById('personalityPreviewMessage').value.trim();
+        
+        // A newer preview replaces one that is still running
+        this.personalityPreviewController?.abort();
+        const controller = new AbortController();
+        this.personalityPreviewController = controller;
+        
+        container.classList.add('loading');
+        
+        try {
+            const { preview } = await this.profileRequest('/personality/preview', 'POST', {
+                personality: this.readPersonalityForm(),
+                ...(message && { message })
+            }, controller.signal);
+            
+            container.innerHTML = this.renderPersonalityPreview(preview);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Personality preview error:', error);
+            container.innerHTML = `<div class="memory-empty">Vorschau nicht möglich: ${this.escapeHtml(error.message)}</div>`;
+        } finally {
+            if (this.personalityPreviewController === controller) {
+                container.classList.remove('loading');
+                this.personalityPreviewController = null;
+            }
+        }
+    }
+    
+    renderPersonalityPreview(preview) {
+        const { settings, style } = preview;
+        const styleLines = [
+            ['Ton', style.friendliness],
+            ['Anrede', style.formality],
+            ['Ideen', style.creativity],
+            ['Stil', style.style],
+            ['Länge', style.length]
+        ];
+        
+        return `
+            <div class="personality-preview-settings">
+                <span title="Temperature">🌡️ ${settings.temperature}</span>
+                <span title="Maximale Antwortlänge">📏 bis ${settings.maxTokens} Tokens</span>
+            </div>
+            <ul class="personality-preview-style">
+                ${styleLines.map(([label, text]) => `<li>${label}: ${this.escapeHtml(text)}</li>`).join('')}
+            </ul>
+            <div class="personality-preview-reply">${this.formatMessageContent(preview.reply)}</div>
+        `;
+    }
+    
+    resetPersonality() {
+        this.fillPersonalityForm(this.state.personality || {});
+        this.schedulePersonalityPreview();
+    }
+    
+    async savePersonality() {
+        try {
+            const { profile } = await this.profileRequest('', 'PUT', { personality: this.readPersonalityForm() });
+            this.state.personality = profile.personality;
+            this.showSuccessToast('Persönlichkeit gespeichert');
+        } catch (error) {
+            this.showErrorToast(error.message);
+        }
+    }
+    
+    removeChatFromList(chatId) {
+        this.state.chatList = this.state.chatList.filter(entry => entry.id !== chatId);
+        
+        if (this.state.currentChat?.id === chatId) {
+            this.startNewChat();
+        } else {
+            this.renderChatList();
+        }
+    }
+    
+    clearMessagesUI() {
+        const container = document.getElementById('messagesContainer');
+        if (container) {
+            container.querySelectorAll(':scope > .message').forEach(element => element.remove());
+        }
+        this.state.messages = [];
+    }
+    
+    toggleWelcomeMessage(visible) {
+        const welcome = document.getElementById('welcomeMessage');
+        if (welcome) {
+            welcome.style.display = visible ? '' : 'none';
+        }
+    }
+    
+    updateChatHeader() {
+        const title = document.getElementById('chatTitle');
+        if (title) {
+            title.textContent = this.state.currentChat?.title || 'Neuer Chat';
+        }
+        
+        const count = document.getElementById('messageCount');
+        if (count) {
+            count.textContent = `${this.state.messages.length} Nachrichten`;
+        }
+    }
+    
+    updateChatUrl(chatId, messageId = null) {
+        const url = new URL(window.location.href);
+        if (chatId) {
+            url.searchParams.set('chat', chatId);
+        } else {
+            url.searchParams.delete('chat');
+        }
+        if (chatId && messageId) {
+            url.searchParams.set('message', messageId);
+        } else {
+            url.searchParams.delete('message');
+        }
+        window.history.replaceState(null, '', url);
+    }
+
     // ========================================
     // UI UPDATES
     // ========================================
@@ -322,6 +1226,12 @@ class ModernChatSystem {
         const messageElement = this.createMessageElement(message);
         container.appendChild(messageElement);
         
+        // Only the latest answer can be regenerated
+        if (message.role === 'assistant') {
+            container.querySelectorAll('.message-assistant.is-latest').forEach(element => element.classList.remove('is-latest'));
+            messageElement.classList.add('is-latest');
+        }
+        
         // Add to local state
         this.state.messages.push(message);
         
@@ -347,11 +1257,14 @@ class ModernChatSystem {
                 <div class="message-body">
                     <div class="message-text">${this.formatMessageContent(message.content)}</div>
                     <div class="message-meta">
+                        ${message.branch ? this.renderBranchSwitcher(message.branch) : ''}
                         <span class="message-time">${timestamp}</span>
                         <span class="message-status" data-status="${message.status}">
                             ${statusIcon}
                         </span>
                     </div>
+                    ${message.toolCalls?.length ? this.renderToolCalls(message.toolCalls) : ''}
+                    ${message.feedback ? this.renderFeedbackControls(message.feedback) : ''}
                 </div>
                 <div class="message-actions">
                     <button class="message-action-btn" onclick="chat.copyMessage('${message.id}')" title="Kopieren">
@@ -360,6 +1273,9 @@ class ModernChatSystem {
                     <button class="message-action-btn" onclick="chat.addReaction('${message.id}')" title="Reaktion">
                         👍
                     </button>
+                    ${message.role === 'user'
+                        ? '<button class="message-action-btn edit-btn" data-message-action="edit" title="Bearbeiten und neu senden">✏️</button>'
+                        : '<button class="message-action-btn regenerate-btn" data-message-action="regenerate" title="Neu generieren">🔄</button>'}
                 </div>
             </div>
         `;
@@ -367,6 +1283,326 @@ class ModernChatSystem {
         return div;
     }
     
+    // Swaps the client-side id for the one the server stored the message under
+    assignServerId(message, serverId) {
+        if (!serverId) return;
+        
+        const element = document.querySelector(`[data-message-id="${message.id}"]`);
+        if (element) {
+            element.dataset.messageId = serverId;
+        }
+        message.id = serverId;
+    }
+
+    // ========================================
+    // BRANCHES (REGENERATE, EDIT, SWITCH)
+    // ========================================
+    
+    renderBranchSwitcher(branch) {
+        return `
+            <span class="message-branch">
+                <button class="branch-btn" data-message-action="branch-prev" title="Vorherige Variante"${branch.index === 0 ? ' disabled' : ''}>‹</button>
+                ${branch.index + 1}/${branch.count}
+                <button class="branch-btn" data-message-action="branch-next" title="Nächste Variante"${branch.index === branch.count - 1 ? ' disabled' : ''}>›</button>
+            </span>
+        `;
+    }
+    
+    handleMessageAction(e) {
+        const target = e.target.closest('[data-message-action]');
+        if (!target) return;
+        
+        const messageId = target.closest('[data-message-id]')?.dataset.messageId;
+        const message = this.state.messages.find(entry => entry.id === messageId);
+        if (!message) return;
+        
+        switch (target.dataset.messageAction) {
+            case 'edit':
+                this.editMessage(message);
+                break;
+            case 'regenerate':
+                this.regenerateReply(message);
+                break;
+            case 'branch-prev':
+                this.selectBranch(message.branch?.siblingIds[message.branch.index - 1]);
+                break;
+            case 'branch-next':
+                this.selectBranch(message.branch?.siblingIds[message.branch.index + 1]);
+                break;
+        }
+    }
+    
+    // Messages only get their server id once stored - until then they cannot be branched
+    isStoredMessage(message) {
+        return Boolean(this.state.currentChat?.id) && /^[a-f0-9]{24}$/i.test(message.id);
+    }
+    
+    // Drops a message and everything after it from the view (it stays on the server as another branch)
+    removeMessagesFrom(message) {
+        const index = this.state.messages.indexOf(message);
+        if (index === -1) return;
+        
+        this.state.messages.slice(index).forEach(entry => {
+            document.querySelector(`[data-message-id="${entry.id}"]`)?.remove();
+        });
+        this.state.messages = this.state.messages.slice(0, index);
+    }
+    
+    async regenerateReply(message) {
+        if (this.state.activeStream || !this.isStoredMessage(message)) return;
+        
+        const chatId = this.state.currentChat.id;
+        this.removeMessagesFrom(message);
+        
+        try {
+            if (await this.streamFromServer(null, { regenerate: true })) {
+                await this.openChat(chatId);
+            }
+        } catch (error) {
+            console.error('Regenerate error:', error);
+            this.showErrorToast(error.code === 'USAGE_QUOTA_EXCEEDED' ? error.message : 'Antwort konnte nicht neu generiert werden');
+            await this.openChat(chatId);
+        }
+    }
+    
+    async editMessage(message) {
+        if (this.state.activeStream || !this.isStoredMessage(message)) return;
+        
+        const content = prompt('Nachricht bearbeiten - ab hier entsteht ein neuer Zweig:', message.content);
+        if (content === null || !content.trim() || content.trim() === message.content) return;
+        
+        if (content.length > this.config.maxMessageLength) {
+            this.showErrorToast(`Nachricht zu lang (max. ${this.config.maxMessageLength} Zeichen)`);
+            return;
+        }
+        
+        const chatId = this.state.currentChat.id;
+        this.removeMessagesFrom(message);
+        
+        const messageObj = {
+            id: this.generateMessageId(),
+            content: content.trim(),
+            role: 'user',
+            timestamp: new Date(),
+            status: 'sending'
+        };
+        this.addMessageToUI(messageObj);
+        this.scrollToBottom();
+        
+        try {
+            if (await this.streamFromServer(messageObj, { editMessageId: message.id })) {
+                await this.openChat(chatId);
+            }
+        } catch (error) {
+            console.error('Edit message error:', error);
+            this.updateMessageStatus(messageObj.id, 'error');
+            this.showErrorToast(error.code === 'USAGE_QUOTA_EXCEEDED' ? error.message : 'Nachricht konnte nicht gesendet werden');
+        }
+    }
+    
+    async selectBranch(messageId) {
+        if (!messageId || !this.state.currentChat?.id || this.state.activeStream) return;
+        
+        try {
+            const chat = await this.requestBranch(this.state.currentChat.id, messageId);
+            this.renderChatDetail(chat, messageId);
+        } catch (error) {
+            console.error('Select branch error:', error);
+            this.showErrorToast('Variante konnte nicht geladen werden');
+        }
+    }
+    
+    // POST /api/chats/:id/branch -> chat detail showing the branch that contains messageId
+    async requestBranch(chatId, messageId) {
+        const response = await window.authSession.fetch(`/api/chats/${encodeURIComponent(chatId)}/branch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ messageId })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        
+        return data.chat;
+    }
+
+    // ========================================
+    // TOOL CALLS (ASSISTANT ACTIONS)
+    // ========================================
+    
+    // Actions proposed by the assistant - changes only run after the user confirms them
+    renderToolCalls(toolCalls) {
+        const statusLabels = {
+            running: '⏳ Wird ausgeführt',
+            executed: '✅ Erledigt',
+            rejected: '✖️ Abgelehnt',
+            failed: '⚠️ Fehlgeschlagen'
+        };
+        
+        const items = toolCalls.map(call => `
+            <div class="tool-call tool-call-${this.escapeHtml(call.status)}" data-call-id="${this.escapeHtml(call.callId)}">
+                <span class="tool-call-summary">🛠️ ${this.escapeHtml(call.summary || call.name)}</span>
+                ${call.status === 'pending'
+                    ? `<span class="tool-call-actions">
+                        <button class="tool-call-btn confirm" data-tool-action="confirm">Bestätigen</button>
+                        <button class="tool-call-btn reject" data-tool-action="reject">Ablehnen</button>
+                    </span>`
+                    : `<span class="tool-call-status" title="${this.escapeHtml(call.error || '')}">${statusLabels[call.status] || ''}</span>`}
+            </div>
+        `).join('');
+        
+        return `<div class="message-tool-calls">${items}</div>`;
+    }
+    
+    showToolCalls(message) {
+        const body = document.querySelector(`[data-message-id="${message.id}"] .message-body`);
+        if (!body) return;
+        
+        body.querySelector('.message-tool-calls')?.remove();
+        if (message.toolCalls?.length) {
+            body.querySelector('.message-meta').insertAdjacentHTML('afterend', this.renderToolCalls(message.toolCalls));
+        }
+    }
+    
+    handleToolCallClick(e) {
+        const target = e.target.closest('[data-tool-action]');
+        if (!target) return;
+        
+        const messageId = target.closest('[data-message-id]')?.dataset.messageId;
+        const callId = target.closest('[data-call-id]')?.dataset.callId;
+        const message = this.state.messages.find(entry => entry.id === messageId);
+        if (!message || !callId) return;
+        
+        target.closest('.tool-call-actions').querySelectorAll('button').forEach(button => { button.disabled = true; });
+        this.resolveToolCall(message, callId, target.dataset.toolAction);
+    }
+    
+    // POST /api/chats/:id/tool-calls/:callId/confirm|reject
+    async resolveToolCall(message, callId, action) {
+        if (!this.state.currentChat?.id) return;
+        
+        try {
+            const response = await window.authSession.fetch(
+                `/api/chats/${encodeURIComponent(this.state.currentChat.id)}/tool-calls/${encodeURIComponent(callId)}/${action}`,
+                { method: 'POST' }
+            );
+            const data = await response.json();
+            
+            // A failed or already handled call still comes back with its new state
+            if (data.toolCall) {
+                message.toolCalls = message.toolCalls.map(call => call.callId === callId ? data.toolCall : call);
+                this.showToolCalls(message);
+            }
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            if (action === 'confirm') {
+                this.showSuccessToast(data.message);
+            }
+            
+        } catch (error) {
+            console.error('Tool call error:', error);
+            this.showErrorToast(error.message || 'Aktion konnte nicht ausgeführt werden');
+            this.showToolCalls(message);
+        }
+    }
+
+    // ========================================
+    // FEEDBACK
+    // ========================================
+    
+    renderFeedbackControls(feedback) {
+        const stars = [1, 2, 3, 4, 5].map(value => `
+            <button class="feedback-star${feedback.rating >= value ? ' active' : ''}" data-feedback="rating" data-value="${value}" title="${value} von 5 Sternen">★</button>
+        `).join('');
+        
+        return `
+            <div class="message-feedback">
+                <button class="feedback-btn${feedback.helpful === true ? ' active' : ''}" data-feedback="helpful" data-value="true" title="Hilfreich">👍</button>
+                <button class="feedback-btn${feedback.helpful === false ? ' active' : ''}" data-feedback="helpful" data-value="false" title="Nicht hilfreich">👎</button>
+                <span class="feedback-stars">${stars}</span>
+            </div>
+        `;
+    }
+    
+    showFeedbackControls(message) {
+        const body = document.querySelector(`[data-message-id="${message.id}"] .message-body`);
+        if (!body) return;
+        
+        message.feedback = message.feedback || { helpful: null, rating: null, comment: '' };
+        body.querySelector('.message-feedback')?.remove();
+        body.insertAdjacentHTML('beforeend', this.renderFeedbackControls(message.feedback));
+    }
+    
+    handleFeedbackClick(e) {
+        const target = e.target.closest('[data-feedback]');
+        if (!target) return;
+        
+        const messageId = target.closest('[data-message-id]')?.dataset.messageId;
+        const message = this.state.messages.find(entry => entry.id === messageId);
+        if (!message || !message.feedback) return;
+        
+        const body = {};
+        
+        // Clicking the active choice again clears it
+        if (target.dataset.feedback === 'helpful') {
+            const helpful = target.dataset.value === 'true';
+            body.helpful = message.feedback.helpful === helpful ? null : helpful;
+            
+            if (body.helpful === false) {
+                const comment = prompt('Was war an der Antwort nicht hilfreich? (optional)', message.feedback.comment || '');
+                if (comment !== null) {
+                    body.comment = comment.substring(0, 500);
+                }
+            }
+        } else {
+            const rating = parseInt(target.dataset.value, 10);
+            body.rating = message.feedback.rating === rating ? null : rating;
+        }
+        
+        this.sendFeedback(message, body);
+    }
+    
+    // PUT /api/chats/:id/messages/:messageId/feedback - the server recalculates the chat quality
+    async sendFeedback(message, body) {
+        if (!this.state.currentChat?.id) return;
+        
+        try {
+            const response = await window.authSession.fetch(
+                `/api/chats/${encodeURIComponent(this.state.currentChat.id)}/messages/${encodeURIComponent(message.id)}/feedback`,
+                {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                }
+            );
+            const data = await response.json();
+            
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            message.feedback = data.feedback;
+            this.showFeedbackControls(message);
+            this.showSuccessToast('Danke für dein Feedback!');
+            
+        } catch (error) {
+            console.error('Feedback error:', error);
+            this.showErrorToast('Feedback konnte nicht gespeichert werden');
+        }
+    }
+    
+    updateMessageContent(messageId, content) {
+        const textElement = document.querySelector(`[data-message-id="${messageId}"] .message-text`);
+        if (textElement) {
+            textElement.innerHTML = this.formatMessageContent(content);
+        }
+    }
+    
     updateMessageStatus(messageId, status) {
         const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
         if (!messageElement) return;
@@ -644,6 +1880,7 @@ class ModernChatSystem {
             read: '👁️',
             error: '❌',
             uploading: '📤',
+            streaming: '✍️',
             received: ''
         };
         return icons[status] || '';
@@ -667,6 +1904,12 @@ class ModernChatSystem {
         return content;
     }
     
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+    
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -724,9 +1967,8 @@ class ModernChatSystem {
     }
     
     // Placeholder methods
-    getAuthHeaders() { return {}; }
+    getAuthHeaders() { return window.authSession.getAuthHeaders(); }
     loadProfile(id) { console.log('Load profile:', id); }
-    loadChatHistory() { console.log('Load chat history'); }
     scrollToBottom() { 
         const container = document.getElementById('messagesContainer');
         if (container) {
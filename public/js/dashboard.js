@@ -372,6 +372,13 @@ class ModernDashboard {
                         ${this.renderRecentProfiles(recentProfiles)}
                     </div>
                 </div>
+                
+                <div class="usage-section card fade-in">
+                    <h3>KI-Verbrauch (30 Tage)</h3>
+                    <div id="usageReport">
+                        <div class="usage-empty">Verbrauch wird geladen...</div>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -410,6 +417,13 @@ class ModernDashboard {
                 <div class="profiles-grid">
                     ${this.renderProfilesGrid()}
                 </div>
+                
+                <div class="quality-section card fade-in">
+                    <h3>Antwortqualität (30 Tage)</h3>
+                    <div id="qualityReport">
+                        <div class="usage-empty">Auswertung wird geladen...</div>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -651,8 +665,22 @@ class ModernDashboard {
     // ========================================
     
     async loadUserData() {
-        // TODO: Implement user data loading
-        this.state.currentUser = { name: 'Benutzer', email: 'user@example.com' };
+        if (!window.authSession.isLoggedIn()) {
+            window.authSession.redirectToLogin();
+            return;
+        }
+        
+        const response = await window.authSession.fetch('/api/users/profile');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const { user } = await response.json();
+        this.state.currentUser = { ...user, name: `${user.firstName} ${user.lastName}` };
+    }
+    
+    logout() {
+        window.authSession.logout();
     }
     
     async loadProfiles() {
@@ -725,14 +753,276 @@ class ModernDashboard {
         );
     }
     
+    initializeSectionEvents(section) {
+        if (section === 'home') {
+            this.loadUsage();
+        }
+        if (section === 'profiles') {
+            this.loadQualityReport();
+        }
+        if (section === 'settings') {
+            this.loadSessions();
+        }
+    }
+    
+    // ========================================
+    // HOME: KI-VERBRAUCH
+    // ========================================
+    
+    async loadUsage() {
+        const container = document.getElementById('usageReport');
+        if (!container) return;
+        
+        try {
+            const response = await window.authSession.fetch('/api/users/usage?days=30');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const { usage } = await response.json();
+            container.innerHTML = this.renderUsage(usage);
+        } catch (error) {
+            console.error('Usage loading failed:', error);
+            container.innerHTML = '<div class="usage-empty">Verbrauch konnte nicht geladen werden</div>';
+        }
+    }
+    
+    renderUsage(usage) {
+        const maxTokens = Math.max(...usage.daily.map(day => day.totalTokens), 1);
+        const bars = usage.daily.map(day => `
+            <div class="usage-bar" style="height: ${Math.round((day.totalTokens / maxTokens) * 100)}%"
+                 title="${this.formatShortDate(day.date)}: ${this.formatNumber(day.totalTokens)} Tokens · ${this.formatCost(day.cost)}"></div>
+        `).join('');
+        
+        const topProfiles = usage.byProfile.slice(0, 3).map(entry => `
+            <li>${this.escapeHtml(entry.name || 'Ohne Profil')} <span>${this.formatNumber(entry.totalTokens)} Tokens</span></li>
+        `).join('');
+        
+        const topModels = usage.byModel.slice(0, 3).map(entry => `
+            <li>${this.escapeHtml(entry.model)} <span>${this.formatCost(entry.cost)}</span></li>
+        `).join('');
+        
+        return `
+            <div class="usage-summary">
+                <div><strong>${this.formatNumber(usage.totals.totalTokens)}</strong> Tokens</div>
+                <div><strong>${usage.totals.requests}</strong> Anfragen</div>
+                <div><strong>${this.formatCost(usage.totals.cost)}</strong> geschätzt</div>
+            </div>
+            ${this.renderQuota('Heute', usage.quota.daily)}
+            ${this.renderQuota('Dieser Monat', usage.quota.monthly)}
+            <div class="usage-chart">${bars}</div>
+            ${usage.totals.requests ? `
+                <div class="usage-breakdown">
+                    <div><h4>Profile</h4><ul>${topProfiles}</ul></div>
+                    <div><h4>Modelle</h4><ul>${topModels}</ul></div>
+                </div>
+            ` : '<div class="usage-empty">Noch keine KI-Anfragen in diesem Zeitraum</div>'}
+        `;
+    }
+    
+    renderQuota(label, quota) {
+        if (!quota.limit) return '';
+        
+        const percent = Math.min(Math.round((quota.used / quota.limit) * 100), 100);
+        return `
+            <div class="usage-quota${quota.exceeded ? ' exceeded' : ''}">
+                <div class="usage-quota-label">
+                    <span>${label}</span>
+                    <span>${this.formatNumber(quota.used)} / ${this.formatNumber(quota.limit)} Tokens</span>
+                </div>
+                <div class="usage-quota-track"><div style="width: ${percent}%"></div></div>
+            </div>
+        `;
+    }
+    
+    formatNumber(value) {
+        return new Intl.NumberFormat('de-DE').format(value || 0);
+    }
+    
+    formatCost(value) {
+        return new Intl.NumberFormat('de-DE', { style: 'currency', currency: 'USD', maximumFractionDigits: 4 }).format(value || 0);
+    }
+    
+    formatShortDate(date) {
+        return new Date(date).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' });
+    }
+    
+    // ========================================
+    // PROFILE: ANTWORTQUALITÄT
+    // ========================================
+    
+    async loadQualityReport() {
+        const container = document.getElementById('qualityReport');
+        if (!container) return;
+        
+        try {
+            const response = await window.authSession.fetch('/api/profiles/quality?days=30');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const { report } = await response.json();
+            container.innerHTML = this.renderQualityReport(report);
+        } catch (error) {
+            console.error('Quality report loading failed:', error);
+            container.innerHTML = '<div class="usage-empty">Auswertung konnte nicht geladen werden</div>';
+        }
+    }
+    
+    renderQualityReport(report) {
+        if (!report.totals.feedbackCount) {
+            return '<div class="usage-empty">Noch kein Feedback - bewerte Antworten im Chat mit 👍/👎 oder Sternen</div>';
+        }
+        
+        const statusLabels = { poor: 'Schwach', good: 'Gut', insufficient_data: 'Zu wenig Feedback' };
+        
+        const rows = report.profiles.map(entry => `
+            <div class="quality-row ${entry.status}">
+                <div class="quality-row-main">
+                    <strong>${this.escapeHtml(entry.name)}</strong>
+                    <span class="quality-status">${statusLabels[entry.status]}</span>
+                </div>
+                <div class="quality-row-stats">
+                    <span title="Hilfreich / nicht hilfreich">👍 ${entry.helpful} · 👎 ${entry.notHelpful}</span>
+                    <span title="Durchschnittliche Sterne">⭐ ${entry.averageRating ?? '–'}</span>
+                    <span title="Chat-Qualität">${Math.round(entry.averageQuality * 100)}%</span>
+                </div>
+                ${entry.criticism.map(item => `
+                    <a class="quality-criticism" href="/chat?chat=${encodeURIComponent(item.chatId)}&message=${encodeURIComponent(item.messageId)}">
+                        ${item.comment ? `„${this.escapeHtml(item.comment)}“` : this.escapeHtml(item.excerpt)}
+                    </a>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        return `
+            <div class="usage-summary">
+                <div><strong>${report.totals.feedbackCount}</strong> Bewertungen</div>
+                <div><strong>${report.totals.helpfulRate === null ? '–' : `${Math.round(report.totals.helpfulRate * 100)}%`}</strong> hilfreich</div>
+                <div><strong>${report.totals.averageRating ?? '–'}</strong> Sterne im Schnitt</div>
+            </div>
+            ${rows}
+        `;
+    }
+    
+    // ========================================
+    // SETTINGS: ANGEMELDETE GERÄTE
+    // ========================================
+    
+    loadSettingsContent() {
+        return `
+            <div class="settings-content">
+                <div class="sessions-section card fade-in">
+                    <div class="sessions-header">
+                        <div>
+                            <h2>Angemeldete Geräte</h2>
+                            <p class="sessions-hint">Hier sehen Sie, wo Ihr Konto angemeldet ist. Unbekannte Geräte sollten Sie abmelden und Ihr Passwort ändern.</p>
+                        </div>
+                        <button class="btn btn-secondary" id="revokeOtherSessionsBtn" onclick="dashboard.revokeOtherSessions()">
+                            <span>🚪</span> Alle anderen abmelden
+                        </button>
+                    </div>
+                    <div class="session-list" id="sessionList">
+                        <div class="session-empty">Sitzungen werden geladen...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    async loadSessions() {
+        const list = document.getElementById('sessionList');
+        if (!list) return;
+        
+        try {
+            const response = await window.authSession.fetch('/api/users/sessions');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const { sessions } = await response.json();
+            list.innerHTML = sessions.length
+                ? sessions.map(session => this.renderSessionItem(session)).join('')
+                : '<div class="session-empty">Keine aktiven Sitzungen</div>';
+            
+            const revokeOthersBtn = document.getElementById('revokeOtherSessionsBtn');
+            if (revokeOthersBtn) {
+                revokeOthersBtn.disabled = !sessions.some(session => !session.current);
+            }
+        } catch (error) {
+            console.error('Sessions loading failed:', error);
+            list.innerHTML = '<div class="session-empty">Sitzungen konnten nicht geladen werden</div>';
+        }
+    }
+    
+    renderSessionItem(session) {
+        const icons = { mobile: '📱', tablet: '📱', script: '🤖', desktop: '💻' };
+        
+        return `
+            <div class="session-item${session.current ? ' current' : ''}">
+                <div class="session-icon">${icons[session.device.deviceType] || '❔'}</div>
+                <div class="session-info">
+                    <h4>
+                        ${this.escapeHtml(session.device.label)}
+                        ${session.current ? '<span class="session-badge">Dieses Gerät</span>' : ''}
+                    </h4>
+                    <p>IP: ${this.escapeHtml(session.ip || 'unbekannt')}</p>
+                    <p>Angemeldet: ${this.formatDateTime(session.createdAt)} · Zuletzt aktiv: ${this.formatDateTime(session.lastActivityAt)}</p>
+                </div>
+                <button class="btn btn-secondary session-revoke-btn" onclick="dashboard.revokeSession('${this.escapeHtml(session.id)}', ${session.current})">
+                    Abmelden
+                </button>
+            </div>
+        `;
+    }
+    
+    async revokeSession(sessionId, current = false) {
+        if (current && !confirm('Dieses Gerät abmelden? Sie müssen sich danach neu anmelden.')) {
+            return;
+        }
+        
+        const response = await window.authSession.fetch(`/api/users/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+        const result = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            this.showToast(result.error || 'Gerät konnte nicht abgemeldet werden', 'error');
+            return;
+        }
+        
+        if (result.current) {
+            window.authSession.clear();
+            window.location.href = '/login';
+            return;
+        }
+        
+        this.showToast(result.message, 'success');
+        this.loadSessions();
+    }
+    
+    async revokeOtherSessions() {
+        const response = await window.authSession.fetch('/api/users/sessions', { method: 'DELETE' });
+        const result = await response.json().catch(() => ({}));
+        
+        this.showToast(response.ok ? result.message : (result.error || 'Geräte konnten nicht abgemeldet werden'), response.ok ? 'success' : 'error');
+        this.loadSessions();
+    }
+    
+    formatDateTime(date) {
+        return date ? new Date(date).toLocaleString('de-DE', { dateStyle: 'medium', timeStyle: 'short' }) : '–';
+    }
+    
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+    
     // Placeholder methods for future implementation
     createNewProfile() { this.showToast('Neues Profil - Coming Soon!', 'info'); }
     openProfileChat(id) { this.showToast(`Chat mit Profil ${id} - Coming Soon!`, 'info'); }
     filterProfiles(query) { console.log('Filter profiles:', query); }
-    initializeSectionEvents(section) { console.log('Initialize section events:', section); }
     loadChatContent() { return '<p>Chat Content - Coming Soon!</p>'; }
     loadWidgetsContent() { return '<p>Widgets Content - Coming Soon!</p>'; }
-    loadSettingsContent() { return '<p>Settings Content - Coming Soon!</p>'; }
     getNotFoundContent() { return '<p>Bereich nicht gefunden</p>'; }
     getErrorContent(message) { return `<p>Fehler: ${message}</p>`; }
     handleSearch(e) { console.log('Search:', e.target.value); }
@@ -902,6 +1192,223 @@ const additionalCSS = `
     background: var(--glass-bg);
     color: var(--text-primary);
 }
+
+.sessions-section {
+    padding: 20px;
+}
+
+.sessions-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    gap: 20px;
+    margin-bottom: 20px;
+}
+
+.sessions-hint {
+    margin: 5px 0 0;
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+}
+
+.session-list {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+}
+
+.session-item {
+    display: flex;
+    align-items: center;
+    gap: 15px;
+    padding: 15px;
+    border: 1px solid var(--glass-border);
+    border-radius: var(--border-radius);
+}
+
+.session-item.current {
+    border-color: #667eea;
+}
+
+.session-icon {
+    font-size: 1.8rem;
+}
+
+.session-info {
+    flex: 1;
+}
+
+.session-info h4 {
+    margin: 0 0 5px;
+    color: var(--text-primary);
+}
+
+.session-info p {
+    margin: 0;
+    color: var(--text-secondary);
+    font-size: 0.85rem;
+}
+
+.session-badge {
+    margin-left: 8px;
+    padding: 2px 8px;
+    border-radius: 10px;
+    background: var(--glass-bg);
+    color: var(--text-secondary);
+    font-size: 0.75rem;
+    font-weight: normal;
+}
+
+.session-empty {
+    color: var(--text-muted);
+    padding: 10px 0;
+}
+
+.usage-section {
+    margin-top: 20px;
+    padding: 20px;
+}
+
+.usage-summary {
+    display: flex;
+    gap: 25px;
+    margin: 10px 0 15px;
+    color: var(--text-secondary);
+}
+
+.usage-summary strong {
+    color: var(--text-primary);
+    font-size: 1.2rem;
+}
+
+.usage-quota {
+    margin-bottom: 10px;
+}
+
+.usage-quota-label {
+    display: flex;
+    justify-content: space-between;
+    color: var(--text-secondary);
+    font-size: 0.85rem;
+    margin-bottom: 4px;
+}
+
+.usage-quota-track {
+    height: 6px;
+    border-radius: 3px;
+    background: var(--glass-bg);
+    overflow: hidden;
+}
+
+.usage-quota-track div {
+    height: 100%;
+    background: #667eea;
+}
+
+.usage-quota.exceeded .usage-quota-track div {
+    background: #e53e3e;
+}
+
+.usage-chart {
+    display: flex;
+    align-items: flex-end;
+    gap: 3px;
+    height: 120px;
+    margin: 15px 0;
+    border-bottom: 1px solid var(--glass-border);
+}
+
+.usage-bar {
+    flex: 1;
+    min-height: 1px;
+    border-radius: 3px 3px 0 0;
+    background: linear-gradient(180deg, #667eea, #764ba2);
+}
+
+.usage-breakdown {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+    gap: 20px;
+}
+
+.usage-breakdown h4 {
+    margin: 0 0 8px;
+    color: var(--text-primary);
+}
+
+.usage-breakdown ul {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+}
+
+.usage-breakdown li {
+    display: flex;
+    justify-content: space-between;
+    padding: 4px 0;
+    color: var(--text-secondary);
+    font-size: 0.9rem;
+}
+
+.usage-empty {
+    color: var(--text-muted);
+    padding: 10px 0;
+}
+
+.quality-section {
+    margin-top: 20px;
+    padding: 20px;
+}
+
+.quality-row {
+    padding: 10px 12px;
+    margin-bottom: 8px;
+    border-left: 3px solid var(--glass-border);
+    border-radius: 4px;
+    background: var(--glass-bg);
+}
+
+.quality-row.good {
+    border-left-color: #38a169;
+}
+
+.quality-row.poor {
+    border-left-color: #e53e3e;
+}
+
+.quality-row-main,
+.quality-row-stats {
+    display: flex;
+    justify-content: space-between;
+    gap: 15px;
+}
+
+.quality-row-stats {
+    margin-top: 4px;
+    color: var(--text-secondary);
+    font-size: 0.85rem;
+}
+
+.quality-status {
+    color: var(--text-muted);
+    font-size: 0.8rem;
+}
+
+.quality-row.poor .quality-status {
+    color: #e53e3e;
+}
+
+.quality-criticism {
+    display: block;
+    margin-top: 6px;
+    color: var(--text-secondary);
+    font-size: 0.85rem;
+    text-decoration: none;
+}
+
+.quality-criticism:hover {
+    color: var(--text-primary);
+}
 </style>
 `;
 
@@ -648,20 +648,7 @@ class BaseWidget {
     }
 
     getAuthHeaders() {
-        const token = localStorage.getItem('allKiAuthToken');
-        const email = localStorage.getItem('allKiUserEmail');
-        
-        const headers = {};
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        if (email) {
-            headers['X-User-Email'] = email;
-        }
-        
-        return headers;
+        return window.authSession.getAuthHeaders();
     }
 
     // ========================================
@@ -854,13 +854,7 @@ class WidgetsManager {
     // ========================================
 
     getAuthHeaders() {
-        const token = localStorage.getItem('allKiAuthToken');
-        const email = localStorage.getItem('allKiUserEmail');
-        
-        return {
-            'Authorization': `Bearer ${token}`,
-            'X-User-Email': email
-        };
+        return window.authSession.getAuthHeaders();
     }
 
     showWidgetError(widgetId, message) {
@@ -57,22 +57,16 @@ class WidgetsApp {
     }
 
     async checkAuthentication() {
-        const token = localStorage.getItem('allKiAuthToken');
-        const email = localStorage.getItem('allKiUserEmail');
+        const email = localStorage.getItem('lastEmail');
         
-        if (!token || !email) {
+        if (!window.authSession.isLoggedIn()) {
             this.redirectToLogin();
             return;
         }
 
         try {
             // Verify token with server (optional - continue with stored data if fails)
-            const response = await fetch('/api/auth/verify', {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'X-User-Email': email
-                }
-            });
+            const response = await window.authSession.fetch('/api/users/profile');
 
             if (response.ok) {
                 const userData = await response.json();
@@ -382,16 +376,11 @@ class WidgetsApp {
     }
 
     handleLogout() {
-        // Clear all local data
-        this.clearLocalData();
-        
         // Show logout message
         this.showToast('Erfolgreich abgemeldet!', 'success');
 
-        // Redirect to login after short delay
-        setTimeout(() => {
-            window.location.href = 'index.html';
-        }, 1500);
+        // Revoke session on the server, then clear all local data
+        window.authSession.logout().finally(() => this.clearLocalData());
     }
 
     navigateToDashboard() {
@@ -618,28 +607,15 @@ class WidgetsApp {
     // ========================================
 
     getAuthHeaders() {
-        const token = localStorage.getItem('allKiAuthToken');
-        const email = localStorage.getItem('allKiUserEmail');
-        
-        const headers = {};
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        if (email) {
-            headers['X-User-Email'] = email;
-        }
-        
-        return headers;
+        return window.authSession.getAuthHeaders();
     }
 
     clearLocalData() {
         // Clear authentication data
+        window.authSession.clear();
         localStorage.removeItem('allKiLoggedIn');
         localStorage.removeItem('allKiUserEmail');
         localStorage.removeItem('allKiUserName');
-        localStorage.removeItem('allKiAuthToken');
         localStorage.removeItem('allKiRememberMe');
         localStorage.removeItem('allKiNewsletter');
         
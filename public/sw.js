@@ -18,6 +18,7 @@ const STATIC_FILES = [
     '/css/dashboard.css',
     '/js/dashboard.js',
     '/js/chat.js',
+    '/js/auth-session.js',
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
 ];
 
@@ -0,0 +1,62 @@
+/**
+ * 👑 ADMIN ANLEGEN
+ * Legt ein Konto mit Rolle an oder setzt die Rolle eines bestehenden Kontos
+ *
+ * npm run admin:create -- --email admin@example.com --password geheim123 [--first Anna] [--last Admin] [--role admin]
+ *
+ * Nutzt dieselbe Datenbank-Konfiguration wie der Server (MONGODB_URI / DB_ADAPTER / FILE_DB_DIR).
+ */
+
+require('dotenv').config();
+const database = require('../src/config/database');
+const adminBootstrap = require('../src/services/adminBootstrap');
+const { ROLES } = require('../src/config/permissions');
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const role = args.role || 'admin';
+
+    if (!args.email) {
+        console.error('❌ Aufruf: npm run admin:create -- --email <email> --password <passwort> [--first <vorname>] [--last <nachname>] [--role admin|user|readonly]');
+        process.exit(1);
+    }
+
+    if (!ROLES.includes(role)) {
+        console.error(`❌ Ungültige Rolle "${role}". Erlaubt: ${ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    await database.connect();
+    console.log(`🗄️ Speicher: ${database.getAdapter().name}`);
+
+    const { user, created } = await adminBootstrap.createOrUpdate({
+        email: args.email,
+        password: args.password,
+        firstName: args.first,
+        lastName: args.last,
+        role
+    });
+
+    console.log(created
+        ? `✅ Konto ${user.email} mit Rolle ${user.role} angelegt`
+        : `✅ Rolle von ${user.email} auf ${user.role} gesetzt`);
+
+    await database.disconnect();
+}
+
+main().then(() => process.exit(0)).catch(async error => {
+    console.error('❌ Admin konnte nicht angelegt werden:', error.message);
+    await database.disconnect().catch(() => {});
+    process.exit(1);
+});
@@ -12,6 +12,7 @@ const compression = require('compression');
 
 // Database Manager importieren
 const database = require('./src/config/database');
+const { attachLanguage } = require('./src/middleware/language');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,6 +24,13 @@ console.log('🗄️ DatabaseManager initialisiert');
 // MIDDLEWARE SETUP
 // ========================================
 
+// Hinter einem Reverse Proxy (nginx, Traefik): echte Client-IP für Sitzungen und Logs
+// TRUST_PROXY=true | Anzahl Hops (z.B. 1) | Express-Wert wie "loopback"
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 app.use(helmet({
     contentSecurityPolicy: isDev ? false : undefined,
     crossOriginEmbedderPolicy: false
@@ -44,11 +52,15 @@ app.use((req, res, next) => {
     next();
 });
 
+// Sprache für Antworten und Fehlermeldungen (req.language, req.t)
+app.use(attachLanguage);
+
 // ========================================
 // STARTUP SEQUENCE
 // ========================================
 
-async function startServer() {
+// port 0 wählt einen freien Port (Tests, siehe test/helpers/testServer.js)
+async function startServer(port = PORT) {
     console.log('🚀 Starting All-KI Server...');
     
     // 1. Database Connection (mit Fallback)
@@ -71,15 +83,24 @@ async function startServer() {
     loadModel('./src/models/User', 'User');
     loadModel('./src/models/Chat', 'Chat');
     loadModel('./src/models/Profile', 'Profile');
+    loadModel('./src/models/Widget', 'Widget');
+    loadModel('./src/models/ApiKey', 'ApiKey');
+
+    // Admins aus ADMIN_EMAILS übernehmen (Bootstrap für neue Instanzen)
+    try {
+        await require('./src/services/adminBootstrap').promoteConfiguredAdmins();
+    } catch (error) {
+        console.warn(`⚠️ Admin bootstrap failed: ${error.message}`);
+    }
 
     // 3. Routes laden
     console.log('🛣️ Loading API routes...');
     
-    const loadRoute = (routePath, routeName, apiPath) => {
+    const loadRoute = (routePath, routeName, apiPath, middlewares = []) => {
         try {
             const route = require(routePath);
             if (route && typeof route === 'function') {
-                app.use(apiPath, route);
+                app.use(apiPath, ...middlewares, route);
                 console.log(`✅ ${routeName} routes loaded`);
                 return true;
             } else {
@@ -91,12 +112,18 @@ async function startServer() {
         }
     };
 
-    // API Routes laden
+    // API Routes laden - alles außer /api/auth nur mit gültigem Access Token oder API Key,
+    // Rollenrechte laut Matrix in src/config/permissions.js
+    const { requireAuth, requireAdmin, authorize, requireFeature } = require('./src/middleware/auth');
+
     loadRoute('./src/routes/auth', 'Auth', '/api/auth');
-    loadRoute('./src/routes/chat', 'Chat', '/api/chat');
-    loadRoute('./src/routes/profiles', 'Profile', '/api/profiles');
-    loadRoute('./src/routes/users', 'User', '/api/users');
-    loadRoute('./src/routes/widgets', 'Widget', '/api/widgets');
+    loadRoute('./src/routes/chat', 'Chat', '/api/chat', [requireAuth, authorize('chat'), requireFeature('chat')]);
+    loadRoute('./src/routes/chats', 'Chat History', '/api/chats', [requireAuth, authorize('chat'), requireFeature('chat')]);
+    loadRoute('./src/routes/search', 'Search', '/api/search', [requireAuth, authorize('chat'), requireFeature('chat')]);
+    loadRoute('./src/routes/profiles', 'Profile', '/api/profiles', [requireAuth, authorize('profiles')]);
+    loadRoute('./src/routes/users', 'User', '/api/users', [requireAuth, authorize('account')]);
+    loadRoute('./src/routes/widgets', 'Widget', '/api/widgets', [requireAuth, authorize('widgets'), requireFeature('widgets')]);
+    loadRoute('./src/routes/admin', 'Admin', '/api/admin', [requireAuth, requireAdmin, authorize('admin')]);
 
     // 4. Health Check Route
     app.get('/api/health', (req, res) => {
@@ -109,6 +136,7 @@ async function startServer() {
             environment: process.env.NODE_ENV,
             database: {
                 connected: dbStatus.isConnected,
+                adapter: dbStatus.adapter,
                 readyState: dbStatus.readyState,
                 host: dbStatus.host
             },
@@ -145,15 +173,16 @@ async function startServer() {
     });
 
     // 7. Server starten
-    const server = app.listen(PORT, () => {
+    const server = app.listen(port, () => {
+        const { port: actualPort } = server.address();
         console.log('==================================================');
-        console.log(`🚀 All-KI Server läuft auf Port ${PORT}`);
-        console.log(`🌐 Frontend: http://localhost:${PORT}`);
-        console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
-        console.log(`🧪 Test Route: http://localhost:${PORT}/test`);
-        console.log(`📱 Dashboard: http://localhost:${PORT}/dashboard`);
-        console.log(`💬 Chat: http://localhost:${PORT}/chat`);
-        console.log(`🧩 Widgets: http://localhost:${PORT}/widgets`);
+        console.log(`🚀 All-KI Server läuft auf Port ${actualPort}`);
+        console.log(`🌐 Frontend: http://localhost:${actualPort}`);
+        console.log(`📊 Health Check: http://localhost:${actualPort}/api/health`);
+        console.log(`🧪 Test Route: http://localhost:${actualPort}/test`);
+        console.log(`📱 Dashboard: http://localhost:${actualPort}/dashboard`);
+        console.log(`💬 Chat: http://localhost:${actualPort}/chat`);
+        console.log(`🧩 Widgets: http://localhost:${actualPort}/widgets`);
         console.log('==================================================');
     });
 
@@ -183,7 +212,12 @@ async function startServer() {
 // SERVER STARTEN
 // ========================================
 
-startServer().catch(error => {
-    console.error('❌ Failed to start server:', error);
-    process.exit(1);
-});
\ No newline at end of file
+// Nur bei direktem Start (npm start) - die Tests starten den Server selbst
+if (require.main === module) {
+    startServer().catch(error => {
+        console.error('❌ Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app, startServer };
\ No newline at end of file
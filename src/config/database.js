@@ -1,9 +1,15 @@
 /**
  * 🗄️ DATABASE CONNECTION FIX
  * EINFÜGEN IN: src/config/database.js
+ *
+ * Wählt außerdem den Persistenz-Adapter für src/repositories:
+ * - mongo: sobald MongoDB verbunden ist
+ * - file:  JSON-Dateien (DB_ADAPTER=file, kein MONGODB_URI oder Verbindung fehlgeschlagen)
  */
 
 const mongoose = require('mongoose');
+const mongoAdapter = require('../repositories/mongoAdapter');
+const fileAdapter = require('../repositories/fileAdapter');
 
 class DatabaseManager {
     constructor() {
@@ -13,11 +19,30 @@ class DatabaseManager {
         this.retryDelay = 5000;
     }
 
+    // Bevorzugter Adapter aus .env - 'file' erzwingt den Offline-Modus
+    getPreferredAdapter() {
+        return (process.env.DB_ADAPTER || 'mongo').toLowerCase();
+    }
+
+    getAdapter() {
+        if (this.isConnected && this.getPreferredAdapter() !== 'file') {
+            return mongoAdapter;
+        }
+        return fileAdapter;
+    }
+
     async connect() {
         const connectionString = process.env.MONGODB_URI;
         
+        if (this.getPreferredAdapter() === 'file') {
+            console.log(`📁 DB_ADAPTER=file - JSON-Speicher in ${fileAdapter.getDirectory()}`);
+            return false;
+        }
+
         if (!connectionString) {
-            throw new Error('MONGODB_URI nicht in .env definiert');
+            console.warn('⚠️ MONGODB_URI nicht in .env definiert');
+            console.log(`📁 JSON-Speicher aktiv: ${fileAdapter.getDirectory()}`);
+            return false;
         }
 
         console.log('🔌 Verbinde mit MongoDB...');
@@ -72,13 +97,15 @@ class DatabaseManager {
                 return this.connect();
             } else {
                 console.error('🚫 Maximale Anzahl von Verbindungsversuchen erreicht');
-                console.log('⚡ Fallback-Modus aktiv - System läuft ohne Datenbank');
+                console.log(`⚡ Fallback-Modus aktiv - JSON-Speicher in ${fileAdapter.getDirectory()}`);
                 return false;
             }
         }
     }
 
     async disconnect() {
+        await fileAdapter.flush();
+
         if (this.isConnected) {
             await mongoose.connection.close();
             console.log('📦 MongoDB disconnected');
@@ -89,6 +116,7 @@ class DatabaseManager {
     getStatus() {
         return {
             isConnected: this.isConnected,
+            adapter: this.getAdapter().name,
             readyState: mongoose.connection.readyState,
             host: mongoose.connection.host,
             port: mongoose.connection.port,
@@ -0,0 +1,109 @@
+/**
+ * 🛡️ PERMISSIONS
+ * Rollen, Berechtigungsmatrix und Feature-Flags
+ *
+ * - admin:    alles, inkl. Benutzerverwaltung unter /api/admin
+ * - user:     eigene Profile, Chats und Widgets lesen und bearbeiten
+ * - readonly: eigene Daten nur lesen (z.B. Gäste auf einer geteilten Instanz)
+ *
+ * Die Router werden in server.js mit authorize('<resource>') geschützt:
+ * GET/HEAD/OPTIONS brauchen '<resource>:read', alle anderen Methoden '<resource>:write'.
+ *
+ * Persönliche API Keys tragen zusätzlich Scopes ('chat:write', 'widgets:*', '*').
+ * Ein Request per API Key braucht beides: die Rolle des Besitzers und einen passenden Scope.
+ */
+
+const ROLES = ['admin', 'user', 'readonly'];
+const DEFAULT_ROLE = 'user';
+
+const PERMISSIONS = {
+    'chat:read': ['admin', 'user', 'readonly'],
+    'chat:write': ['admin', 'user'],
+    'profiles:read': ['admin', 'user', 'readonly'],
+    'profiles:write': ['admin', 'user'],
+    'widgets:read': ['admin', 'user', 'readonly'],
+    'widgets:write': ['admin', 'user'],
+    // Eigenes Konto (Einstellungen, Passwort, Export) darf jede Rolle verwalten
+    'account:read': ['admin', 'user', 'readonly'],
+    'account:write': ['admin', 'user', 'readonly'],
+    'admin:read': ['admin'],
+    'admin:write': ['admin']
+};
+
+// Feature-Flags mit Standardwert - pro User über featureFlags.enabled/disabled überschreibbar,
+// global abschaltbar über FEATURES_DISABLED=widgets,dataExport
+const FEATURES = {
+    chat: true,
+    profileInterview: true,
+    widgets: true,
+    dataExport: true,
+    memory: true,
+    tools: true
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Ressourcen, für die API Keys Scopes erhalten können - admin bewusst nicht
+const API_KEY_RESOURCES = ['chat', 'profiles', 'widgets', 'account'];
+
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+const hasPermission = (role, permission) => {
+    const roles = PERMISSIONS[permission];
+    return !!roles && roles.includes(role);
+};
+
+const getPermissionsForRole = (role) => Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+
+const getPermissionForMethod = (resource, method) => `${resource}:${READ_METHODS.includes(method) ? 'read' : 'write'}`;
+
+// ========================================
+// API KEY SCOPES
+// ========================================
+
+const isValidScope = (scope) => {
+    if (scope === '*') return true;
+    const [resource, action, ...rest] = String(scope).split(':');
+    return rest.length === 0 && API_KEY_RESOURCES.includes(resource) && ['read', 'write', '*'].includes(action);
+};
+
+// Einzelne Berechtigungen eines Scopes, z.B. 'widgets:*' -> ['widgets:read', 'widgets:write']
+const expandScope = (scope) => {
+    if (scope === '*') {
+        return API_KEY_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+    }
+    const [resource, action] = scope.split(':');
+    return action === '*' ? [`${resource}:read`, `${resource}:write`] : [scope];
+};
+
+const scopesAllow = (scopes, permission) => (scopes || [])
+    .filter(isValidScope)
+    .some(scope => expandScope(scope).includes(permission));
+
+const isFeatureEnabledGlobally = (feature) => FEATURES[feature] === true &&
+    !parseList(process.env.FEATURES_DISABLED).includes(feature.toLowerCase());
+
+// E-Mails aus ADMIN_EMAILS werden zu Admins, sobald die Adresse bestätigt ist (Start / verify-email)
+const getBootstrapAdminEmails = () => parseList(process.env.ADMIN_EMAILS);
+
+const isBootstrapAdmin = (email) => !!email && getBootstrapAdminEmails().includes(email.toLowerCase());
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    PERMISSIONS,
+    FEATURES,
+    API_KEY_RESOURCES,
+    hasPermission,
+    getPermissionsForRole,
+    getPermissionForMethod,
+    isValidScope,
+    expandScope,
+    scopesAllow,
+    isFeatureEnabledGlobally,
+    getBootstrapAdminEmails,
+    isBootstrapAdmin
+};
@@ -6,21 +6,65 @@
  */
 
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const repositories = require('../repositories');
+const authTokens = require('../services/authTokens');
+const apiKeys = require('../services/apiKeys');
+const permissions = require('../config/permissions');
+const i18n = require('../services/i18n');
 const { log } = require('./logger');
 
 // ========================================
 // JWT AUTHENTICATION MIDDLEWARE
 // ========================================
 
+// Persönlicher API Key aus X-API-Key oder "Authorization: Bearer aki_..." (nie aus der URL - landet sonst in Logs)
+const getApiKeyFromRequest = (req) => {
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        const token = authHeader.split(' ')[1];
+        if (apiKeys.isApiKey(token)) return token;
+    }
+    
+    return null;
+};
+
+// Gerätedaten für Sitzungen - hinter einem Reverse Proxy TRUST_PROXY setzen, sonst ist req.ip die Proxy-IP
+const getClientContext = (req) => ({
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip || null
+});
+
+// Gemeinsame Form von req.user für JWT und API Key
+const buildRequestUser = (user, extra = {}) => ({
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    fullName: user.fullName,
+    preferences: user.preferences,
+    role: user.role,
+    features: user.getFeatureFlags(),
+    ...extra
+});
+
 const requireAuth = async (req, res, next) => {
     try {
+        const apiKey = getApiKeyFromRequest(req);
+        if (apiKey) {
+            return authenticateApiKey(req, res, next, apiKey);
+        }
+        
         const authHeader = req.headers.authorization;
         
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
             return res.status(401).json({
                 success: false,
-                error: 'Authorization Token erforderlich',
+                error: req.t('auth.errors.noToken'),
                 code: 'NO_TOKEN'
             });
         }
@@ -30,7 +74,7 @@ const requireAuth = async (req, res, next) => {
         if (!token) {
             return res.status(401).json({
                 success: false,
-                error: 'Token ist leer',
+                error: req.t('auth.errors.emptyToken'),
                 code: 'EMPTY_TOKEN'
             });
         }
@@ -41,14 +85,14 @@ const requireAuth = async (req, res, next) => {
             decoded = jwt.verify(token, process.env.JWT_SECRET);
         } catch (jwtError) {
             let errorCode = 'INVALID_TOKEN';
-            let errorMessage = 'Ungültiger Token';
+            let errorMessage = req.t('auth.errors.invalidToken');
             
             if (jwtError.name === 'TokenExpiredError') {
                 errorCode = 'TOKEN_EXPIRED';
-                errorMessage = 'Token ist abgelaufen';
+                errorMessage = req.t('auth.errors.tokenExpired');
             } else if (jwtError.name === 'JsonWebTokenError') {
                 errorCode = 'MALFORMED_TOKEN';
-                errorMessage = 'Token ist fehlerhaft';
+                errorMessage = req.t('auth.errors.malformedToken');
             }
             
             return res.status(401).json({
@@ -62,18 +106,27 @@ const requireAuth = async (req, res, next) => {
         if (decoded.type !== 'access') {
             return res.status(401).json({
                 success: false,
-                error: 'Ungültiger Token-Typ',
+                error: req.t('auth.errors.invalidTokenType'),
                 code: 'INVALID_TOKEN_TYPE'
             });
         }
         
+        // Check server-side session revocation (logout, reuse detection)
+        if (decoded.sid && !(await authTokens.isSessionActive(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                error: req.t('errors.SESSION_REVOKED'),
+                code: 'SESSION_REVOKED'
+            });
+        }
+        
         // Find user
-        const user = await User.findById(decoded.userId);
+        const user = await repositories.users.findById(decoded.userId);
         
         if (!user) {
             return res.status(401).json({
                 success: false,
-                error: 'Benutzer nicht gefunden',
+                error: req.t('auth.errors.userNotFound'),
                 code: 'USER_NOT_FOUND'
             });
         }
@@ -82,7 +135,7 @@ const requireAuth = async (req, res, next) => {
         if (!user.isActive) {
             return res.status(401).json({
                 success: false,
-                error: 'Konto wurde deaktiviert',
+                error: req.t('auth.errors.accountDisabled'),
                 code: 'ACCOUNT_DISABLED'
             });
         }
@@ -91,25 +144,25 @@ const requireAuth = async (req, res, next) => {
         if (user.isAccountLocked) {
             return res.status(401).json({
                 success: false,
-                error: 'Konto ist gesperrt',
+                error: req.t('auth.errors.accountLocked'),
                 code: 'ACCOUNT_LOCKED',
                 lockedUntil: user.security.loginAttempts.lockedUntil
             });
         }
         
-        // Update last activity
-        user.updateLastActivity();
+        // Update last activity (fire and forget)
+        user.updateLastActivity().catch(error => {
+            log.warn('Last activity update failed', { userId: user._id, error: error.message });
+        });
+        
+        if (decoded.sid) {
+            authTokens.touchSession(decoded.sid, getClientContext(req)).catch(error => {
+                log.warn('Session activity update failed', { sessionId: decoded.sid, error: error.message });
+            });
+        }
         
         // Attach user to request
-        req.user = {
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            fullName: user.fullName,
-            preferences: user.preferences,
-            subscription: user.subscription
-        };
+        req.user = buildRequestUser(user, { sessionId: decoded.sid });
         
         next();
         
@@ -122,7 +175,7 @@ const requireAuth = async (req, res, next) => {
         
         res.status(500).json({
             success: false,
-            error: 'Authentifizierungsfehler',
+            error: req.t('auth.errors.server.authentication'),
             code: 'AUTH_ERROR'
         });
     }
@@ -148,18 +201,21 @@ const optionalAuth = async (req, res, next) => {
         
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId);
-            
+
+            // Gleiche Regeln wie requireAuth: Refresh- und Aktions-Tokens (z.B. 2FA-Teil-Token)
+            // sind mit demselben Secret signiert, gelten aber nicht als Anmeldung
+            if (decoded.type !== 'access') {
+                return next();
+            }
+
+            if (decoded.sid && !(await authTokens.isSessionActive(decoded.sid))) {
+                return next();
+            }
+
+            const user = await repositories.users.findById(decoded.userId);
+
             if (user && user.isActive && !user.isAccountLocked) {
-                req.user = {
-                    id: user._id,
-                    email: user.email,
-                    firstName: user.firstName,
-                    lastName: user.lastName,
-                    fullName: user.fullName,
-                    preferences: user.preferences,
-                    subscription: user.subscription
-                };
+                req.user = buildRequestUser(user, { sessionId: decoded.sid });
             }
         } catch (error) {
             // Ignore token errors for optional auth
@@ -179,30 +235,32 @@ const optionalAuth = async (req, res, next) => {
 // ========================================
 
 const requireRole = (roles) => {
+    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
-                error: 'Authentifizierung erforderlich',
+                error: req.t('auth.errors.authRequired'),
                 code: 'AUTH_REQUIRED'
             });
         }
         
-        const userRole = req.user.subscription.plan || 'free';
+        const userRole = req.user.role || permissions.DEFAULT_ROLE;
         
-        if (!roles.includes(userRole)) {
+        if (!allowedRoles.includes(userRole)) {
             log.warn('Insufficient permissions', {
                 userId: req.user.id,
                 userRole,
-                requiredRoles: roles,
+                requiredRoles: allowedRoles,
                 path: req.path
             });
             
             return res.status(403).json({
                 success: false,
-                error: 'Unzureichende Berechtigung',
+                error: req.t('auth.errors.insufficientPermissions'),
                 code: 'INSUFFICIENT_PERMISSIONS',
-                required: roles,
+                required: allowedRoles,
                 current: userRole
             });
         }
@@ -211,52 +269,91 @@ const requireRole = (roles) => {
     };
 };
 
+// Einzelne Berechtigung aus der Matrix in src/config/permissions.js, z.B. 'profiles:write'
+const requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: req.t('auth.errors.authRequired'),
+                code: 'AUTH_REQUIRED'
+            });
+        }
+        
+        const userRole = req.user.role || permissions.DEFAULT_ROLE;
+        
+        if (!permissions.hasPermission(userRole, permission)) {
+            log.warn('Permission denied', {
+                userId: req.user.id,
+                userRole,
+                permission,
+                method: req.method,
+                path: req.originalUrl
+            });
+            
+            return res.status(403).json({
+                success: false,
+                error: req.t('auth.errors.insufficientPermissions'),
+                code: 'INSUFFICIENT_PERMISSIONS',
+                required: permission,
+                current: userRole
+            });
+        }
+        
+        // API Keys zusätzlich auf ihre Scopes beschränken
+        if (req.user.isApiUser && !permissions.scopesAllow(req.user.scopes, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: req.t('auth.errors.insufficientScope'),
+                code: 'INSUFFICIENT_SCOPE',
+                required: permission,
+                scopes: req.user.scopes
+            });
+        }
+        
+        next();
+    };
+};
+
+// Router-weite Prüfung: lesende Methoden -> '<resource>:read', sonst '<resource>:write'
+const authorize = (resource) => {
+    return (req, res, next) => {
+        const permission = permissions.getPermissionForMethod(resource, req.method);
+        return requirePermission(permission)(req, res, next);
+    };
+};
+
 // ========================================
 // FEATURE ACCESS CONTROL
 // ========================================
 
+// req.user.features wird von requireAuth aus User.getFeatureFlags() gesetzt
 const requireFeature = (feature) => {
-    return async (req, res, next) => {
+    return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
-                error: 'Authentifizierung erforderlich',
+                error: req.t('auth.errors.authRequired'),
                 code: 'AUTH_REQUIRED'
             });
         }
         
-        try {
-            const user = await User.findById(req.user.id);
-            
-            if (!user.canUseFeature(feature)) {
-                const usage = user.subscription.usage;
-                const limits = user.subscription.limits;
-                
-                return res.status(403).json({
-                    success: false,
-                    error: `Feature-Limit erreicht: ${feature}`,
-                    code: 'FEATURE_LIMIT_EXCEEDED',
-                    feature,
-                    usage: usage[feature] || 0,
-                    limit: limits[feature] || 0,
-                    resetDate: usage.resetDate
-                });
-            }
-            
-            next();
-            
-        } catch (error) {
-            log.error('Feature access check error', error, {
+        if (!req.user.features || !req.user.features[feature]) {
+            log.info('Feature disabled for user', {
                 userId: req.user.id,
-                feature
+                feature,
+                path: req.originalUrl
             });
             
-            res.status(500).json({
+            return res.status(403).json({
                 success: false,
-                error: 'Fehler bei Berechtigungsprüfung',
-                code: 'PERMISSION_CHECK_ERROR'
+                error: req.t('auth.errors.featureDisabled', { feature }),
+                code: 'FEATURE_DISABLED',
+                feature
             });
         }
+        
+        next();
     };
 };
 
@@ -269,7 +366,7 @@ const requireOwnership = (model, paramName = 'id', userField = 'userId') => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
-                error: 'Authentifizierung erforderlich',
+                error: req.t('auth.errors.authRequired'),
                 code: 'AUTH_REQUIRED'
             });
         }
@@ -280,18 +377,25 @@ const requireOwnership = (model, paramName = 'id', userField = 'userId') => {
             if (!resourceId) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Ressourcen-ID erforderlich',
+                    error: req.t('common.missingResourceId'),
                     code: 'MISSING_RESOURCE_ID'
                 });
             }
             
-            const Model = require(`../models/${model}`);
-            const resource = await Model.findById(resourceId);
+            if (!mongoose.isValidObjectId(resourceId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: req.t('common.invalidResourceId'),
+                    code: 'INVALID_RESOURCE_ID'
+                });
+            }
+            
+            const resource = await repositories.forModel(model).findById(resourceId);
             
             if (!resource) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Ressource nicht gefunden',
+                    error: req.t('common.resourceNotFound'),
                     code: 'RESOURCE_NOT_FOUND'
                 });
             }
@@ -307,7 +411,7 @@ const requireOwnership = (model, paramName = 'id', userField = 'userId') => {
                 
                 return res.status(403).json({
                     success: false,
-                    error: 'Keine Berechtigung für diese Ressource',
+                    error: req.t('common.resourceAccessDenied'),
                     code: 'RESOURCE_ACCESS_DENIED'
                 });
             }
@@ -326,7 +430,7 @@ const requireOwnership = (model, paramName = 'id', userField = 'userId') => {
             
             res.status(500).json({
                 success: false,
-                error: 'Fehler bei Berechtigungsprüfung',
+                error: req.t('common.ownershipCheck'),
                 code: 'OWNERSHIP_CHECK_ERROR'
             });
         }
@@ -337,88 +441,135 @@ const requireOwnership = (model, paramName = 'id', userField = 'userId') => {
 // API KEY AUTHENTICATION
 // ========================================
 
-const requireApiKey = async (req, res, next) => {
+// Prüft einen persönlichen API Key und setzt req.user wie requireAuth
+const authenticateApiKey = async (req, res, next, rawKey) => {
     try {
-        const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-        
-        if (!apiKey) {
+        let result;
+        try {
+            result = await apiKeys.authenticate(rawKey, req.ip);
+        } catch (keyError) {
+            if (!keyError.code) throw keyError;
+            
+            log.warn('API key rejected', {
+                prefix: String(rawKey).substring(0, 12) + '...',
+                code: keyError.code,
+                ip: req.ip,
+                userAgent: req.get('User-Agent')
+            });
+            
             return res.status(401).json({
                 success: false,
-                error: 'API Key erforderlich',
-                code: 'NO_API_KEY'
+                error: i18n.translateError(req.language, keyError),
+                code: keyError.code
             });
         }
         
-        // Simple API key validation (you might want to store these in database)
-        const validApiKeys = process.env.API_KEYS ? process.env.API_KEYS.split(',') : [];
+        const { apiKey, user } = result;
         
-        if (!validApiKeys.includes(apiKey)) {
-            log.warn('Invalid API key used', {
-                apiKey: apiKey.substring(0, 8) + '...',
-                ip: req.ip,
-                userAgent: req.get('User-Agent')
+        if (!user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: req.t('auth.errors.accountDisabled'),
+                code: 'ACCOUNT_DISABLED'
             });
-            
+        }
+        
+        if (user.isAccountLocked) {
             return res.status(401).json({
                 success: false,
-                error: 'Ungültiger API Key',
-                code: 'INVALID_API_KEY'
+                error: req.t('auth.errors.accountLocked'),
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.security.loginAttempts.lockedUntil
             });
         }
         
-        log.info('API key authentication successful', {
-            apiKey: apiKey.substring(0, 8) + '...',
-            path: req.path,
-            ip: req.ip
+        user.updateLastActivity().catch(error => {
+            log.warn('Last activity update failed', { userId: user._id, error: error.message });
         });
         
-        // Set API user context
-        req.user = {
-            id: 'api-user',
+        req.user = buildRequestUser(user, {
             isApiUser: true,
-            apiKey: apiKey.substring(0, 8) + '...'
-        };
+            apiKeyId: apiKey._id,
+            apiKeyPrefix: apiKey.prefix,
+            scopes: apiKey.scopes
+        });
         
         next();
         
     } catch (error) {
-        log.error('API key authentication error', error);
+        log.error('API key authentication error', error, {
+            path: req.path,
+            method: req.method,
+            ip: req.ip
+        });
         
         res.status(500).json({
             success: false,
-            error: 'API-Authentifizierungsfehler',
+            error: req.t('auth.errors.server.apiKeyAuthentication'),
             code: 'API_AUTH_ERROR'
         });
     }
 };
 
+// Nur API Keys (z.B. für reine Automations-Endpunkte)
+const requireApiKey = (req, res, next) => {
+    const apiKey = getApiKeyFromRequest(req);
+    
+    if (!apiKey) {
+        return res.status(401).json({
+            success: false,
+            error: req.t('auth.errors.apiKeyRequired'),
+            code: 'NO_API_KEY'
+        });
+    }
+    
+    return authenticateApiKey(req, res, next, apiKey);
+};
+
+// Für Konto-Sicherheit (2FA, API Keys verwalten, Logout): nur mit echter Anmeldung
+const rejectApiKey = (req, res, next) => {
+    if (req.user && req.user.isApiUser) {
+        return res.status(403).json({
+            success: false,
+            error: req.t('auth.errors.apiKeyNotAllowed'),
+            code: 'API_KEY_NOT_ALLOWED'
+        });
+    }
+    
+    next();
+};
+
 // ========================================
 // SESSION VALIDATION
 // ========================================
 
+// Strengere Prüfung für sensible Routen: Sitzungsdatensatz muss existieren und
+// nach der letzten Passwort-Änderung angelegt worden sein
 const validateSession = async (req, res, next) => {
     if (!req.user || req.user.isApiUser) {
         return next();
     }
     
     try {
-        const user = await User.findById(req.user.id);
+        const [user, session] = await Promise.all([
+            repositories.users.findById(req.user.id),
+            req.user.sessionId ? authTokens.getSession(req.user.sessionId) : null
+        ]);
         
-        if (!user) {
+        if (!user || !session || session.revokedAt || String(session.userId) !== String(user._id)) {
             return res.status(401).json({
                 success: false,
-                error: 'Sitzung ungültig',
+                error: req.t('auth.errors.invalidSession'),
                 code: 'INVALID_SESSION'
             });
         }
         
-        // Check if user has changed since token was issued
-        const tokenIssued = new Date(req.user.iat * 1000);
+        const lastPasswordChange = user.security.lastPasswordChange;
         
-        if (user.security.lastPasswordChange > tokenIssued) {
+        if (lastPasswordChange && lastPasswordChange > new Date(session.createdAt)) {
             return res.status(401).json({
                 success: false,
-                error: 'Sitzung nach Passwort-Änderung ungültig',
+                error: req.t('auth.errors.sessionInvalidated'),
                 code: 'SESSION_INVALIDATED'
             });
         }
@@ -432,7 +583,7 @@ const validateSession = async (req, res, next) => {
         
         res.status(500).json({
             success: false,
-            error: 'Sitzungsvalidierungsfehler',
+            error: req.t('auth.errors.server.sessionValidation'),
             code: 'SESSION_VALIDATION_ERROR'
         });
     }
@@ -446,15 +597,13 @@ const requireAdmin = (req, res, next) => {
     if (!req.user) {
         return res.status(401).json({
             success: false,
-            error: 'Authentifizierung erforderlich',
+            error: req.t('auth.errors.authRequired'),
             code: 'AUTH_REQUIRED'
         });
     }
     
-    // Check if user is admin (you might store this in user model)
-    const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',') : [];
-    
-    if (!adminEmails.includes(req.user.email)) {
+    // Rolle kommt aus dem User Model - ADMIN_EMAILS wird beim Start/bei der E-Mail-Bestätigung übernommen
+    if (req.user.role !== 'admin') {
         log.warn('Non-admin attempted admin access', {
             userId: req.user.id,
             email: req.user.email,
@@ -464,7 +613,7 @@ const requireAdmin = (req, res, next) => {
         
         return res.status(403).json({
             success: false,
-            error: 'Administrator-Berechtigung erforderlich',
+            error: req.t('auth.errors.adminRequired'),
             code: 'ADMIN_REQUIRED'
         });
     }
@@ -506,7 +655,7 @@ const createUserRateLimit = (windowMs, maxRequests) => {
             
             return res.status(429).json({
                 success: false,
-                error: 'Zu viele Anfragen',
+                error: req.t('auth.errors.tooManyRequests'),
                 code: 'USER_RATE_LIMIT_EXCEEDED',
                 retryAfter: Math.ceil((userHistory[0] + windowMs - now) / 1000)
             });
@@ -562,7 +711,7 @@ const devOnly = (req, res, next) => {
     if (process.env.NODE_ENV !== 'development') {
         return res.status(404).json({
             success: false,
-            error: 'Endpoint nicht verfügbar',
+            error: req.t('auth.errors.notAvailable'),
             code: 'NOT_AVAILABLE'
         });
     }
@@ -578,12 +727,16 @@ module.exports = {
     requireAuth,
     optionalAuth,
     requireRole,
+    requirePermission,
+    authorize,
     requireFeature,
     requireOwnership,
     requireApiKey,
+    rejectApiKey,
     validateSession,
     requireAdmin,
     createUserRateLimit,
     securityHeaders,
-    devOnly
+    devOnly,
+    getClientContext
 };
\ No newline at end of file
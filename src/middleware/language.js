@@ -0,0 +1,22 @@
+/**
+ * 🌐 LANGUAGE MIDDLEWARE
+ * req.language und req.t() für Antworten in der Sprache des Users (siehe services/i18n)
+ *
+ * req.language wird erst beim Zugriff bestimmt - req.user setzt requireAuth später in der Kette
+ */
+
+const i18n = require('../services/i18n');
+
+const attachLanguage = (req, res, next) => {
+    Object.defineProperty(req, 'language', {
+        configurable: true,
+        get: () => i18n.forRequest(req)
+    });
+
+    req.t = (key, variables) => i18n.t(req.language, key, variables);
+    next();
+};
+
+module.exports = {
+    attachLanguage
+};
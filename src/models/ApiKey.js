@@ -0,0 +1,107 @@
+/**
+ * 🔑 API KEY MODEL
+ * Persönliche API Keys für Skripte und Automationen
+ *
+ * Gespeichert wird nur der SHA-256-Hash des Keys. Das Präfix (z.B. "aki_3f9c2a1b")
+ * bleibt sichtbar, damit Benutzer ihre Keys in Listen wiedererkennen, und dient
+ * beim Prüfen als Lookup-Schlüssel.
+ */
+
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID ist erforderlich'],
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: [true, 'Name ist erforderlich'],
+        trim: true,
+        maxlength: [60, 'Name darf maximal 60 Zeichen haben']
+    },
+
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    keyHash: {
+        type: String,
+        required: true
+    },
+
+    // z.B. ['chat:write', 'profiles:read', 'widgets:*']
+    scopes: [{
+        type: String,
+        required: true
+    }],
+
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+
+}, {
+    timestamps: true,
+    collection: 'api_keys'
+});
+
+// ========================================
+// INDEXES
+// ========================================
+
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+// ========================================
+// VIRTUALS
+// ========================================
+
+apiKeySchema.virtual('isExpired').get(function() {
+    return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+apiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && !this.isExpired;
+});
+
+// ========================================
+// INSTANCE METHODS
+// ========================================
+
+// Ohne keyHash - für API-Antworten
+apiKeySchema.methods.toSafeObject = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        expiresAt: this.expiresAt,
+        revokedAt: this.revokedAt,
+        createdAt: this.createdAt,
+        isActive: this.isActive
+    };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
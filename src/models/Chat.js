@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const tokenCounter = require('../services/tokenCounter');
+
+// Tool-Aufruf des Assistenten (siehe toolRegistry) - 'pending' wartet auf Bestätigung im Chat,
+// 'running' wird gerade ausgeführt
+const toolCallSchema = new mongoose.Schema({
+    callId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    arguments: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    summary: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'executed', 'rejected', 'failed'],
+        default: 'pending'
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    executedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
 
 // Individual message schema
 const messageSchema = new mongoose.Schema({
@@ -16,11 +56,20 @@ const messageSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // Vorgänger im Gesprächsbaum - null bei der ersten Nachricht eines Zweigs
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     metadata: {
         tokenCount: {
             type: Number,
             default: 0
         },
+        provider: {
+            type: String,
+            default: null
+        },
         model: {
             type: String,
             default: 'gpt-3.5-turbo'
@@ -33,6 +82,11 @@ const messageSchema = new mongoose.Schema({
             type: Number, // in milliseconds
             default: 0
         },
+        // Prompt-Template der Antwort, z.B. 'contextualChat@1' (siehe promptRegistry)
+        promptVersion: {
+            type: String,
+            default: null
+        },
         sentiment: {
             type: String,
             enum: ['positive', 'neutral', 'negative', 'unknown'],
@@ -65,6 +119,10 @@ const messageSchema = new mongoose.Schema({
             maxlength: [500, 'Feedback comment darf maximal 500 Zeichen lang sein'],
             default: ''
         }
+    },
+    toolCalls: {
+        type: [toolCallSchema],
+        default: undefined
     }
 }, {
     _id: true,
@@ -80,10 +138,11 @@ const chatSchema = new mongoose.Schema({
         required: [true, 'User ID ist erforderlich'],
         index: true
     },
+    // null = allgemeiner Chat ohne Profil (Chat-Seite ohne ?profile=)
     profileId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Profile',
-        required: [true, 'Profile ID ist erforderlich'],
+        default: null,
         index: true
     },
 
@@ -106,8 +165,13 @@ const chatSchema = new mongoose.Schema({
         lowercase: true
     }],
 
-    // Messages in chronological order
+    // Messages in chronological order - all branches, linked via parentId
     messages: [messageSchema],
+    // Letzte Nachricht des angezeigten Zweigs (null = Chat ohne Verzweigungen aus der Zeit vor dem Baum)
+    activeLeafId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
 
     // Chat statistics and metrics
     stats: {
@@ -226,6 +290,41 @@ const chatSchema = new mongoose.Schema({
             timezone: String,
             country: String,
             language: String
+        },
+        // Rollierende Zusammenfassung der Nachrichten, die nicht mehr ins Prompt-Fenster passen
+        summary: {
+            text: {
+                type: String,
+                maxlength: [5000, 'Zusammenfassung darf maximal 5000 Zeichen lang sein'],
+                default: ''
+            },
+            coveredMessageCount: {
+                type: Number, // user/assistant-Nachrichten, die in der Zusammenfassung stecken
+                default: 0
+            },
+            coveredUntilId: {
+                type: mongoose.Schema.Types.ObjectId, // letzte zusammengefasste Nachricht - gehört sie nicht
+                default: null                           // zum angezeigten Zweig, gilt die Zusammenfassung nicht
+            },
+            tokenCount: {
+                type: Number,
+                default: 0
+            },
+            updatedAt: {
+                type: Date,
+                default: null
+            }
+        },
+        // Stand der Fakten-Extraktion fürs Profil-Gedächtnis (siehe memoryStore)
+        memory: {
+            extractedMessageCount: {
+                type: Number, // user/assistant-Nachrichten, die schon ausgewertet wurden
+                default: 0
+            },
+            extractedAt: {
+                type: Date,
+                default: null
+            }
         }
     },
 
@@ -285,6 +384,11 @@ chatSchema.index({ profileId: 1, updatedAt: -1 });
 chatSchema.index({ status: 1 });
 chatSchema.index({ 'stats.lastActivity': -1 });
 chatSchema.index({ tags: 1 });
+// Volltextsuche (/api/search) - language_override, damit ein Feld "language" nicht als Sprache gilt
+chatSchema.index(
+    { title: 'text', tags: 'text', 'messages.content': 'text' },
+    { name: 'chat_text', weights: { title: 5, tags: 3, 'messages.content': 1 }, default_language: 'german', language_override: 'textLanguage' }
+);
 
 // Virtual for calculating session duration
 chatSchema.virtual('sessionDurationMinutes').get(function() {
@@ -321,6 +425,9 @@ chatSchema.pre('save', function(next) {
     this.stats.userMessageCount = this.messages.filter(m => m.role === 'user').length;
     this.stats.assistantMessageCount = this.messages.filter(m => m.role === 'assistant').length;
     
+    // Update token total
+    this.stats.totalTokens = this.messages.reduce((sum, m) => sum + (m.metadata?.tokenCount || 0), 0);
+    
     // Update session duration
     this.stats.sessionDuration = this.sessionDurationMinutes;
     
@@ -349,18 +456,81 @@ chatSchema.pre('save', function(next) {
 });
 
 // Instance methods
-chatSchema.methods.addMessage = function(role, content, metadata = {}) {
+
+// Ältere Chats sind eine flache Liste - beim ersten neuen Zweig wird sie zur Kette verknüpft
+chatSchema.methods.ensureTree = function() {
+    if (this.activeLeafId || this.messages.length === 0) return;
+    
+    this.messages.forEach((message, index) => {
+        message.parentId = index > 0 ? this.messages[index - 1]._id : null;
+    });
+    this.activeLeafId = this.messages[this.messages.length - 1]._id;
+};
+
+// Nachrichten des angezeigten Zweigs von der Wurzel bis leafId
+chatSchema.methods.getActivePath = function(leafId = this.activeLeafId) {
+    if (!leafId) return this.messages.slice();
+    
+    const byId = new Map(this.messages.map(message => [String(message._id), message]));
+    const path = [];
+    let message = byId.get(String(leafId));
+    
+    while (message) {
+        path.unshift(message);
+        message = message.parentId ? byId.get(String(message.parentId)) : null;
+    }
+    
+    return path;
+};
+
+// Alternativen zu einer Nachricht (gleicher Vorgänger), chronologisch - inklusive der Nachricht selbst
+chatSchema.methods.getSiblings = function(message) {
+    if (!this.activeLeafId) return [message];
+    
+    const parentId = message.parentId ? String(message.parentId) : null;
+    return this.messages.filter(entry => (entry.parentId ? String(entry.parentId) : null) === parentId);
+};
+
+// options.parentId: Vorgänger der neuen Nachricht (Standard: Ende des angezeigten Zweigs)
+// options.toolCalls: Tool-Aufrufe der Antwort (siehe toolCallSchema)
+chatSchema.methods.addMessage = function(role, content, metadata = {}, options = {}) {
+    this.ensureTree();
+    
     const message = {
         role,
         content,
         timestamp: new Date(),
+        parentId: options.parentId !== undefined ? options.parentId : this.activeLeafId,
         metadata: {
             ...metadata,
-            tokenCount: metadata.tokenCount || Math.ceil(content.length / 4) // Rough estimate
-        }
+            tokenCount: metadata.tokenCount || tokenCounter.countText(content)
+        },
+        ...(options.toolCalls?.length > 0 && { toolCalls: options.toolCalls })
     };
     
     this.messages.push(message);
+    this.activeLeafId = this.messages[this.messages.length - 1]._id;
+    return this.save();
+};
+
+// Zeigt den Zweig, der messageId enthält - darunter jeweils die neueste Fortsetzung
+chatSchema.methods.selectBranch = function(messageId) {
+    const message = this.messages.id(messageId);
+    if (!message) {
+        return Promise.reject(new Error('Message not found'));
+    }
+    
+    this.ensureTree();
+    
+    let leaf = message;
+    let children = this.messages.filter(entry => entry.parentId && entry.parentId.equals(leaf._id));
+    while (children.length > 0) {
+        leaf = children[children.length - 1];
+        const parentId = leaf._id;
+        children = this.messages.filter(entry => entry.parentId && entry.parentId.equals(parentId));
+    }
+    
+    this.activeLeafId = leaf._id;
     return this.save();
 };
 
@@ -388,6 +558,13 @@ chatSchema.methods.archive = function() {
     return this.save();
 };
 
+chatSchema.methods.restore = function() {
+    this.status = 'active';
+    this.archival.isArchived = false;
+    this.archival.archivedAt = null;
+    return this.save();
+};
+
 chatSchema.methods.calculateQuality = function() {
     let qualityScore = 0.5; // Base score
     const factors = [];
@@ -422,8 +599,23 @@ chatSchema.methods.calculateQuality = function() {
         factors.push('Positive user feedback');
     }
     
+    // Factor 5: Negative feedback weighs heavier than positive
+    const negativeMessages = this.messages.filter(m => m.feedback && m.feedback.helpful === false);
+    if (negativeMessages.length > positiveMessages.length) {
+        qualityScore -= 0.3;
+        factors.push('Negative user feedback');
+    }
+    
+    // Factor 6: Star ratings - 3 is neutral, each star above/below moves the score by 0.1
+    const ratings = this.messages.map(m => m.feedback && m.feedback.rating).filter(Boolean);
+    if (ratings.length > 0) {
+        const avgRating = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+        qualityScore += (avgRating - 3) * 0.1;
+        factors.push(`Average rating ${avgRating.toFixed(1)}`);
+    }
+    
     this.analysis.quality = {
-        score: Math.min(1, qualityScore),
+        score: Math.round(Math.min(1, Math.max(0, qualityScore)) * 100) / 100,
         factors
     };
     
@@ -0,0 +1,94 @@
+/**
+ * 🧠 MEMORY MODEL
+ * Langzeit-Gedächtnis pro Profil: einzelne Fakten über den Benutzer
+ *
+ * Fakten entstehen automatisch aus Chats (source: 'chat') oder werden vom
+ * Benutzer selbst angelegt (source: 'user'). Die relevantesten gehen bei
+ * jeder Antwort ins System-Prompt (siehe src/services/memoryStore.js).
+ */
+
+const mongoose = require('mongoose');
+
+const memorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID ist erforderlich'],
+        index: true
+    },
+
+    profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        required: [true, 'Profil ID ist erforderlich'],
+        index: true
+    },
+
+    content: {
+        type: String,
+        required: [true, 'Inhalt ist erforderlich'],
+        trim: true,
+        maxlength: [300, 'Eine Erinnerung darf maximal 300 Zeichen haben']
+    },
+
+    source: {
+        type: String,
+        enum: ['chat', 'user'],
+        default: 'chat'
+    },
+
+    // Chat, aus dem der Fakt stammt
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        default: null
+    },
+
+    // Angeheftete Erinnerungen gehen immer ins Prompt
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+
+    useCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+
+}, {
+    timestamps: true,
+    collection: 'profile_memories'
+});
+
+// ========================================
+// INDEXES
+// ========================================
+
+memorySchema.index({ profileId: 1, createdAt: -1 });
+
+// ========================================
+// INSTANCE METHODS
+// ========================================
+
+memorySchema.methods.toSafeObject = function() {
+    return {
+        id: this._id,
+        profileId: this.profileId,
+        content: this.content,
+        source: this.source,
+        chatId: this.chatId,
+        pinned: this.pinned,
+        lastUsedAt: this.lastUsedAt,
+        useCount: this.useCount,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('Memory', memorySchema);
@@ -5,6 +5,36 @@
 
 const mongoose = require('mongoose');
 
+const CATEGORIES = [
+    'general', 'fitness', 'cooking', 'work', 'study', 'health',
+    'travel', 'finance', 'tech', 'creative', 'support', 'entertainment'
+];
+
+// Deutsche und ältere Bezeichnungen (Interview-Prompt, alte Clients) -> Kategorie im Schema
+const CATEGORY_ALIASES = {
+    allgemein: 'general',
+    sport: 'fitness',
+    kochen: 'cooking',
+    essen: 'cooking',
+    ernaehrung: 'cooking',
+    arbeit: 'work',
+    beruf: 'work',
+    lernen: 'study',
+    bildung: 'study',
+    gesundheit: 'health',
+    reisen: 'travel',
+    finanzen: 'finance',
+    technologie: 'tech',
+    technik: 'tech',
+    kreativ: 'creative',
+    familie: 'support',
+    freunde: 'support',
+    persoenlichkeit: 'support',
+    lifestyle: 'general',
+    hobby: 'entertainment',
+    unterhaltung: 'entertainment'
+};
+
 const profileSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -21,10 +51,7 @@ const profileSchema = new mongoose.Schema({
     category: {
         type: String,
         required: true,
-        enum: [
-            'general', 'fitness', 'cooking', 'work', 'study', 'health',
-            'travel', 'finance', 'tech', 'creative', 'support', 'entertainment'
-        ],
+        enum: CATEGORIES,
         default: 'general'
     },
     description: {
@@ -118,7 +145,21 @@ const profileSchema = new mongoose.Schema({
             default: 'medium'
         }
     },
-    // Chat-Verlauf Referenzen
+    // Sprachmodell für dieses Profil (null = Vorgabe aus LLM_PROVIDER / LLM_MODEL)
+    llm: {
+        provider: {
+            type: String,
+            default: null,
+            trim: true
+        },
+        model: {
+            type: String,
+            default: null,
+            maxlength: 100,
+            trim: true
+        }
+    },
+        // Chat-Verlauf Referenzen
     chatHistory: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Chat'
@@ -152,6 +193,11 @@ profileSchema.index({ userId: 1, isActive: 1 });
 profileSchema.index({ category: 1 });
 profileSchema.index({ lastUsed: -1 });
 profileSchema.index({ usageCount: -1 });
+// Volltextsuche (/api/search)
+profileSchema.index(
+    { name: 'text', description: 'text', goals: 'text', preferences: 'text' },
+    { name: 'profile_text', weights: { name: 5, description: 2 }, default_language: 'german', language_override: 'textLanguage' }
+);
 
 // Virtuals
 profileSchema.virtual('isCompleted').get(function() {
@@ -235,4 +281,15 @@ profileSchema.statics.getMostUsed = function(userId, limit = 5) {
     .limit(limit);
 };
 
+// 'Sport', 'kochen', 'fitness' -> Kategorie im Schema, null wenn unbekannt
+profileSchema.statics.normalizeCategory = function(value) {
+    if (typeof value !== 'string') return null;
+
+    const key = value.trim().toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss');
+
+    if (CATEGORIES.includes(key)) return key;
+    return CATEGORY_ALIASES[key] || null;
+};
+
 module.exports = mongoose.model('Profile', profileSchema);
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * 🔁 REFRESH TOKEN FAMILY MODEL
+ * MongoDB Schema für Refresh-Token-Familien (eine Familie pro Login)
+ *
+ * Jede Rotation ersetzt currentJti. Wird ein älteres Token der Familie
+ * erneut vorgelegt, gilt die Familie als kompromittiert und wird widerrufen.
+ *
+ * Eine Familie ist zugleich die Sitzung eines Geräts (/api/users/sessions):
+ * familyId = sid im Access Token.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenFamilySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID ist erforderlich'],
+        index: true
+    },
+
+    familyId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // jti des einzigen aktuell gültigen Refresh Tokens
+    currentJti: {
+        type: String,
+        required: true
+    },
+
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Geräteinformationen für die Sitzungsübersicht
+    userAgent: {
+        type: String,
+        default: null,
+        maxlength: 512
+    },
+
+    ip: {
+        type: String,
+        default: null
+    },
+
+    // Letzter Refresh
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Letzter API-Request mit einem Access Token dieser Sitzung (gedrosselt)
+    lastActivityAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'reuse_detected', 'password_change', 'admin', 'user_revoked', null],
+        default: null
+    },
+
+    // Ablauf des aktuellen Refresh Tokens - danach räumt der TTL-Index auf
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+
+}, {
+    timestamps: true,
+    collection: 'refresh_token_families'
+});
+
+// ========================================
+// INDEXES
+// ========================================
+
+refreshTokenFamilySchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenFamilySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ========================================
+// VIRTUALS
+// ========================================
+
+refreshTokenFamilySchema.virtual('isRevoked').get(function() {
+    return !!this.revokedAt;
+});
+
+module.exports = mongoose.model('RefreshTokenFamily', refreshTokenFamilySchema);
@@ -0,0 +1,84 @@
+/**
+ * 📈 USAGE RECORD MODEL
+ * Ein Eintrag pro KI-Aufruf: Tokens, Modell und geschätzte Kosten
+ *
+ * Grundlage für Quotas und die Auswertung unter /api/users/usage
+ * (siehe src/services/usageMeter.js). Einträge werden nie geändert.
+ */
+
+const mongoose = require('mongoose');
+
+const usageRecordSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID ist erforderlich'],
+        index: true
+    },
+
+    profileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+        default: null
+    },
+
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        default: null
+    },
+
+    // z.B. chat, summary, interview, extraction, suggestions, test
+    operation: {
+        type: String,
+        default: 'chat'
+    },
+
+    provider: {
+        type: String,
+        required: true
+    },
+
+    model: {
+        type: String,
+        required: true
+    },
+
+    promptTokens: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    completionTokens: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    totalTokens: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // USD, geschätzt aus LLM_PRICING - 0 für lokale und unbekannte Modelle
+    cost: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    collection: 'usage_records'
+});
+
+// ========================================
+// INDEXES
+// ========================================
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ profileId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
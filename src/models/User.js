@@ -11,6 +11,15 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const totp = require('../services/totp');
+const { ROLES, DEFAULT_ROLE, FEATURES, isFeatureEnabledGlobally } = require('../config/permissions');
+const i18n = require('../services/i18n');
+
+// Lockout-Konfiguration: nach MAX_LOGIN_ATTEMPTS Fehlversuchen wird gesperrt,
+// jede weitere Sperre verdoppelt die Dauer (bis LOCK_MAX_MINUTES)
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCK_BASE_MINUTES = parseInt(process.env.LOGIN_LOCK_BASE_MINUTES, 10) || 15;
+const LOCK_MAX_MINUTES = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES, 10) || 24 * 60;
 
 // User Schema Definition
 const userSchema = new mongoose.Schema({
@@ -47,6 +56,24 @@ const userSchema = new mongoose.Schema({
         minlength: [6, 'Passwort muss mindestens 6 Zeichen haben']
     },
     
+    // Rolle & Feature-Flags (siehe src/config/permissions.js)
+    role: {
+        type: String,
+        enum: ROLES,
+        default: DEFAULT_ROLE
+    },
+    
+    featureFlags: {
+        enabled: [{ type: String, enum: Object.keys(FEATURES) }],
+        disabled: [{ type: String, enum: Object.keys(FEATURES) }]
+    },
+
+    // Token-Quotas - null = Standard aus USAGE_DAILY_TOKENS / USAGE_MONTHLY_TOKENS, 0 = unbegrenzt
+    usageLimits: {
+        dailyTokens: { type: Number, default: null, min: 0 },
+        monthlyTokens: { type: Number, default: null, min: 0 }
+    },
+    
     // User Preferences
     preferences: {
         theme: {
@@ -54,10 +81,12 @@ const userSchema = new mongoose.Schema({
             enum: ['light', 'dark'],
             default: 'dark'
         },
+        // Alle Sprachen mit Datei in src/locales (siehe services/i18n) -
+        // ohne Einstellung gilt Accept-Language, sonst die Standardsprache
         language: {
             type: String,
-            enum: ['de', 'en'],
-            default: 'de'
+            enum: i18n.languages,
+            default: null
         },
         notifications: {
             email: { type: Boolean, default: true },
@@ -92,6 +121,44 @@ const userSchema = new mongoose.Schema({
         default: null
     },
     
+    lastActivity: {
+        type: Date,
+        default: null
+    },
+    
+    // Security & Login Tracking
+    security: {
+        loginAttempts: {
+            count: { type: Number, default: 0 },
+            lastAttempt: { type: Date, default: null },
+            lockedUntil: { type: Date, default: null },
+            lockCount: { type: Number, default: 0 }
+        },
+        lastPasswordChange: {
+            type: Date,
+            default: null
+        },
+        // jti des zuletzt ausgestellten Einmal-Tokens (null = kein offener Link)
+        pendingTokens: {
+            emailVerification: { type: String, default: null },
+            passwordReset: { type: String, default: null },
+            twoFactorLogin: { type: String, default: null }
+        },
+        // TOTP (RFC 6238) - secret erst nach Bestätigung mit einem Code aktiv
+        twoFactor: {
+            enabled: { type: Boolean, default: false },
+            secret: { type: String, default: null },
+            pendingSecret: { type: String, default: null },
+            enabledAt: { type: Date, default: null },
+            lastUsedStep: { type: Number, default: null },
+            recoveryCodes: [{
+                _id: false,
+                hash: { type: String, required: true },
+                usedAt: { type: Date, default: null }
+            }]
+        }
+    },
+    
     // AI Profile References
     profiles: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -124,6 +191,12 @@ userSchema.virtual('profileCount').get(function() {
     return this.profiles ? this.profiles.length : 0;
 });
 
+// Account lock virtual
+userSchema.virtual('isAccountLocked').get(function() {
+    const lockedUntil = this.security?.loginAttempts?.lockedUntil;
+    return !!lockedUntil && lockedUntil > new Date();
+});
+
 // ========================================
 // MIDDLEWARE (Pre/Post Hooks)
 // ========================================
@@ -168,6 +241,11 @@ userSchema.methods.toSafeObject = function() {
     const userObject = this.toObject();
     delete userObject.password;
     delete userObject.__v;
+    if (userObject.security) {
+        delete userObject.security.pendingTokens;
+        userObject.security.twoFactor = this.getTwoFactorStatus();
+    }
+    userObject.features = this.getFeatureFlags();
     return userObject;
 };
 
@@ -177,6 +255,153 @@ userSchema.methods.updateLastLogin = function() {
     return this.save();
 };
 
+// Update last activity (höchstens einmal pro Minute schreiben)
+userSchema.methods.updateLastActivity = function() {
+    const now = new Date();
+    
+    if (this.lastActivity && now - this.lastActivity < 60 * 1000) {
+        return Promise.resolve(this);
+    }
+    
+    // save() schreibt nur geänderte Felder - funktioniert mit jedem Repository-Adapter
+    this.lastActivity = now;
+    return this.save({ validateModifiedOnly: true });
+};
+
+// Register failed login - locks the account with exponential backoff
+userSchema.methods.registerFailedLogin = function() {
+    const attempts = this.security.loginAttempts;
+    
+    attempts.count += 1;
+    attempts.lastAttempt = new Date();
+    
+    if (attempts.count >= MAX_LOGIN_ATTEMPTS) {
+        const lockMinutes = Math.min(LOCK_BASE_MINUTES * Math.pow(2, attempts.lockCount), LOCK_MAX_MINUTES);
+        attempts.lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+        attempts.lockCount += 1;
+        attempts.count = 0;
+    }
+    
+    return this.save();
+};
+
+// Reset login attempts after successful login or admin unlock
+userSchema.methods.resetLoginAttempts = function() {
+    this.security.loginAttempts = {
+        count: 0,
+        lastAttempt: this.security.loginAttempts.lastAttempt,
+        lockedUntil: null,
+        lockCount: 0
+    };
+    return this.save();
+};
+
+// Remaining attempts before the next lock
+userSchema.methods.getRemainingLoginAttempts = function() {
+    return Math.max(0, MAX_LOGIN_ATTEMPTS - this.security.loginAttempts.count);
+};
+
+// Lock status for API responses
+userSchema.methods.getLockStatus = function() {
+    const lockedUntil = this.isAccountLocked ? this.security.loginAttempts.lockedUntil : null;
+    
+    return {
+        locked: this.isAccountLocked,
+        lockedUntil,
+        retryAfterSeconds: lockedUntil ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0,
+        failedAttempts: this.security.loginAttempts.count,
+        lockCount: this.security.loginAttempts.lockCount
+    };
+};
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION
+// ========================================
+
+userSchema.methods.getTwoFactorStatus = function() {
+    const twoFactor = this.security.twoFactor;
+    
+    return {
+        enabled: twoFactor.enabled,
+        enabledAt: twoFactor.enabledAt,
+        recoveryCodesRemaining: twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+    };
+};
+
+// Neue Recovery Codes setzen - Klartext wird nur einmal zurückgegeben
+userSchema.methods.regenerateRecoveryCodes = function() {
+    const codes = totp.generateRecoveryCodes();
+    this.security.twoFactor.recoveryCodes = codes.map(code => ({ hash: totp.hashRecoveryCode(code) }));
+    return codes;
+};
+
+// Prüft TOTP-Code oder Recovery Code; liefert 'totp' | 'recovery' | null (speichert nicht)
+userSchema.methods.verifyTwoFactorCode = function(code, secret = this.security.twoFactor.secret) {
+    const twoFactor = this.security.twoFactor;
+    if (!secret || !code) return null;
+    
+    const step = totp.verify(secret, code, twoFactor.lastUsedStep);
+    if (step !== null) {
+        twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+    
+    const hash = totp.hashRecoveryCode(code);
+    const recoveryCode = twoFactor.recoveryCodes.find(entry => entry.hash === hash && !entry.usedAt);
+    if (recoveryCode && secret === twoFactor.secret) {
+        recoveryCode.usedAt = new Date();
+        return 'recovery';
+    }
+    
+    return null;
+};
+
+userSchema.methods.disableTwoFactor = function() {
+    this.security.twoFactor = {
+        enabled: false,
+        secret: null,
+        pendingSecret: null,
+        enabledAt: null,
+        lastUsedStep: null,
+        recoveryCodes: []
+    };
+};
+
+// ========================================
+// FEATURE FLAGS
+// ========================================
+
+// Global abgeschaltet > pro User deaktiviert > pro User aktiviert > Standardwert
+userSchema.methods.canUseFeature = function(feature) {
+    if (!(feature in FEATURES) || !isFeatureEnabledGlobally(feature)) return false;
+    
+    const flags = this.featureFlags || {};
+    if ((flags.disabled || []).includes(feature)) return false;
+    if ((flags.enabled || []).includes(feature)) return true;
+    
+    return FEATURES[feature];
+};
+
+// Effektive Flags für API-Antworten, z.B. { chat: true, widgets: false }
+userSchema.methods.getFeatureFlags = function() {
+    return Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, this.canUseFeature(feature)]));
+};
+
+// Overrides setzen: true/false erzwingt, null entfernt den Override (speichert nicht)
+userSchema.methods.setFeatureFlags = function(overrides) {
+    const enabled = new Set(this.featureFlags?.enabled || []);
+    const disabled = new Set(this.featureFlags?.disabled || []);
+    
+    Object.entries(overrides).forEach(([feature, value]) => {
+        enabled.delete(feature);
+        disabled.delete(feature);
+        if (value === true) enabled.add(feature);
+        if (value === false) disabled.add(feature);
+    });
+    
+    this.featureFlags = { enabled: [...enabled], disabled: [...disabled] };
+};
+
 // Add profile to user
 userSchema.methods.addProfile = function(profileId) {
     if (!this.profiles.includes(profileId)) {
@@ -227,6 +452,7 @@ userSchema.statics.searchUsers = function(searchTerm) {
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ firstName: 1, lastName: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1 });
 
 // ========================================
 // MODEL EXPORT
@@ -0,0 +1,69 @@
+/**
+ * 🧩 WIDGET MODEL - MongoDB Schema
+ * DATEI: src/models/Widget.js
+ */
+
+const mongoose = require('mongoose');
+
+const widgetSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'weather', 'news', 'calendar', 'tasks', 'todo', 'notes', 'pomodoro',
+            'quickchat', 'chat', 'profile', 'profiles', 'custom'
+        ]
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    },
+    question: {
+        type: String,
+        maxlength: 500
+    },
+    response: {
+        type: String,
+        maxlength: 2000
+    },
+    position: {
+        x: { type: Number, default: 0 },
+        y: { type: Number, default: 0 }
+    },
+    size: {
+        width: { type: Number, default: 4 },
+        height: { type: Number, default: 3 }
+    },
+    settings: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true }
+});
+
+// Frontend (widgets-manager.js) arbeitet mit "config"
+widgetSchema.virtual('config').get(function() {
+    return this.settings;
+});
+
+widgetSchema.index({ userId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Widget', widgetSchema);
@@ -0,0 +1,611 @@
+/**
+ * 📁 FILE ADAPTER
+ * JSON-Dateispeicher für Entwicklung, Tests und Offline-Betrieb
+ *
+ * - Eine Datei pro Collection in FILE_DB_DIR (Standard: ./data)
+ * - Liefert echte Mongoose-Dokumente (Model.hydrate): Virtuals, Methoden,
+ *   Validierung und pre/post-save Hooks (z.B. bcrypt) laufen wie mit MongoDB
+ * - Nur der eigentliche Schreibvorgang ($__handleSave) wird auf die Datei umgeleitet
+ * - Updates schreiben nur geänderte Top-Level-Felder (wie $set bei MongoDB)
+ * - Unterstützte Filter: Gleichheit, Punkt-Pfade, $eq $ne $in $nin $gt $gte $lt $lte
+ *   $exists $regex $elemMatch, $and $or $nor
+ * - updateOne() / updateMany(): $set und $inc, Pfade mit $[] und $[name] (arrayFilters) - prüfen und
+ *   schreiben ohne await dazwischen, also atomar innerhalb des Prozesses
+ * - textSearch() über einen In-Process-Invertierten-Index statt $text (siehe invertedIndex)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const InvertedIndex = require('./invertedIndex');
+
+// ========================================
+// VALUE HELPERS
+// ========================================
+
+// Gleiche Darstellung wie in der JSON-Datei (ObjectId -> hex, Date -> ISO)
+const normalize = (value) => {
+    if (value === undefined || value === null) return value;
+    if (value instanceof RegExp) return value;
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+    if (typeof value === 'object' && !isOperatorObject(value)) {
+        return JSON.parse(JSON.stringify(value));
+    }
+    if (typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, normalize(entry)]));
+    }
+    return value;
+};
+
+const isOperatorObject = (value) =>
+    value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Alle Werte unter einem Punkt-Pfad (Arrays werden wie bei MongoDB aufgefächert)
+const resolvePath = (value, parts) => {
+    if (parts.length === 0) return [value];
+    if (value === undefined || value === null) return [undefined];
+
+    const [head, ...rest] = parts;
+
+    if (Array.isArray(value) && !/^\d+$/.test(head)) {
+        return value.flatMap(entry => resolvePath(entry, parts));
+    }
+
+    return resolvePath(value[head], rest);
+};
+
+const getPath = (record, dottedPath) => {
+    const values = resolvePath(record, dottedPath.split('.'));
+    return values.length === 1 ? values[0] : values;
+};
+
+const setPath = (target, dottedPath, value) => {
+    const parts = dottedPath.split('.');
+    let current = target;
+
+    parts.slice(0, -1).forEach(part => {
+        if (current[part] === undefined || current[part] === null) {
+            current[part] = {};
+        }
+        current = current[part];
+    });
+
+    current[parts[parts.length - 1]] = value;
+};
+
+const isEqual = (actual, expected) => {
+    if (expected instanceof RegExp) {
+        return typeof actual === 'string' && expected.test(actual);
+    }
+    if (expected === null) {
+        return actual === null || actual === undefined;
+    }
+    if (typeof expected === 'object') {
+        return JSON.stringify(actual) === JSON.stringify(expected);
+    }
+    return actual === expected;
+};
+
+// Array-Felder matchen, wenn ein Element passt (oder das ganze Array)
+const matchesValue = (actual, predicate) => {
+    if (Array.isArray(actual)) {
+        return predicate(actual) || actual.some(entry => predicate(entry));
+    }
+    return predicate(actual);
+};
+
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+};
+
+// ========================================
+// QUERY MATCHING
+// ========================================
+
+const OPERATORS = {
+    $eq: (actual, expected) => matchesValue(actual, value => isEqual(value, expected)),
+    $ne: (actual, expected) => !matchesValue(actual, value => isEqual(value, expected)),
+    $in: (actual, expected) => expected.some(candidate => matchesValue(actual, value => isEqual(value, candidate))),
+    $nin: (actual, expected) => !expected.some(candidate => matchesValue(actual, value => isEqual(value, candidate))),
+    $gt: (actual, expected) => matchesValue(actual, value => value !== undefined && value !== null && value > expected),
+    $gte: (actual, expected) => matchesValue(actual, value => value !== undefined && value !== null && value >= expected),
+    $lt: (actual, expected) => matchesValue(actual, value => value !== undefined && value !== null && value < expected),
+    $lte: (actual, expected) => matchesValue(actual, value => value !== undefined && value !== null && value <= expected),
+    $exists: (actual, expected) => (actual !== undefined) === !!expected,
+    $regex: (actual, expected, condition) => {
+        const regex = expected instanceof RegExp ? expected : new RegExp(expected, condition.$options || '');
+        return matchesValue(actual, value => typeof value === 'string' && regex.test(value));
+    },
+    $options: () => true,
+    // Ein Element des Arrays erfüllt alle Bedingungen (nicht verteilt auf mehrere Elemente)
+    $elemMatch: (actual, expected) => matchesValue(actual, value =>
+        Array.isArray(value) && value.some(entry =>
+            entry && typeof entry === 'object' && !Array.isArray(entry) && matches(entry, expected)))
+};
+
+const matchesCondition = (actual, condition) => {
+    if (!isOperatorObject(condition)) {
+        return matchesValue(actual, value => isEqual(value, condition));
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+        const handler = OPERATORS[operator];
+        if (!handler) {
+            throw new Error(`Filter-Operator ${operator} wird vom Datei-Speicher nicht unterstützt`);
+        }
+        return handler(actual, expected, condition);
+    });
+};
+
+const matches = (record, filter = {}) => {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(sub => matches(record, normalize(sub)));
+        if (key === '$or') return condition.some(sub => matches(record, normalize(sub)));
+        if (key === '$nor') return !condition.some(sub => matches(record, normalize(sub)));
+
+        return matchesCondition(getPath(record, key), normalize(condition));
+    });
+};
+
+const sortRecords = (records, sort) => {
+    const entries = Object.entries(typeof sort === 'string'
+        ? Object.fromEntries(sort.split(/\s+/).filter(Boolean).map(field =>
+            field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+        : sort);
+
+    return [...records].sort((a, b) => {
+        for (const [field, direction] of entries) {
+            const result = compare(getPath(a, field), getPath(b, field));
+            if (result !== 0) return direction === -1 || direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+};
+
+// 'name category -password' oder { name: 1 } -> Projektion
+const parseProjection = (select) => {
+    if (!select) return null;
+
+    const projection = typeof select === 'object'
+        ? { ...select }
+        : Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field =>
+            field.startsWith('-') ? [field.slice(1), 0] : [field, 1]));
+
+    // _id ist wie bei MongoDB immer dabei, solange es nicht explizit ausgeschlossen wird
+    if (Object.values(projection).some(Boolean) && projection._id === undefined) {
+        projection._id = 1;
+    }
+    return projection;
+};
+
+const applyProjection = (record, projection) => {
+    if (!projection) return record;
+
+    const fields = Object.entries(projection);
+    const inclusive = fields.some(([, value]) => value);
+
+    if (!inclusive) {
+        const result = JSON.parse(JSON.stringify(record));
+        fields.forEach(([field]) => {
+            const parts = field.split('.');
+            const parent = parts.length > 1 ? getPath(result, parts.slice(0, -1).join('.')) : result;
+            if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+        });
+        return result;
+    }
+
+    const result = { _id: record._id };
+    fields.filter(([, value]) => value).forEach(([field]) => {
+        const value = getPath(record, field);
+        if (value !== undefined) setPath(result, field, JSON.parse(JSON.stringify(value)));
+    });
+    return result;
+};
+
+// ========================================
+// UPDATES
+// ========================================
+
+const UPDATE_OPERATORS = {
+    $set: (current, value) => value,
+    $inc: (current, value) => (current || 0) + value
+};
+
+// [{ 'call.status': 'pending' }] -> { call: { status: 'pending' } } für $[call]
+const parseArrayFilters = (arrayFilters = []) => arrayFilters.reduce((byName, filter) => {
+    Object.entries(filter).forEach(([key, condition]) => {
+        const [name, ...rest] = key.split('.');
+        if (rest.length === 0) {
+            throw new Error(`arrayFilter ${key} wird vom Datei-Speicher nicht unterstützt`);
+        }
+        byName[name] = { ...byName[name], [rest.join('.')]: condition };
+    });
+    return byName;
+}, {});
+
+// Punkt-Pfad mit $[] (alle Elemente) und $[name] (Elemente passend zu arrayFilters)
+const updatePath = (target, parts, arrayFilters, apply) => {
+    if (!target || typeof target !== 'object') return;
+
+    const [head, ...rest] = parts;
+    const positional = head.match(/^\$\[(\w*)\]$/);
+    if (positional && positional[1] && !arrayFilters[positional[1]]) {
+        throw new Error(`arrayFilter für ${head} fehlt`);
+    }
+
+    const keys = !positional
+        ? [head]
+        : Array.isArray(target)
+            ? target.map((entry, index) => index)
+                .filter(index => !positional[1] || matches(target[index], arrayFilters[positional[1]]))
+            : [];
+
+    keys.forEach(key => {
+        if (rest.length === 0) {
+            target[key] = apply(target[key]);
+            return;
+        }
+        if (!positional && (target[key] === undefined || target[key] === null)) {
+            target[key] = {};
+        }
+        updatePath(target[key], rest, arrayFilters, apply);
+    });
+};
+
+const applyUpdate = (record, update, options = {}) => {
+    const arrayFilters = parseArrayFilters(options.arrayFilters);
+
+    Object.entries(update).forEach(([operator, fields]) => {
+        const handler = UPDATE_OPERATORS[operator];
+        if (!handler) {
+            throw new Error(`Update-Operator ${operator} wird vom Datei-Speicher nicht unterstützt`);
+        }
+        Object.entries(fields).forEach(([field, value]) => {
+            const stored = normalize(value);
+            updatePath(record, field.split('.'), arrayFilters, current => handler(current, stored));
+        });
+    });
+};
+
+// ========================================
+// COLLECTION (EINE JSON-DATEI)
+// ========================================
+
+class FileCollection {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = [];
+        this.loading = null;
+        this.writing = Promise.resolve();
+        this.version = 0; // zählt Änderungen - abgeleitete Indizes bauen sich danach neu auf
+    }
+
+    async load() {
+        if (!this.loading) {
+            this.loading = fs.readFile(this.filePath, 'utf8')
+                .then(content => {
+                    this.records = JSON.parse(content);
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') throw error;
+                    this.records = [];
+                });
+        }
+        return this.loading;
+    }
+
+    // Schreibvorgänge nacheinander; tmp + rename, damit die Datei nie halb geschrieben ist.
+    // Ein Fehler (z.B. ENOSPC) trifft nur den eigenen Aufrufer - die Warteschlange läuft weiter
+    persist() {
+        const snapshot = JSON.stringify(this.records, null, 2);
+        this.version++;
+
+        const write = this.writing.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, this.filePath);
+        });
+
+        this.writing = write.catch(() => {});
+        return write;
+    }
+}
+
+// ========================================
+// REPOSITORY
+// ========================================
+
+class FileRepository {
+    constructor(Model, collection) {
+        this.Model = Model;
+        this.collection = collection;
+        this.uniquePaths = [];
+        this.textIndex = InvertedIndex.fromSchema(Model.schema);
+        this.textIndexVersion = -1;
+
+        Model.schema.eachPath((pathName, schemaType) => {
+            if (schemaType.options && schemaType.options.unique) {
+                this.uniquePaths.push(pathName);
+            }
+        });
+    }
+
+    // Mongoose-Dokument mit Datei-Persistenz
+    hydrate(record, projection = null) {
+        const doc = this.Model.hydrate(JSON.parse(JSON.stringify(record)), projection);
+        return this.attach(doc);
+    }
+
+    attach(doc) {
+        const repository = this;
+
+        // Ersetzt nur den DB-Schreibvorgang - Validierung, Hooks und Timestamps laufen vorher in save()
+        doc.$__handleSave = function(options, callback) {
+            const isNew = this.isNew;
+            const changedKeys = [...new Set(this.modifiedPaths().map(modified => modified.split('.')[0]))];
+            const record = JSON.parse(JSON.stringify(this.toObject({
+                depopulate: true,
+                virtuals: false,
+                getters: false,
+                transform: false,
+                versionKey: false
+            })));
+
+            repository.write(record, isNew ? null : changedKeys)
+                .then(matchedCount => {
+                    this.$__reset();
+                    this.$isNew = false;
+                    this.$__.inserting = isNew;
+                    callback(null, { matchedCount });
+                })
+                .catch(error => callback(error));
+        };
+
+        return doc;
+    }
+
+    assertUnique(record) {
+        this.uniquePaths.forEach(uniquePath => {
+            const value = getPath(record, uniquePath);
+            if (value === undefined || value === null) return;
+
+            const duplicate = this.collection.records.find(existing =>
+                existing._id !== record._id && getPath(existing, uniquePath) === value);
+
+            if (duplicate) {
+                const error = new Error(`E11000 duplicate key error collection: ${this.Model.collection.collectionName} index: ${uniquePath}_1`);
+                error.code = 11000;
+                error.keyValue = { [uniquePath]: value };
+                throw error;
+            }
+        });
+    }
+
+    async write(record, changedKeys) {
+        await this.collection.load();
+        this.assertUnique(record);
+
+        const existing = this.collection.records.find(entry => entry._id === record._id);
+
+        if (!changedKeys) {
+            if (existing) {
+                const error = new Error(`E11000 duplicate key error collection: ${this.Model.collection.collectionName} index: _id_`);
+                error.code = 11000;
+                throw error;
+            }
+            this.collection.records.push(record);
+        } else {
+            if (!existing) return 0;
+
+            changedKeys.forEach(key => {
+                if (record[key] === undefined) {
+                    delete existing[key];
+                } else {
+                    existing[key] = record[key];
+                }
+            });
+        }
+
+        await this.collection.persist();
+        return 1;
+    }
+
+    async query(filter = {}, options = {}) {
+        await this.collection.load();
+
+        let records = this.collection.records.filter(record => matches(record, filter));
+
+        if (options.sort) records = sortRecords(records, options.sort);
+        if (options.skip) records = records.slice(options.skip);
+        if (options.limit) records = records.slice(0, options.limit);
+
+        const projection = parseProjection(options.select);
+        return records.map(record => {
+            const doc = this.hydrate(applyProjection(record, projection), projection);
+            return options.lean ? doc.toObject({ virtuals: false, versionKey: false }) : doc;
+        });
+    }
+
+    async findById(id, options = {}) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return this.findOne({ _id: id }, options);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = await this.query(filter, { ...options, limit: 1 });
+        return doc || null;
+    }
+
+    async find(filter = {}, options = {}) {
+        return this.query(filter, options);
+    }
+
+    async count(filter = {}) {
+        await this.collection.load();
+        return this.collection.records.filter(record => matches(record, filter)).length;
+    }
+
+    async sum(field, filter = {}) {
+        await this.collection.load();
+        return this.collection.records
+            .filter(record => matches(record, filter))
+            .reduce((total, record) => total + (Number(getPath(record, field)) || 0), 0);
+    }
+
+    // Wie $group in MongoDB - siehe MongoRepository.sumBy
+    async sumBy(group, fields, filter = {}) {
+        await this.collection.load();
+        const groups = new Map();
+
+        const valueOf = (record, field) => {
+            if (field.day) return new Date(getPath(record, field.day)).toISOString().slice(0, 10);
+
+            const value = getPath(record, field);
+            return Array.isArray(value) && value.length === 0 ? null : value ?? null;
+        };
+
+        this.collection.records
+            .filter(record => matches(record, filter))
+            .forEach(record => {
+                const values = Object.fromEntries(Object.entries(group).map(([name, field]) => [name, valueOf(record, field)]));
+                const key = JSON.stringify(values);
+
+                if (!groups.has(key)) {
+                    groups.set(key, { ...values, count: 0, ...Object.fromEntries(fields.map(field => [field, 0])) });
+                }
+
+                const totals = groups.get(key);
+                totals.count += 1;
+                fields.forEach(field => { totals[field] += Number(getPath(record, field)) || 0; });
+            });
+
+        return [...groups.values()];
+    }
+
+    // Wie $text: nur Dokumente mit mindestens einem Suchbegriff, absteigend nach score
+    async textSearch(text, filter = {}, options = {}) {
+        if (!this.textIndex) {
+            throw new Error(`${this.Model.modelName} hat keinen Textindex`);
+        }
+
+        await this.collection.load();
+
+        if (this.textIndexVersion !== this.collection.version) {
+            this.textIndex.build(this.collection.records);
+            this.textIndexVersion = this.collection.version;
+        }
+
+        const scores = this.textIndex.search(text);
+        let records = this.collection.records
+            .filter(record => scores.has(record._id) && matches(record, filter))
+            .sort((a, b) => scores.get(b._id) - scores.get(a._id));
+
+        if (options.limit) records = records.slice(0, options.limit);
+
+        return records.map(record => ({
+            ...this.hydrate(record).toObject({ virtuals: false, versionKey: false }),
+            score: scores.get(record._id)
+        }));
+    }
+
+    async create(data) {
+        const doc = this.attach(new this.Model(data));
+        return doc.save();
+    }
+
+    // Erstes passendes Dokument ändern -> Anzahl passender Dokumente (0 oder 1)
+    async updateOne(filter, update, options = {}) {
+        await this.collection.load();
+
+        const index = this.collection.records.findIndex(record => matches(record, filter));
+        if (index === -1) return 0;
+
+        const record = JSON.parse(JSON.stringify(this.collection.records[index]));
+        applyUpdate(record, update, options);
+        this.assertUnique(record);
+
+        this.collection.records[index] = record;
+        await this.collection.persist();
+        return 1;
+    }
+
+    async updateMany(filter, update) {
+        await this.collection.load();
+
+        const updated = this.collection.records.map(record => {
+            if (!matches(record, filter)) return record;
+
+            const copy = JSON.parse(JSON.stringify(record));
+            applyUpdate(copy, update);
+            this.assertUnique(copy);
+            return copy;
+        });
+
+        const count = updated.filter((record, index) => record !== this.collection.records[index]).length;
+        if (count === 0) return 0;
+
+        this.collection.records = updated;
+        await this.collection.persist();
+        return count;
+    }
+
+    async deleteById(id) {
+        if (!mongoose.isValidObjectId(id)) return 0;
+        await this.collection.load();
+
+        const index = this.collection.records.findIndex(record => record._id === String(id));
+        if (index === -1) return 0;
+
+        this.collection.records.splice(index, 1);
+        await this.collection.persist();
+        return 1;
+    }
+}
+
+// ========================================
+// ADAPTER
+// ========================================
+
+class FileAdapter {
+    constructor() {
+        this.name = 'file';
+        this.collections = new Map();
+        this.repositories = new Map();
+    }
+
+    getDirectory() {
+        return process.env.FILE_DB_DIR || path.join(process.cwd(), 'data');
+    }
+
+    getCollection(name) {
+        const filePath = path.join(this.getDirectory(), `${name}.json`);
+
+        if (!this.collections.has(filePath)) {
+            this.collections.set(filePath, new FileCollection(filePath));
+        }
+        return this.collections.get(filePath);
+    }
+
+    repository(Model) {
+        const collection = this.getCollection(Model.collection.collectionName);
+
+        if (this.repositories.get(Model.modelName)?.collection !== collection) {
+            this.repositories.set(Model.modelName, new FileRepository(Model, collection));
+        }
+        return this.repositories.get(Model.modelName);
+    }
+
+    // Alle Schreibvorgänge abwarten (z.B. vor Prozessende)
+    async flush() {
+        await Promise.all([...this.collections.values()].map(collection => collection.writing));
+    }
+}
+
+module.exports = new FileAdapter();
@@ -0,0 +1,72 @@
+/**
+ * 🗃️ REPOSITORIES
+ * Einheitlicher Datenzugriff für Users, Profiles, Chats, Widgets, API Keys, Usage Records, Memories
+ * und Refresh-Token-Familien (Sitzungen)
+ *
+ * Routen und Middleware greifen nur hierüber auf Daten zu. Welcher Speicher
+ * dahinter steht (MongoDB oder JSON-Dateien), entscheidet der DatabaseManager
+ * bei jedem Aufruf - siehe database.getAdapter().
+ *
+ * Alle Methoden liefern Mongoose-Dokumente (außer mit { lean: true }):
+ * findById(id, options) | findOne(filter, options) | find(filter, options) | count(filter) | create(data)
+ * sum(field, filter) summiert ein Zahlenfeld über alle passenden Dokumente, ohne sie zu laden
+ * sumBy(group, fields, filter) summiert mehrere Felder je Gruppe -> [{ ...Gruppe, count, ...Summen }];
+ *   group: { name: 'feld' } oder { name: { day: 'datumsfeld' } } für den UTC-Tag (YYYY-MM-DD)
+ * deleteById(id) löscht hart und liefert die Anzahl gelöschter Dokumente (0 oder 1)
+ * updateOne(filter, update, { arrayFilters }) ändert das erste passende Dokument direkt im Speicher
+ *   ($set, $inc) und liefert die Anzahl passender Dokumente (0 oder 1) - für bedingte Updates,
+ *   bei denen Prüfen und Schreiben nicht getrennt sein dürfen; updateMany(filter, update) ändert
+ *   alle passenden und liefert deren Anzahl
+ * textSearch(text, filter, { limit }) sucht über den Textindex des Models (Chat, Profile)
+ *   und liefert lean-Objekte mit score - MongoDB per $text, Dateispeicher per invertiertem Index
+ * options: { select, sort, skip, limit, lean }
+ */
+
+const database = require('../config/database');
+
+const MODEL_NAMES = {
+    users: 'User',
+    profiles: 'Profile',
+    chats: 'Chat',
+    widgets: 'Widget',
+    apiKeys: 'ApiKey',
+    usage: 'UsageRecord',
+    memories: 'Memory',
+    refreshTokenFamilies: 'RefreshTokenFamily'
+};
+
+const createRepository = (modelName) => {
+    const Model = require(`../models/${modelName}`);
+    const current = () => database.getAdapter().repository(Model);
+
+    return {
+        modelName,
+        Model,
+        findById: (id, options) => current().findById(id, options),
+        findOne: (filter, options) => current().findOne(filter, options),
+        find: (filter, options) => current().find(filter, options),
+        count: (filter) => current().count(filter),
+        sum: (field, filter) => current().sum(field, filter),
+        sumBy: (group, fields, filter) => current().sumBy(group, fields, filter),
+        textSearch: (text, filter, options) => current().textSearch(text, filter, options),
+        create: (data) => current().create(data),
+        updateOne: (filter, update, options) => current().updateOne(filter, update, options),
+        updateMany: (filter, update) => current().updateMany(filter, update),
+        deleteById: (id) => current().deleteById(id)
+    };
+};
+
+const repositories = Object.fromEntries(
+    Object.entries(MODEL_NAMES).map(([name, modelName]) => [name, createRepository(modelName)])
+);
+
+// Für generische Middleware wie requireOwnership('Profile')
+repositories.forModel = (modelName) => {
+    const repository = Object.values(repositories).find(repo => repo.modelName === modelName);
+    if (!repository) {
+        throw new Error(`Kein Repository für Model ${modelName}`);
+    }
+    return repository;
+};
+
+module.exports = repositories;
@@ -0,0 +1,79 @@
+/**
+ * 🔎 INVERTED INDEX
+ * Volltextsuche für den Dateispeicher - Gegenstück zum MongoDB-Textindex
+ *
+ * Felder und Gewichte kommen aus dem Textindex des Schemas, z.B.
+ * chatSchema.index({ title: 'text', 'messages.content': 'text' }, { weights: { title: 5 } }).
+ * Wie bei $text gilt ODER-Semantik: jeder Suchbegriff trägt zum Score bei
+ * (Termhäufigkeit x Feldgewicht x IDF). Tokenisierung siehe relevanceScorer.
+ */
+
+const { tokenize } = require('../services/relevanceScorer');
+
+// Alle Werte eines Punkt-Pfads, auch durch Arrays hindurch ('messages.content')
+const collectValues = (value, parts) => {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value.flatMap(entry => collectValues(entry, parts));
+    if (parts.length === 0) return [value];
+    return collectValues(value[parts[0]], parts.slice(1));
+};
+
+class InvertedIndex {
+    // fields: { 'messages.content': 1, title: 5 }
+    constructor(fields) {
+        this.fields = fields;
+        this.postings = new Map();
+        this.size = 0;
+    }
+
+    // null, wenn das Schema keinen Textindex hat
+    static fromSchema(schema) {
+        const textIndex = schema.indexes().find(([fields]) => Object.values(fields).includes('text'));
+        if (!textIndex) return null;
+
+        const [fields, options = {}] = textIndex;
+        const weights = Object.fromEntries(Object.keys(fields)
+            .filter(field => fields[field] === 'text')
+            .map(field => [field, options.weights?.[field] || 1]));
+
+        return new InvertedIndex(weights);
+    }
+
+    build(records) {
+        this.postings = new Map();
+        this.size = records.length;
+
+        records.forEach(record => {
+            Object.entries(this.fields).forEach(([field, weight]) => {
+                collectValues(record, field.split('.'))
+                    .flatMap(value => tokenize(value))
+                    .forEach(term => {
+                        if (!this.postings.has(term)) this.postings.set(term, new Map());
+                        const entries = this.postings.get(term);
+                        entries.set(record._id, (entries.get(record._id) || 0) + weight);
+                    });
+            });
+        });
+
+        return this;
+    }
+
+    // -> Map(_id -> score)
+    search(text) {
+        const scores = new Map();
+
+        [...new Set(tokenize(text))].forEach(term => {
+            const entries = this.postings.get(term);
+            if (!entries) return;
+
+            const idf = Math.log(1 + this.size / entries.size);
+            entries.forEach((weightedFrequency, id) => {
+                scores.set(id, (scores.get(id) || 0) + (1 + Math.log(weightedFrequency)) * idf);
+            });
+        });
+
+        return scores;
+    }
+}
+
+module.exports = InvertedIndex;
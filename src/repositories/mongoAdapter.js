@@ -0,0 +1,111 @@
+/**
+ * 🍃 MONGO ADAPTER
+ * Repository-Schnittstelle direkt auf den Mongoose Models
+ */
+
+const mongoose = require('mongoose');
+
+// select / sort / skip / limit / lean auf eine Mongoose Query anwenden
+const applyOptions = (query, options = {}) => {
+    if (options.select) query = query.select(options.select);
+    if (options.sort) query = query.sort(options.sort);
+    if (options.skip) query = query.skip(options.skip);
+    if (options.limit) query = query.limit(options.limit);
+    if (options.lean) query = query.lean();
+    return query.exec();
+};
+
+class MongoRepository {
+    constructor(Model) {
+        this.Model = Model;
+    }
+
+    async findById(id, options = {}) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        return applyOptions(this.Model.findById(id), options);
+    }
+
+    async findOne(filter = {}, options = {}) {
+        return applyOptions(this.Model.findOne(filter), options);
+    }
+
+    async find(filter = {}, options = {}) {
+        return applyOptions(this.Model.find(filter), options);
+    }
+
+    async count(filter = {}) {
+        return this.Model.countDocuments(filter);
+    }
+
+    // aggregate() castet nicht selbst - Filter über das Schema casten (ObjectIds, Datumswerte)
+    async sum(field, filter = {}) {
+        const [result] = await this.Model.aggregate([
+            { $match: this.Model.find().cast(this.Model, filter) },
+            { $group: { _id: null, total: { $sum: `$${field}` } } }
+        ]);
+        return result?.total || 0;
+    }
+
+    // group: { name: 'feld' } oder { name: { day: 'datumsfeld' } } (UTC-Tag YYYY-MM-DD)
+    async sumBy(group, fields, filter = {}) {
+        const id = Object.fromEntries(Object.entries(group).map(([name, field]) => [name, field.day
+            ? { $dateToString: { format: '%Y-%m-%d', date: `$${field.day}`, timezone: 'UTC' } }
+            : { $ifNull: [`$${field}`, null] }]));
+
+        const rows = await this.Model.aggregate([
+            { $match: this.Model.find().cast(this.Model, filter) },
+            { $group: { _id: id, count: { $sum: 1 }, ...Object.fromEntries(fields.map(field => [field, { $sum: `$${field}` }])) } }
+        ]);
+        return rows.map(({ _id, ...totals }) => ({ ..._id, ...totals }));
+    }
+
+    // $text über den Textindex des Models - lean, mit score (textScore)
+    async textSearch(text, filter = {}, options = {}) {
+        let query = this.Model
+            .find({ ...filter, $text: { $search: text } }, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } });
+
+        if (options.limit) query = query.limit(options.limit);
+        return query.lean().exec();
+    }
+
+    async create(data) {
+        return this.Model.create(data);
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const result = await this.Model.updateOne(filter, update, options);
+        return result.matchedCount;
+    }
+
+    async updateMany(filter, update) {
+        const result = await this.Model.updateMany(filter, update);
+        return result.matchedCount;
+    }
+
+    async deleteById(id) {
+        if (!mongoose.isValidObjectId(id)) return 0;
+        const result = await this.Model.deleteOne({ _id: id });
+        return result.deletedCount;
+    }
+}
+
+class MongoAdapter {
+    constructor() {
+        this.name = 'mongo';
+        this.repositories = new Map();
+    }
+
+    repository(Model) {
+        if (!this.repositories.has(Model.modelName)) {
+            this.repositories.set(Model.modelName, new MongoRepository(Model));
+        }
+        return this.repositories.get(Model.modelName);
+    }
+
+    async flush() {
+        // MongoDB schreibt synchron pro Operation
+    }
+}
+
+module.exports = new MongoAdapter();
@@ -0,0 +1,278 @@
+/**
+ * 👑 ADMIN ROUTES
+ * Benutzerverwaltung für geteilte Instanzen: Rollen, Feature-Flags, Token-Quotas, Sperren,
+ * dazu die Übersicht der Prompt-Templates
+ *
+ * Alle Routen laufen hinter requireAuth + requireAdmin (server.js).
+ * Admins können ihre eigene Rolle und ihren eigenen Status nicht ändern,
+ * damit sich eine Instanz nicht versehentlich ohne Admin wiederfindet.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { users } = require('../repositories');
+const authTokens = require('../services/authTokens');
+const promptRegistry = require('../services/promptRegistry');
+const { ROLES, PERMISSIONS, FEATURES, getPermissionsForRole } = require('../config/permissions');
+
+const USER_LIST_FIELDS = 'firstName lastName email role featureFlags usageLimits isActive isVerified lastLogin lastActivity createdAt';
+
+// Lädt den Ziel-User aus :id
+const loadTargetUser = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: req.t('admin.errors.invalidUserId') });
+        }
+
+        const user = await users.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: req.t('auth.errors.userNotFound') });
+        }
+
+        req.targetUser = user;
+        next();
+    } catch (error) {
+        console.error('Load Target User Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.loadUser') });
+    }
+};
+
+const isSelf = (req) => String(req.targetUser._id) === String(req.user.id);
+
+const toAdminView = (user) => ({
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    features: user.getFeatureFlags(),
+    featureFlags: {
+        enabled: user.featureFlags?.enabled || [],
+        disabled: user.featureFlags?.disabled || []
+    },
+    usageLimits: {
+        dailyTokens: user.usageLimits?.dailyTokens ?? null,
+        monthlyTokens: user.usageLimits?.monthlyTokens ?? null
+    },
+    isActive: user.isActive,
+    isVerified: user.isVerified,
+    lastLogin: user.lastLogin,
+    lastActivity: user.lastActivity,
+    createdAt: user.createdAt
+});
+
+console.log('✅ Admin routes: Setting up routes...');
+
+// ========================================
+// PERMISSIONS MATRIX
+// ========================================
+
+router.get('/permissions', (req, res) => {
+    res.json({
+        success: true,
+        roles: ROLES,
+        permissions: PERMISSIONS,
+        rolePermissions: Object.fromEntries(ROLES.map(role => [role, getPermissionsForRole(role)])),
+        features: FEATURES
+    });
+});
+
+// ========================================
+// PROMPT TEMPLATES
+// ========================================
+
+// Registrierte System-Prompts mit Versionen - message.metadata.promptVersion verweist darauf
+router.get('/prompts', (req, res) => {
+    res.json({
+        success: true,
+        prompts: promptRegistry.list()
+    });
+});
+
+// ========================================
+// USER MANAGEMENT
+// ========================================
+
+// GET /api/admin/users?role=readonly&search=anna
+router.get('/users', async (req, res) => {
+    try {
+        const { role, search } = req.query;
+        const filter = {};
+
+        if (role) {
+            if (!ROLES.includes(role)) {
+                return res.status(400).json({ error: req.t('admin.errors.invalidRole', { roles: ROLES.join(', ') }) });
+            }
+            filter.role = role;
+        }
+
+        if (search) {
+            const pattern = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.$or = ['firstName', 'lastName', 'email'].map(field => ({
+                [field]: { $regex: pattern, $options: 'i' }
+            }));
+        }
+
+        const list = await users.find(filter, {
+            select: USER_LIST_FIELDS,
+            sort: { createdAt: -1 }
+        });
+
+        res.json({
+            success: true,
+            users: list.map(toAdminView),
+            count: list.length
+        });
+
+    } catch (error) {
+        console.error('Admin List Users Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.loadUsers') });
+    }
+});
+
+router.get('/users/:id', loadTargetUser, (req, res) => {
+    res.json({
+        success: true,
+        user: toAdminView(req.targetUser)
+    });
+});
+
+// PUT /api/admin/users/:id/role { role }
+router.put('/users/:id/role', loadTargetUser, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: req.t('admin.errors.invalidRole', { roles: ROLES.join(', ') }) });
+        }
+
+        if (isSelf(req)) {
+            return res.status(400).json({ error: req.t('admin.errors.ownRole') });
+        }
+
+        const previousRole = req.targetUser.role;
+        req.targetUser.role = role;
+        await req.targetUser.save({ validateModifiedOnly: true });
+
+        console.log(`👑 Role changed by ${req.user.email}: ${req.targetUser.email} ${previousRole} -> ${role}`);
+
+        res.json({
+            success: true,
+            message: req.t('admin.messages.roleUpdated'),
+            user: toAdminView(req.targetUser)
+        });
+
+    } catch (error) {
+        console.error('Admin Update Role Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.updateRole') });
+    }
+});
+
+// PUT /api/admin/users/:id/features { features: { widgets: false, dataExport: null } }
+// true/false überschreibt den Standard, null entfernt den Override
+router.put('/users/:id/features', loadTargetUser, async (req, res) => {
+    try {
+        const { features } = req.body;
+
+        if (!features || typeof features !== 'object' || Array.isArray(features)) {
+            return res.status(400).json({ error: req.t('admin.errors.featuresNotObject') });
+        }
+
+        const unknown = Object.keys(features).filter(feature => !(feature in FEATURES));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: req.t('admin.errors.unknownFeatures', { features: unknown.join(', ') }) });
+        }
+
+        const invalid = Object.entries(features).filter(([, value]) => ![true, false, null].includes(value));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: req.t('admin.errors.featureValues') });
+        }
+
+        req.targetUser.setFeatureFlags(features);
+        await req.targetUser.save({ validateModifiedOnly: true });
+
+        console.log(`🚩 Feature flags changed by ${req.user.email}: ${req.targetUser.email}`, features);
+
+        res.json({
+            success: true,
+            message: req.t('admin.messages.featuresUpdated'),
+            user: toAdminView(req.targetUser)
+        });
+
+    } catch (error) {
+        console.error('Admin Update Features Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.updateFeatures') });
+    }
+});
+
+// PUT /api/admin/users/:id/usage-limits { dailyTokens: 50000, monthlyTokens: null }
+// Zahl überschreibt USAGE_DAILY_TOKENS / USAGE_MONTHLY_TOKENS (0 = unbegrenzt), null setzt auf den Standard zurück
+router.put('/users/:id/usage-limits', loadTargetUser, async (req, res) => {
+    try {
+        const limits = req.body || {};
+        const fields = ['dailyTokens', 'monthlyTokens'].filter(field => field in limits);
+
+        if (fields.length === 0) {
+            return res.status(400).json({ error: req.t('admin.errors.usageLimitsRequired') });
+        }
+
+        const invalid = fields.filter(field =>
+            limits[field] !== null && !(Number.isInteger(limits[field]) && limits[field] >= 0));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: req.t('admin.errors.usageLimitsInvalid', { fields: invalid.join(', ') }) });
+        }
+
+        fields.forEach(field => req.targetUser.set(`usageLimits.${field}`, limits[field]));
+        await req.targetUser.save({ validateModifiedOnly: true });
+
+        console.log(`📈 Usage limits changed by ${req.user.email}: ${req.targetUser.email}`, limits);
+
+        res.json({
+            success: true,
+            message: req.t('admin.messages.usageLimitsUpdated'),
+            user: toAdminView(req.targetUser)
+        });
+
+    } catch (error) {
+        console.error('Admin Update Usage Limits Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.updateUsageLimits') });
+    }
+});
+
+// PUT /api/admin/users/:id/status { isActive } - deaktivieren beendet alle Sitzungen
+router.put('/users/:id/status', loadTargetUser, async (req, res) => {
+    try {
+        const { isActive } = req.body;
+
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({ error: req.t('admin.errors.isActiveInvalid') });
+        }
+
+        if (isSelf(req)) {
+            return res.status(400).json({ error: req.t('admin.errors.ownStatus') });
+        }
+
+        req.targetUser.isActive = isActive;
+        await req.targetUser.save({ validateModifiedOnly: true });
+
+        if (!isActive) {
+            await authTokens.revokeAllSessions(req.targetUser._id, 'admin');
+        }
+
+        console.log(`🛂 Account ${isActive ? 'activated' : 'deactivated'} by ${req.user.email}: ${req.targetUser.email}`);
+
+        res.json({
+            success: true,
+            message: req.t(isActive ? 'admin.messages.accountActivated' : 'admin.messages.accountDeactivated'),
+            user: toAdminView(req.targetUser)
+        });
+
+    } catch (error) {
+        console.error('Admin Update Status Error:', error);
+        res.status(500).json({ error: req.t('admin.errors.updateStatus') });
+    }
+});
+
+module.exports = router;
@@ -5,14 +5,20 @@
 
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 const router = express.Router();
-const User = require('../models/User');
 const database = require('../config/database');
+const { users } = require('../repositories');
+const authTokens = require('../services/authTokens');
+const mailer = require('../services/mailer');
+const totp = require('../services/totp');
+const { requireAuth, optionalAuth, requireAdmin, rejectApiKey, getClientContext } = require('../middleware/auth');
+const adminBootstrap = require('../services/adminBootstrap');
+const i18n = require('../services/i18n');
 
-console.log('✅ Auth routes: Setting up with debug...');
+const MIN_PASSWORD_LENGTH = 6;
 
-// Fallback-Speicher für den Fall, dass MongoDB nicht verfügbar ist
-const fallbackUsers = [];
+console.log('✅ Auth routes: Setting up with debug...');
 
 // ========================================
 // REGISTER ROUTE MIT DEBUG
@@ -34,7 +40,7 @@ router.post('/register', async (req, res) => {
         if (!firstName || !lastName || !email || !password) {
             console.log('❌ Missing required fields');
             return res.status(400).json({ 
-                error: 'Alle Felder sind erforderlich' 
+                error: req.t('auth.errors.fieldsRequired') 
             });
         }
 
@@ -44,93 +50,67 @@ router.post('/register', async (req, res) => {
             console.log(`   Password: "${password}" (${password.length} chars)`);
             console.log(`   Confirm:  "${confirmPassword}" (${confirmPassword.length} chars)`);
             return res.status(400).json({ 
-                error: 'Passwörter stimmen nicht überein' 
+                error: req.t('auth.errors.passwordMismatch') 
             });
         }
 
-        if (password.length < 6) {
+        if (password.length < MIN_PASSWORD_LENGTH) {
             console.log('❌ Password too short:', password.length);
             return res.status(400).json({ 
-                error: 'Passwort muss mindestens 6 Zeichen haben' 
+                error: req.t('auth.errors.passwordTooShort', { min: MIN_PASSWORD_LENGTH }) 
             });
         }
 
-        // Check if database is connected
-        if (!database.isConnected) {
-            console.log('⚠️ Database not connected, using fallback storage');
-            return handleRegistrationFallback(req, res);
-        }
-
         // Prüfen ob User bereits existiert
-        const existingUser = await User.findOne({ email: email.toLowerCase() });
+        const existingUser = await users.findOne({ email: email.toLowerCase() });
         if (existingUser) {
             console.log('❌ User already exists:', email);
             return res.status(409).json({ 
-                error: 'Ein Benutzer mit dieser E-Mail existiert bereits' 
-            });
-        }
-
-        // BCRYPT DEBUG
-        console.log('🔐 Starting bcrypt hashing...');
-        console.log(`   Original password: "${password}" (${password.length} chars)`);
-        
-        const saltRounds = 12;
-        console.log(`   Salt rounds: ${saltRounds}`);
-        
-        const startTime = Date.now();
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        const hashTime = Date.now() - startTime;
-        
-        console.log(`✅ Bcrypt hashing completed in ${hashTime}ms`);
-        console.log(`   Hashed password: ${hashedPassword.substring(0, 20)}...`);
-        console.log(`   Hash length: ${hashedPassword.length} chars`);
-
-        // VERIFICATION TEST
-        console.log('🔍 Testing bcrypt verification immediately...');
-        const verifyTest = await bcrypt.compare(password, hashedPassword);
-        console.log(`   Immediate verification test: ${verifyTest ? '✅ PASS' : '❌ FAIL'}`);
-        
-        if (!verifyTest) {
-            console.error('🚨 CRITICAL: bcrypt verification failed immediately after hashing!');
-            return res.status(500).json({ 
-                error: 'Passwort-Verschlüsselung fehlgeschlagen' 
+                error: req.t('auth.errors.emailTaken') 
             });
         }
 
-        // Neuen User erstellen
-        const newUser = new User({
+        // Neuen User erstellen - das Passwort hasht der pre-save Hook im User Model (bcrypt)
+        console.log(`💾 Saving user via ${database.getAdapter().name} adapter...`);
+        const savedUser = await users.create({
             firstName,
             lastName,
             email: email.toLowerCase(),
-            password: hashedPassword,
+            password,
             preferences: {
                 theme: 'dark',
-                language: 'de',
+                language: req.language, // Accept-Language bei der Registrierung
                 notifications: false,
                 aiModel: 'gpt-3.5-turbo'
             }
         });
-
-        console.log('💾 Saving user to MongoDB...');
-        const savedUser = await newUser.save();
         console.log('✅ User saved with ID:', savedUser._id);
 
-        // FINAL VERIFICATION TEST
-        console.log('🔍 Final verification test with saved user...');
+        // BCRYPT VERIFICATION TEST
+        console.log('🔍 Verification test with saved user...');
         const finalTest = await bcrypt.compare(password, savedUser.password);
-        console.log(`   Final verification test: ${finalTest ? '✅ PASS' : '❌ FAIL'}`);
+        console.log(`   Bcrypt hash: ${savedUser.password.substring(0, 7)}... verification: ${finalTest ? '✅ PASS' : '❌ FAIL'}`);
 
-        console.log('✅ User registered successfully in MongoDB:', email);
+        console.log('✅ User registered successfully:', email);
+
+        // Bestätigungs-Mail - ein Mail-Fehler soll die Registrierung nicht scheitern lassen
+        sendVerificationLink(req, savedUser).catch(mailError => {
+            console.error('❌ Verification mail failed:', mailError.message);
+        });
 
         // Erfolgreiche Registrierung
+        const tokens = await authTokens.createSession(savedUser, getClientContext(req));
+
         res.status(201).json({
             success: true,
-            message: 'Erfolgreich registriert',
-            token: 'jwt-token-' + Date.now(), // In Produktion: echtes JWT verwenden
+            message: req.t('auth.messages.registered'),
+            token: tokens.accessToken,
+            ...tokens,
             user: {
                 id: savedUser._id,
                 email: savedUser.email,
-                name: savedUser.fullName || `${savedUser.firstName} ${savedUser.lastName}`
+                name: savedUser.fullName || `${savedUser.firstName} ${savedUser.lastName}`,
+                role: savedUser.role
             }
         });
 
@@ -140,11 +120,11 @@ router.post('/register', async (req, res) => {
         // MongoDB-spezifische Fehler behandeln
         if (error.code === 11000) {
             return res.status(409).json({ 
-                error: 'Ein Benutzer mit dieser E-Mail existiert bereits' 
+                error: req.t('auth.errors.emailTaken') 
             });
         }
         
-        res.status(500).json({ error: 'Server-Fehler bei der Registrierung: ' + error.message });
+        res.status(500).json({ error: req.t('auth.errors.server.register') });
     }
 });
 
@@ -165,24 +145,18 @@ router.post('/login', async (req, res) => {
         if (!email || !password) {
             console.log('❌ Missing email or password');
             return res.status(400).json({ 
-                error: 'E-Mail und Passwort sind erforderlich' 
+                error: req.t('auth.errors.credentialsRequired') 
             });
         }
 
-        // Check if database is connected
-        if (!database.isConnected) {
-            console.log('⚠️ Database not connected, using fallback storage');
-            return handleLoginFallback(req, res);
-        }
-
         // User suchen
         console.log('🔍 Searching for user:', email);
-        const user = await User.findOne({ email: email.toLowerCase() });
+        const user = await users.findOne({ email: email.toLowerCase() });
 
         if (!user) {
             console.log('❌ User not found:', email);
             return res.status(401).json({ 
-                error: 'Ungültige Anmeldedaten' 
+                error: req.t('auth.errors.invalidCredentials') 
             });
         }
 
@@ -194,6 +168,12 @@ router.post('/login', async (req, res) => {
             passwordPreview: user.password?.substring(0, 20) + '...'
         });
 
+        // Gesperrte Accounts gar nicht erst prüfen
+        if (user.isAccountLocked) {
+            console.log('🔒 Login attempt on locked account:', email);
+            return sendAccountLocked(req, res, user);
+        }
+
         // BCRYPT VERIFICATION DEBUG
         console.log('🔐 Starting bcrypt verification...');
         console.log(`   Input password: "${password}" (${password.length} chars)`);
@@ -215,142 +195,155 @@ router.post('/login', async (req, res) => {
             console.log(`   Input length: ${password.length}`);
             console.log(`   Hash format looks valid: ${user.password.startsWith('$2')}`);
             
+            await user.registerFailedLogin();
+            
+            if (user.isAccountLocked) {
+                console.log('🔒 Account locked after failed attempts:', email);
+                return sendAccountLocked(req, res, user);
+            }
+            
             return res.status(401).json({ 
-                error: 'Ungültige Anmeldedaten' 
+                error: req.t('auth.errors.invalidCredentials'),
+                attemptsRemaining: user.getRemainingLoginAttempts()
             });
         }
 
         console.log('✅ Password verification successful for user:', email);
 
+        // 2FA aktiv: nur Teil-Sitzung ausgeben, Fehlversuche erst nach dem Code zurücksetzen
+        if (user.security.twoFactor.enabled) {
+            const twoFactorToken = await authTokens.issueActionToken(user, 'two_factor_login');
+            console.log('🔢 2FA required for:', email);
+
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                twoFactorToken,
+                message: req.t('auth.messages.twoFactorRequired')
+            });
+        }
+
+        const { count, lockCount } = user.security.loginAttempts;
+        if (count > 0 || lockCount > 0) {
+            await user.resetLoginAttempts();
+        }
+
         // Erfolgreiche Anmeldung
-        const loginResponse = {
-            success: true,
-            message: 'Erfolgreich angemeldet',
-            token: 'jwt-token-' + Date.now(),
-            user: {
-                id: user._id,
-                email: user.email,
-                name: user.fullName || `${user.firstName} ${user.lastName}`,
-                firstName: user.firstName,
-                lastName: user.lastName
-            }
-        };
+        const tokens = await authTokens.createSession(user, getClientContext(req));
+        const loginResponse = buildLoginResponse(req, user, tokens);
 
         console.log('✅ Login successful for:', email);
-        console.log('📤 Sending response:', { ...loginResponse, token: 'jwt-token-***' });
+        console.log('📤 Sending response:', {
+            ...loginResponse,
+            token: '***',
+            accessToken: '***',
+            refreshToken: '***'
+        });
 
         res.json(loginResponse);
 
     } catch (error) {
         console.error('❌ Login error:', error);
-        res.status(500).json({ error: 'Server-Fehler beim Anmelden: ' + error.message });
+        res.status(500).json({ error: req.t('auth.errors.server.login') });
     }
 });
 
 // ========================================
-// FALLBACK FUNCTIONS (simplified)
+// REFRESH ROUTE
 // ========================================
-function handleRegistrationFallback(req, res) {
-    const { firstName, lastName, email, password } = req.body;
-    
-    console.log('📝 Fallback registration for:', email);
-    
-    // Prüfen ob User bereits existiert
-    const existingUser = fallbackUsers.find(u => u.email === email.toLowerCase());
-    if (existingUser) {
-        return res.status(409).json({ 
-            error: 'Ein Benutzer mit dieser E-Mail existiert bereits' 
-        });
-    }
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
 
-    // Neuen User erstellen (OHNE bcrypt für Fallback)
-    const newUser = {
-        id: Date.now().toString(),
-        firstName,
-        lastName,
-        name: `${firstName} ${lastName}`,
-        email: email.toLowerCase(),
-        password, // Plain text in fallback mode!
-        createdAt: new Date()
-    };
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('auth.errors.refreshTokenRequired'),
+                code: 'NO_REFRESH_TOKEN'
+            });
+        }
 
-    fallbackUsers.push(newUser);
+        let decoded;
+        try {
+            decoded = authTokens.verifyRefreshToken(refreshToken);
+        } catch (jwtError) {
+            const expired = jwtError.name === 'TokenExpiredError';
+            return res.status(401).json({
+                success: false,
+                error: req.t(expired ? 'auth.errors.refreshTokenExpired' : 'auth.errors.invalidRefreshToken'),
+                code: expired ? 'REFRESH_TOKEN_EXPIRED' : 'INVALID_REFRESH_TOKEN'
+            });
+        }
 
-    console.log('✅ User registered successfully (fallback):', email);
+        const user = await users.findById(decoded.userId);
 
-    res.status(201).json({
-        success: true,
-        message: 'Erfolgreich registriert (Fallback-Modus)',
-        token: 'fallback-jwt-token-' + Date.now(),
-        user: {
-            id: newUser.id,
-            email: newUser.email,
-            name: newUser.name
+        if (!user || user.isActive === false) {
+            return res.status(401).json({
+                success: false,
+                error: req.t('auth.errors.userNotFound'),
+                code: 'USER_NOT_FOUND'
+            });
         }
-    });
-}
 
-function handleLoginFallback(req, res) {
-    const { email, password } = req.body;
-    
-    console.log('🔑 Fallback login for:', email);
-    
-    // User suchen (Plain text comparison in fallback)
-    const user = fallbackUsers.find(u => 
-        u.email === email.toLowerCase() && u.password === password
-    );
-
-    if (!user) {
-        console.log('❌ Fallback login failed for:', email);
-        return res.status(401).json({ 
-            error: 'Ungültige Anmeldedaten' 
-        });
-    }
-
-    console.log('✅ Fallback login successful for:', email);
+        // Rotation: jedes Refresh Token ist nur einmal gültig
+        let tokens;
+        try {
+            tokens = await authTokens.rotateSession(decoded, user, getClientContext(req));
+        } catch (rotationError) {
+            if (!rotationError.code) throw rotationError;
+
+            if (rotationError.code === 'REFRESH_TOKEN_REUSED') {
+                console.warn('🚨 Refresh token reuse detected, session revoked:', {
+                    userId: decoded.userId,
+                    sessionId: decoded.fid
+                });
+            }
 
-    res.json({
-        success: true,
-        message: 'Erfolgreich angemeldet (Fallback-Modus)',
-        token: 'fallback-jwt-token-' + Date.now(),
-        user: {
-            id: user.id,
-            email: user.email,
-            name: user.name
+            return res.status(401).json({
+                success: false,
+                error: i18n.translateError(req.language, rotationError),
+                code: rotationError.code
+            });
         }
-    });
-}
+
+        res.json({
+            success: true,
+            token: tokens.accessToken,
+            ...tokens
+        });
+
+    } catch (error) {
+        console.error('❌ Refresh error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.refresh') });
+    }
+});
 
 // ========================================
 // UTILITY ROUTES
 // ========================================
 router.get('/debug', async (req, res) => {
     if (process.env.NODE_ENV !== 'development') {
-        return res.status(403).json({ error: 'Nur in Development verfügbar' });
+        return res.status(403).json({ error: req.t('auth.errors.developmentOnly') });
     }
     
     try {
-        let userCount = 0;
-        let users = [];
-        
-        if (database.isConnected) {
-            userCount = await User.countDocuments();
-            users = await User.find({}, 'firstName lastName email createdAt').limit(5).lean();
-        } else {
-            userCount = fallbackUsers.length;
-            users = fallbackUsers.slice(0, 5);
-        }
+        const userCount = await users.count();
+        const sample = await users.find({}, {
+            select: 'firstName lastName email password createdAt',
+            limit: 5,
+            lean: true
+        });
         
         res.json({
             database: {
                 connected: database.isConnected,
-                type: database.isConnected ? 'MongoDB' : 'Fallback Array'
+                type: database.getAdapter().name
             },
             users: {
                 total: userCount,
-                sample: users.map(u => ({
-                    id: u._id || u.id,
-                    name: u.fullName || u.name || `${u.firstName} ${u.lastName}`,
+                sample: sample.map(u => ({
+                    id: u._id,
+                    name: `${u.firstName} ${u.lastName}`,
                     email: u.email,
                     hasPassword: !!u.password,
                     passwordLength: u.password?.length,
@@ -368,14 +361,20 @@ router.get('/debug', async (req, res) => {
     }
 });
 
-router.get('/status', async (req, res) => {
+router.get('/status', optionalAuth, async (req, res) => {
     try {
-        let userCount = 0;
+        const userCount = await users.count();
         
-        if (database.isConnected) {
-            userCount = await User.countDocuments();
-        } else {
-            userCount = fallbackUsers.length;
+        // Optional: Sperrstatus eines Accounts (?email=...) - nur für Admins, sonst verrät
+        // die Antwort, ob ein Account existiert und gerade angegriffen wird
+        let account;
+        if (req.query.email && req.user?.role === 'admin') {
+            const email = String(req.query.email).toLowerCase();
+            const user = await users.findOne({ email });
+            const { locked, lockedUntil, retryAfterSeconds } = user
+                ? user.getLockStatus()
+                : { locked: false, lockedUntil: null, retryAfterSeconds: 0 };
+            account = { email, exists: !!user, locked, lockedUntil, retryAfterSeconds };
         }
         
         res.json({
@@ -385,22 +384,507 @@ router.get('/status', async (req, res) => {
             },
             users: {
                 total: userCount,
-                storage: database.isConnected ? 'MongoDB' : 'Fallback Array'
+                storage: database.getAdapter().name
             },
+            account,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error('❌ Auth status error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.status') });
     }
 });
 
-router.post('/logout', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Erfolgreich abgemeldet'
-    });
+// Beendet die aktuelle Sitzung (Refresh Token im Body oder Access Token im Header)
+router.post('/logout', async (req, res) => {
+    try {
+        const sessionId = getSessionIdFromRequest(req);
+
+        if (sessionId) {
+            await authTokens.revokeSession(sessionId, 'logout');
+            console.log('👋 Session revoked:', sessionId);
+        }
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.loggedOut')
+        });
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.logout') });
+    }
+});
+
+// Beendet alle Sitzungen des Benutzers auf allen Geräten
+router.post('/logout-all', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const revokedCount = await authTokens.revokeAllSessions(req.user.id, 'logout_all');
+        console.log(`👋 All sessions revoked for user ${req.user.id}: ${revokedCount}`);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.loggedOutEverywhere'),
+            revokedSessions: revokedCount
+        });
+    } catch (error) {
+        console.error('❌ Logout-all error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.logout') });
+    }
 });
 
+// ========================================
+// ZWEI-FAKTOR-AUTHENTIFIZIERUNG (TOTP)
+// ========================================
+
+// Zweiter Login-Schritt: Teil-Sitzung + TOTP- oder Recovery-Code -> vollständige Sitzung
+router.post('/2fa/verify', async (req, res) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+
+        if (!twoFactorToken || !code) {
+            return res.status(400).json({ error: req.t('auth.errors.tokenAndCodeRequired') });
+        }
+
+        const { user, decoded, error } = await loadUserForActionToken(req, twoFactorToken, 'two_factor_login');
+        if (error) {
+            return res.status(401).json({ success: false, ...error });
+        }
+
+        if (user.isAccountLocked) {
+            return sendAccountLocked(req, res, user);
+        }
+
+        const method = user.verifyTwoFactorCode(code);
+        if (!method) {
+            console.log('❌ Invalid 2FA code for:', user.email);
+            await user.registerFailedLogin();
+
+            if (user.isAccountLocked) {
+                return sendAccountLocked(req, res, user);
+            }
+
+            return res.status(401).json({
+                success: false,
+                error: req.t('auth.errors.invalidCode'),
+                code: 'INVALID_2FA_CODE',
+                attemptsRemaining: user.getRemainingLoginAttempts()
+            });
+        }
+
+        authTokens.consumeActionToken(user, decoded);
+        // Speichert auch verbrauchten Zeitschritt / Recovery Code und entwertete Teil-Sitzung
+        await user.resetLoginAttempts();
+
+        const tokens = await authTokens.createSession(user, getClientContext(req));
+        console.log(`✅ 2FA login successful for ${user.email} (${method})`);
+
+        res.json({
+            ...buildLoginResponse(req, user, tokens),
+            twoFactorMethod: method,
+            recoveryCodesRemaining: user.getTwoFactorStatus().recoveryCodesRemaining
+        });
+    } catch (error) {
+        if (error.code === 'ACTION_TOKEN_USED') {
+            return res.status(401).json({ success: false, error: i18n.translateError(req.language, error), code: error.code });
+        }
+        console.error('❌ 2FA verify error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.twoFactorVerify') });
+    }
+});
+
+router.get('/2fa/status', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const user = await users.findById(req.user.id);
+
+        res.json({
+            success: true,
+            twoFactor: user.getTwoFactorStatus()
+        });
+    } catch (error) {
+        console.error('❌ 2FA status error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.twoFactorStatus') });
+    }
+});
+
+// Einrichtung starten: neues Secret, aktiv erst nach /2fa/enable
+router.post('/2fa/setup', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const user = await users.findById(req.user.id);
+
+        if (user.security.twoFactor.enabled) {
+            return res.status(409).json({ error: req.t('auth.errors.twoFactorAlreadyEnabled'), code: '2FA_ALREADY_ENABLED' });
+        }
+
+        const secret = totp.generateSecret();
+        user.security.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl: totp.buildOtpauthUrl(secret, user.email),
+            message: req.t('auth.messages.twoFactorSetup')
+        });
+    } catch (error) {
+        console.error('❌ 2FA setup error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.twoFactorSetup') });
+    }
+});
+
+// Einrichtung abschließen: erster gültiger Code aktiviert 2FA und liefert Recovery Codes
+router.post('/2fa/enable', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await users.findById(req.user.id);
+        const twoFactor = user.security.twoFactor;
+
+        if (twoFactor.enabled) {
+            return res.status(409).json({ error: req.t('auth.errors.twoFactorAlreadyEnabled'), code: '2FA_ALREADY_ENABLED' });
+        }
+
+        if (!twoFactor.pendingSecret) {
+            return res.status(400).json({ error: req.t('auth.errors.twoFactorSetupRequired'), code: '2FA_SETUP_REQUIRED' });
+        }
+
+        const step = totp.verify(twoFactor.pendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({ error: req.t('auth.errors.invalidCode'), code: 'INVALID_2FA_CODE' });
+        }
+
+        twoFactor.secret = twoFactor.pendingSecret;
+        twoFactor.pendingSecret = null;
+        twoFactor.enabled = true;
+        twoFactor.enabledAt = new Date();
+        twoFactor.lastUsedStep = step;
+        const recoveryCodes = user.regenerateRecoveryCodes();
+        await user.save();
+
+        console.log('🔐 2FA enabled for:', user.email);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.twoFactorEnabled'),
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('❌ 2FA enable error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.twoFactorEnable') });
+    }
+});
+
+// Neue Recovery Codes - alte werden ungültig
+router.post('/2fa/recovery-codes', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await users.findById(req.user.id);
+
+        if (!user.security.twoFactor.enabled) {
+            return res.status(400).json({ error: req.t('auth.errors.twoFactorNotEnabled'), code: '2FA_NOT_ENABLED' });
+        }
+
+        if (user.verifyTwoFactorCode(code) !== 'totp') {
+            return res.status(400).json({ error: req.t('auth.errors.invalidCode'), code: 'INVALID_2FA_CODE' });
+        }
+
+        const recoveryCodes = user.regenerateRecoveryCodes();
+        await user.save();
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.recoveryCodesCreated'),
+            recoveryCodes
+        });
+    } catch (error) {
+        console.error('❌ 2FA recovery codes error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.recoveryCodes') });
+    }
+});
+
+// Deaktivieren nur mit Passwort + gültigem Code
+router.post('/2fa/disable', requireAuth, rejectApiKey, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+        const user = await users.findById(req.user.id);
+
+        if (!user.security.twoFactor.enabled) {
+            return res.status(400).json({ error: req.t('auth.errors.twoFactorNotEnabled'), code: '2FA_NOT_ENABLED' });
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            return res.status(401).json({ error: req.t('auth.errors.invalidPassword') });
+        }
+
+        if (!user.verifyTwoFactorCode(code)) {
+            return res.status(400).json({ error: req.t('auth.errors.invalidCode'), code: 'INVALID_2FA_CODE' });
+        }
+
+        user.disableTwoFactor();
+        await user.save();
+
+        console.log('🔓 2FA disabled for:', user.email);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.twoFactorDisabled')
+        });
+    } catch (error) {
+        console.error('❌ 2FA disable error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.twoFactorDisable') });
+    }
+});
+
+// ========================================
+// E-MAIL-BESTÄTIGUNG
+// ========================================
+
+// Antwortet immer gleich, damit sich nicht ermitteln lässt, welche E-Mails registriert sind
+router.post('/verify-email/request', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: req.t('auth.errors.emailRequired') });
+        }
+
+        const user = await users.findOne({ email: email.toLowerCase(), isActive: true });
+        if (user && !user.isVerified) {
+            await sendVerificationLink(req, user);
+        }
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.verificationSent')
+        });
+    } catch (error) {
+        console.error('❌ Verify-email request error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.verificationRequest') });
+    }
+});
+
+router.post('/verify-email/confirm', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: req.t('auth.errors.tokenRequired'), code: 'NO_TOKEN' });
+        }
+
+        const { user, decoded, error } = await loadUserForActionToken(req, token, 'email_verification');
+        if (error) {
+            return res.status(400).json({ success: false, ...error });
+        }
+
+        authTokens.consumeActionToken(user, decoded);
+        user.isVerified = true;
+        // ADMIN_EMAILS gilt erst mit bestätigter Adresse (siehe adminBootstrap)
+        adminBootstrap.promoteIfConfigured(user);
+        await user.save();
+
+        console.log('✅ Email verified:', user.email);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.emailVerified')
+        });
+    } catch (error) {
+        if (error.code === 'ACTION_TOKEN_USED') {
+            return res.status(400).json({ success: false, error: i18n.translateError(req.language, error), code: error.code });
+        }
+        console.error('❌ Verify-email confirm error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.verificationConfirm') });
+    }
+});
+
+// ========================================
+// PASSWORT-RESET
+// ========================================
+
+// Antwortet immer gleich, damit sich nicht ermitteln lässt, welche E-Mails registriert sind
+router.post('/password-reset/request', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: req.t('auth.errors.emailRequired') });
+        }
+
+        const user = await users.findOne({ email: email.toLowerCase(), isActive: true });
+        if (user) {
+            const token = await authTokens.issueActionToken(user, 'password_reset');
+            await mailer.sendPasswordResetEmail(user, `${getAppUrl(req)}/login?resetToken=${encodeURIComponent(token)}`);
+            console.log('🔑 Password reset requested:', user.email);
+        }
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.resetSent')
+        });
+    } catch (error) {
+        console.error('❌ Password-reset request error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.resetRequest') });
+    }
+});
+
+router.post('/password-reset/confirm', async (req, res) => {
+    try {
+        const { token, password, confirmPassword } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: req.t('auth.errors.tokenAndPasswordRequired') });
+        }
+
+        if (confirmPassword && password !== confirmPassword) {
+            return res.status(400).json({ error: req.t('auth.errors.passwordMismatch') });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: req.t('auth.errors.passwordTooShort', { min: MIN_PASSWORD_LENGTH }) });
+        }
+
+        const { user, decoded, error } = await loadUserForActionToken(req, token, 'password_reset');
+        if (error) {
+            return res.status(400).json({ success: false, ...error });
+        }
+
+        authTokens.consumeActionToken(user, decoded);
+        user.password = password; // wird im pre-save Hook gehasht
+        user.security.lastPasswordChange = new Date();
+        // Wer das Postfach kontrolliert, darf auch eine Sperre aufheben - speichert alle Änderungen
+        await user.resetLoginAttempts();
+
+        // Alle bestehenden Sitzungen beenden - ein evtl. Angreifer fliegt raus
+        await authTokens.revokeAllSessions(user._id, 'password_change');
+
+        console.log('🔑 Password reset completed:', user.email);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.passwordChanged')
+        });
+    } catch (error) {
+        if (error.code === 'ACTION_TOKEN_USED') {
+            return res.status(400).json({ success: false, error: i18n.translateError(req.language, error), code: error.code });
+        }
+        console.error('❌ Password-reset confirm error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.resetConfirm') });
+    }
+});
+
+// ========================================
+// ADMIN: ACCOUNT ENTSPERREN
+// ========================================
+router.post('/admin/unlock', requireAuth, rejectApiKey, requireAdmin, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: req.t('auth.errors.emailRequired') });
+        }
+
+        const user = await users.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            return res.status(404).json({ error: req.t('auth.errors.userNotFound') });
+        }
+
+        await user.resetLoginAttempts();
+        console.log(`🔓 Account unlocked by ${req.user.email}: ${user.email}`);
+
+        res.json({
+            success: true,
+            message: req.t('auth.messages.unlocked'),
+            account: { email: user.email, ...user.getLockStatus() }
+        });
+    } catch (error) {
+        console.error('❌ Unlock error:', error);
+        res.status(500).json({ error: req.t('auth.errors.server.unlock') });
+    }
+});
+
+// Gesperrter Account (Login oder /2fa/verify) - mit Sperrdauer für den Client
+function sendAccountLocked(req, res, user) {
+    return res.status(423).json({
+        success: false,
+        error: req.t('auth.errors.accountLocked'),
+        code: 'ACCOUNT_LOCKED',
+        ...user.getLockStatus()
+    });
+}
+
+// Antwort nach vollständiger Anmeldung (Login ohne 2FA oder /2fa/verify)
+function buildLoginResponse(req, user, tokens) {
+    return {
+        success: true,
+        message: req.t('auth.messages.loggedIn'),
+        token: tokens.accessToken,
+        ...tokens,
+        user: {
+            id: user._id,
+            email: user.email,
+            name: user.fullName || `${user.firstName} ${user.lastName}`,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            role: user.role,
+            features: user.getFeatureFlags()
+        }
+    };
+}
+
+// Basis-URL für Links in Mails
+function getAppUrl(req) {
+    return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+async function sendVerificationLink(req, user) {
+    const token = await authTokens.issueActionToken(user, 'email_verification');
+    return mailer.sendVerificationEmail(user, `${getAppUrl(req)}/login?verifyToken=${encodeURIComponent(token)}`);
+}
+
+// Prüft Signatur/Ablauf eines Einmal-Tokens und lädt den zugehörigen User
+async function loadUserForActionToken(req, token, purpose) {
+    const invalidLink = { error: req.t('auth.errors.invalidLink'), code: 'INVALID_ACTION_TOKEN' };
+
+    let decoded;
+    try {
+        decoded = authTokens.verifyActionToken(token, purpose);
+    } catch (error) {
+        return {
+            error: error.name === 'TokenExpiredError'
+                ? { error: req.t('auth.errors.linkExpired'), code: 'ACTION_TOKEN_EXPIRED' }
+                : invalidLink
+        };
+    }
+
+    const user = await users.findById(decoded.userId);
+    if (!user || !user.isActive) {
+        return { error: invalidLink };
+    }
+
+    return { user, decoded };
+}
+
+function getSessionIdFromRequest(req) {
+    const { refreshToken } = req.body || {};
+
+    if (refreshToken) {
+        try {
+            return authTokens.verifyRefreshToken(refreshToken).fid;
+        } catch (error) {
+            // Abgelaufene/ungültige Tokens: nichts zu widerrufen
+        }
+    }
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        try {
+            return jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET).sid;
+        } catch (error) {
+            // Ungültiger Access Token: nichts zu widerrufen
+        }
+    }
+
+    return null;
+}
+
 console.log('✅ Auth routes: All routes configured with debug');
 
 module.exports = router;
\ No newline at end of file
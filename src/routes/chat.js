@@ -1,5 +1,17 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const { requireFeature, requireAdmin } = require('../middleware/auth');
+const { chats: chatRepository, profiles: profileRepository } = require('../repositories');
+const llmProviders = require('../services/llmProviders');
+const contextWindow = require('../services/contextWindow');
+const usageMeter = require('../services/usageMeter');
+const memoryStore = require('../services/memoryStore');
+const i18n = require('../services/i18n');
+const { isStructuredOutputError } = require('../services/structuredOutput');
+const Profile = require('../models/Profile');
+
+const MAX_MESSAGE_LENGTH = 10000; // wie messageSchema.content.maxlength
 
 console.log('✅ Chat routes: Basic setup complete');
 
@@ -11,6 +23,401 @@ try {
     console.error('❌ Chat routes: Error importing OpenAI service:', error.message);
 }
 
+// ========================================
+// MAIN CHAT ROUTE (PERSISTENTE CHATS)
+// ========================================
+
+const createChatError = (message, status, code) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const isQuotaError = (error) => error.code === 'USAGE_QUOTA_EXCEEDED';
+
+// Texte in der Sprache der Anfrage - Fehler mit code aus Services über errors.<code> (src/locales)
+const sendChatError = (req, res, error) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: i18n.translateError(req.language, error),
+            ...(error.code && { code: error.code }),
+            ...(error.quota && { period: error.period, quota: error.quota })
+        });
+    }
+
+    console.error('Chat Error:', error);
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({
+        error: req.t('chat.errors.processing'),
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Gemeinsamer Anfang von POST /api/chat und /api/chat/stream:
+// prüft die Eingabe, lädt oder erstellt den Chat und speichert die Nutzernachricht.
+// Verzweigungen (nur mit chatId):
+// - regenerate: true - neue Antwort auf die letzte Nutzernachricht des angezeigten Zweigs,
+//   die bisherige Antwort bleibt als Alternative erhalten (ohne message)
+// - editMessageId - geänderte Fassung einer früheren Nutzernachricht, ab dort ein neuer Zweig
+const startChatTurn = async (req) => {
+    const { message, profileId, chatId, provider, model, regenerate, editMessageId } = req.body;
+
+    if (regenerate !== undefined && typeof regenerate !== 'boolean') {
+        throw createChatError(req.t('chat.errors.regenerateBoolean'), 400);
+    }
+
+    if ((regenerate || editMessageId) && !chatId) {
+        throw createChatError(req.t('chat.errors.chatIdRequired'), 400);
+    }
+
+    if (regenerate && editMessageId) {
+        throw createChatError(req.t('chat.errors.regenerateWithEdit'), 400);
+    }
+
+    if (!regenerate) {
+        if (!message || typeof message !== 'string' || message.trim().length === 0) {
+            throw createChatError(req.t('common.messageRequired'), 400);
+        }
+
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            throw createChatError(req.t('chat.errors.messageTooLong', { max: MAX_MESSAGE_LENGTH }), 400);
+        }
+    }
+
+    for (const [field, value] of [['chatId', chatId], ['profileId', profileId], ['editMessageId', editMessageId]]) {
+        if (value && !mongoose.isValidObjectId(value)) {
+            throw createChatError(req.t('chat.errors.invalidId', { field }), 400);
+        }
+    }
+
+    if ((provider !== undefined || model !== undefined) && !llmProviders.canSelectPerCall(req.user)) {
+        throw createChatError(req.t('common.llmSelectionForbidden'), 403, 'LLM_SELECTION_FORBIDDEN');
+    }
+
+    if (provider !== undefined && (typeof provider !== 'string' || !llmProviders.has(provider))) {
+        throw createChatError(req.t('common.unknownProvider'), 400, 'UNKNOWN_LLM_PROVIDER');
+    }
+
+    if (model !== undefined && (typeof model !== 'string' || !model.trim() || model.length > 100)) {
+        throw createChatError(req.t('common.invalidModel'), 400);
+    }
+
+    // Vor dem Speichern der Nachricht, damit ein abgelehnter Turn keine Spuren hinterlässt
+    await usageMeter.assertWithinQuota(req.user.id);
+
+    // Bestehenden Chat laden (nur eigene, nicht archivierte)
+    let chat = null;
+    if (chatId) {
+        chat = await chatRepository.findById(chatId);
+
+        if (!chat || !chat.userId.equals(req.user.id)) {
+            throw createChatError(req.t('chat.errors.chatNotFound'), 404);
+        }
+
+        if (chat.status === 'archived') {
+            throw createChatError(req.t('chat.errors.chatArchived'), 409, 'CHAT_ARCHIVED');
+        }
+
+        if (profileId && String(chat.profileId) !== String(profileId)) {
+            throw createChatError(req.t('chat.errors.otherProfile'), 400);
+        }
+    }
+
+    // Profil-Kontext laden
+    const effectiveProfileId = chat ? chat.profileId : profileId;
+    let profile = null;
+    if (effectiveProfileId) {
+        profile = await profileRepository.findById(effectiveProfileId);
+
+        if (!profile || !profile.userId.equals(req.user.id) || !profile.isActive) {
+            throw createChatError(req.t('chat.errors.profileNotFound'), 404);
+        }
+    }
+
+    // Ein Modell aus der Anfrage gehört zum Provider der Anfrage, sonst zu dem des Profils
+    const requestProvider = provider || profile?.llm?.provider || llmProviders.getDefaultName();
+    if (model !== undefined && !llmProviders.isModelAllowed(requestProvider, model.trim())) {
+        throw createChatError(req.t('common.modelNotAllowed'), 400, 'LLM_MODEL_NOT_ALLOWED');
+    }
+
+    // Modellwahl: Anfrage vor Profil vor Umgebung (LLM_PROVIDER / LLM_MODEL)
+    const selection = llmProviders.resolve({ provider, model: model?.trim() }, profile?.llm);
+
+    const isNewChat = !chat;
+    if (isNewChat) {
+        chat = await chatRepository.create({
+            userId: req.user.id,
+            profileId: profile ? profile._id : null,
+            context: {
+                environment: req.user.isApiUser ? 'api' : 'web',
+                sessionId: req.user.sessionId || null,
+                userAgent: req.get('User-Agent') || null,
+                location: { language: req.user.preferences?.language }
+            }
+        });
+    }
+
+    // Angezeigter Zweig - base ist der Verlauf vor der (neuen) Nutzernachricht
+    const path = chat.getActivePath();
+    let base = path;
+    let userMessage = null;
+
+    if (regenerate) {
+        const index = path.map(msg => msg.role).lastIndexOf('user');
+        if (index === -1) {
+            throw createChatError(req.t('chat.errors.nothingToRegenerate'), 409, 'NOTHING_TO_REGENERATE');
+        }
+        userMessage = path[index];
+        base = path.slice(0, index);
+    } else if (editMessageId) {
+        const index = path.findIndex(msg => msg._id.equals(editMessageId));
+        if (index === -1 || path[index].role !== 'user') {
+            throw createChatError(req.t('common.messageNotFound'), 404);
+        }
+        base = path.slice(0, index);
+    }
+
+    console.log('💬 Chat Request:', {
+        chatId: String(chat._id),
+        newChat: isNewChat,
+        mode: regenerate ? 'regenerate' : editMessageId ? 'edit' : 'message',
+        profile: profile?.name || 'Allgemein',
+        historyLength: base.length
+    });
+
+    // Verlauf vor der neuen Nachricht - wird als Kontext an das Modell gegeben
+    const conversationHistory = base
+        .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+        .map(msg => ({ role: msg.role, content: msg.content, id: msg._id }));
+
+    if (regenerate) {
+        // Die neue Antwort wird ein weiteres Kind der Nutzernachricht
+        chat.ensureTree();
+        chat.activeLeafId = userMessage._id;
+    } else {
+        const parentId = base.length > 0 ? base[base.length - 1]._id : null;
+        await chat.addMessage('user', message.trim(), {}, editMessageId ? { parentId } : {});
+        userMessage = chat.messages[chat.messages.length - 1];
+
+        if (profile) {
+            if (isNewChat) profile.chatHistory.push(chat._id);
+            await profile.incrementUsage();
+        }
+    }
+
+    return {
+        chat,
+        profile,
+        content: userMessage.content,
+        // Antwortsprache folgt der Nachricht, bei unklaren (kurzen) Nachrichten der Einstellung
+        language: i18n.forMessage(req, userMessage.content),
+        llm: { provider: selection.provider.name, model: selection.model },
+        conversationHistory,
+        userMessage
+    };
+};
+
+const meterFor = (turn, user) => ({ userId: user.id, profileId: turn.profile?._id, chatId: turn.chat._id });
+
+const usesMemory = (turn, user) => !!turn.profile && !!user.features?.memory;
+
+// options: { onDelta, signal } zum Streamen
+// Ältere Nachrichten gehen nur als Zusammenfassung ins Prompt (siehe contextWindow),
+// in Profil-Chats kommen die passenden Erinnerungen dazu (siehe memoryStore).
+// Das Modell darf die Tools nutzen, die der User selbst verwenden dürfte (siehe toolRegistry)
+const generateReply = async (turn, user, options = {}) => {
+    const openaiService = require('../services/openai');
+    const meter = meterFor(turn, user);
+    const { history, summary } = await contextWindow.prepare(turn.chat, turn.conversationHistory, { ...turn.llm, meter, language: turn.language });
+
+    let memories = [];
+    if (usesMemory(turn, user)) {
+        // Die letzte Nutzernachricht davor hilft bei Rückfragen wie "und am Wochenende?"
+        const previousQuestion = [...turn.conversationHistory].reverse().find(msg => msg.role === 'user')?.content || '';
+        memories = await memoryStore.retrieve(turn.profile._id, `${turn.content}\n${previousQuestion}`);
+    }
+
+    const callOptions = {
+        ...options,
+        ...turn.llm,
+        meter,
+        language: turn.language,
+        summary,
+        memories: memories.map(memory => memory.content),
+        toolContext: { user, chat: turn.chat, profile: turn.profile, language: turn.language }
+    };
+
+    return turn.profile
+        ? openaiService.contextualChatCompletion(turn.content, turn.profile.toObject(), history, callOptions)
+        : openaiService.quickChatCompletion(turn.content, { name: user.firstName }, history, callOptions);
+};
+
+// Neue Fakten fürs Profil-Gedächtnis - im Hintergrund, die Antwort wartet nicht darauf
+const rememberFacts = (turn, user) => {
+    if (usesMemory(turn, user)) {
+        memoryStore.scheduleExtraction(turn.chat, turn.profile, { ...turn.llm, meter: meterFor(turn, user), language: turn.language });
+    }
+};
+
+const saveReply = async (chat, completion) => {
+    await chat.addMessage('assistant', completion.content, {
+        tokenCount: completion.usage.completionTokens,
+        provider: completion.provider,
+        model: completion.model,
+        temperature: completion.temperature,
+        responseTime: completion.responseTime,
+        promptVersion: completion.promptVersion || null
+    }, { toolCalls: completion.toolCalls });
+    return chat.messages[chat.messages.length - 1];
+};
+
+// content gehört dazu, weil er nach Tool-Aufrufen vom gestreamten Text abweichen kann
+const toMessageInfo = (message) => ({
+    id: message._id,
+    timestamp: message.timestamp,
+    content: message.content,
+    toolCalls: (message.toolCalls || []).map(call => call.toObject()),
+    metadata: {
+        tokenCount: message.metadata.tokenCount,
+        provider: message.metadata.provider,
+        model: message.metadata.model,
+        responseTime: message.metadata.responseTime,
+        promptVersion: message.metadata.promptVersion
+    }
+});
+
+// POST /api/chat { message, profileId?, chatId?, provider?, model?, regenerate?, editMessageId? }
+// Legt einen Chat an oder führt ihn fort - regenerate / editMessageId siehe startChatTurn
+router.post('/', async (req, res) => {
+    try {
+        const turn = await startChatTurn(req);
+        const { chat, userMessage } = turn;
+
+        let completion;
+        try {
+            completion = await generateReply(turn, req.user);
+        } catch (openaiError) {
+            if (isQuotaError(openaiError)) return sendChatError(req, res, openaiError);
+            console.error('OpenAI Chat Error:', openaiError);
+
+            // Fallback wird nicht gespeichert, damit er später nicht als Kontext ans Modell geht
+            return res.json({
+                success: true,
+                chatId: chat._id,
+                title: chat.title,
+                aiResponse: i18n.t(turn.language, 'chat.fallback'),
+                fallback: true,
+                userMessage: { id: userMessage._id, timestamp: userMessage.timestamp },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const assistantMessage = await saveReply(chat, completion);
+        rememberFacts(turn, req.user);
+
+        res.json({
+            success: true,
+            chatId: chat._id,
+            title: chat.title,
+            aiResponse: completion.content,
+            userMessage: { id: userMessage._id, timestamp: userMessage.timestamp },
+            message: toMessageInfo(assistantMessage),
+            usage: completion.usage,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendChatError(req, res, error);
+    }
+});
+
+// POST /api/chat/stream - Body wie POST /api/chat, Antwort als Server-Sent Events:
+// start { chatId, title, userMessage } -> delta { content }* -> done { message, usage } | error { error, code }
+// Schließt der Client die Verbindung, wird die Generierung abgebrochen und der Teiltext gespeichert
+router.post('/stream', async (req, res) => {
+    let turn;
+    try {
+        turn = await startChatTurn(req);
+    } catch (error) {
+        return sendChatError(req, res, error);
+    }
+
+    const { chat, userMessage } = turn;
+
+    // no-transform: compression() puffert sonst die Events
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) abortController.abort();
+    });
+
+    sendEvent('start', {
+        chatId: chat._id,
+        title: chat.title,
+        userMessage: { id: userMessage._id, timestamp: userMessage.timestamp }
+    });
+
+    try {
+        const completion = await generateReply(turn, req.user, {
+            signal: abortController.signal,
+            onDelta: (content) => sendEvent('delta', { content })
+        });
+
+        if (completion.aborted) {
+            console.log(`⏹️ Chat stream cancelled: ${chat._id} (${completion.content.length} Zeichen)`);
+        }
+
+        // Auch ein abgebrochener Teiltext wird gespeichert - der Nutzer hat ihn schon gesehen
+        if (!completion.content) {
+            return res.end();
+        }
+
+        const assistantMessage = await saveReply(chat, completion);
+        rememberFacts(turn, req.user);
+
+        sendEvent('done', {
+            chatId: chat._id,
+            title: chat.title,
+            aborted: completion.aborted,
+            message: toMessageInfo(assistantMessage),
+            usage: completion.usage,
+            timestamp: new Date().toISOString()
+        });
+        res.end();
+
+    } catch (error) {
+        if (isQuotaError(error)) {
+            sendEvent('error', { error: i18n.translateError(req.language, error), code: error.code, period: error.period, quota: error.quota });
+            return res.end();
+        }
+
+        console.error('Chat Stream Error:', error);
+
+        sendEvent('error', {
+            error: i18n.t(turn.language, 'chat.fallback'),
+            code: 'AI_UNAVAILABLE'
+        });
+        res.end();
+    }
+});
+
 // Quick Chat Route (for general questions without profile context)
 router.post('/quick', async (req, res) => {
     try {
@@ -18,10 +425,12 @@ router.post('/quick', async (req, res) => {
 
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({
-                error: 'Nachricht ist erforderlich'
+                error: req.t('common.messageRequired')
             });
         }
 
+        const language = i18n.forMessage(req, message);
+
         console.log('Quick Chat Request:', { 
             message: message.substring(0, 50) + '...', 
             user: userContext?.name || 'Anonymous'
@@ -29,7 +438,7 @@ router.post('/quick', async (req, res) => {
 
         try {
             const openaiService = require('../services/openai');
-            const response = await openaiService.quickChat(message, userContext || {});
+            const response = await openaiService.quickChat(message, userContext || {}, { meter: { userId: req.user.id }, language });
 
             res.json({
                 success: true,
@@ -37,10 +446,11 @@ router.post('/quick', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         } catch (openaiError) {
+            if (isQuotaError(openaiError)) return sendChatError(req, res, openaiError);
             console.error('OpenAI Quick Chat Error:', openaiError);
             
             // Fallback response when OpenAI fails
-            const fallbackResponse = "Entschuldigung, ich habe gerade technische Probleme mit der KI. Können Sie Ihre Frage nochmal stellen oder es später versuchen?";
+            const fallbackResponse = i18n.t(language, 'chat.quickFallback');
             
             res.json({
                 success: true,
@@ -53,23 +463,25 @@ router.post('/quick', async (req, res) => {
     } catch (error) {
         console.error('Quick Chat Error:', error);
         res.status(500).json({
-            error: 'Fehler beim Verarbeiten der Nachricht',
+            error: req.t('chat.errors.processing'),
             timestamp: new Date().toISOString()
         });
     }
 });
 
 // Profile Interview Route
-router.post('/interview', async (req, res) => {
+router.post('/interview', requireFeature('profileInterview'), async (req, res) => {
     try {
         const { message, conversationHistory, profileData } = req.body;
 
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({
-                error: 'Nachricht ist erforderlich'
+                error: req.t('common.messageRequired')
             });
         }
 
+        const language = i18n.forMessage(req, message);
+
         console.log('Interview Request:', { 
             message: message.substring(0, 50) + '...', 
             historyLength: conversationHistory?.length || 0,
@@ -81,7 +493,8 @@ router.post('/interview', async (req, res) => {
             const response = await openaiService.profileInterview(
                 message,
                 conversationHistory || [],
-                profileData || {}
+                profileData || {},
+                { meter: { userId: req.user.id }, language }
             );
 
             res.json({
@@ -90,6 +503,7 @@ router.post('/interview', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         } catch (openaiError) {
+            if (isQuotaError(openaiError)) return sendChatError(req, res, openaiError);
             console.error('OpenAI Interview Error:', openaiError);
             
             // Intelligent fallback based on conversation stage
@@ -97,11 +511,11 @@ router.post('/interview', async (req, res) => {
             const historyLength = conversationHistory?.length || 0;
             
             if (historyLength === 0) {
-                fallbackResponse = `Perfekt! Ich erstelle ein "${message}" Profil für dich. Erzählen Sie mir mehr darüber. Was sind Ihre Hauptziele in diesem Bereich?`;
+                fallbackResponse = i18n.t(language, 'chat.interviewFallback.first', { name: message });
             } else if (historyLength < 3) {
-                fallbackResponse = "Das ist interessant! Können Sie mir mehr Details dazu geben? Was ist dabei besonders wichtig für Sie?";
+                fallbackResponse = i18n.t(language, 'chat.interviewFallback.early');
             } else {
-                fallbackResponse = "Vielen Dank für diese Informationen! Haben Sie noch weitere Aspekte, die wichtig für Ihr Profil sind?";
+                fallbackResponse = i18n.t(language, 'chat.interviewFallback.late');
             }
             
             res.json({
@@ -115,23 +529,29 @@ router.post('/interview', async (req, res) => {
     } catch (error) {
         console.error('Interview Error:', error);
         res.status(500).json({
-            error: 'Fehler beim Interview-Prozess',
+            error: req.t('chat.errors.interview'),
             timestamp: new Date().toISOString()
         });
     }
 });
 
 // Extract Profile Data Route
-router.post('/extract-profile', async (req, res) => {
+router.post('/extract-profile', requireFeature('profileInterview'), async (req, res) => {
     try {
         const { conversationHistory } = req.body;
 
         if (!conversationHistory || !Array.isArray(conversationHistory) || conversationHistory.length === 0) {
             return res.status(400).json({
-                error: 'Gesprächsverlauf ist erforderlich'
+                error: req.t('chat.errors.historyRequired')
             });
         }
 
+        // Die Profildaten folgen der Sprache, in der das Interview geführt wurde
+        const language = i18n.forMessage(req, conversationHistory
+            .filter(msg => msg?.role === 'user')
+            .map(msg => msg.content)
+            .join('\n'));
+
         console.log('Extract Profile Request:', { 
             historyLength: conversationHistory.length,
             firstMessage: conversationHistory[0]?.content?.substring(0, 30) + '...'
@@ -139,7 +559,7 @@ router.post('/extract-profile', async (req, res) => {
 
         try {
             const openaiService = require('../services/openai');
-            const profileData = await openaiService.extractProfileData(conversationHistory);
+            const profileData = await openaiService.extractProfileData(conversationHistory, { meter: { userId: req.user.id }, language });
 
             res.json({
                 success: true,
@@ -147,35 +567,19 @@ router.post('/extract-profile', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         } catch (openaiError) {
+            // Auch nach Korrekturversuchen ungültig -> 502 mit code INVALID_STRUCTURED_OUTPUT,
+            // KI nicht erreichbar -> 502 mit code LLM_UNAVAILABLE; der Client kann es erneut
+            // versuchen - kein Profil aus geratenen Daten
+            if (isQuotaError(openaiError) || isStructuredOutputError(openaiError)) return sendChatError(req, res, openaiError);
             console.error('OpenAI Extract Profile Error:', openaiError);
-            
-            // Fallback profile data extraction
-            const firstUserMessage = conversationHistory.find(msg => msg.role === 'user');
-            const profileName = firstUserMessage ? firstUserMessage.content.substring(0, 50) : 'Neues Profil';
-            
-            const fallbackProfile = {
-                name: profileName,
-                category: "general",
-                goals: ["Unterstützung erhalten"],
-                preferences: ["Personalisierte Hilfe"],
-                challenges: [],
-                frequency: "woechentlich",
-                experience: "anfaenger",
-                notes: "Automatisch erstellt - KI-Extraktion fehlgeschlagen"
-            };
-            
-            res.json({
-                success: true,
-                profileData: fallbackProfile,
-                fallback: true,
-                timestamp: new Date().toISOString()
-            });
+
+            sendChatError(req, res, createChatError(req.t('errors.LLM_UNAVAILABLE'), 502, 'LLM_UNAVAILABLE'));
         }
 
     } catch (error) {
         console.error('Extract Profile Error:', error);
         res.status(500).json({
-            error: 'Fehler beim Extrahieren der Profildaten',
+            error: req.t('chat.errors.extractProfile'),
             timestamp: new Date().toISOString()
         });
     }
@@ -188,10 +592,12 @@ router.post('/contextual', async (req, res) => {
 
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
             return res.status(400).json({
-                error: 'Nachricht ist erforderlich'
+                error: req.t('common.messageRequired')
             });
         }
 
+        const language = i18n.forMessage(req, message);
+
         console.log('Contextual Chat Request:', { 
             message: message.substring(0, 50) + '...', 
             profile: profileData?.name || 'Unbekannt',
@@ -203,7 +609,8 @@ router.post('/contextual', async (req, res) => {
             const response = await openaiService.contextualChat(
                 message, 
                 profileData || {}, 
-                conversationHistory || []
+                conversationHistory || [],
+                { meter: { userId: req.user.id }, language }
             );
 
             res.json({
@@ -212,17 +619,13 @@ router.post('/contextual', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         } catch (openaiError) {
+            if (isQuotaError(openaiError)) return sendChatError(req, res, openaiError);
             console.error('OpenAI Contextual Chat Error:', openaiError);
             
             // Contextual fallback based on profile
-            let fallbackResponse;
-            if (profileData?.category === 'sport') {
-                fallbackResponse = "Ich verstehe Ihre Frage zum Thema Sport. Leider habe ich gerade technische Probleme, aber ich bin hier um Ihnen bei Ihren Fitnesszielen zu helfen. Können Sie es nochmal versuchen?";
-            } else if (profileData?.category === 'kochen') {
-                fallbackResponse = "Ihre Kochfrage ist interessant! Leider habe ich gerade technische Probleme. Ich helfe gerne bei Rezepten und Kochtipps - versuchen Sie es nochmal.";
-            } else {
-                fallbackResponse = "Ich verstehe Ihre Frage. Leider habe ich gerade technische Probleme mit der KI-Verbindung. Können Sie es nochmal versuchen?";
-            }
+            const category = Profile.normalizeCategory(profileData?.category);
+            const fallbackResponse = i18n.get(language, `chat.contextualFallback.${category}`)
+                || i18n.t(language, 'chat.contextualFallback.general');
             
             res.json({
                 success: true,
@@ -235,7 +638,7 @@ router.post('/contextual', async (req, res) => {
     } catch (error) {
         console.error('Contextual Chat Error:', error);
         res.status(500).json({
-            error: 'Fehler beim kontextuellen Chat',
+            error: req.t('chat.errors.contextual'),
             timestamp: new Date().toISOString()
         });
     }
@@ -248,7 +651,7 @@ router.post('/suggestions', async (req, res) => {
 
         if (!profileData || typeof profileData !== 'object') {
             return res.status(400).json({
-                error: 'Profildaten sind erforderlich'
+                error: req.t('chat.errors.profileDataRequired')
             });
         }
 
@@ -262,7 +665,8 @@ router.post('/suggestions', async (req, res) => {
             const openaiService = require('../services/openai');
             const suggestions = await openaiService.generateSuggestions(
                 profileData,
-                context || 'general'
+                context || 'general',
+                { meter: { userId: req.user.id }, language: req.language }
             );
 
             res.json({
@@ -271,10 +675,11 @@ router.post('/suggestions', async (req, res) => {
                 timestamp: new Date().toISOString()
             });
         } catch (openaiError) {
+            if (isQuotaError(openaiError)) return sendChatError(req, res, openaiError);
             console.error('OpenAI Suggestions Error:', openaiError);
             
             // Fallback suggestions based on category
-            const fallbackSuggestions = this.getFallbackSuggestionsByCategory(profileData.category);
+            const fallbackSuggestions = getFallbackSuggestionsByCategory(Profile.normalizeCategory(profileData.category), req.language);
             
             res.json({
                 success: true,
@@ -287,31 +692,33 @@ router.post('/suggestions', async (req, res) => {
     } catch (error) {
         console.error('Suggestions Error:', error);
         res.status(500).json({
-            error: 'Fehler beim Generieren von Vorschlägen',
+            error: req.t('chat.errors.suggestions'),
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Test OpenAI Connection
-router.get('/test', async (req, res) => {
+// Test OpenAI Connection - echte Completion, daher nur für Admins und als Verbrauch erfasst
+router.get('/test', requireAdmin, async (req, res) => {
     try {
         const openaiService = require('../services/openai');
-        const result = await openaiService.testConnection();
+        await usageMeter.assertWithinQuota(req.user.id);
+        const result = await openaiService.testConnection({ meter: { userId: req.user.id }, language: req.language });
         
         res.json({
             success: result.success,
-            message: result.success ? 'OpenAI Verbindung erfolgreich!' : 'OpenAI Verbindung fehlgeschlagen',
+            message: req.t(result.success ? 'chat.connection.success' : 'chat.connection.failed'),
             details: result.success ? result.response : result.error,
+            code: result.code,
             apiStatus: openaiService.getStatus(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        if (isQuotaError(error)) return sendChatError(req, res, error);
         console.error('Test Connection Error:', error);
         res.status(500).json({
             success: false,
-            message: 'Verbindungstest fehlgeschlagen',
-            error: error.message,
+            message: req.t('chat.connection.testFailed'),
             timestamp: new Date().toISOString()
         });
     }
@@ -325,7 +732,7 @@ router.get('/health', (req, res) => {
         
         res.json({
             success: true,
-            message: 'Chat API läuft',
+            message: req.t('chat.health.ok'),
             openai: status,
             environment: {
                 nodeEnv: process.env.NODE_ENV || 'development',
@@ -337,25 +744,18 @@ router.get('/health', (req, res) => {
         console.error('Health Check Error:', error);
         res.status(500).json({
             success: false,
-            message: 'Chat API Health Check fehlgeschlagen',
-            error: error.message,
+            message: req.t('chat.health.failed'),
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Service status route
-router.get('/status', async (req, res) => {
+// Service status route - nur die Konfiguration, ohne Modellaufruf (Verbindungstest: GET /test)
+router.get('/status', (req, res) => {
     try {
         const openaiService = require('../services/openai');
         const serviceStatus = openaiService.getStatus();
-        
-        // Test connection if configured
-        let connectionTest = { success: false, error: 'Not configured' };
-        if (serviceStatus.configured) {
-            connectionTest = await openaiService.testConnection();
-        }
-        
+
         res.json({
             service: {
                 name: 'OpenAI Chat Service',
@@ -364,9 +764,12 @@ router.get('/status', async (req, res) => {
             },
             configuration: {
                 apiKeyPresent: serviceStatus.apiKeyPresent,
-                configured: serviceStatus.configured
+                configured: serviceStatus.configured,
+                provider: serviceStatus.provider,
+                model: serviceStatus.model,
+                providers: serviceStatus.providers,
+                allowedModels: serviceStatus.allowedModels
             },
-            connection: connectionTest,
             capabilities: {
                 quickChat: true,
                 profileInterview: true,
@@ -380,88 +783,15 @@ router.get('/status', async (req, res) => {
         console.error('Status Check Error:', error);
         res.status(500).json({
             success: false,
-            error: error.message,
+            error: req.t('chat.errors.status'),
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Helper function for fallback suggestions
-function getFallbackSuggestionsByCategory(category) {
-    const suggestions = {
-        sport: [
-            {
-                title: "Trainingsplan erstellen",
-                description: "Entwickle einen personalisierten Trainingsplan basierend auf deinen Zielen",
-                action: "Erzähle mir von deinen Fitnesszielen",
-                priority: "high"
-            },
-            {
-                title: "Fortschritt tracken",
-                description: "Verfolge deine sportlichen Erfolge und Verbesserungen",
-                action: "Teile deine aktuellen Leistungen mit mir",
-                priority: "medium"
-            }
-        ],
-        kochen: [
-            {
-                title: "Neues Rezept ausprobieren",
-                description: "Entdecke ein Rezept, das zu deinen Vorlieben und Fähigkeiten passt",
-                action: "Sage mir, was du gerne isst und kochst",
-                priority: "high"
-            },
-            {
-                title: "Kochtechniken lernen",
-                description: "Verbessere deine Kochfähigkeiten mit neuen Techniken",
-                action: "Frage mich nach spezifischen Kochtechniken",
-                priority: "medium"
-            }
-        ],
-        arbeit: [
-            {
-                title: "Produktivität steigern",
-                description: "Optimiere deine Arbeitsabläufe und Zeit-Management",
-                action: "Erzähle mir von deinen aktuellen Herausforderungen",
-                priority: "high"
-            },
-            {
-                title: "Fähigkeiten entwickeln",
-                description: "Identifiziere Bereiche für berufliche Weiterentwicklung",
-                action: "Teile deine Karriereziele mit mir",
-                priority: "medium"
-            }
-        ],
-        lernen: [
-            {
-                title: "Lernplan erstellen",
-                description: "Entwickle eine strukturierte Herangehensweise für dein Lernziel",
-                action: "Beschreibe, was du lernen möchtest",
-                priority: "high"
-            },
-            {
-                title: "Lernmethoden optimieren",
-                description: "Finde die beste Lernstrategie für deinen Lerntyp",
-                action: "Erzähle mir, wie du am besten lernst",
-                priority: "medium"
-            }
-        ],
-        general: [
-            {
-                title: "Profil vervollständigen",
-                description: "Teile mehr Informationen, um bessere personalisierte Empfehlungen zu erhalten",
-                action: "Erzähle mir mehr über deine Ziele und Interessen",
-                priority: "medium"
-            },
-            {
-                title: "Neue Gespräche starten",
-                description: "Beginne ein Gespräch über ein Thema, das dich interessiert",
-                action: "Stelle mir eine Frage zu einem beliebigen Thema",
-                priority: "low"
-            }
-        ]
-    };
-
-    return suggestions[category] || suggestions.general;
+// Helper function for fallback suggestions (suggestions.<category> in src/locales)
+function getFallbackSuggestionsByCategory(category, language) {
+    return i18n.get(language, `suggestions.${category}`) || i18n.get(language, 'suggestions.general');
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,534 @@
+/**
+ * 🗂️ CHAT HISTORY ROUTES
+ * Gespeicherte Unterhaltungen auflisten, öffnen, umbenennen, taggen, archivieren und löschen
+ *
+ * Nachrichten werden über POST /api/chat geschrieben - hier geht es nur um die Verwaltung,
+ * das Feedback (Daumen, Sterne, Kommentar) zu einzelnen Antworten, den Wechsel zwischen
+ * Zweigen (neu generierte Antworten, bearbeitete Fragen) und das Bestätigen oder Ablehnen
+ * von Aktionen, die der Assistent vorschlägt (Tool-Aufrufe).
+ * Die Liste ist nach letzter Aktivität sortiert und wird per Cursor geblättert:
+ * GET /api/chats?limit=20 -> { chats, nextCursor } -> GET /api/chats?cursor=<nextCursor>
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { requireOwnership } = require('../middleware/auth');
+const { chats: chatRepository, profiles: profileRepository } = require('../repositories');
+const toolRegistry = require('../services/toolRegistry');
+const i18n = require('../services/i18n');
+
+const CHAT_STATUSES = ['active', 'paused', 'completed', 'archived'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const MAX_FEEDBACK_COMMENT_LENGTH = 500;
+
+const CHAT_LIST_FIELDS = 'profileId title description tags status stats.messageCount stats.lastActivity archival.archivedAt createdAt updatedAt';
+
+// ========================================
+// HELPERS
+// ========================================
+
+// Cursor = letzte Aktivität + ID des letzten Eintrags (ID entscheidet bei gleicher Zeit)
+const encodeCursor = (chat) => Buffer
+    .from(`${new Date(chat.stats.lastActivity).toISOString()}|${chat._id}`)
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const [lastActivity, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    const date = new Date(lastActivity);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return { lastActivity: date, id: new mongoose.Types.ObjectId(id) };
+};
+
+const normalizeTags = (tags) => [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+const toListItem = (chat) => ({
+    id: chat._id,
+    profileId: chat.profileId || null,
+    title: chat.title,
+    description: chat.description,
+    tags: chat.tags || [],
+    status: chat.status,
+    messageCount: chat.stats?.messageCount || 0,
+    lastActivity: chat.stats?.lastActivity,
+    archivedAt: chat.archival?.archivedAt || null,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt
+});
+
+// Alternativen zu einer Nachricht: { index, count, siblingIds } oder null ohne Verzweigung
+const toBranchInfo = (chat, message) => {
+    const siblings = chat.getSiblings(message);
+    if (siblings.length < 2) return null;
+
+    return {
+        index: siblings.findIndex(entry => entry._id.equals(message._id)),
+        count: siblings.length,
+        siblingIds: siblings.map(entry => entry._id)
+    };
+};
+
+// messages = nur der angezeigte Zweig (activeLeafId), Wechsel über POST /:id/branch
+const toDetail = (chat) => ({
+    ...toListItem(chat),
+    activeLeafId: chat.activeLeafId || null,
+    messages: chat.getActivePath().map(message => ({
+        id: message._id,
+        parentId: message.parentId || null,
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        metadata: message.metadata,
+        feedback: message.feedback,
+        toolCalls: message.toolCalls || [],
+        branch: toBranchInfo(chat, message)
+    })),
+    stats: chat.stats,
+    quality: chat.analysis?.quality || null,
+    summary: chat.context?.summary?.text
+        ? {
+            text: chat.context.summary.text,
+            coveredMessageCount: chat.context.summary.coveredMessageCount,
+            updatedAt: chat.context.summary.updatedAt
+        }
+        : null
+});
+
+console.log('✅ Chat history routes: Setting up routes...');
+
+// ========================================
+// LIST & DETAIL
+// ========================================
+
+// GET /api/chats?profileId=<id>|none&status=archived&tag=arbeit&limit=20&cursor=...
+// Ohne status-Filter werden archivierte Chats ausgeblendet
+router.get('/', async (req, res) => {
+    try {
+        const { profileId, status, tag, cursor } = req.query;
+        const filter = { userId: req.user.id };
+
+        if (profileId === 'none') {
+            filter.profileId = null;
+        } else if (profileId) {
+            if (!mongoose.isValidObjectId(profileId)) {
+                return res.status(400).json({ error: req.t('chats.errors.invalidProfileId') });
+            }
+            filter.profileId = profileId;
+        }
+
+        if (status) {
+            if (!CHAT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: req.t('chats.errors.invalidStatus', { statuses: CHAT_STATUSES.join(', ') }) });
+            }
+            filter.status = status;
+        } else {
+            filter.status = { $ne: 'archived' };
+        }
+
+        if (tag) {
+            filter.tags = String(tag).trim().toLowerCase();
+        }
+
+        if (cursor) {
+            const position = decodeCursor(cursor);
+            if (!position) {
+                return res.status(400).json({ error: req.t('chats.errors.invalidCursor') });
+            }
+            filter.$or = [
+                { 'stats.lastActivity': { $lt: position.lastActivity } },
+                { 'stats.lastActivity': position.lastActivity, _id: { $lt: position.id } }
+            ];
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        // Einen mehr laden, um zu wissen, ob es eine weitere Seite gibt
+        const page = await chatRepository.find(filter, {
+            select: CHAT_LIST_FIELDS,
+            sort: { 'stats.lastActivity': -1, _id: -1 },
+            limit: limit + 1,
+            lean: true
+        });
+
+        const hasMore = page.length > limit;
+        const chats = page.slice(0, limit);
+
+        res.json({
+            success: true,
+            chats: chats.map(toListItem),
+            nextCursor: hasMore ? encodeCursor(chats[chats.length - 1]) : null,
+            hasMore
+        });
+
+    } catch (error) {
+        console.error('List Chats Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.load') });
+    }
+});
+
+router.get('/:id', requireOwnership('Chat'), (req, res) => {
+    res.json({
+        success: true,
+        chat: toDetail(req.resource)
+    });
+});
+
+// POST /api/chats/:id/branch { messageId } - zeigt den Zweig mit dieser Nachricht
+// (z.B. eine andere Antwort-Variante); darunter jeweils die neueste Fortsetzung
+router.post('/:id/branch', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+        const { messageId } = req.body;
+
+        if (!mongoose.isValidObjectId(messageId) || !chat.messages.id(messageId)) {
+            return res.status(404).json({ error: req.t('common.messageNotFound') });
+        }
+
+        await chat.selectBranch(messageId);
+
+        res.json({
+            success: true,
+            chat: toDetail(chat)
+        });
+
+    } catch (error) {
+        console.error('Select Branch Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.switchBranch') });
+    }
+});
+
+// ========================================
+// RENAME & TAGS
+// ========================================
+
+// PUT /api/chats/:id/title { title }
+router.put('/:id/title', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const { title } = req.body;
+
+        if (!title || typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: req.t('chats.errors.titleRequired') });
+        }
+
+        const chat = req.resource;
+        chat.title = title.trim();
+        await chat.save({ validateModifiedOnly: true });
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.renamed'),
+            chat: toListItem(chat)
+        });
+
+    } catch (error) {
+        console.error('Rename Chat Error:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: req.t('chats.errors.rename') });
+    }
+});
+
+// PUT /api/chats/:id/tags { tags: ['arbeit', 'ideen'] } - ersetzt alle Tags
+router.put('/:id/tags', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const { tags } = req.body;
+
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+            return res.status(400).json({ error: req.t('chats.errors.tagsList') });
+        }
+
+        const normalizedTags = normalizeTags(tags);
+
+        if (normalizedTags.length > MAX_TAGS) {
+            return res.status(400).json({ error: req.t('chats.errors.tooManyTags', { max: MAX_TAGS }) });
+        }
+
+        if (normalizedTags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+            return res.status(400).json({ error: req.t('chats.errors.tagTooLong', { max: MAX_TAG_LENGTH }) });
+        }
+
+        const chat = req.resource;
+        chat.tags = normalizedTags;
+        await chat.save({ validateModifiedOnly: true });
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.tagsUpdated'),
+            chat: toListItem(chat)
+        });
+
+    } catch (error) {
+        console.error('Update Chat Tags Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.saveTags') });
+    }
+});
+
+// ========================================
+// ARCHIVE & RESTORE
+// ========================================
+
+router.post('/:id/archive', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+
+        if (chat.status !== 'archived') {
+            await chat.archive();
+        }
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.archived'),
+            chat: toListItem(chat)
+        });
+
+    } catch (error) {
+        console.error('Archive Chat Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.archive') });
+    }
+});
+
+router.post('/:id/restore', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+
+        if (chat.status === 'archived') {
+            await chat.restore();
+        }
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.restored'),
+            chat: toListItem(chat)
+        });
+
+    } catch (error) {
+        console.error('Restore Chat Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.restore') });
+    }
+});
+
+// ========================================
+// FEEDBACK
+// ========================================
+
+// PUT /api/chats/:id/messages/:messageId/feedback { helpful?, rating?, comment? }
+// Nur Antworten des Assistenten; null setzt einen Wert zurück. Die Chat-Qualität wird neu berechnet.
+router.put('/:id/messages/:messageId/feedback', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+        const message = mongoose.isValidObjectId(req.params.messageId) ? chat.messages.id(req.params.messageId) : null;
+
+        if (!message) {
+            return res.status(404).json({ error: req.t('common.messageNotFound') });
+        }
+
+        if (message.role !== 'assistant') {
+            return res.status(400).json({ error: req.t('chats.errors.feedbackAssistantOnly') });
+        }
+
+        const { helpful, rating, comment } = req.body;
+        const feedback = {};
+
+        if (helpful !== undefined) {
+            if (helpful !== null && typeof helpful !== 'boolean') {
+                return res.status(400).json({ error: req.t('chats.errors.helpfulInvalid') });
+            }
+            feedback.helpful = helpful;
+        }
+
+        if (rating !== undefined) {
+            if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+                return res.status(400).json({ error: req.t('chats.errors.ratingInvalid') });
+            }
+            feedback.rating = rating;
+        }
+
+        if (comment !== undefined) {
+            if (typeof comment !== 'string' || comment.length > MAX_FEEDBACK_COMMENT_LENGTH) {
+                return res.status(400).json({ error: req.t('chats.errors.commentTooLong', { max: MAX_FEEDBACK_COMMENT_LENGTH }) });
+            }
+            feedback.comment = comment.trim();
+        }
+
+        if (Object.keys(feedback).length === 0) {
+            return res.status(400).json({ error: req.t('chats.errors.feedbackRequired') });
+        }
+
+        await chat.addFeedback(message._id, feedback);
+        await chat.calculateQuality();
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.feedbackSaved'),
+            feedback: message.feedback,
+            quality: chat.analysis.quality
+        });
+
+    } catch (error) {
+        console.error('Message Feedback Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.saveFeedback') });
+    }
+});
+
+// ========================================
+// TOOL CALLS
+// ========================================
+
+// Vorgeschlagener Tool-Aufruf einer Antwort -> { message, call } oder null
+const findToolCall = (chat, callId) => {
+    for (const message of chat.messages) {
+        const call = (message.toolCalls || []).find(entry => entry.callId === callId);
+        if (call) return { message, call };
+    }
+    return null;
+};
+
+const findPendingToolCall = (req, res) => {
+    const found = findToolCall(req.resource, req.params.callId);
+
+    if (!found) {
+        res.status(404).json({ error: req.t('chats.errors.toolCallNotFound') });
+        return null;
+    }
+
+    if (found.call.status !== 'pending') {
+        sendNotPending(req, res, found.call);
+        return null;
+    }
+
+    return found;
+};
+
+// Setzt den Status nur, solange der Aufruf noch pending ist - Prüfen und Setzen in einem Update,
+// damit doppelte Klicks oder Wiederholungen ihn nicht zweimal ausführen -> false, wenn schon bearbeitet
+const claimToolCall = async (chat, callId, status) => {
+    const matched = await chatRepository.updateOne(
+        { _id: chat._id, 'messages.toolCalls': { $elemMatch: { callId, status: 'pending' } } },
+        { $set: { 'messages.$[message].toolCalls.$[call].status': status } },
+        { arrayFilters: [{ 'message.toolCalls.callId': callId }, { 'call.callId': callId, 'call.status': 'pending' }] }
+    );
+    return matched > 0;
+};
+
+const sendNotPending = (req, res, call) => {
+    res.status(409).json({ error: req.t('errors.TOOL_CALL_NOT_PENDING'), code: 'TOOL_CALL_NOT_PENDING', toolCall: call });
+};
+
+// POST /api/chats/:id/tool-calls/:callId/confirm
+// Führt einen vorgeschlagenen Aufruf aus - Berechtigung und Argumente werden dabei erneut geprüft.
+// Während der Ausführung steht er auf 'running', eine zweite Bestätigung bekommt 409
+router.post('/:id/tool-calls/:callId/confirm', requireOwnership('Chat'), async (req, res) => {
+    const chat = req.resource;
+    const found = findPendingToolCall(req, res);
+    if (!found) return;
+
+    const { call } = found;
+
+    try {
+        if (!(await claimToolCall(chat, call.callId, 'running'))) {
+            return sendNotPending(req, res, { ...call.toObject(), status: 'running' });
+        }
+    } catch (error) {
+        console.error('Tool Call Claim Error:', error);
+        return res.status(500).json({ error: req.t('chats.errors.toolCallFailed') });
+    }
+
+    try {
+        const profile = chat.profileId ? await profileRepository.findById(chat.profileId) : null;
+        const result = await toolRegistry.execute(call.name, call.arguments, { user: req.user, chat, profile, language: req.language });
+
+        call.status = 'executed';
+        call.summary = result.summary || call.summary;
+        call.result = result.data ?? null;
+        call.executedAt = new Date();
+        await chat.save();
+
+        res.json({
+            success: true,
+            message: call.summary,
+            toolCall: call
+        });
+
+    } catch (error) {
+        console.error('Tool Call Confirm Error:', error);
+
+        call.status = 'failed';
+        call.error = error.status ? i18n.translateError(req.language, error) : req.t('chats.errors.toolCallFailed');
+        call.executedAt = new Date();
+        await chat.save().catch(saveError => console.error('Tool Call Save Error:', saveError));
+
+        res.status(error.status || 500).json({
+            error: call.error,
+            code: error.code || 'TOOL_FAILED',
+            toolCall: call
+        });
+    }
+});
+
+// POST /api/chats/:id/tool-calls/:callId/reject
+router.post('/:id/tool-calls/:callId/reject', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+        const found = findPendingToolCall(req, res);
+        if (!found) return;
+
+        if (!(await claimToolCall(chat, found.call.callId, 'rejected'))) {
+            return sendNotPending(req, res, found.call);
+        }
+        found.call.status = 'rejected';
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.toolCallRejected'),
+            toolCall: found.call
+        });
+
+    } catch (error) {
+        console.error('Tool Call Reject Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.rejectToolCall') });
+    }
+});
+
+// ========================================
+// DELETE
+// ========================================
+
+// Endgültig löschen - entfernt den Chat auch aus profile.chatHistory
+router.delete('/:id', requireOwnership('Chat'), async (req, res) => {
+    try {
+        const chat = req.resource;
+
+        if (chat.profileId) {
+            const profile = await profileRepository.findById(chat.profileId);
+
+            if (profile && profile.chatHistory.some(entry => entry.equals(chat._id))) {
+                profile.chatHistory.pull(chat._id);
+                await profile.save({ validateModifiedOnly: true });
+            }
+        }
+
+        await chatRepository.deleteById(chat._id);
+
+        console.log(`🗑️ Chat deleted by ${req.user.email}: ${chat._id}`);
+
+        res.json({
+            success: true,
+            message: req.t('chats.messages.deleted')
+        });
+
+    } catch (error) {
+        console.error('Delete Chat Error:', error);
+        res.status(500).json({ error: req.t('chats.errors.delete') });
+    }
+});
+
+module.exports = router;
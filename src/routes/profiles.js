@@ -4,23 +4,27 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const { requireOwnership, requireFeature } = require('../middleware/auth');
+const { profiles: profileRepository, memories: memoryRepository } = require('../repositories');
+const llmProviders = require('../services/llmProviders');
+const memoryStore = require('../services/memoryStore');
+const qualityReport = require('../services/qualityReport');
+const personalityService = require('../services/personality');
+const usageMeter = require('../services/usageMeter');
+const i18n = require('../services/i18n');
 
-console.log('✅ Profile routes: Basic setup complete');
+const MAX_SYSTEM_PROMPT_LENGTH = 5000; // wie profileSchema.systemPrompt.maxlength
+const MAX_PREVIEW_MESSAGE_LENGTH = 500;
 
-// Models importieren
-console.log('✅ Profile routes: mongoose imported');
-const mongoose = require('mongoose');
+const isQuotaError = (error) => error.code === 'USAGE_QUOTA_EXCEEDED';
+
+console.log('✅ Profile routes: Basic setup complete');
 
-let Profile, User, Chat, openaiService;
+let Chat, openaiService;
 
 try {
-    Profile = require('../models/Profile');
-    console.log('✅ Profile routes: Profile model imported');
-    
-    User = require('../models/User');
-    console.log('✅ Profile routes: User model imported');
-    
     openaiService = require('../services/openai');
     console.log('✅ Profile routes: OpenAI service imported');
     
@@ -31,14 +35,6 @@ try {
     console.error('❌ Profile routes: Error importing dependencies:', error.message);
 }
 
-// ========================================
-// SIMPLE VALIDATION
-// ========================================
-
-const validateObjectId = (id) => {
-    return mongoose.Types.ObjectId.isValid(id);
-};
-
 // ========================================
 // ROUTES
 // ========================================
@@ -46,22 +42,12 @@ const validateObjectId = (id) => {
 // GET /api/profiles - Alle Profile eines Users
 router.get('/', async (req, res) => {
     try {
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
-        
-        if (!Profile) {
-            return res.status(500).json({ error: 'Profile model nicht verfügbar' });
-        }
-
-        const user = await User.findOne({ email: userEmail });
-        if (!user) {
-            return res.status(404).json({ error: 'User nicht gefunden' });
-        }
-
-        const profiles = await Profile.find({ userId: user._id, isActive: true })
-            .select('name category description personality.tone settings')
-            .sort({ createdAt: -1 });
+        const profiles = await profileRepository.find(
+            { userId: req.user.id, isActive: true },
+            { select: 'name category description personality.tone settings', sort: { createdAt: -1 } }
+        );
 
-        console.log(`📊 Found ${profiles.length} profiles for user ${userEmail}`);
+        console.log(`📊 Found ${profiles.length} profiles for user ${req.user.email}`);
         
         res.json({
             success: true,
@@ -75,33 +61,29 @@ router.get('/', async (req, res) => {
     }
 });
 
-// GET /api/profiles/:id - Einzelnes Profile
-router.get('/:id', async (req, res) => {
+// GET /api/profiles/quality?days=30 - Feedback-Auswertung pro Profil, schwache Profile zuerst
+router.get('/quality', async (req, res) => {
     try {
-        const { id } = req.params;
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
-        
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ error: 'Ungültige Profile-ID' });
-        }
-        
-        if (!Profile) {
-            return res.status(500).json({ error: 'Profile model nicht verfügbar' });
-        }
-
-        const user = await User.findOne({ email: userEmail });
-        if (!user) {
-            return res.status(404).json({ error: 'User nicht gefunden' });
-        }
+        const report = await qualityReport.getProfileReport(req.user.id, { days: req.query.days });
 
-        const profile = await Profile.findOne({ 
-            _id: id, 
-            userId: user._id, 
-            isActive: true 
+        res.json({
+            success: true,
+            report
         });
 
-        if (!profile) {
-            return res.status(404).json({ error: 'Profile nicht gefunden' });
+    } catch (error) {
+        console.error('Get Profile Quality Error:', error);
+        res.status(500).json({ error: req.t('profiles.errors.qualityReport') });
+    }
+});
+
+// GET /api/profiles/:id - Einzelnes Profile
+router.get('/:id', requireOwnership('Profile'), async (req, res) => {
+    try {
+        const profile = req.resource;
+
+        if (!profile.isActive) {
+            return res.status(404).json({ error: req.t('profiles.errors.notFound') });
         }
 
         res.json({
@@ -119,41 +101,26 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
         const { name, category, description } = req.body;
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
         
         // Simple Validation
         if (!name || !category) {
-            return res.status(400).json({ error: 'Name und Kategorie sind erforderlich' });
+            return res.status(400).json({ error: req.t('profiles.errors.nameAndCategoryRequired') });
         }
 
         if (name.length < 2 || name.length > 100) {
-            return res.status(400).json({ error: 'Name muss zwischen 2-100 Zeichen haben' });
-        }
-
-        const validCategories = [
-            'sport', 'fitness', 'gesundheit', 'beruf', 'bildung', 
-            'lifestyle', 'persoenlichkeit', 'hobby', 'reisen', 
-            'essen', 'technologie', 'familie', 'freunde', 
-            'finanzen', 'kreativ', 'allgemein'
-        ];
-
-        if (!validCategories.includes(category.toLowerCase())) {
-            return res.status(400).json({ error: 'Ungültige Kategorie' });
-        }
-        
-        if (!Profile) {
-            return res.status(500).json({ error: 'Profile model nicht verfügbar' });
+            return res.status(400).json({ error: req.t('profiles.errors.nameLength') });
         }
 
-        const user = await User.findOne({ email: userEmail });
-        if (!user) {
-            return res.status(404).json({ error: 'User nicht gefunden' });
+        // Schema-Kategorien plus deutsche Bezeichnungen ('sport' -> 'fitness'), siehe Profile.normalizeCategory
+        const profileCategory = profileRepository.Model.normalizeCategory(category);
+        if (!profileCategory) {
+            return res.status(400).json({ error: req.t('profiles.errors.invalidCategory') });
         }
 
-        const newProfile = new Profile({
-            userId: user._id,
+        const newProfile = await profileRepository.create({
+            userId: req.user.id,
             name: name.trim(),
-            category: category.toLowerCase(),
+            category: profileCategory,
             description: description || '',
             personality: {
                 tone: 'freundlich',
@@ -166,13 +133,11 @@ router.post('/', async (req, res) => {
             }
         });
 
-        await newProfile.save();
-
-        console.log(`✅ Profile created: ${name} (${category}) for user ${userEmail}`);
+        console.log(`✅ Profile created: ${name} (${category}) for user ${req.user.email}`);
 
         res.status(201).json({
             success: true,
-            message: 'Profile erfolgreich erstellt',
+            message: req.t('profiles.messages.created'),
             profile: newProfile
         });
 
@@ -183,10 +148,11 @@ router.post('/', async (req, res) => {
 });
 
 // POST /api/profiles/interview - Profile Interview
-router.post('/interview', async (req, res) => {
+// Läuft wie POST /api/chat/interview über den Usage-Meter (Quota vorher, Verbrauch danach)
+router.post('/interview', requireFeature('profileInterview'), async (req, res) => {
     try {
-        const { message, historyLength = 0 } = req.body;
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
+        const { message, conversationHistory = [], profileData = {} } = req.body;
+        const historyLength = req.body.historyLength ?? conversationHistory.length;
 
         console.log('Profile Interview Request:', { 
             message: message?.substring(0, 10) + '...', 
@@ -194,123 +160,152 @@ router.post('/interview', async (req, res) => {
         });
 
         if (!message) {
-            return res.status(400).json({ error: 'Nachricht ist erforderlich' });
+            return res.status(400).json({ error: req.t('common.messageRequired') });
         }
 
-        if (!openaiService) {
-            // Fallback ohne OpenAI
-            const responses = [
-                "Das ist interessant! Erzählen Sie mir mehr über Ihre Präferenzen.",
-                "Vielen Dank für diese Information. Was ist Ihnen dabei besonders wichtig?",
-                "Das hilft mir, Sie besser zu verstehen. Haben Sie weitere Wünsche?",
-                "Perfekt! Basierend auf Ihren Antworten erstelle ich ein passendes Profile.",
-                "Ausgezeichnet! Ihr personalisiertes Profile ist fast fertig.",
-                "Vielen Dank! Ihr Profile wurde erfolgreich erstellt."
-            ];
-            
-            const response = responses[historyLength] || responses[responses.length - 1];
-            
+        const language = i18n.forMessage(req, message);
+
+        try {
+            if (!openaiService) throw new Error('OpenAI service not loaded');
+
+            const response = await openaiService.profileInterview(message, conversationHistory, profileData, {
+                meter: { userId: req.user.id },
+                language
+            });
+
             return res.json({
                 success: true,
                 response: response,
-                completed: historyLength >= 5
+                completed: historyLength >= 6
             });
+        } catch (error) {
+            if (isQuotaError(error)) throw error;
+            console.error('Profile Interview AI Error:', error);
         }
 
-        // Mit OpenAI
-        const response = await openaiService.generateResponse(
-            `Du hilfst beim Erstellen eines KI-Profils. Frage: ${message}`,
-            { maxTokens: 1000 }
-        );
+        // Fallback ohne KI
+        const responses = i18n.get(language, 'profiles.interviewFallback');
+        const response = responses[historyLength] || responses[responses.length - 1];
 
         res.json({
             success: true,
             response: response,
-            completed: historyLength >= 6
+            completed: historyLength >= 5,
+            fallback: true
         });
 
     } catch (error) {
-        console.error('Profile Interview Error:', error);
-        res.status(500).json({ error: error.message });
+        sendProfileError(req, res, error, 'profiles.errors.interview');
     }
 });
 
-// POST /api/profiles/quick-chat - Schneller Chat
-router.post('/quick-chat', async (req, res) => {
+// POST /api/profiles/quick-chat - Schneller Chat (gemessen wie POST /api/chat/quick)
+router.post('/quick-chat', requireFeature('chat'), async (req, res) => {
     try {
-        const { message } = req.body;
+        const { message, userContext = {} } = req.body;
 
         console.log('Quick Chat Request:', { 
             message: message?.substring(0, 10) + '...' 
         });
 
         if (!message) {
-            return res.status(400).json({ error: 'Nachricht ist erforderlich' });
+            return res.status(400).json({ error: req.t('common.messageRequired') });
         }
 
-        if (!openaiService) {
-            // Fallback ohne OpenAI
+        try {
+            if (!openaiService) throw new Error('OpenAI service not loaded');
+
+            const response = await openaiService.quickChat(message, userContext, {
+                meter: { userId: req.user.id },
+                language: i18n.forMessage(req, message)
+            });
+
             return res.json({
                 success: true,
-                response: "Vielen Dank für Ihre Nachricht! Das OpenAI Service ist momentan nicht verfügbar, aber ich helfe Ihnen gerne weiter."
+                response: response
             });
+        } catch (error) {
+            if (isQuotaError(error)) throw error;
+            console.error('Quick Chat AI Error:', error);
         }
 
-        const response = await openaiService.generateResponse(message, {
-            maxTokens: 1500,
-            temperature: 0.7
-        });
-
+        // Fallback ohne KI
         res.json({
             success: true,
-            response: response
+            response: req.t('profiles.messages.aiUnavailable'),
+            fallback: true
         });
 
     } catch (error) {
-        console.error('Quick Chat Error:', error);
-        res.status(500).json({ error: error.message });
+        sendProfileError(req, res, error, 'profiles.errors.quickChat');
     }
 });
 
 // PUT /api/profiles/:id - Profile aktualisieren
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireOwnership('Profile'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, category, description } = req.body;
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
-        
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ error: 'Ungültige Profile-ID' });
-        }
-        
-        if (!Profile) {
-            return res.status(500).json({ error: 'Profile model nicht verfügbar' });
+        const { name, category, description, llm, systemPrompt, personality } = req.body;
+        const profile = req.resource;
+
+        // personality: { traits: { friendliness, formality, creativity }, communicationStyle, responseLength }
+        // - Teiländerungen genügen, steuert Ton, temperature und max_tokens (services/personality)
+        if (personality !== undefined) {
+            const merged = personalityService.merge(profile.personality, personality, req.language);
+            if (merged.errors.length > 0) {
+                return res.status(400).json({ error: merged.errors.join('; '), code: 'INVALID_PERSONALITY' });
+            }
+            profile.personality = merged.personality;
         }
 
-        const user = await User.findOne({ email: userEmail });
-        if (!user) {
-            return res.status(404).json({ error: 'User nicht gefunden' });
+        // Eigene Anweisungen für den Assistenten - landen im System-Prompt (promptTemplates: contextualChat)
+        if (systemPrompt !== undefined) {
+            if (systemPrompt !== null && (typeof systemPrompt !== 'string' || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH)) {
+                return res.status(400).json({ error: req.t('profiles.errors.systemPromptInvalid', { max: MAX_SYSTEM_PROMPT_LENGTH }) });
+            }
+            profile.systemPrompt = systemPrompt ? systemPrompt.trim() : '';
         }
 
-        const updateData = {};
-        if (name) updateData.name = name.trim();
-        if (category) updateData.category = category.toLowerCase();
-        if (description !== undefined) updateData.description = description;
+        // llm: { provider, model } - null setzt auf die Vorgabe aus der Umgebung zurück.
+        // Das Profil gilt für jeden Chat damit, daher dieselbe Regel wie bei der Wahl pro Aufruf:
+        // in Produktion nur für Admins (sonst könnte jeder z.B. den Mock-Provider festlegen)
+        if (llm !== undefined) {
+            const { provider = null, model = null } = llm || {};
 
-        const updatedProfile = await Profile.findOneAndUpdate(
-            { _id: id, userId: user._id },
-            updateData,
-            { new: true }
-        );
+            if ((provider !== null || model !== null) && !llmProviders.canSelectPerCall(req.user)) {
+                return res.status(403).json({ error: req.t('profiles.errors.llmSelectionForbidden'), code: 'LLM_SELECTION_FORBIDDEN' });
+            }
 
-        if (!updatedProfile) {
-            return res.status(404).json({ error: 'Profile nicht gefunden' });
+            if (provider !== null && (typeof provider !== 'string' || !llmProviders.has(provider))) {
+                return res.status(400).json({ error: req.t('common.unknownProvider'), code: 'UNKNOWN_LLM_PROVIDER' });
+            }
+
+            if (model !== null && (typeof model !== 'string' || !model.trim())) {
+                return res.status(400).json({ error: req.t('common.invalidModel') });
+            }
+
+            if (model !== null && !llmProviders.isModelAllowed(provider || llmProviders.getDefaultName(), model.trim())) {
+                return res.status(400).json({ error: req.t('common.modelNotAllowed'), code: 'LLM_MODEL_NOT_ALLOWED' });
+            }
+
+            profile.llm = { provider, model: model && model.trim() };
         }
 
+        if (name) profile.name = name.trim();
+        if (category) {
+            const profileCategory = profileRepository.Model.normalizeCategory(category);
+            if (!profileCategory) {
+                return res.status(400).json({ error: req.t('profiles.errors.invalidCategory') });
+            }
+            profile.category = profileCategory;
+        }
+        if (description !== undefined) profile.description = description;
+
+        await profile.save();
+
         res.json({
             success: true,
-            message: 'Profile aktualisiert',
-            profile: updatedProfile
+            message: req.t('profiles.messages.updated'),
+            profile: profile
         });
 
     } catch (error) {
@@ -320,43 +315,185 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/profiles/:id - Profile löschen
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireOwnership('Profile'), async (req, res) => {
     try {
-        const { id } = req.params;
-        const userEmail = req.headers['x-user-email'] || 'test@test.de';
-        
-        if (!validateObjectId(id)) {
-            return res.status(400).json({ error: 'Ungültige Profile-ID' });
-        }
-        
-        if (!Profile) {
-            return res.status(500).json({ error: 'Profile model nicht verfügbar' });
+        // Soft delete: isActive auf false setzen
+        req.resource.isActive = false;
+        await req.resource.save();
+
+        res.json({
+            success: true,
+            message: req.t('profiles.messages.deleted')
+        });
+
+    } catch (error) {
+        console.error('Delete Profile Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ========================================
+// MEMORIES (LANGZEIT-GEDÄCHTNIS)
+// ========================================
+
+const requireActiveProfile = (req, res, next) => {
+    if (!req.resource.isActive) {
+        return res.status(404).json({ error: req.t('profiles.errors.notFound') });
+    }
+    next();
+};
+
+// Lädt :memoryId - nur Erinnerungen des Profils aus :id
+const loadMemory = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.memoryId)) {
+            return res.status(400).json({ error: req.t('profiles.errors.invalidMemoryId') });
         }
 
-        const user = await User.findOne({ email: userEmail });
-        if (!user) {
-            return res.status(404).json({ error: 'User nicht gefunden' });
+        const memory = await memoryRepository.findById(req.params.memoryId);
+
+        if (!memory || !memory.profileId.equals(req.resource._id)) {
+            return res.status(404).json({ error: req.t('profiles.errors.memoryNotFound') });
         }
 
-        // Soft delete: isActive auf false setzen
-        const updatedProfile = await Profile.findOneAndUpdate(
-            { _id: id, userId: user._id },
-            { isActive: false },
-            { new: true }
-        );
+        req.memory = memory;
+        next();
+    } catch (error) {
+        console.error('Load Memory Error:', error);
+        res.status(500).json({ error: req.t('profiles.errors.loadMemory') });
+    }
+};
 
-        if (!updatedProfile) {
-            return res.status(404).json({ error: 'Profile nicht gefunden' });
+// fallbackKey: Text für unerwartete Fehler (profiles.errors.* in src/locales)
+const sendProfileError = (req, res, error, fallbackKey) => {
+    if (error.status) {
+        return res.status(error.status).json({ success: false, error: i18n.translateError(req.language, error), code: error.code });
+    }
+
+    console.error(`${fallbackKey}:`, error);
+    res.status(500).json({ error: req.t(fallbackKey) });
+};
+
+const memoryRoute = [requireFeature('memory'), requireOwnership('Profile'), requireActiveProfile];
+
+// GET /api/profiles/:id/memories - alle Erinnerungen, mit ?q=... nach Relevanz sortiert (inkl. score)
+router.get('/:id/memories', memoryRoute, async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+        const memories = query
+            ? (await memoryStore.search(req.resource._id, query))
+                .map(({ document, score }) => ({ ...document.toSafeObject(), score: Math.round(score * 1000) / 1000 }))
+            : (await memoryStore.list(req.resource._id)).map(memory => memory.toSafeObject());
+
+        res.json({
+            success: true,
+            memories,
+            total: memories.length
+        });
+
+    } catch (error) {
+        sendProfileError(req, res, error, 'profiles.errors.loadMemories');
+    }
+});
+
+// POST /api/profiles/:id/memories { content, pinned? }
+router.post('/:id/memories', memoryRoute, async (req, res) => {
+    try {
+        const { content, pinned } = req.body;
+        const memory = await memoryStore.create(req.resource, { content, pinned, source: 'user' });
+
+        res.status(201).json({
+            success: true,
+            message: req.t('profiles.messages.memorySaved'),
+            memory: memory.toSafeObject()
+        });
+
+    } catch (error) {
+        sendProfileError(req, res, error, 'profiles.errors.saveMemory');
+    }
+});
+
+// PUT /api/profiles/:id/memories/:memoryId { content?, pinned? }
+router.put('/:id/memories/:memoryId', memoryRoute, loadMemory, async (req, res) => {
+    try {
+        const { content, pinned } = req.body;
+        const memory = await memoryStore.update(req.memory, { content, pinned });
+
+        res.json({
+            success: true,
+            message: req.t('profiles.messages.memoryUpdated'),
+            memory: memory.toSafeObject()
+        });
+
+    } catch (error) {
+        sendProfileError(req, res, error, 'profiles.errors.updateMemory');
+    }
+});
+
+router.delete('/:id/memories/:memoryId', memoryRoute, loadMemory, async (req, res) => {
+    try {
+        await memoryRepository.deleteById(req.memory._id);
+
+        res.json({
+            success: true,
+            message: req.t('profiles.messages.memoryDeleted')
+        });
+
+    } catch (error) {
+        sendProfileError(req, res, error, 'profiles.errors.deleteMemory');
+    }
+});
+
+// ========================================
+// PERSÖNLICHKEIT: VORSCHAU
+// ========================================
+
+// POST /api/profiles/:id/personality/preview - Probeantwort mit noch nicht gespeicherten Einstellungen
+// Body: { personality?: Änderungen wie bei PUT, message?: Testfrage } - wird als Verbrauch erfasst
+router.post('/:id/personality/preview', requireFeature('chat'), requireOwnership('Profile'), requireActiveProfile, async (req, res) => {
+    try {
+        const { personality: changes = {}, message } = req.body;
+
+        const { personality, errors } = personalityService.merge(req.resource.personality, changes, req.language);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; '), code: 'INVALID_PERSONALITY' });
+        }
+
+        if (message !== undefined && (typeof message !== 'string' || !message.trim() || message.length > MAX_PREVIEW_MESSAGE_LENGTH)) {
+            return res.status(400).json({ error: req.t('profiles.errors.previewMessageInvalid', { max: MAX_PREVIEW_MESSAGE_LENGTH }) });
         }
 
+        await usageMeter.assertWithinQuota(req.user.id);
+
+        const question = message ? message.trim() : req.t('profiles.messages.previewMessage');
+        const selection = llmProviders.resolve(req.resource.llm);
+        const completion = await openaiService.contextualChatCompletion(
+            question,
+            { ...req.resource.toObject(), personality },
+            [],
+            {
+                provider: selection.provider.name,
+                model: selection.model,
+                meter: { userId: req.user.id, profileId: req.resource._id },
+                operation: 'preview',
+                language: i18n.forMessage(req, question)
+            }
+        );
+
         res.json({
             success: true,
-            message: 'Profile gelöscht'
+            preview: {
+                message: question,
+                reply: completion.content,
+                personality,
+                settings: personalityService.getGenerationSettings(personality),
+                style: personalityService.describePersonality(personality, req.language)
+            }
         });
 
     } catch (error) {
-        console.error('Delete Profile Error:', error);
-        res.status(500).json({ error: error.message });
+        sendProfileError(req, res, error, 'profiles.errors.preview');
     }
 });
 
@@ -0,0 +1,73 @@
+/**
+ * 🔍 SEARCH ROUTES
+ * Volltextsuche über eigene Chats, Nachrichten und Profile
+ *
+ * GET /api/search?q=rezept&type=message,chat,profile&profileId=<id>&limit=20
+ * -> { results: { messages, chats, profiles }, total, engine }
+ * Jeder Treffer hat einen link in die Chat-Oberfläche (siehe src/services/search.js).
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const searchService = require('../services/search');
+const { scopesAllow } = require('../config/permissions');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+console.log('✅ Search routes: Setting up routes...');
+
+router.get('/', async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+        if (query.length < MIN_QUERY_LENGTH || query.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                error: req.t('search.errors.queryLength', { min: MIN_QUERY_LENGTH, max: MAX_QUERY_LENGTH })
+            });
+        }
+
+        let types = searchService.types;
+        if (req.query.type) {
+            types = String(req.query.type).split(',').map(type => type.trim()).filter(Boolean);
+
+            const unknown = types.filter(type => !searchService.types.includes(type));
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: req.t('search.errors.unknownTypes', { types: unknown.join(', ') }) });
+            }
+        }
+
+        // API Keys sehen Profile nur mit profiles:read
+        if (req.user.isApiUser && !scopesAllow(req.user.scopes, 'profiles:read')) {
+            types = types.filter(type => type !== 'profile');
+        }
+
+        const { profileId } = req.query;
+        if (profileId && !mongoose.isValidObjectId(profileId)) {
+            return res.status(400).json({ error: req.t('chats.errors.invalidProfileId') });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const { results, total, engine } = await searchService.search(req.user.id, query, { types, profileId, limit });
+
+        res.json({
+            success: true,
+            query,
+            engine,
+            results,
+            total
+        });
+
+    } catch (error) {
+        console.error('Search Error:', error);
+        res.status(500).json({ error: req.t('search.errors.failed') });
+    }
+});
+
+console.log('✅ Search routes: All routes configured');
+
+module.exports = router;
@@ -1,29 +1,42 @@
 /**
  * 👤 USER ROUTES
  * API Endpoints für User-Management
- * 
+ *
  * SEPARATION OF CONCERNS:
  * - User Preferences
  * - Profile Management
  * - Account Settings
  * - User Statistics
+ *
+ * Alle Routen laufen hinter requireAuth (server.js) - req.user ist gesetzt.
  */
 
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
-
-// Simple middleware for user authentication
-const getUserFromToken = (req, res, next) => {
-    // TODO: Implement proper JWT token validation
-    // For now, mock user for development
-    req.user = {
-        _id: 'mock-user-id',
-        email: 'ravellukas@gmx.de',
-        firstName: 'Lukas',
-        lastName: 'Geck'
-    };
-    next();
+const { users, profiles: profileRepository, chats: chatRepository, usage: usageRepository, memories: memoryRepository } = require('../repositories');
+const mongoose = require('mongoose');
+const authTokens = require('../services/authTokens');
+const apiKeys = require('../services/apiKeys');
+const usageMeter = require('../services/usageMeter');
+const { requireFeature, rejectApiKey, validateSession } = require('../middleware/auth');
+const { getPermissionsForRole, API_KEY_RESOURCES } = require('../config/permissions');
+const i18n = require('../services/i18n');
+
+// Lädt den vollständigen User des Tokens
+const loadCurrentUser = async (req, res, next) => {
+    try {
+        const user = await users.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ error: req.t('auth.errors.userNotFound') });
+        }
+
+        req.currentUser = user;
+        next();
+    } catch (error) {
+        console.error('Load Current User Error:', error);
+        res.status(500).json({ error: req.t('users.errors.loadUser') });
+    }
 };
 
 console.log('✅ User routes: Setting up routes...');
@@ -33,65 +46,55 @@ console.log('✅ User routes: Setting up routes...');
 // ========================================
 
 // Get user preferences
-router.get('/preferences', getUserFromToken, async (req, res) => {
+router.get('/preferences', loadCurrentUser, async (req, res) => {
     try {
         console.log('📱 Get user preferences request');
-        
-        // Mock preferences for development
-        const preferences = {
-            theme: 'dark',
-            language: 'de',
-            notifications: {
-                email: true,
-                push: true,
-                sms: false
-            },
-            privacy: {
-                profileVisible: false,
-                dataSharing: false
-            },
-            autoSave: true,
-            autoRefresh: true,
-            refreshInterval: 300000, // 5 minutes
-            gridLayout: 'auto',
-            compactMode: false,
-            animationsEnabled: true
-        };
 
         res.json({
             success: true,
-            preferences: preferences
+            preferences: req.currentUser.preferences
         });
 
     } catch (error) {
         console.error('Get User Preferences Error:', error);
-        res.status(500).json({ error: 'Fehler beim Laden der Benutzereinstellungen' });
+        res.status(500).json({ error: req.t('users.errors.loadPreferences') });
     }
 });
 
 // Update user preferences
-router.put('/preferences', getUserFromToken, async (req, res) => {
+router.put('/preferences', loadCurrentUser, async (req, res) => {
     try {
         console.log('💾 Update user preferences request:', req.body);
-        
+
         const { preferences } = req.body;
-        
+
         if (!preferences) {
-            return res.status(400).json({ error: 'Preferences sind erforderlich' });
+            return res.status(400).json({ error: req.t('users.errors.preferencesRequired') });
         }
 
-        // TODO: Save to database
-        // For now, just return success
-        
+        const user = req.currentUser;
+        ['theme', 'language', 'notifications', 'privacy'].forEach(key => {
+            if (preferences[key] !== undefined) {
+                user.set(`preferences.${key}`, preferences[key]);
+            }
+        });
+
+        await user.save();
+
         res.json({
             success: true,
-            message: 'Einstellungen erfolgreich gespeichert',
-            preferences: preferences
+            message: req.t('users.messages.preferencesSaved'),
+            preferences: user.preferences
         });
 
     } catch (error) {
         console.error('Update User Preferences Error:', error);
-        res.status(500).json({ error: 'Fehler beim Speichern der Benutzereinstellungen' });
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: req.t('users.errors.invalidPreferences'), details: error.message });
+        }
+
+        res.status(500).json({ error: req.t('users.errors.savePreferences') });
     }
 });
 
@@ -100,96 +103,98 @@ router.put('/preferences', getUserFromToken, async (req, res) => {
 // ========================================
 
 // Get user profile
-router.get('/profile', getUserFromToken, async (req, res) => {
+router.get('/profile', loadCurrentUser, async (req, res) => {
     try {
         console.log('👤 Get user profile request');
-        
-        // Mock user profile for development
-        const userProfile = {
-            id: req.user._id,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName,
-            email: req.user.email,
-            avatar: null,
-            isActive: true,
-            isVerified: false,
-            lastLogin: new Date(),
-            createdAt: new Date(),
-            profileCount: 1,
-            preferences: {
-                theme: 'dark',
-                language: 'de'
-            }
-        };
 
         res.json({
             success: true,
-            user: userProfile
+            user: req.currentUser.toSafeObject()
         });
 
     } catch (error) {
         console.error('Get User Profile Error:', error);
-        res.status(500).json({ error: 'Fehler beim Laden des Benutzerprofils' });
+        res.status(500).json({ error: req.t('users.errors.loadProfile') });
     }
 });
 
 // Update user profile
-router.put('/profile', getUserFromToken, async (req, res) => {
+router.put('/profile', loadCurrentUser, async (req, res) => {
     try {
         console.log('💾 Update user profile request:', req.body);
-        
+
         const { firstName, lastName, avatar } = req.body;
-        
-        // TODO: Update user in database
-        // For now, just return success
-        
-        const updatedUser = {
-            id: req.user._id,
-            firstName: firstName || req.user.firstName,
-            lastName: lastName || req.user.lastName,
-            email: req.user.email,
-            avatar: avatar || null,
-            updatedAt: new Date()
-        };
+        const user = req.currentUser;
+
+        if (firstName) user.firstName = firstName;
+        if (lastName) user.lastName = lastName;
+        if (avatar !== undefined) user.avatar = avatar;
+
+        await user.save();
 
         res.json({
             success: true,
-            message: 'Profil erfolgreich aktualisiert',
-            user: updatedUser
+            message: req.t('users.messages.profileUpdated'),
+            user: user.toSafeObject()
         });
 
     } catch (error) {
         console.error('Update User Profile Error:', error);
-        res.status(500).json({ error: 'Fehler beim Aktualisieren des Benutzerprofils' });
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: req.t('users.errors.invalidProfile'), details: error.message });
+        }
+
+        res.status(500).json({ error: req.t('users.errors.updateProfile') });
     }
 });
 
+// Rolle, Berechtigungen und Feature-Flags des aktuellen Users (für die UI)
+router.get('/permissions', (req, res) => {
+    res.json({
+        success: true,
+        role: req.user.role,
+        permissions: getPermissionsForRole(req.user.role),
+        features: req.user.features,
+        scopes: req.user.isApiUser ? req.user.scopes : undefined
+    });
+});
+
 // ========================================
 // USER STATISTICS ROUTES
 // ========================================
 
 // Get user statistics
-router.get('/stats', getUserFromToken, async (req, res) => {
+router.get('/stats', async (req, res) => {
     try {
         console.log('📊 Get user statistics request');
-        
-        // Mock statistics for development
+
+        const [profiles, chats] = await Promise.all([
+            profileRepository.find({ userId: req.user.id, isActive: true }, { select: 'category', lean: true }),
+            chatRepository.find({ userId: req.user.id }, { select: 'stats', lean: true })
+        ]);
+
+        const categoryCounts = profiles.reduce((counts, profile) => {
+            counts[profile.category] = (counts[profile.category] || 0) + 1;
+            return counts;
+        }, {});
+        const favoriteCategory = Object.keys(categoryCounts)
+            .sort((a, b) => categoryCounts[b] - categoryCounts[a])[0] || null;
+
+        const totalMessages = chats.reduce((sum, chat) => sum + (chat.stats?.messageCount || 0), 0);
+        const totalDuration = chats.reduce((sum, chat) => sum + (chat.stats?.sessionDuration || 0), 0);
+        const lastActivity = chats
+            .map(chat => chat.stats?.lastActivity)
+            .filter(Boolean)
+            .sort((a, b) => b - a)[0] || null;
+
         const stats = {
-            totalProfiles: 1,
-            totalChats: 5,
-            totalMessages: 23,
-            lastActivity: new Date(),
-            favoriteCategory: 'fitness',
-            averageSessionLength: 8.5, // minutes
-            weeklyActivity: [
-                { day: 'Mo', sessions: 2 },
-                { day: 'Di', sessions: 1 },
-                { day: 'Mi', sessions: 3 },
-                { day: 'Do', sessions: 1 },
-                { day: 'Fr', sessions: 2 },
-                { day: 'Sa', sessions: 0 },
-                { day: 'So', sessions: 1 }
-            ]
+            totalProfiles: profiles.length,
+            totalChats: chats.length,
+            totalMessages,
+            lastActivity,
+            favoriteCategory,
+            averageSessionLength: chats.length ? Math.round((totalDuration / chats.length) * 10) / 10 : 0 // minutes
         };
 
         res.json({
@@ -199,7 +204,161 @@ router.get('/stats', getUserFromToken, async (req, res) => {
 
     } catch (error) {
         console.error('Get User Statistics Error:', error);
-        res.status(500).json({ error: 'Fehler beim Laden der Benutzerstatistiken' });
+        res.status(500).json({ error: req.t('users.errors.loadStats') });
+    }
+});
+
+// GET /api/users/usage?days=30 - KI-Verbrauch: Summen, Quotas, Tagesreihe fürs Dashboard-Diagramm
+// und Aufschlüsselung nach Modell, Profil und Vorgang
+router.get('/usage', async (req, res) => {
+    try {
+        const usage = await usageMeter.getReport(req.user.id, { days: req.query.days });
+
+        res.json({
+            success: true,
+            usage
+        });
+
+    } catch (error) {
+        console.error('Get Usage Error:', error);
+        res.status(500).json({ error: req.t('users.errors.loadUsage') });
+    }
+});
+
+// ========================================
+// SESSIONS (ANGEMELDETE GERÄTE)
+// ========================================
+
+// Eine Sitzung pro Login (Refresh-Token-Familie) - current markiert das anfragende Gerät
+router.get('/sessions', rejectApiKey, async (req, res) => {
+    try {
+        const sessions = await authTokens.listSessions(req.user.id, req.user.sessionId);
+
+        res.json({
+            success: true,
+            sessions,
+            count: sessions.length
+        });
+
+    } catch (error) {
+        console.error('List Sessions Error:', error);
+        res.status(500).json({ error: req.t('users.errors.loadSessions') });
+    }
+});
+
+// Alle anderen Geräte abmelden
+router.delete('/sessions', rejectApiKey, validateSession, async (req, res) => {
+    try {
+        const revoked = await authTokens.revokeOtherSessions(req.user.id, req.user.sessionId);
+
+        console.log(`🚪 ${revoked} other session(s) revoked by ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: revoked === 1
+                ? req.t('users.messages.oneDeviceSignedOut')
+                : req.t('users.messages.devicesSignedOut', { count: revoked }),
+            revoked
+        });
+
+    } catch (error) {
+        console.error('Revoke Other Sessions Error:', error);
+        res.status(500).json({ error: req.t('users.errors.signOutDevices') });
+    }
+});
+
+router.delete('/sessions/:sessionId', rejectApiKey, validateSession, async (req, res) => {
+    try {
+        const revoked = await authTokens.revokeUserSession(req.user.id, req.params.sessionId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: req.t('users.errors.sessionNotFound') });
+        }
+
+        const current = req.params.sessionId === req.user.sessionId;
+        console.log(`🚪 Session revoked by ${req.user.email}${current ? ' (current)' : ''}`);
+
+        res.json({
+            success: true,
+            message: req.t(current ? 'users.messages.thisDeviceSignedOut' : 'users.messages.deviceSignedOut'),
+            current
+        });
+
+    } catch (error) {
+        console.error('Revoke Session Error:', error);
+        res.status(500).json({ error: req.t('users.errors.signOutDevice') });
+    }
+});
+
+// ========================================
+// API KEYS
+// ========================================
+
+// Verwaltung nur mit Anmeldung - ein API Key soll keine weiteren Keys erzeugen können
+router.get('/api-keys', rejectApiKey, async (req, res) => {
+    try {
+        const keys = await apiKeys.listForUser(req.user.id);
+
+        res.json({
+            success: true,
+            apiKeys: keys.map(apiKey => apiKey.toSafeObject()),
+            availableScopes: ['*', ...API_KEY_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`, `${resource}:*`])]
+        });
+
+    } catch (error) {
+        console.error('List API Keys Error:', error);
+        res.status(500).json({ error: req.t('users.errors.loadApiKeys') });
+    }
+});
+
+// POST /api/users/api-keys { name, scopes: ['chat:write', 'profiles:read'], expiresInDays }
+router.post('/api-keys', rejectApiKey, loadCurrentUser, async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        const { apiKey, key } = await apiKeys.create(req.currentUser, { name, scopes, expiresInDays });
+
+        console.log(`🔑 API key created: ${apiKey.prefix} for ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: req.t('users.messages.apiKeyCreated'),
+            key,
+            apiKey: apiKey.toSafeObject()
+        });
+
+    } catch (error) {
+        if (error.code && error.code !== 11000) {
+            return res.status(400).json({ success: false, error: i18n.translateError(req.language, error), code: error.code });
+        }
+
+        console.error('Create API Key Error:', error);
+        res.status(500).json({ error: req.t('users.errors.createApiKey') });
+    }
+});
+
+router.delete('/api-keys/:id', rejectApiKey, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ error: req.t('users.errors.invalidApiKeyId') });
+        }
+
+        const apiKey = await apiKeys.revoke(req.user.id, req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: req.t('users.errors.apiKeyNotFound') });
+        }
+
+        console.log(`🔑 API key revoked: ${apiKey.prefix} by ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: req.t('users.messages.apiKeyRevoked'),
+            apiKey: apiKey.toSafeObject()
+        });
+
+    } catch (error) {
+        console.error('Revoke API Key Error:', error);
+        res.status(500).json({ error: req.t('users.errors.revokeApiKey') });
     }
 });
 
@@ -208,62 +367,64 @@ router.get('/stats', getUserFromToken, async (req, res) => {
 // ========================================
 
 // Delete user account (soft delete)
-router.delete('/account', getUserFromToken, async (req, res) => {
+router.delete('/account', rejectApiKey, loadCurrentUser, async (req, res) => {
     try {
         console.log('🗑️ Delete user account request');
-        
-        // TODO: Implement soft delete
-        // For now, just return success
-        
+
+        req.currentUser.isActive = false;
+        await req.currentUser.save();
+        await authTokens.revokeAllSessions(req.user.id, 'logout_all');
+
         res.json({
             success: true,
-            message: 'Account erfolgreich deaktiviert'
+            message: req.t('users.messages.accountDeactivated')
         });
 
     } catch (error) {
         console.error('Delete Account Error:', error);
-        res.status(500).json({ error: 'Fehler beim Löschen des Accounts' });
+        res.status(500).json({ error: req.t('users.errors.deleteAccount') });
     }
 });
 
 // Export data (GDPR compliance)
-router.get('/export', getUserFromToken, async (req, res) => {
+router.get('/export', requireFeature('dataExport'), loadCurrentUser, async (req, res) => {
     try {
         console.log('📤 Export user data request');
-        
-        // Mock export data
+
+        const [profiles, chats, usage, memories] = await Promise.all([
+            profileRepository.find({ userId: req.user.id }, { lean: true }),
+            chatRepository.find({ userId: req.user.id }, { lean: true }),
+            usageRepository.find({ userId: req.user.id }, { sort: { createdAt: 1 }, lean: true }),
+            memoryRepository.find({ userId: req.user.id }, { lean: true })
+        ]);
+
+        const user = req.currentUser.toSafeObject();
+
         const exportData = {
             user: {
-                firstName: req.user.firstName,
-                lastName: req.user.lastName,
-                email: req.user.email,
-                createdAt: new Date(),
-                lastLogin: new Date()
-            },
-            profiles: [
-                {
-                    name: 'Fitness Coach',
-                    category: 'fitness',
-                    createdAt: new Date(),
-                    conversations: 5
-                }
-            ],
-            preferences: {
-                theme: 'dark',
-                language: 'de'
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email,
+                createdAt: user.createdAt,
+                lastLogin: user.lastLogin
             },
+            profiles,
+            chats,
+            memories,
+            usage,
+            preferences: user.preferences,
             exportedAt: new Date()
         };
 
         res.json({
             success: true,
             data: exportData,
-            message: 'Daten erfolgreich exportiert'
+            message: req.t('users.messages.dataExported')
         });
 
     } catch (error) {
         console.error('Export Data Error:', error);
-        res.status(500).json({ error: 'Fehler beim Exportieren der Daten' });
+        res.status(500).json({ error: req.t('users.errors.exportData') });
     }
 });
 
@@ -273,15 +434,23 @@ router.get('/export', getUserFromToken, async (req, res) => {
 
 // Test route
 router.get('/test', (req, res) => {
-    res.json({ 
+    res.json({
         message: 'User routes are working!',
         timestamp: new Date(),
         routes: [
             'GET /api/users/preferences',
-            'PUT /api/users/preferences', 
+            'PUT /api/users/preferences',
             'GET /api/users/profile',
             'PUT /api/users/profile',
+            'GET /api/users/permissions',
+            'GET /api/users/sessions',
+            'DELETE /api/users/sessions',
+            'DELETE /api/users/sessions/:sessionId',
+            'GET /api/users/api-keys',
+            'POST /api/users/api-keys',
+            'DELETE /api/users/api-keys/:id',
             'GET /api/users/stats',
+            'GET /api/users/usage',
             'DELETE /api/users/account',
             'GET /api/users/export'
         ]
@@ -290,4 +459,4 @@ router.get('/test', (req, res) => {
 
 console.log('✅ User routes: All routes configured');
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * 👑 ADMIN BOOTSTRAP
+ * Erste Administratoren einer Instanz einrichten
+ *
+ * - ADMIN_EMAILS: Konten mit bestätigter E-Mail-Adresse werden beim Serverstart zu Admins,
+ *   neue Konten erst bei der Bestätigung - sonst würde Admin, wer eine gelistete Adresse
+ *   vor ihrem Besitzer registriert
+ * - npm run admin:create: legt ein Admin-Konto an oder befördert ein bestehendes
+ */
+
+const { users } = require('../repositories');
+const { getBootstrapAdminEmails, isBootstrapAdmin } = require('../config/permissions');
+
+class AdminBootstrapService {
+    // Beim Start aufgerufen - liefert die beförderten E-Mails
+    async promoteConfiguredAdmins() {
+        const emails = getBootstrapAdminEmails();
+        if (emails.length === 0) return [];
+
+        const candidates = await users.find({ email: { $in: emails }, isVerified: true, role: { $ne: 'admin' } });
+
+        for (const user of candidates) {
+            user.role = 'admin';
+            await user.save({ validateModifiedOnly: true });
+            console.log(`👑 ${user.email} über ADMIN_EMAILS zum Admin befördert`);
+        }
+
+        return candidates.map(user => user.email);
+    }
+
+    // Nach der E-Mail-Bestätigung aufgerufen - setzt nur die Rolle, speichern muss der Aufrufer
+    promoteIfConfigured(user) {
+        if (!user.isVerified || user.role === 'admin' || !isBootstrapAdmin(user.email)) return false;
+
+        user.role = 'admin';
+        console.log(`👑 ${user.email} über ADMIN_EMAILS zum Admin befördert`);
+        return true;
+    }
+
+    // Konto mit Rolle anlegen oder Rolle eines bestehenden Kontos setzen
+    async createOrUpdate({ email, password, firstName, lastName, role = 'admin' }) {
+        if (!email) {
+            throw new Error('E-Mail ist erforderlich');
+        }
+
+        const existingUser = await users.findOne({ email: email.toLowerCase() });
+
+        if (existingUser) {
+            existingUser.role = role;
+            if (password) {
+                existingUser.password = password;
+                existingUser.security.lastPasswordChange = new Date();
+            }
+            await existingUser.save();
+            return { user: existingUser, created: false };
+        }
+
+        if (!password) {
+            throw new Error('Passwort ist für neue Konten erforderlich');
+        }
+
+        const user = await users.create({
+            firstName: firstName || 'Admin',
+            lastName: lastName || 'All-KI',
+            email: email.toLowerCase(),
+            password,
+            role,
+            isVerified: true
+        });
+
+        return { user, created: true };
+    }
+}
+
+module.exports = new AdminBootstrapService();
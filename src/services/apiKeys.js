@@ -0,0 +1,181 @@
+/**
+ * 🔑 API KEY SERVICE
+ * Erstellt, prüft und widerruft persönliche API Keys
+ *
+ * Format: aki_<8 Hex-Zeichen>_<Secret>, z.B. aki_3f9c2a1b_Qm9...
+ * - Der Teil bis zum zweiten "_" ist das sichtbare Präfix (Lookup in der Datenbank)
+ * - Gespeichert wird nur der SHA-256-Hash des ganzen Keys; der Klartext wird einmal beim Erstellen ausgegeben
+ * - Keys sind hoch-entropisch, daher reicht SHA-256 (kein bcrypt pro Request)
+ */
+
+const crypto = require('crypto');
+const { apiKeys, users } = require('../repositories');
+const permissions = require('../config/permissions');
+
+const KEY_PATTERN = /^(aki_[0-9a-f]{8})_[A-Za-z0-9_-]{20,}$/;
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// params/variant: Platzhalter und Variante für den Text aus errors.<code> (siehe i18n.translateError)
+const createApiKeyError = (message, code, { params, variant } = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.params = params;
+    error.variant = variant;
+    return error;
+};
+
+class ApiKeyService {
+    constructor() {
+        this.maxKeysPerUser = parseInt(process.env.API_KEYS_MAX_PER_USER, 10) || 20;
+        this.maxExpiresInDays = 365;
+    }
+
+    hashKey(rawKey) {
+        return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+    }
+
+    generateKey() {
+        const prefix = `aki_${crypto.randomBytes(4).toString('hex')}`;
+        const secret = crypto.randomBytes(24).toString('base64url');
+        return { prefix, key: `${prefix}_${secret}` };
+    }
+
+    // Sieht der String wie einer unserer Keys aus? (Unterscheidung zu JWTs im Authorization Header)
+    isApiKey(value) {
+        return typeof value === 'string' && KEY_PATTERN.test(value);
+    }
+
+    // ========================================
+    // VERWALTUNG
+    // ========================================
+
+    async create(user, { name, scopes, expiresInDays } = {}) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw createApiKeyError('Name ist erforderlich', 'INVALID_API_KEY_NAME');
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw createApiKeyError('Mindestens ein Scope ist erforderlich', 'INVALID_SCOPE', { variant: 'missing' });
+        }
+
+        const normalizedScopes = [...new Set(scopes.map(scope => String(scope).trim()))];
+        const invalidScopes = normalizedScopes.filter(scope => !permissions.isValidScope(scope));
+        if (invalidScopes.length > 0) {
+            throw createApiKeyError(`Ungültige Scopes: ${invalidScopes.join(', ')}`, 'INVALID_SCOPE', {
+                variant: 'unknown',
+                params: { scopes: invalidScopes.join(', ') }
+            });
+        }
+
+        // Explizite Scopes dürfen nicht mehr erlauben als die Rolle (Wildcards werden zur Laufzeit begrenzt)
+        const exceeding = normalizedScopes
+            .filter(scope => !scope.includes('*'))
+            .filter(scope => !permissions.hasPermission(user.role, scope));
+        if (exceeding.length > 0) {
+            throw createApiKeyError(`Scopes übersteigen die Rolle ${user.role}: ${exceeding.join(', ')}`, 'SCOPE_EXCEEDS_ROLE', {
+                params: { role: user.role, scopes: exceeding.join(', ') }
+            });
+        }
+
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null) {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > this.maxExpiresInDays) {
+                throw createApiKeyError(`expiresInDays muss zwischen 1 und ${this.maxExpiresInDays} liegen`, 'INVALID_EXPIRY', {
+                    params: { max: this.maxExpiresInDays }
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const activeCount = await apiKeys.count({ userId: user._id, revokedAt: null });
+        if (activeCount >= this.maxKeysPerUser) {
+            throw createApiKeyError(`Maximal ${this.maxKeysPerUser} aktive API Keys erlaubt`, 'API_KEY_LIMIT_REACHED', {
+                params: { max: this.maxKeysPerUser }
+            });
+        }
+
+        const { prefix, key } = this.generateKey();
+        const apiKey = await apiKeys.create({
+            userId: user._id,
+            name: name.trim(),
+            prefix,
+            keyHash: this.hashKey(key),
+            scopes: normalizedScopes,
+            expiresAt
+        });
+
+        return { apiKey, key };
+    }
+
+    async listForUser(userId) {
+        return apiKeys.find({ userId }, { sort: { createdAt: -1 } });
+    }
+
+    // Liefert den widerrufenen Key oder null, wenn er nicht dem User gehört
+    async revoke(userId, keyId) {
+        const apiKey = await apiKeys.findById(keyId);
+        if (!apiKey || String(apiKey.userId) !== String(userId)) {
+            return null;
+        }
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+        }
+        return apiKey;
+    }
+
+    // ========================================
+    // PRÜFUNG
+    // ========================================
+
+    // Liefert { apiKey, user } oder wirft einen Fehler mit code
+    async authenticate(rawKey, ip = null) {
+        const match = KEY_PATTERN.exec(String(rawKey || ''));
+        if (!match) {
+            throw createApiKeyError('Ungültiger API Key', 'INVALID_API_KEY');
+        }
+
+        const apiKey = await apiKeys.findOne({ prefix: match[1] });
+        const expected = Buffer.from(apiKey ? apiKey.keyHash : '', 'hex');
+        const actual = Buffer.from(this.hashKey(rawKey), 'hex');
+
+        if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw createApiKeyError('Ungültiger API Key', 'INVALID_API_KEY');
+        }
+
+        if (apiKey.revokedAt) {
+            throw createApiKeyError('API Key wurde widerrufen', 'API_KEY_REVOKED');
+        }
+
+        if (apiKey.isExpired) {
+            throw createApiKeyError('API Key ist abgelaufen', 'API_KEY_EXPIRED');
+        }
+
+        const user = await users.findById(apiKey.userId);
+        if (!user) {
+            throw createApiKeyError('Benutzer nicht gefunden', 'USER_NOT_FOUND');
+        }
+
+        this.touch(apiKey, ip).catch(error => {
+            console.warn('⚠️ API key last-used update failed:', error.message);
+        });
+
+        return { apiKey, user };
+    }
+
+    // lastUsedAt höchstens einmal pro Minute schreiben
+    async touch(apiKey, ip) {
+        const now = new Date();
+        if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_THROTTLE_MS && apiKey.lastUsedIp === ip) {
+            return apiKey;
+        }
+
+        apiKey.lastUsedAt = now;
+        apiKey.lastUsedIp = ip;
+        return apiKey.save({ validateModifiedOnly: true });
+    }
+}
+
+module.exports = new ApiKeyService();
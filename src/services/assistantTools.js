@@ -0,0 +1,276 @@
+/**
+ * 🧰 ASSISTANT TOOLS
+ * Eingebaute Tools für den Chat-Assistenten (Registrierung siehe toolRegistry)
+ *
+ * - add_task / create_note / start_pomodoro: schreiben in das passende Widget des Users
+ *   (settings.tasks, settings.notes, settings.activeSession) - fehlt es, wird es angelegt
+ * - update_profile_goal: Ziel im Profil des Chats (oder per Name) ergänzen oder entfernen
+ * - search_chats: Volltextsuche über frühere Chats - nur lesend, läuft ohne Bestätigung
+ *
+ * Beschreibungen, Bestätigungssätze und Zusammenfassungen stehen in den Sprachdateien unter tools.<name>
+ */
+
+const mongoose = require('mongoose');
+const { widgets: widgetRepository, profiles: profileRepository } = require('../repositories');
+const searchService = require('./search');
+
+const MAX_GOALS = 10;
+
+// params/variant: Platzhalter und Variante für den Text aus errors.<code> (siehe i18n.translateError)
+const createToolError = (message, code = 'TOOL_FAILED', status = 400, { params, variant } = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    error.params = params;
+    error.variant = variant;
+    return error;
+};
+
+// Erstes aktives Widget eines der Typen - sonst ein neues mit den Standardwerten aus widgets-manager.js
+const findOrCreateWidget = async (userId, types, defaults) => {
+    const existing = await widgetRepository.findOne(
+        { userId, type: { $in: types }, isActive: true },
+        { sort: { createdAt: 1 } }
+    );
+    if (existing) return existing;
+
+    console.log(`🧩 Widget created by assistant: ${defaults.type} for user ${userId}`);
+    return widgetRepository.create({ userId, ...defaults });
+};
+
+// Mixed-Feld komplett ersetzen, damit Mongoose und der Dateispeicher die Änderung sehen
+const updateSettings = async (widget, changes) => {
+    widget.settings = { ...(widget.settings || {}), ...changes };
+    await widget.save();
+    return widget;
+};
+
+const addTask = {
+    name: 'add_task',
+    parameters: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1, maxLength: 200 },
+            dueDate: { type: 'string', format: 'date' },
+            category: { type: 'string', maxLength: 50 }
+        },
+        required: ['title'],
+        additionalProperties: false
+    },
+    permission: 'widgets:write',
+    feature: 'widgets',
+    requiresConfirmation: true,
+    describe: ({ title, dueDate }, t) => dueDate ? t('describeWithDueDate', { title, dueDate }) : t('describe', { title }),
+
+    async execute({ title, dueDate, category }, { user, t }) {
+        const widget = await findOrCreateWidget(user.id, ['todo', 'tasks'], {
+            type: 'todo',
+            title: 'Aufgaben',
+            settings: { maxTasks: 10, showCompleted: true, autoArchive: false, categories: ['Arbeit', 'Privat', 'Einkaufen'] }
+        });
+
+        const tasks = Array.isArray(widget.settings?.tasks) ? widget.settings.tasks : [];
+        const maxTasks = widget.settings?.maxTasks || 10;
+
+        if (tasks.filter(task => !task.completed).length >= maxTasks) {
+            throw createToolError(`Die Aufgabenliste ist voll (maximal ${maxTasks} offene Aufgaben)`, 'WIDGET_FULL', 409, {
+                params: { max: maxTasks }
+            });
+        }
+
+        const task = {
+            id: new mongoose.Types.ObjectId().toString(),
+            title: title.trim(),
+            completed: false,
+            dueDate: dueDate || null,
+            category: category || null,
+            createdAt: new Date(),
+            source: 'assistant'
+        };
+
+        await updateSettings(widget, { tasks: [...tasks, task] });
+
+        return { summary: t('summary', { title: task.title }), data: { widgetId: widget._id, task } };
+    }
+};
+
+const createNote = {
+    name: 'create_note',
+    parameters: {
+        type: 'object',
+        properties: {
+            content: { type: 'string', minLength: 1, maxLength: 2000 },
+            title: { type: 'string', maxLength: 100 }
+        },
+        required: ['content'],
+        additionalProperties: false
+    },
+    permission: 'widgets:write',
+    feature: 'widgets',
+    requiresConfirmation: true,
+    describe: ({ title, content }, t) => t('describe', { title: title || content.substring(0, 40) }),
+
+    async execute({ content, title }, { user, t }) {
+        const widget = await findOrCreateWidget(user.id, ['notes'], {
+            type: 'notes',
+            title: 'Notizen',
+            settings: { maxNotes: 5, autoSave: true, fontSize: 'medium' }
+        });
+
+        const notes = Array.isArray(widget.settings?.notes) ? widget.settings.notes : [];
+        const maxNotes = widget.settings?.maxNotes || 5;
+
+        const note = {
+            id: new mongoose.Types.ObjectId().toString(),
+            title: title?.trim() || null,
+            content: content.trim(),
+            createdAt: new Date(),
+            source: 'assistant'
+        };
+
+        // Neueste zuerst - die älteste fällt heraus, wenn das Widget voll ist
+        await updateSettings(widget, { notes: [note, ...notes].slice(0, maxNotes) });
+
+        return { summary: t('summary', { title: note.title || note.content.substring(0, 40) }), data: { widgetId: widget._id, note } };
+    }
+};
+
+const startPomodoro = {
+    name: 'start_pomodoro',
+    parameters: {
+        type: 'object',
+        properties: {
+            minutes: { type: 'integer', minimum: 1, maximum: 120 },
+            label: { type: 'string', maxLength: 100 }
+        },
+        additionalProperties: false
+    },
+    permission: 'widgets:write',
+    feature: 'widgets',
+    requiresConfirmation: true,
+    describe: ({ minutes, label }, t) => `${minutes ? t('describeMinutes', { minutes }) : t('describe')}${label ? `: ${label}` : ''}`,
+
+    async execute({ minutes, label }, { user, t }) {
+        const widget = await findOrCreateWidget(user.id, ['pomodoro'], {
+            type: 'pomodoro',
+            title: 'Pomodoro Timer',
+            settings: { workTime: 25, breakTime: 5, longBreakTime: 15, sessionsUntilLongBreak: 4, autoStartBreaks: false, notifications: true }
+        });
+
+        const duration = minutes || widget.settings?.workTime || 25;
+        const startedAt = new Date();
+        const session = {
+            phase: 'work',
+            label: label?.trim() || null,
+            minutes: duration,
+            startedAt,
+            endsAt: new Date(startedAt.getTime() + duration * 60 * 1000),
+            source: 'assistant'
+        };
+
+        await updateSettings(widget, { activeSession: session });
+
+        return { summary: t('summary', { minutes: duration }), data: { widgetId: widget._id, session } };
+    }
+};
+
+const updateProfileGoal = {
+    name: 'update_profile_goal',
+    parameters: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['add', 'remove'] },
+            goal: { type: 'string', minLength: 1, maxLength: 200 },
+            profileName: { type: 'string', maxLength: 100 }
+        },
+        required: ['action', 'goal'],
+        additionalProperties: false
+    },
+    permission: 'profiles:write',
+    requiresConfirmation: true,
+    describe: ({ action, goal, profileName }, t) => action === 'add'
+        ? t(profileName ? 'describeAddTo' : 'describeAdd', { goal, profile: profileName })
+        : t(profileName ? 'describeRemoveFrom' : 'describeRemove', { goal, profile: profileName }),
+
+    async execute({ action, goal, profileName }, { user, chat, t }) {
+        let profile = null;
+
+        if (profileName) {
+            const profiles = await profileRepository.find({ userId: user.id, isActive: true });
+            profile = profiles.find(entry => entry.name.toLowerCase() === profileName.trim().toLowerCase()) || null;
+        } else if (chat?.profileId) {
+            profile = await profileRepository.findById(chat.profileId);
+        }
+
+        if (!profile || !profile.userId.equals(user.id) || !profile.isActive) {
+            throw createToolError(profileName ? `Profil „${profileName}“ nicht gefunden` : 'Dieser Chat gehört zu keinem Profil', 'PROFILE_NOT_FOUND', 404, {
+                variant: profileName ? 'named' : 'chat',
+                params: { name: profileName }
+            });
+        }
+
+        const text = goal.trim();
+        const index = profile.goals.findIndex(entry => entry.toLowerCase() === text.toLowerCase());
+
+        if (action === 'add') {
+            if (index !== -1) {
+                return { summary: t('summaryExists', { goal: text, profile: profile.name }), data: { profileId: profile._id, goals: profile.goals } };
+            }
+            if (profile.goals.length >= MAX_GOALS) {
+                throw createToolError(`Ein Profil kann höchstens ${MAX_GOALS} Ziele haben`, 'PROFILE_GOALS_FULL', 409, {
+                    params: { max: MAX_GOALS }
+                });
+            }
+            profile.goals.push(text);
+        } else {
+            if (index === -1) {
+                throw createToolError(`Ziel „${text}“ steht nicht im Profil „${profile.name}“`, 'GOAL_NOT_FOUND', 404, {
+                    params: { goal: text, profile: profile.name }
+                });
+            }
+            profile.goals.splice(index, 1);
+        }
+
+        await profile.save({ validateModifiedOnly: true });
+
+        return {
+            summary: t(action === 'add' ? 'summaryAdded' : 'summaryRemoved', { goal: text, profile: profile.name }),
+            data: { profileId: profile._id, goals: profile.goals }
+        };
+    }
+};
+
+const searchChats = {
+    name: 'search_chats',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', minLength: 2, maxLength: 200 }
+        },
+        required: ['query'],
+        additionalProperties: false
+    },
+    permission: 'chat:read',
+    feature: 'chat',
+    requiresConfirmation: false,
+    describe: ({ query }, t) => t('describe', { query }),
+
+    async execute({ query }, { user, chat, t }) {
+        const { results } = await searchService.search(user.id, query, { types: ['message'], limit: 5 });
+
+        // Den laufenden Chat nicht als "früher" zurückgeben
+        const hits = results.messages
+            .filter(hit => !chat || String(hit.chatId) !== String(chat._id))
+            .map(hit => ({
+                chatTitle: hit.chatTitle,
+                role: hit.role,
+                date: hit.timestamp,
+                snippet: hit.snippet,
+                link: hit.link
+            }));
+
+        return { summary: t('summary', { count: hits.length, query }), data: { query, hits } };
+    }
+};
+
+module.exports = [addTask, createNote, startPomodoro, updateProfileGoal, searchChats];
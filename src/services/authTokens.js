@@ -0,0 +1,328 @@
+/**
+ * 🎟️ AUTH TOKEN SERVICE
+ * Signiert und prüft Access- und Refresh-Tokens (JWT)
+ *
+ * - Access Token: kurzlebig, wird von requireAuth geprüft (type: 'access')
+ * - Refresh Token: langlebig, nur für /api/auth/refresh (type: 'refresh')
+ * - Jeder Login startet eine Token-Familie (sid/fid); jeder Refresh rotiert sie
+ * - Action Tokens: einmalige Links für E-Mail-Bestätigung und Passwort-Reset,
+ *   sowie die Teil-Sitzung zwischen Passwort und 2FA-Code
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const tokenFamilyStore = require('./tokenFamilyStore');
+
+// Einmal-Tokens: type im JWT -> Feld in user.security.pendingTokens
+const ACTION_TOKENS = {
+    email_verification: {
+        field: 'emailVerification',
+        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+    },
+    password_reset: {
+        field: 'passwordReset',
+        expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h'
+    },
+    two_factor_login: {
+        field: 'twoFactorLogin',
+        expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m'
+    }
+};
+
+// Grobe Geräteerkennung für die Sitzungsübersicht (kein vollständiger UA-Parser)
+const BROWSERS = [
+    ['Edge', /Edg\/([\d]+)/],
+    ['Opera', /OPR\/([\d]+)/],
+    ['Chrome', /Chrome\/([\d]+)/],
+    ['Firefox', /Firefox\/([\d]+)/],
+    ['Safari', /Version\/([\d]+).*Safari/],
+    ['curl', /curl\/([\d.]+)/],
+    ['Node.js', /node(?:-fetch)?\/?([\d.]*)/i]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+];
+
+const describeUserAgent = (userAgent) => {
+    if (!userAgent) {
+        return { browser: null, os: null, deviceType: 'unknown', label: 'Unbekanntes Gerät' };
+    }
+
+    const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+    const version = browserMatch ? userAgent.match(browserMatch[1])[1] : '';
+
+    const browser = browserMatch ? `${browserMatch[0]}${version ? ' ' + version : ''}` : null;
+    const os = osMatch ? osMatch[0] : null;
+    const deviceType = /Mobile|iPhone|Android/.test(userAgent) ? 'mobile'
+        : /iPad|Tablet/.test(userAgent) ? 'tablet'
+        : browser && !os ? 'script' : 'desktop';
+
+    return {
+        browser,
+        os,
+        deviceType,
+        label: [browser, os].filter(Boolean).join(' auf ') || 'Unbekanntes Gerät'
+    };
+};
+
+const createTokenError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+class AuthTokenService {
+    constructor() {
+        this.accessExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+        this.refreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+        this.issuer = 'all-ki';
+    }
+
+    getAccessSecret() {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET nicht in .env definiert');
+        }
+        return process.env.JWT_SECRET;
+    }
+
+    getRefreshSecret() {
+        return process.env.JWT_REFRESH_SECRET || this.getAccessSecret();
+    }
+
+    // Access Token für requireAuth
+    generateAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                userId: String(user._id || user.id),
+                email: user.email,
+                sid: sessionId,
+                type: 'access'
+            },
+            this.getAccessSecret(),
+            {
+                expiresIn: this.accessExpiresIn,
+                issuer: this.issuer,
+                jwtid: crypto.randomUUID()
+            }
+        );
+    }
+
+    // Refresh Token - jedes Token bekommt eine eigene jti, damit Rotation erkennbar ist
+    generateRefreshToken(user, sessionId) {
+        return jwt.sign(
+            {
+                userId: String(user._id || user.id),
+                fid: sessionId,
+                type: 'refresh'
+            },
+            this.getRefreshSecret(),
+            {
+                expiresIn: this.refreshExpiresIn,
+                issuer: this.issuer,
+                jwtid: crypto.randomUUID()
+            }
+        );
+    }
+
+    // Access + Refresh Token in einer Antwort-kompatiblen Form
+    issueTokenPair(user, sessionId) {
+        const accessToken = this.generateAccessToken(user, sessionId);
+        const refreshToken = this.generateRefreshToken(user, sessionId);
+        const { exp } = jwt.decode(accessToken);
+
+        return {
+            accessToken,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresAt: new Date(exp * 1000).toISOString()
+        };
+    }
+
+    // Wirft JsonWebTokenError / TokenExpiredError bei ungültigen Tokens
+    verifyRefreshToken(token) {
+        const decoded = jwt.verify(token, this.getRefreshSecret(), { issuer: this.issuer });
+
+        if (decoded.type !== 'refresh' || !decoded.fid) {
+            const error = new Error('Ungültiger Token-Typ');
+            error.name = 'JsonWebTokenError';
+            throw error;
+        }
+
+        return decoded;
+    }
+
+    // ========================================
+    // SESSIONS (TOKEN-FAMILIEN)
+    // ========================================
+
+    // Neuer Login: neue Familie anlegen und erstes Token-Paar ausgeben
+    // context: { userAgent, ip } des anmeldenden Geräts
+    async createSession(user, context = {}) {
+        const sessionId = crypto.randomUUID();
+        const tokens = this.issueTokenPair(user, sessionId);
+        const { jti, exp } = jwt.decode(tokens.refreshToken);
+
+        await tokenFamilyStore.create({
+            userId: user._id || user.id,
+            familyId: sessionId,
+            jti,
+            expiresAt: new Date(exp * 1000),
+            userAgent: context.userAgent,
+            ip: context.ip
+        });
+
+        return tokens;
+    }
+
+    // Refresh: altes Token entwerten, neues Paar in derselben Familie ausgeben
+    async rotateSession(decoded, user, context = {}) {
+        const tokens = this.issueTokenPair(user, decoded.fid);
+        const { jti, exp } = jwt.decode(tokens.refreshToken);
+
+        const status = await tokenFamilyStore.rotate(
+            decoded.fid,
+            decoded.jti,
+            jti,
+            new Date(exp * 1000),
+            context
+        );
+
+        if (status === 'reused') {
+            throw createTokenError(
+                'Refresh Token wurde bereits verwendet - alle Tokens dieser Sitzung wurden widerrufen',
+                'REFRESH_TOKEN_REUSED'
+            );
+        }
+
+        if (status !== 'rotated') {
+            throw createTokenError('Sitzung wurde beendet', 'SESSION_REVOKED');
+        }
+
+        return tokens;
+    }
+
+    async getSession(sessionId) {
+        return tokenFamilyStore.find(sessionId);
+    }
+
+    async isSessionActive(sessionId) {
+        const family = await tokenFamilyStore.find(sessionId);
+        return !!family && !family.revokedAt;
+    }
+
+    // Letzte Aktivität einer Sitzung (von requireAuth, gedrosselt im Store)
+    async touchSession(sessionId, context = {}) {
+        return tokenFamilyStore.touch(sessionId, context);
+    }
+
+    async revokeSession(sessionId, reason = 'logout') {
+        return tokenFamilyStore.revoke(sessionId, reason);
+    }
+
+    async revokeAllSessions(userId, reason = 'logout_all') {
+        return tokenFamilyStore.revokeAllForUser(userId, reason);
+    }
+
+    // Aktive Sitzungen eines Users für /api/users/sessions
+    async listSessions(userId, currentSessionId = null) {
+        const families = await tokenFamilyStore.listActiveForUser(userId);
+
+        return families.map(family => ({
+            id: family.familyId,
+            current: family.familyId === currentSessionId,
+            device: describeUserAgent(family.userAgent),
+            userAgent: family.userAgent,
+            ip: family.ip,
+            createdAt: family.createdAt,
+            lastActivityAt: family.lastActivityAt || family.lastUsedAt,
+            expiresAt: family.expiresAt
+        }));
+    }
+
+    // Nur Sitzungen des eigenen Users - liefert false für fremde oder beendete Sitzungen
+    async revokeUserSession(userId, sessionId) {
+        return tokenFamilyStore.revoke(sessionId, 'user_revoked', userId);
+    }
+
+    async revokeOtherSessions(userId, currentSessionId) {
+        return tokenFamilyStore.revokeAllForUser(userId, 'user_revoked', currentSessionId);
+    }
+
+    // ========================================
+    // ACTION TOKENS (E-MAIL-BESTÄTIGUNG, PASSWORT-RESET)
+    // ========================================
+
+    getActionSecret() {
+        return process.env.JWT_ACTION_SECRET || this.getAccessSecret();
+    }
+
+    getActionConfig(purpose) {
+        const config = ACTION_TOKENS[purpose];
+        if (!config) {
+            throw new Error(`Unbekannter Token-Zweck: ${purpose}`);
+        }
+        return config;
+    }
+
+    // Stellt ein neues Token aus und entwertet damit ältere Links desselben Zwecks
+    async issueActionToken(user, purpose) {
+        const config = this.getActionConfig(purpose);
+        const jti = crypto.randomUUID();
+
+        const token = jwt.sign(
+            {
+                userId: String(user._id || user.id),
+                email: user.email,
+                type: purpose
+            },
+            this.getActionSecret(),
+            {
+                expiresIn: config.expiresIn,
+                issuer: this.issuer,
+                jwtid: jti
+            }
+        );
+
+        user.set(`security.pendingTokens.${config.field}`, jti);
+        await user.save();
+
+        return token;
+    }
+
+    // Wirft JsonWebTokenError / TokenExpiredError bei ungültigen Tokens
+    verifyActionToken(token, purpose) {
+        this.getActionConfig(purpose);
+        const decoded = jwt.verify(token, this.getActionSecret(), { issuer: this.issuer });
+
+        if (decoded.type !== purpose) {
+            const error = new Error('Ungültiger Token-Typ');
+            error.name = 'JsonWebTokenError';
+            throw error;
+        }
+
+        return decoded;
+    }
+
+    // Entwertet das Token am User - speichern muss der Aufrufer (zusammen mit der eigentlichen Änderung)
+    consumeActionToken(user, decoded) {
+        const { field } = this.getActionConfig(decoded.type);
+        const pendingJti = user.security?.pendingTokens?.[field];
+
+        if (!pendingJti || pendingJti !== decoded.jti || user.email !== decoded.email) {
+            throw createTokenError('Link wurde bereits verwendet oder ist nicht mehr gültig', 'ACTION_TOKEN_USED');
+        }
+
+        user.set(`security.pendingTokens.${field}`, null);
+    }
+}
+
+const authTokens = new AuthTokenService();
+authTokens.describeUserAgent = describeUserAgent;
+
+module.exports = authTokens;
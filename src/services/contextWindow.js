@@ -0,0 +1,76 @@
+/**
+ * 🪟 CONTEXT WINDOW
+ * Hält den Prompt gespeicherter Chats innerhalb des Token-Budgets
+ *
+ * - Die neuesten Nachrichten gehen wörtlich ins Prompt (Sliding Window, siehe tokenCounter)
+ * - Was herausfällt, wird in chat.context.summary zusammengefasst (rollierend:
+ *   alte Zusammenfassung + neu herausgefallene Nachrichten -> neue Zusammenfassung)
+ * - Läuft das Fenster über, wird auf die Hälfte des Budgets gekürzt, damit nicht
+ *   jede weitere Nachricht sofort eine neue Zusammenfassung auslöst
+ * - Verzweigte Chats: die Zusammenfassung merkt sich ihre letzte Nachricht (coveredUntilId).
+ *   Liegt die nicht auf dem aktuellen Zweig, wird für diesen Zweig neu zusammengefasst
+ */
+
+const tokenCounter = require('./tokenCounter');
+
+const KEEP_RATIO = 0.5;
+
+const toPromptMessages = (messages) => messages.map(({ role, content }) => ({ role, content }));
+
+// Gilt die gespeicherte Zusammenfassung für diesen Verlauf?
+const coversHistory = (summary, history) => {
+    const covered = summary.coveredMessageCount || 0;
+    if (covered === 0 || !summary.coveredUntilId) return true;
+
+    const lastCovered = history[covered - 1];
+    return !lastCovered?.id || String(lastCovered.id) === String(summary.coveredUntilId);
+};
+
+class ContextWindowService {
+    // history: user/assistant-Nachrichten des angezeigten Zweigs vor der neuen Nachricht
+    // (chronologisch, { role, content, id }). Liefert { history, summary } für
+    // quickChatCompletion / contextualChatCompletion
+    async prepare(chat, history, options = {}) {
+        const budget = tokenCounter.getHistoryBudget();
+        const stored = chat.context?.summary || {};
+        const current = coversHistory(stored, history) ? stored : {};
+        const covered = current.coveredMessageCount || 0;
+        const pending = history.slice(covered);
+
+        if (tokenCounter.countMessages(pending) <= budget) {
+            return { history: toPromptMessages(pending), summary: current.text || null };
+        }
+
+        const keep = toPromptMessages(tokenCounter.fitToBudget(pending, Math.floor(budget * KEEP_RATIO)));
+        const dropped = pending.slice(0, pending.length - keep.length);
+
+        if (dropped.length === 0) {
+            return { history: keep, summary: current.text || null };
+        }
+
+        try {
+            const openaiService = require('./openai');
+            const completion = await openaiService.summarizeConversation(current.text, toPromptMessages(dropped), options);
+
+            chat.context.summary = {
+                text: completion.content.substring(0, 5000),
+                coveredMessageCount: covered + dropped.length,
+                coveredUntilId: dropped[dropped.length - 1].id || null,
+                tokenCount: completion.usage?.completionTokens || tokenCounter.countText(completion.content),
+                updatedAt: new Date()
+            };
+            await chat.save();
+
+            console.log(`🧾 Chat summary updated: ${chat._id} (${covered + dropped.length} Nachrichten zusammengefasst)`);
+
+            return { history: keep, summary: chat.context.summary.text };
+
+        } catch (error) {
+            // Ohne neue Zusammenfassung weiter - das Fenster bleibt trotzdem im Budget
+            console.warn(`⚠️ Chat summary failed for ${chat._id}: ${error.message}`);
+            return { history: keep, summary: current.text || null };
+        }
+    }
+}
+
+module.exports = new ContextWindowService();
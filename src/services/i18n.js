@@ -0,0 +1,133 @@
+/**
+ * 🌐 I18N
+ * Übersetzungen für Prompts, Fallback-Antworten und Fehlermeldungen der API
+ *
+ * - Jede Datei src/locales/<code>.json ist eine Sprache - für eine neue Sprache genügt eine
+ *   neue Datei, User.preferences.language erlaubt automatisch alle vorhandenen
+ * - t(language, 'chat.errors.messageTooLong', { max: 10000 }): Schlüssel mit Punkten,
+ *   {{max}} wird ersetzt; fehlt der Schlüssel, gilt die Standardsprache (I18N_DEFAULT_LANGUAGE, sonst de)
+ * - forRequest(req): Einstellung des Users vor Accept-Language vor Standardsprache
+ * - detect(text): Sprache einer Nachricht anhand häufiger Wörter (detection.words) oder null,
+ *   wenn sie nicht eindeutig ist - kurze Nachrichten wie "ok" bleiben bei der Einstellung;
+ *   forMessage(req, text) kombiniert beides für die Antwortsprache
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+// So viele Treffer braucht eine Sprache mindestens, und mehr als jede andere
+const MIN_DETECTION_HITS = 2;
+
+const createI18nError = (message) => {
+    const error = new Error(message);
+    error.code = 'I18N_ERROR';
+    return error;
+};
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => value?.[part], object);
+
+const interpolate = (text, variables = {}) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (tag, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name]));
+
+class I18n {
+    constructor() {
+        this.locales = new Map(); // code -> Übersetzungen
+        this.detectionWords = new Map(); // code -> Set häufiger Wörter
+
+        fs.readdirSync(LOCALES_DIR)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => this.load(path.basename(file, '.json'), path.join(LOCALES_DIR, file)));
+
+        this.defaultLanguage = this.locales.has(process.env.I18N_DEFAULT_LANGUAGE)
+            ? process.env.I18N_DEFAULT_LANGUAGE
+            : 'de';
+
+        if (!this.locales.has(this.defaultLanguage)) {
+            throw createI18nError(`Standardsprache ${this.defaultLanguage} fehlt in ${LOCALES_DIR}`);
+        }
+    }
+
+    load(code, file) {
+        let messages;
+        try {
+            messages = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw createI18nError(`Sprachdatei ${file} ist kein gültiges JSON: ${error.message}`);
+        }
+
+        this.locales.set(code, messages);
+        this.detectionWords.set(code, new Set((messages.detection?.words || []).map(word => word.toLowerCase())));
+    }
+
+    get languages() {
+        return [...this.locales.keys()];
+    }
+
+    isSupported(language) {
+        return this.locales.has(language);
+    }
+
+    resolve(language) {
+        return this.isSupported(language) ? language : this.defaultLanguage;
+    }
+
+    // Rohwert (auch Listen und Objekte, z.B. Fallback-Vorschläge) - mit Standardsprache als Rückfall
+    get(language, key) {
+        return getPath(this.locales.get(this.resolve(language)), key)
+            ?? getPath(this.locales.get(this.defaultLanguage), key);
+    }
+
+    t(language, key, variables = {}) {
+        const value = this.get(language, key);
+        if (typeof value !== 'string') return key;
+
+        return interpolate(value, variables);
+    }
+
+    // Fehler mit code (z.B. USAGE_QUOTA_EXCEEDED aus usageMeter) -> Text aus errors.<code>,
+    // ein Objekt dort enthält Varianten nach error.variant bzw. error.period;
+    // error.params füllt die Platzhalter (z.B. {{max}}) - ohne Eintrag bleibt error.message
+    translateError(language, error) {
+        const entry = error?.code ? this.get(language, `errors.${error.code}`) : null;
+        const text = entry && typeof entry === 'object' ? entry[error.variant ?? error.period] : entry;
+
+        return typeof text === 'string' ? interpolate(text, error.params) : error.message;
+    }
+
+    // Variablen für das Partial language der Prompt-Templates
+    promptLanguage(language) {
+        const code = this.resolve(language);
+        return { code, name: this.t(code, 'prompt.name'), instruction: this.t(code, 'prompt.instruction') };
+    }
+
+    forRequest(req) {
+        const preferred = req.user?.preferences?.language;
+        if (this.isSupported(preferred)) return preferred;
+
+        return req.acceptsLanguages?.(...this.languages) || this.defaultLanguage;
+    }
+
+    detect(text) {
+        const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+        if (words.length === 0) return null;
+
+        const ranked = this.languages
+            .map(code => ({ code, hits: words.filter(word => this.detectionWords.get(code).has(word)).length }))
+            .sort((a, b) => b.hits - a.hits);
+
+        const [best, second] = ranked;
+        if (best.hits < MIN_DETECTION_HITS || (second && second.hits >= best.hits)) return null;
+
+        return best.code;
+    }
+
+    // Antwortsprache: erkannte Sprache der Nachricht, sonst die der Anfrage
+    forMessage(req, text) {
+        return this.detect(text) || this.forRequest(req);
+    }
+}
+
+module.exports = new I18n();
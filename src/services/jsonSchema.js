@@ -0,0 +1,86 @@
+/**
+ * 📐 JSON SCHEMA
+ * Kleine Prüfung gegen die Teilmenge von JSON Schema, die Tool-Definitionen (toolRegistry)
+ * und strukturierte Modellantworten (structuredOutput) verwenden
+ *
+ * Unterstützt: type (string, integer, number, boolean, array, object), enum,
+ * minLength / maxLength / format: 'date', minimum / maximum, items / minItems / maxItems,
+ * properties / required / additionalProperties: false
+ */
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+// value gegen schema prüfen -> ['Fehler', ...] (leer = gültig)
+const validateSchema = (schema, value, path = 'arguments') => {
+    if (!TYPE_CHECKS[schema.type]?.(value)) {
+        return [`${path} muss vom Typ ${schema.type} sein`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} muss einer der Werte ${schema.enum.join(', ')} sein`);
+    }
+
+    if (schema.type === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path} muss mindestens ${schema.minLength} Zeichen haben`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} darf maximal ${schema.maxLength} Zeichen haben`);
+        }
+        if (schema.format === 'date' && Number.isNaN(Date.parse(value))) {
+            errors.push(`${path} muss ein Datum (YYYY-MM-DD) sein`);
+        }
+    }
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} muss mindestens ${schema.minimum} sein`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} darf höchstens ${schema.maximum} sein`);
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} muss mindestens ${schema.minItems} Einträge haben`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} darf höchstens ${schema.maxItems} Einträge haben`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${path}.${key} ist erforderlich`));
+
+        Object.entries(value).forEach(([key, entry]) => {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], entry, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} ist nicht erlaubt`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+module.exports = {
+    validateSchema
+};
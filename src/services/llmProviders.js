@@ -0,0 +1,354 @@
+/**
+ * 🧠 LLM PROVIDERS
+ * Austauschbare Sprachmodell-Anbindung für den AI Service (src/services/openai.js)
+ *
+ * Jeder Provider implementiert:
+ *   complete({ model, messages, maxTokens, temperature, signal, tools })
+ *     -> { content, model, toolCalls, usage: { promptTokens, completionTokens, totalTokens } }
+ *   stream({ ...wie complete, onDelta }) -> wie complete plus aborted
+ *
+ * tools: Definitionen im Format der Chat Completions API (siehe toolRegistry.getDefinitions)
+ * toolCalls: [{ id, name, arguments }] - arguments ist das geparste JSON oder null, wenn
+ *   das Modell kein gültiges JSON geliefert hat
+ *   isConfigured() -> boolean
+ *
+ * - openai: OpenAI-kompatible HTTP API (OpenAI, llama.cpp server, Ollama, vLLM, ...)
+ * - mock:   deterministische, skriptbare Antworten für Tests und Offline-Entwicklung
+ *
+ * Auswahl (erste Angabe gewinnt): pro Aufruf -> pro Profil (profile.llm) -> LLM_PROVIDER / LLM_MODEL
+ * - pro Aufruf und pro Profil nur für Admins, außerhalb von NODE_ENV=production für alle (canSelectPerCall)
+ * - Modelle: das Standardmodell jedes Providers plus LLM_ALLOWED_MODELS, Komma-getrennt,
+ *   "modell" gilt für alle Provider, "provider:modell" nur für diesen (isModelAllowed)
+ */
+
+const fs = require('fs');
+const OpenAI = require('openai');
+const tokenCounter = require('./tokenCounter');
+
+const createProviderError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Schätzung, falls der Server keine usage liefert
+const toUsage = (usage, messages, content) => {
+    const promptTokens = usage?.prompt_tokens ?? tokenCounter.countMessages(messages);
+    const completionTokens = usage?.completion_tokens ?? tokenCounter.countText(content);
+    return {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage?.total_tokens ?? promptTokens + completionTokens
+    };
+};
+
+// [{ id, function: { name, arguments: '<json>' } }] -> [{ id, name, arguments }]
+const toToolCalls = (calls) => (calls || [])
+    .filter(call => call?.function?.name)
+    .map(call => {
+        let args = null;
+        try {
+            args = JSON.parse(call.function.arguments || '{}');
+        } catch (error) {
+            args = null;
+        }
+        return { id: call.id, name: call.function.name, arguments: args };
+    });
+
+// ========================================
+// PROVIDERS
+// ========================================
+
+// LLM_BASE_URL z.B. http://localhost:11434/v1 (Ollama) oder http://localhost:8080/v1 (llama.cpp)
+const createOpenAICompatibleProvider = () => {
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+    const baseURL = process.env.LLM_BASE_URL || process.env.OPENAI_BASE_URL || undefined;
+
+    // Lokale Server brauchen meist keinen Key, das SDK aber einen nicht-leeren Wert
+    const client = apiKey || baseURL
+        ? new OpenAI({ apiKey: apiKey || 'not-needed', baseURL })
+        : null;
+
+    const getClient = () => {
+        if (!client) {
+            throw createProviderError('OpenAI API nicht konfiguriert', 'LLM_NOT_CONFIGURED');
+        }
+        return client;
+    };
+
+    return {
+        name: 'openai',
+        defaultModel: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+        baseURL: baseURL || 'https://api.openai.com/v1',
+
+        isConfigured() {
+            return !!client;
+        },
+
+        async complete({ model, messages, maxTokens, temperature, signal, tools }) {
+            const completion = await getClient().chat.completions.create({
+                model,
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                ...(tools?.length > 0 && { tools })
+            }, { signal });
+
+            const message = completion.choices[0].message;
+            const content = (message.content || '').trim();
+            return {
+                content,
+                model: completion.model || model,
+                toolCalls: toToolCalls(message.tool_calls),
+                usage: toUsage(completion.usage, messages, content)
+            };
+        },
+
+        // Ein Abbruch über signal liefert den bisherigen Text mit aborted: true statt einem Fehler
+        async stream({ model, messages, maxTokens, temperature, signal, tools, onDelta }) {
+            let content = '';
+            let responseModel = model;
+            let usage = null;
+            // Tool Calls kommen in Stücken: pro index erst id und Name, dann die Argumente
+            const toolCallParts = [];
+
+            try {
+                const stream = await getClient().chat.completions.create({
+                    model,
+                    messages,
+                    max_tokens: maxTokens,
+                    temperature,
+                    ...(tools?.length > 0 && { tools }),
+                    stream: true,
+                    stream_options: { include_usage: true }
+                }, { signal });
+
+                for await (const chunk of stream) {
+                    responseModel = chunk.model || responseModel;
+                    if (chunk.usage) usage = chunk.usage;
+
+                    const delta = chunk.choices[0]?.delta?.content;
+                    if (delta) {
+                        content += delta;
+                        onDelta(delta);
+                    }
+
+                    (chunk.choices[0]?.delta?.tool_calls || []).forEach(part => {
+                        const call = toolCallParts[part.index] ||= { id: null, function: { name: '', arguments: '' } };
+                        if (part.id) call.id = part.id;
+                        if (part.function?.name) call.function.name += part.function.name;
+                        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+                    });
+                }
+            } catch (error) {
+                if (!signal?.aborted) throw error;
+            }
+
+            return {
+                content: content.trim(),
+                model: responseModel,
+                aborted: !!signal?.aborted,
+                toolCalls: signal?.aborted ? [] : toToolCalls(toolCallParts.filter(Boolean)),
+                usage: toUsage(usage, messages, content)
+            };
+        }
+    };
+};
+
+// Skript: LLM_MOCK_SCRIPT=<pfad>.json mit [{ "match": "regex", "reply": "text" }, ...]
+// Ohne Treffer wird die letzte Nutzernachricht gespiegelt. LLM_MOCK_DELAY_MS bremst das Streaming.
+// Regeln mit "toolCall": { "name": "...", "arguments": {...} } rufen ein Tool auf, sofern es im
+// Aufruf angeboten wird - nach dem Tool-Ergebnis antwortet der Mock mit dessen Inhalt.
+const createMockProvider = () => {
+    let script = [];
+
+    const loadScript = (filePath) => {
+        const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(rules)) {
+            throw new Error('LLM_MOCK_SCRIPT muss ein JSON-Array sein');
+        }
+        return rules;
+    };
+
+    if (process.env.LLM_MOCK_SCRIPT) {
+        script = loadScript(process.env.LLM_MOCK_SCRIPT);
+    }
+
+    const delayMs = parseInt(process.env.LLM_MOCK_DELAY_MS, 10) || 0;
+    let callCounter = 0;
+
+    const reply = (messages, tools) => {
+        const lastMessage = messages[messages.length - 1];
+
+        if (lastMessage?.role === 'tool') {
+            const call = [...messages].reverse()
+                .flatMap(msg => msg.tool_calls || [])
+                .find(entry => entry.id === lastMessage.tool_call_id);
+            return { content: `Mock-Antwort nach ${call?.function.name || 'Tool'}: ${lastMessage.content}`, toolCalls: [] };
+        }
+
+        const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+        const offered = new Set((tools || []).map(tool => tool.function.name));
+        const rule = script.find(entry => (!entry.match || new RegExp(entry.match, 'i').test(lastUserMessage)) &&
+            (!entry.toolCall || offered.has(entry.toolCall.name)));
+
+        if (!rule) {
+            return { content: `Mock-Antwort: ${lastUserMessage}`, toolCalls: [] };
+        }
+
+        return {
+            content: rule.reply ? String(rule.reply) : '',
+            toolCalls: rule.toolCall
+                ? [{ id: `call_mock_${Date.now().toString(36)}_${++callCounter}`, name: rule.toolCall.name, arguments: rule.toolCall.arguments ?? {} }]
+                : []
+        };
+    };
+
+    const wait = (ms, signal) => new Promise(resolve => {
+        if (!ms || signal?.aborted) return resolve();
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+
+    return {
+        name: 'mock',
+        defaultModel: 'mock-1',
+
+        isConfigured() {
+            return true;
+        },
+
+        // Regeln zur Laufzeit ersetzen (z.B. in Tests)
+        setScript(rules) {
+            script = Array.isArray(rules) ? rules : [];
+        },
+
+        async complete({ model, messages, tools }) {
+            const { content, toolCalls } = reply(messages, tools);
+            return { content, model, toolCalls, usage: toUsage(null, messages, content) };
+        },
+
+        async stream({ model, messages, signal, tools, onDelta }) {
+            const { content: text, toolCalls } = reply(messages, tools);
+            const parts = text.match(/\S+\s*/g) || [];
+            let content = '';
+
+            for (const part of parts) {
+                await wait(delayMs, signal);
+                if (signal?.aborted) break;
+
+                content += part;
+                onDelta(part);
+            }
+
+            return {
+                content: content.trim(),
+                model,
+                aborted: !!signal?.aborted,
+                toolCalls: signal?.aborted ? [] : toolCalls,
+                usage: toUsage(null, messages, content)
+            };
+        }
+    };
+};
+
+const providerFactories = {
+    openai: createOpenAICompatibleProvider,
+    mock: createMockProvider
+};
+
+// ========================================
+// REGISTRY
+// ========================================
+class LlmProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    getDefaultName() {
+        return process.env.LLM_PROVIDER || 'openai';
+    }
+
+    has(name) {
+        return this.providers.has(name) || Object.hasOwn(providerFactories, name);
+    }
+
+    // Provider werden erst beim ersten Zugriff erstellt
+    get(name = this.getDefaultName()) {
+        if (!this.providers.has(name)) {
+            const factory = Object.hasOwn(providerFactories, name) ? providerFactories[name] : null;
+
+            if (!factory) {
+                throw createProviderError(`Unbekannter LLM Provider: ${name}`, 'UNKNOWN_LLM_PROVIDER');
+            }
+
+            this.providers.set(name, factory());
+        }
+        return this.providers.get(name);
+    }
+
+    // Eigenen Provider setzen (z.B. in Tests)
+    register(name, provider) {
+        this.providers.set(name, provider);
+    }
+
+    getAllowedModels() {
+        return (process.env.LLM_ALLOWED_MODELS || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    isModelAllowed(providerName, model) {
+        if (model === this.get(providerName).defaultModel) return true;
+
+        const allowed = this.getAllowedModels();
+        return allowed.includes(model) || allowed.includes(`${providerName}:${model}`);
+    }
+
+    canSelectPerCall(user) {
+        return user?.role === 'admin' || process.env.NODE_ENV !== 'production';
+    }
+
+    // { provider, model } aus Aufruf, Profil und Umgebung -> { provider, model }
+    resolve(...selections) {
+        const chosen = selections.filter(Boolean);
+        const providerName = chosen.find(selection => selection.provider)?.provider || this.getDefaultName();
+        const provider = this.get(providerName);
+
+        // Ein Modell gilt nur zusammen mit seinem Provider (bzw. ohne expliziten Provider);
+        // nicht (mehr) erlaubte Modelle, z.B. in alten Profilen, fallen auf die nächste Angabe zurück
+        const modelSelection = chosen.find(selection => {
+            if (!selection.model || (selection.provider && selection.provider !== providerName)) return false;
+            if (this.isModelAllowed(providerName, selection.model)) return true;
+
+            console.warn(`⚠️ LLM Modell "${selection.model}" ist für ${providerName} nicht erlaubt (LLM_ALLOWED_MODELS)`);
+            return false;
+        });
+
+        return {
+            provider,
+            model: modelSelection?.model || provider.defaultModel
+        };
+    }
+
+    list() {
+        return [...new Set([...Object.keys(providerFactories), ...this.providers.keys()])].map(name => {
+            const provider = this.get(name);
+            return {
+                name,
+                defaultModel: provider.defaultModel,
+                configured: provider.isConfigured(),
+                isDefault: name === this.getDefaultName()
+            };
+        });
+    }
+}
+
+const llmProviders = new LlmProviderRegistry();
+llmProviders.factories = providerFactories;
+
+module.exports = llmProviders;
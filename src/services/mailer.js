@@ -0,0 +1,168 @@
+/**
+ * ✉️ MAIL SERVICE
+ * Versendet System-Mails (E-Mail-Bestätigung, Passwort-Reset) über einen austauschbaren Transport
+ *
+ * Jeder Transport implementiert send({ to, subject, text, html }) und liefert { messageId }.
+ * - file:    schreibt Mails als JSON nach MAIL_OUTBOX_DIR und loggt sie (Entwicklung/Tests)
+ * - console: loggt Mails nur
+ * - smtp:    Versand über nodemailer (Produktion)
+ *
+ * Auswahl über MAIL_TRANSPORT, sonst smtp sobald SMTP_HOST gesetzt ist, sonst file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// ========================================
+// TRANSPORTS
+// ========================================
+const createConsoleTransport = () => ({
+    name: 'console',
+
+    async send(message) {
+        const messageId = `<${crypto.randomUUID()}@all-ki.local>`;
+        console.log(`📧 [console] Mail an ${message.to}: ${message.subject}`);
+        console.log(message.text);
+        return { messageId };
+    }
+});
+
+const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'logs', 'mail')) => ({
+    name: 'file',
+    outboxDir,
+
+    async send(message) {
+        const messageId = `<${crypto.randomUUID()}@all-ki.local>`;
+        const fileName = `${Date.now()}-${messageId.slice(1, 9)}.json`;
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(
+            path.join(outboxDir, fileName),
+            JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+        );
+
+        console.log(`📧 [file] Mail an ${message.to}: ${message.subject} -> ${fileName}`);
+        return { messageId };
+    }
+});
+
+const createSmtpTransport = () => {
+    // Erst hier laden, damit Entwicklung ohne SMTP-Konfiguration auskommt
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            console.log(`📧 [smtp] Mail an ${message.to}: ${message.subject}`);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const transportFactories = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+// ========================================
+// MAIL SERVICE
+// ========================================
+class MailService {
+    constructor() {
+        this.transport = null;
+        this.from = process.env.MAIL_FROM || 'All-KI <no-reply@all-ki.local>';
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+            const factory = transportFactories[name];
+
+            if (!factory) {
+                throw new Error(`Unbekannter MAIL_TRANSPORT: ${name}`);
+            }
+
+            this.transport = factory();
+            console.log(`✉️ Mail transport: ${this.transport.name}`);
+        }
+        return this.transport;
+    }
+
+    // Eigenen Transport setzen (z.B. in Tests)
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    async send({ to, subject, text, html }) {
+        return this.getTransport().send({ from: this.from, to, subject, text, html });
+    }
+
+    // ========================================
+    // TEMPLATES
+    // ========================================
+
+    async sendVerificationEmail(user, link) {
+        return this.send({
+            to: user.email,
+            subject: 'All-KI: Bitte bestätigen Sie Ihre E-Mail-Adresse',
+            text: [
+                `Hallo ${user.firstName || ''},`.trim(),
+                '',
+                'bitte bestätigen Sie Ihre E-Mail-Adresse über folgenden Link:',
+                link,
+                '',
+                'Falls Sie sich nicht bei All-KI registriert haben, können Sie diese Mail ignorieren.'
+            ].join('\n'),
+            html: `<p>Hallo ${escapeHtml(user.firstName || '')},</p>
+<p>bitte bestätigen Sie Ihre E-Mail-Adresse:</p>
+<p><a href="${escapeHtml(link)}">E-Mail-Adresse bestätigen</a></p>
+<p>Falls Sie sich nicht bei All-KI registriert haben, können Sie diese Mail ignorieren.</p>`
+        });
+    }
+
+    async sendPasswordResetEmail(user, link) {
+        return this.send({
+            to: user.email,
+            subject: 'All-KI: Passwort zurücksetzen',
+            text: [
+                `Hallo ${user.firstName || ''},`.trim(),
+                '',
+                'über folgenden Link können Sie ein neues Passwort vergeben:',
+                link,
+                '',
+                'Der Link ist nur einmal gültig. Falls Sie kein neues Passwort angefordert haben, können Sie diese Mail ignorieren.'
+            ].join('\n'),
+            html: `<p>Hallo ${escapeHtml(user.firstName || '')},</p>
+<p>über folgenden Link können Sie ein neues Passwort vergeben:</p>
+<p><a href="${escapeHtml(link)}">Passwort zurücksetzen</a></p>
+<p>Der Link ist nur einmal gültig. Falls Sie kein neues Passwort angefordert haben, können Sie diese Mail ignorieren.</p>`
+        });
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const mailer = new MailService();
+mailer.transports = transportFactories;
+
+module.exports = mailer;
@@ -0,0 +1,191 @@
+/**
+ * 🧠 MEMORY STORE
+ * Langzeit-Gedächtnis pro Profil: Fakten speichern, aus Chats extrahieren, fürs Prompt abrufen
+ *
+ * - Extraktion: nach einer Antwort im Hintergrund, sobald MEMORY_EXTRACT_EVERY neue
+ *   Nutzernachrichten vorliegen (Standard 3) - das Modell liefert neue Fakten als JSON
+ * - Abruf: angeheftete Erinnerungen plus die per BM25 relevantesten (relevanceScorer),
+ *   höchstens MEMORY_PROMPT_LIMIT (Standard 5)
+ * - Dubletten: Fakten mit sehr ähnlichem Wortlaut werden nicht erneut gespeichert
+ */
+
+const { memories: memoryRepository } = require('../repositories');
+const relevanceScorer = require('./relevanceScorer');
+
+const MAX_CONTENT_LENGTH = 300;
+const DUPLICATE_SIMILARITY = 0.8;
+
+const createMemoryError = (message, code, status = 400) => {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+};
+
+class MemoryStoreService {
+    constructor() {
+        this.maxPerProfile = parseInt(process.env.MEMORY_MAX_PER_PROFILE, 10) || 200;
+        this.promptLimit = parseInt(process.env.MEMORY_PROMPT_LIMIT, 10) || 5;
+        this.extractEvery = parseInt(process.env.MEMORY_EXTRACT_EVERY, 10) || 3;
+    }
+
+    // ========================================
+    // VERWALTUNG
+    // ========================================
+
+    list(profileId) {
+        return memoryRepository.find({ profileId }, { sort: { pinned: -1, createdAt: -1 } });
+    }
+
+    findDuplicate(content, existing) {
+        return existing.find(memory => relevanceScorer.similarity(memory.content, content) >= DUPLICATE_SIMILARITY) || null;
+    }
+
+    validateContent(content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            throw createMemoryError('Inhalt ist erforderlich', 'INVALID_MEMORY');
+        }
+
+        if (content.trim().length > MAX_CONTENT_LENGTH) {
+            throw createMemoryError(`Eine Erinnerung darf maximal ${MAX_CONTENT_LENGTH} Zeichen haben`, 'INVALID_MEMORY');
+        }
+
+        return content.trim();
+    }
+
+    async create(profile, { content, source = 'user', chatId = null, pinned = false }, existing = null) {
+        const text = this.validateContent(content);
+        const memories = existing || await this.list(profile._id);
+
+        if (this.findDuplicate(text, memories)) {
+            throw createMemoryError('Diese Erinnerung ist bereits gespeichert', 'DUPLICATE_MEMORY', 409);
+        }
+
+        if (memories.length >= this.maxPerProfile) {
+            throw createMemoryError(`Maximal ${this.maxPerProfile} Erinnerungen pro Profil`, 'MEMORY_LIMIT_REACHED', 409);
+        }
+
+        return memoryRepository.create({
+            userId: profile.userId,
+            profileId: profile._id,
+            content: text,
+            source,
+            chatId,
+            pinned: pinned === true
+        });
+    }
+
+    async update(memory, { content, pinned }) {
+        if (content !== undefined) {
+            const text = this.validateContent(content);
+            const others = (await this.list(memory.profileId)).filter(entry => !entry._id.equals(memory._id));
+
+            if (this.findDuplicate(text, others)) {
+                throw createMemoryError('Diese Erinnerung ist bereits gespeichert', 'DUPLICATE_MEMORY', 409);
+            }
+
+            memory.content = text;
+            memory.source = 'user';
+        }
+
+        if (pinned !== undefined) {
+            if (typeof pinned !== 'boolean') {
+                throw createMemoryError('pinned muss true oder false sein', 'INVALID_MEMORY');
+            }
+            memory.pinned = pinned;
+        }
+
+        await memory.save();
+        return memory;
+    }
+
+    // ========================================
+    // ABRUF
+    // ========================================
+
+    // Relevante Erinnerungen für eine Anfrage - angeheftete zuerst, dann nach BM25-Score
+    async retrieve(profileId, query, { limit = this.promptLimit, touch = true } = {}) {
+        const memories = await this.list(profileId);
+        if (memories.length === 0) return [];
+
+        const pinned = memories.filter(memory => memory.pinned);
+        const ranked = relevanceScorer.rank(query, memories.filter(memory => !memory.pinned), {
+            getText: memory => memory.content
+        });
+
+        const selected = [...pinned, ...ranked.map(result => result.document)].slice(0, limit);
+
+        if (touch && selected.length > 0) {
+            const now = new Date();
+            await Promise.all(selected.map(memory => {
+                memory.lastUsedAt = now;
+                memory.useCount = (memory.useCount || 0) + 1;
+                return memory.save();
+            }));
+        }
+
+        return selected;
+    }
+
+    // Mit Score - für die Vorschau unter GET /api/profiles/:id/memories?q=...
+    async search(profileId, query) {
+        const memories = await this.list(profileId);
+        return relevanceScorer.rank(query, memories, { getText: memory => memory.content });
+    }
+
+    // ========================================
+    // EXTRAKTION
+    // ========================================
+
+    // Wertet die seit der letzten Extraktion neuen Nachrichten des Chats aus.
+    // options: { provider, model, meter, language } wie beim Chat-Aufruf
+    async extractFromChat(chat, profile, options = {}) {
+        const messages = chat.getActivePath()
+            .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+            .map(msg => ({ role: msg.role, content: msg.content }));
+
+        const state = chat.context?.memory || {};
+        const pending = messages.slice(state.extractedMessageCount || 0);
+
+        if (pending.filter(msg => msg.role === 'user').length < this.extractEvery) {
+            return [];
+        }
+
+        const openaiService = require('./openai');
+        const existing = await this.list(profile._id);
+        const facts = await openaiService.extractMemories(pending, existing.map(memory => memory.content), options);
+
+        const created = [];
+        for (const fact of facts) {
+            try {
+                const memory = await this.create(profile, { content: fact.substring(0, MAX_CONTENT_LENGTH), source: 'chat', chatId: chat._id }, existing);
+                existing.push(memory);
+                created.push(memory);
+            } catch (error) {
+                // Dubletten und volles Gedächtnis sind hier kein Fehler
+                if (!['DUPLICATE_MEMORY', 'MEMORY_LIMIT_REACHED', 'INVALID_MEMORY'].includes(error.code)) throw error;
+            }
+        }
+
+        chat.context.memory = {
+            extractedMessageCount: messages.length,
+            extractedAt: new Date()
+        };
+        await chat.save();
+
+        if (created.length > 0) {
+            console.log(`🧠 ${created.length} memories extracted for profile ${profile._id}`);
+        }
+
+        return created;
+    }
+
+    // Nach der Antwort aufrufen - läuft im Hintergrund, Fehler werden nur geloggt
+    scheduleExtraction(chat, profile, options = {}) {
+        this.extractFromChat(chat, profile, options).catch(error => {
+            console.warn(`⚠️ Memory extraction failed for chat ${chat._id}: ${error.message}`);
+        });
+    }
+}
+
+module.exports = new MemoryStoreService();
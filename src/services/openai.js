@@ -1,106 +1,337 @@
-const OpenAI = require('openai');
-
+const llmProviders = require('./llmProviders');
+const tokenCounter = require('./tokenCounter');
+const usageMeter = require('./usageMeter');
+const toolRegistry = require('./toolRegistry');
+const structuredOutput = require('./structuredOutput');
+const promptRegistry = require('./promptRegistry');
+const personality = require('./personality');
+const i18n = require('./i18n');
+const Profile = require('../models/Profile');
+
+const isQuotaError = (error) => error.code === 'USAGE_QUOTA_EXCEEDED';
+
+// Höchstens so viele Runden Modell -> Tool -> Modell pro Antwort
+const MAX_TOOL_ROUNDS = 3;
+
+// Verlauf für Prompts, die ihn als Text enthalten (Partial conversation)
+const toConversation = (messages, speakerFor) =>
+    messages.map(msg => ({ speaker: speakerFor(msg.role), content: msg.content }));
+
+// Benutzer / Assistent in der Sprache language
+const speakerLabels = (language) => (role) =>
+    i18n.t(language, `prompt.speakers.${role === 'user' ? 'user' : 'assistant'}`);
+
+// ========================================
+// SCHEMAS FÜR STRUKTURIERTE ANTWORTEN
+// ========================================
+
+// Grenzen direkt aus dem Profile-Schema, damit extrahierte Daten immer speicherbar sind
+const profilePath = (name) => Profile.schema.path(name);
+const listSchema = (name, minItems) => ({
+    type: 'array',
+    minItems,
+    maxItems: 5,
+    items: { type: 'string', minLength: 1, maxLength: profilePath(name).caster.options.maxlength }
+});
+
+const PROFILE_DATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 2, maxLength: profilePath('name').options.maxlength },
+        category: { type: 'string', enum: profilePath('category').enumValues },
+        goals: listSchema('goals', 1),
+        preferences: listSchema('preferences', 1),
+        challenges: listSchema('challenges', 0),
+        experience: { type: 'string', enum: profilePath('experience').enumValues },
+        frequency: { type: 'string', enum: profilePath('frequency').enumValues },
+        notes: { type: 'string', maxLength: profilePath('description').options.maxlength }
+    },
+    required: ['name', 'category', 'goals', 'preferences', 'challenges', 'experience', 'frequency', 'notes'],
+    additionalProperties: false
+};
+
+const SUGGESTIONS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 5,
+    items: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', minLength: 1, maxLength: 500 },
+            action: { type: 'string', minLength: 1, maxLength: 200 },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+        },
+        required: ['title', 'description', 'action', 'priority'],
+        additionalProperties: false
+    }
+};
+
+// Häufige Abweichungen des Modells, die eindeutig zuzuordnen sind
+const FREQUENCY_ALIASES = { selten: 'gelegentlich', 'täglich': 'taeglich', 'wöchentlich': 'woechentlich' };
+const EXPERIENCE_ALIASES = { 'anfänger': 'anfaenger' };
+
+const trimText = (value) => typeof value === 'string' ? value.trim() : value;
+const trimList = (value) => Array.isArray(value)
+    ? value.map(trimText).filter(entry => entry !== '' && entry !== null && entry !== undefined)
+    : value;
+const toKey = (value) => typeof value === 'string' ? value.trim().toLowerCase() : value;
+
+// Provider-unabhängiger KI-Service - Modellanbindung siehe src/services/llmProviders.js,
+// System-Prompts siehe src/services/promptTemplates.js (Chat-Antworten tragen promptVersion).
+// Alle Methoden nehmen options { provider, model } (pro Aufruf bzw. aus dem Profil),
+// die Chat-Methoden zusätzlich { onDelta, signal } zum Streamen und { summary } für
+// die Zusammenfassung älterer Nachrichten (siehe contextWindow) und { memories } mit
+// Fakten aus dem Profil-Gedächtnis (siehe memoryStore).
+// options.language ('de', 'en', ...) bestimmt die Sprache der Antwort (siehe i18n) -
+// ohne Angabe gilt die Standardsprache.
+// Mit options.meter { userId, profileId, chatId } wird vor dem Aufruf die Quota geprüft
+// und der Verbrauch im Usage-Ledger gebucht (siehe usageMeter).
+// Mit options.toolContext { user, chat, profile, language } darf das Modell Tools aufrufen (siehe toolRegistry).
 class OpenAIService {
     constructor() {
-        if (!process.env.OPENAI_API_KEY) {
-            console.warn('⚠️ OPENAI_API_KEY nicht gefunden. KI-Features funktionieren nicht.');
-            this.client = null;
-            return;
+        try {
+            const { provider, model } = llmProviders.resolve();
+
+            if (!provider.isConfigured()) {
+                console.warn(`⚠️ LLM Provider "${provider.name}" nicht konfiguriert (OPENAI_API_KEY / LLM_BASE_URL fehlt). KI-Features funktionieren nicht.`);
+                return;
+            }
+
+            console.log(`✅ AI Service initialisiert (${provider.name}, ${model})`);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message}. KI-Features funktionieren nicht.`);
         }
+    }
 
-        this.client = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
+    // Wirft wie bisher vor dem eigentlichen Aufruf, wenn der gewählte Provider nicht nutzbar ist
+    resolveProvider(options = {}) {
+        const selection = llmProviders.resolve({ provider: options.provider, model: options.model });
 
-        console.log('✅ OpenAI Service initialisiert');
+        if (!selection.provider.isConfigured()) {
+            throw new Error(`KI-Provider ${selection.provider.name} nicht konfiguriert`);
+        }
+        return selection;
     }
 
-    // Quick chat for general questions
-    async quickChat(message, userContext = {}) {
-        if (!this.client) {
-            throw new Error('OpenAI API nicht konfiguriert');
+    // Gemeinsamer Completion-Aufruf - liefert Text plus Metadaten für Chat-Dokumente.
+    // Mit onDelta wird gestreamt: jeder Text-Schnipsel geht sofort an den Callback,
+    // ein Abbruch über signal liefert den bisherigen Text mit aborted: true
+    async createChatCompletion(messages, { maxTokens = 500, temperature = 0.7, onDelta = null, signal = null, meter = null, operation = 'chat', tools = null, ...selection } = {}) {
+        const { provider, model } = this.resolveProvider(selection);
+
+        if (meter?.userId) {
+            await usageMeter.assertWithinQuota(meter.userId);
         }
 
-        try {
-            const systemPrompt = `Du bist ALL-KI, ein smarter und hilfsbereiter Alltagsassistent. 
-Du hilfst Benutzern bei verschiedenen Aufgaben und beantwortest Fragen freundlich und präzise.
-Antworte auf Deutsch und halte deine Antworten informativ aber nicht zu lang.
-${userContext.name ? `Der Benutzer heißt ${userContext.name}.` : ''}`;
+        const startedAt = Date.now();
+        const request = { model, messages, maxTokens, temperature, signal, tools };
+
+        const result = onDelta
+            ? await provider.stream({ ...request, onDelta })
+            : await provider.complete(request);
+
+        const completion = {
+            content: result.content,
+            provider: provider.name,
+            model: result.model || model,
+            temperature,
+            responseTime: Date.now() - startedAt,
+            aborted: !!result.aborted,
+            toolCalls: result.toolCalls || [],
+            usage: result.usage
+        };
 
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: [
-                    {
-                        role: "system",
-                        content: systemPrompt
-                    },
-                    {
-                        role: "user",
-                        content: message
-                    }
-                ],
-                max_tokens: 500,
-                temperature: 0.7,
+        // Auch abgebrochene Antworten haben Tokens verbraucht
+        if (meter?.userId) {
+            try {
+                await usageMeter.record(meter, operation, completion);
+            } catch (error) {
+                console.warn(`⚠️ Usage konnte nicht gebucht werden: ${error.message}`);
+            }
+        }
+
+        return completion;
+    }
+
+    // Completion mit Tool-Schleife: Aufrufe ohne Bestätigung (z.B. Suche) laufen sofort und ihr
+    // Ergebnis geht zurück ans Modell; ändernde Aufrufe werden als 'pending' zurückgegeben und
+    // erst nach Bestätigung im Chat ausgeführt (POST /api/chats/:id/tool-calls/:callId/confirm).
+    // -> completion plus toolCalls: [{ callId, name, arguments, summary, status, result, error }]
+    async completeWithTools(messages, { toolContext = null, ...options } = {}) {
+        const tools = toolContext ? toolRegistry.getDefinitions(toolContext.user, toolContext.language) : [];
+
+        if (tools.length === 0) {
+            const completion = await this.createChatCompletion(messages, options);
+            return { ...completion, toolCalls: [] };
+        }
+
+        const [system, ...rest] = messages;
+        const conversation = system?.role === 'system'
+            ? [{ ...system, content: `${system.content}\n\n${promptRegistry.render('toolHint').content}` }, ...rest]
+            : [...messages];
+
+        const toolCalls = [];
+        const texts = [];
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        const startedAt = Date.now();
+        let completion;
+
+        for (let round = 1; round <= MAX_TOOL_ROUNDS; round++) {
+            // Letzte Runde ohne Tools, damit das Modell antworten muss
+            completion = await this.createChatCompletion(conversation, {
+                ...options,
+                tools: round < MAX_TOOL_ROUNDS ? tools : null
             });
 
-            return completion.choices[0].message.content.trim();
+            Object.keys(usage).forEach(key => { usage[key] += completion.usage?.[key] || 0; });
+            if (completion.content) texts.push(completion.content);
+
+            if (completion.aborted || completion.toolCalls.length === 0) break;
+
+            const entries = [];
+            for (const call of completion.toolCalls) {
+                entries.push(await this.runToolCall(call, toolContext));
+            }
+            toolCalls.push(...entries);
+
+            if (entries.some(entry => entry.status === 'pending')) break;
+
+            conversation.push(
+                {
+                    role: 'assistant',
+                    content: completion.content || null,
+                    tool_calls: completion.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+                    }))
+                },
+                ...entries.map(entry => ({
+                    role: 'tool',
+                    tool_call_id: entry.callId,
+                    content: JSON.stringify(entry.error ? { error: entry.error } : { summary: entry.summary, data: entry.result })
+                }))
+            );
+        }
+
+        const pending = toolCalls.filter(entry => entry.status === 'pending');
+        let content = texts.join('\n\n');
+
+        if (!content && pending.length > 0) {
+            content = `${i18n.t(options.language, 'chat.confirmTools')}\n${pending.map(entry => `- ${entry.summary}`).join('\n')}`;
+        }
+
+        return {
+            ...completion,
+            content,
+            responseTime: Date.now() - startedAt,
+            usage,
+            toolCalls
+        };
+    }
+
+    // Einzelner Tool-Aufruf des Modells -> Eintrag für message.toolCalls
+    async runToolCall(call, toolContext) {
+        const entry = {
+            callId: call.id,
+            name: call.name,
+            arguments: call.arguments,
+            summary: call.name,
+            status: 'pending',
+            result: null,
+            error: null
+        };
+
+        try {
+            const { tool } = toolRegistry.prepare(call.name, call.arguments, toolContext.user);
+            entry.summary = toolRegistry.describe(call.name, call.arguments, toolContext.language);
+            if (tool.requiresConfirmation) return entry;
+
+            const result = await toolRegistry.execute(call.name, call.arguments, toolContext);
+            return { ...entry, status: 'executed', summary: result.summary || entry.summary, result: result.data ?? null, executedAt: new Date() };
         } catch (error) {
-            console.error('OpenAI Quick Chat Error:', error);
-            throw new Error('KI-Antwort konnte nicht generiert werden');
+            if (isQuotaError(error)) throw error;
+            console.warn(`⚠️ Tool call ${call.name} failed: ${error.message}`);
+            return { ...entry, status: 'failed', error: i18n.translateError(toolContext.language, error) };
         }
     }
 
-    // Profile interview assistant
-    async profileInterview(message, conversationHistory = [], profileData = {}) {
-        if (!this.client) {
-            throw new Error('OpenAI API nicht konfiguriert');
+    // Verlauf fürs Prompt: neueste Nachrichten innerhalb des Token-Budgets,
+    // davor ggf. die Zusammenfassung der älteren Nachrichten
+    buildHistoryMessages(conversationHistory = [], options = {}) {
+        const recent = tokenCounter.fitToBudget(
+            conversationHistory.map(msg => ({ role: msg.role, content: msg.content })),
+            options.historyTokens || tokenCounter.getHistoryBudget()
+        );
+
+        if (!options.summary) {
+            return recent;
         }
 
-        try {
-            const systemPrompt = `Du bist ein intelligenter Profil-Interview-Assistent von ALL-KI.
+        return [
+            {
+                role: "system",
+                content: `${i18n.t(options.language, 'prompt.summaryHeader')}\n${options.summary}`
+            },
+            ...recent
+        ];
+    }
 
-ZIEL: Sammle Informationen für ein personalisiertes KI-Profil basierend auf dem User-Input.
+    // Quick chat for general questions
+    async quickChat(message, userContext = {}, options = {}) {
+        return (await this.quickChatCompletion(message, userContext, [], options)).content;
+    }
 
-VERHALTEN:
-1. ERSTE ANTWORT: Bestätige den Profilnamen (EXAKT wie User eingegeben, nur Rechtschreibung korrigieren) und stelle eine spezifische Frage
-2. FOLGENDE FRAGEN: Baue intelligent auf vorherigen Antworten auf
-3. ERKENNE AUTOMATISCH: Ziele, Vorlieben, Herausforderungen, Erfahrungslevel, Häufigkeit
-4. ADAPTIERE FRAGEN: Je nach Thema - sei spezifisch!
+    async quickChatCompletion(message, userContext = {}, conversationHistory = [], options = {}) {
+        this.resolveProvider(options);
 
-BEISPIEL-FLOWS:
-User: "Sport" 
-→ "Perfekt! Ich erstelle ein 'Sport' Profil für dich. Welche Sportart machst du am liebsten?"
+        try {
+            const prompt = promptRegistry.render('quickChat', {
+                user: { name: userContext.name },
+                language: i18n.promptLanguage(options.language)
+            });
 
-User: "Kochen lernen"
-→ "Super! Ich erstelle ein 'Kochen Lernen' Profil. Welche Art von Küche interessiert dich am meisten?"
+            const completion = await this.completeWithTools([
+                {
+                    role: "system",
+                    content: prompt.content
+                },
+                ...this.buildHistoryMessages(conversationHistory, options),
+                {
+                    role: "user",
+                    content: message
+                }
+            ], { ...options, operation: 'chat', maxTokens: 500, temperature: 0.7 });
 
-User: "Arbeit projekte" 
-→ "Toll! Ich erstelle ein 'Arbeit Projekte' Profil. In welchem Bereich arbeitest du?"
+            return { ...completion, promptVersion: prompt.key };
+        } catch (error) {
+            if (isQuotaError(error)) throw error;
+            console.error('OpenAI Quick Chat Error:', error);
+            throw new Error('KI-Antwort konnte nicht generiert werden');
+        }
+    }
 
-WICHTIG:
-- Halte Fragen kurz, spezifisch und motivierend
-- Nach 4-5 relevanten Fragen sage: "Vielen Dank! Ich habe genug Informationen für dein personalisiertes Profil."
-- Erkenne automatisch, wenn User fertig ist oder abbrechen will
-- Sei enthusiastisch und unterstützend
+    // Profile interview assistant
+    async profileInterview(message, conversationHistory = [], profileData = {}, options = {}) {
+        this.resolveProvider(options);
 
-AKTUELLE INFORMATIONEN:
-${Object.keys(profileData).length > 0 ? `Bereits gesammelt: ${JSON.stringify(profileData)}` : 'Noch keine Daten gesammelt'}`;
+        try {
+            const prompt = promptRegistry.render('profileInterview', {
+                collected: Object.keys(profileData).length > 0 ? JSON.stringify(profileData) : '',
+                language: i18n.promptLanguage(options.language)
+            });
 
             // Build messages array with conversation history
             const messages = [
                 {
                     role: "system",
-                    content: systemPrompt
+                    content: prompt.content
                 }
             ];
 
-            // Add conversation history
-            conversationHistory.forEach(msg => {
-                messages.push({
-                    role: msg.role,
-                    content: msg.content
-                });
-            });
+            // Add conversation history (within token budget)
+            messages.push(...this.buildHistoryMessages(conversationHistory, options));
 
             // Add current message
             messages.push({
@@ -108,179 +339,112 @@ ${Object.keys(profileData).length > 0 ? `Bereits gesammelt: ${JSON.stringify(pro
                 content: message
             });
 
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: messages,
-                max_tokens: 400,
-                temperature: 0.8,
+            const completion = await this.createChatCompletion(messages, {
+                provider: options.provider,
+                model: options.model,
+                meter: options.meter,
+                operation: 'interview',
+                maxTokens: 400,
+                temperature: 0.8
             });
 
-            return completion.choices[0].message.content.trim();
+            return completion.content;
         } catch (error) {
+            if (isQuotaError(error)) throw error;
             console.error('OpenAI Profile Interview Error:', error);
             throw new Error('Interview-Antwort konnte nicht generiert werden');
         }
     }
 
     // Extract profile data from conversation history
-    async extractProfileData(conversationHistory) {
-        if (!this.client) {
-            throw new Error('OpenAI API nicht konfiguriert');
-        }
+    // Die Antwort muss PROFILE_DATA_SCHEMA erfüllen - sonst bekommt das Modell die Fehler zur
+    // Korrektur zurück; nach MAX_ATTEMPTS wirft structuredOutput INVALID_STRUCTURED_OUTPUT
+    async extractProfileData(conversationHistory, options = {}) {
+        this.resolveProvider(options);
+
+        const prompt = promptRegistry.render('extractProfileData', {
+            limits: {
+                name: PROFILE_DATA_SCHEMA.properties.name.maxLength,
+                item: PROFILE_DATA_SCHEMA.properties.goals.items.maxLength
+            },
+            categories: PROFILE_DATA_SCHEMA.properties.category.enum,
+            experienceLevels: PROFILE_DATA_SCHEMA.properties.experience.enum.join('|'),
+            frequencies: PROFILE_DATA_SCHEMA.properties.frequency.enum.join('|'),
+            messages: toConversation(conversationHistory, role => role),
+            language: i18n.promptLanguage(options.language)
+        });
 
         try {
-            // Prepare conversation text
-            const conversationText = conversationHistory
-                .map(msg => `${msg.role}: ${msg.content}`)
-                .join('\n');
-
-            const systemPrompt = `Du bist ein Profil-Analyse-Experte. Analysiere die folgende Unterhaltung und extrahiere strukturierte Profildaten.
-
-AUFGABE: Analysiere die Unterhaltung und erstelle ein JSON-Objekt mit folgender Struktur:
-
-{
-    "name": "Profilname (aus erstem User-Input, korrigiere nur Rechtschreibung)",
-    "category": "passende Kategorie aus: sport, kochen, arbeit, lernen, gesundheit, hobby, familie, finanzen, technologie, kreativ, reisen, general",
-    "goals": ["Ziel 1", "Ziel 2", ...],
-    "preferences": ["Vorliebe 1", "Vorliebe 2", ...],
-    "challenges": ["Herausforderung 1", "Herausforderung 2", ...],
-    "experience": "anfaenger|fortgeschritten|experte",
-    "frequency": "taeglich|woechentlich|monatlich|selten",
-    "notes": "Zusätzliche wichtige Informationen als Fließtext"
-}
-
-REGELN:
-- Wenn Informationen fehlen, verwende sinnvolle Standard-Werte
-- Der "name" sollte EXAKT dem ersten User-Input entsprechen (nur Rechtschreibung korrigieren)
-- Alle Arrays sollten mindestens ein Element haben
-- "notes" sollte eine prägnante Zusammenfassung sein
-- Antworte NUR mit dem JSON-Objekt, kein anderer Text
-
-UNTERHALTUNG:
-${conversationText}`;
-
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-3.5-turbo",
+            const { data } = await structuredOutput.generate({
+                label: 'Profildaten',
+                language: options.language,
                 messages: [
                     {
                         role: "system",
-                        content: systemPrompt
+                        content: prompt.content
                     }
                 ],
-                max_tokens: 600,
-                temperature: 0.3, // Lower temperature for more consistent JSON output
+                schema: PROFILE_DATA_SCHEMA,
+                normalize: data => this.normalizeProfileData(data),
+                complete: messages => this.createChatCompletion(messages, {
+                    provider: options.provider,
+                    model: options.model,
+                    meter: options.meter,
+                    operation: 'extraction',
+                    maxTokens: 600,
+                    temperature: 0.3 // Lower temperature for more consistent JSON output
+                })
             });
 
-            const response = completion.choices[0].message.content.trim();
-            
-            // Try to parse the JSON response
-            try {
-                const profileData = JSON.parse(response);
-                
-                // Validate and sanitize the data
-                return this.validateProfileData(profileData);
-            } catch (jsonError) {
-                console.error('JSON Parse Error:', jsonError);
-                console.log('Raw response:', response);
-                
-                // Return fallback data if JSON parsing fails
-                return this.createFallbackProfileData(conversationHistory);
-            }
-
+            return data;
         } catch (error) {
+            if (isQuotaError(error) || structuredOutput.isStructuredOutputError(error)) throw error;
             console.error('OpenAI Extract Profile Data Error:', error);
-            // Return fallback data on any error
-            return this.createFallbackProfileData(conversationHistory);
+            throw new Error('Profildaten konnten nicht extrahiert werden');
         }
     }
 
-    // Validate and sanitize extracted profile data
-    validateProfileData(data) {
-        const validCategories = [
-            'sport', 'kochen', 'arbeit', 'lernen', 'gesundheit', 'hobby', 
-            'familie', 'finanzen', 'technologie', 'kreativ', 'reisen', 'general'
-        ];
-        
-        const validExperience = ['anfaenger', 'fortgeschritten', 'experte'];
-        const validFrequency = ['taeglich', 'woechentlich', 'monatlich', 'selten'];
+    // Eindeutige Abweichungen korrigieren (Kategorie-Aliasse, Umlaute, Leerzeichen) -
+    // alles andere prüft das Schema, statt es still durch Standardwerte zu ersetzen
+    normalizeProfileData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+
+        const known = Object.keys(PROFILE_DATA_SCHEMA.properties);
+        const normalized = Object.fromEntries(Object.entries(data).filter(([key]) => known.includes(key)));
+
+        normalized.name = trimText(normalized.name);
+        normalized.notes = normalized.notes === undefined || normalized.notes === null ? '' : trimText(normalized.notes);
+        normalized.category = Profile.normalizeCategory(normalized.category) || normalized.category;
+        normalized.experience = EXPERIENCE_ALIASES[toKey(normalized.experience)] || toKey(normalized.experience);
+        normalized.frequency = FREQUENCY_ALIASES[toKey(normalized.frequency)] || toKey(normalized.frequency);
+        ['goals', 'preferences', 'challenges'].forEach(key => {
+            normalized[key] = normalized[key] === undefined && key === 'challenges' ? [] : trimList(normalized[key]);
+        });
 
-        return {
-            name: (data.name || 'Neues Profil').substring(0, 100),
-            category: validCategories.includes(data.category) ? data.category : 'general',
-            goals: Array.isArray(data.goals) && data.goals.length > 0 ? data.goals.slice(0, 5) : ['Unterstützung erhalten'],
-            preferences: Array.isArray(data.preferences) && data.preferences.length > 0 ? data.preferences.slice(0, 5) : ['Personalisierte Hilfe'],
-            challenges: Array.isArray(data.challenges) ? data.challenges.slice(0, 5) : [],
-            experience: validExperience.includes(data.experience) ? data.experience : 'anfaenger',
-            frequency: validFrequency.includes(data.frequency) ? data.frequency : 'woechentlich',
-            notes: (data.notes || '').substring(0, 1000)
-        };
+        return normalized;
     }
 
-    // Create fallback profile data when extraction fails
-    createFallbackProfileData(conversationHistory) {
-        // Try to extract at least the profile name from the first user message
-        const firstUserMessage = conversationHistory.find(msg => msg.role === 'user');
-        const profileName = firstUserMessage ? firstUserMessage.content.substring(0, 50) : 'Neues Profil';
-
-        return {
-            name: profileName,
-            category: 'general',
-            goals: ['Unterstützung erhalten'],
-            preferences: ['Personalisierte Hilfe'],
-            challenges: [],
-            experience: 'anfaenger',
-            frequency: 'woechentlich',
-            notes: 'Automatisch erstelltes Profil'
-        };
+    // Contextual chat using profile data
+    async contextualChat(message, profileData, conversationHistory = [], options = {}) {
+        return (await this.contextualChatCompletion(message, profileData, conversationHistory, options)).content;
     }
 
-    // Contextual chat using profile data
-    async contextualChat(message, profileData, conversationHistory = []) {
-        if (!this.client) {
-            throw new Error('OpenAI API nicht konfiguriert');
-        }
+    async contextualChatCompletion(message, profileData, conversationHistory = [], options = {}) {
+        this.resolveProvider(options);
 
         try {
-            // Build system prompt with profile context
-            let systemPrompt = `Du bist ein spezialisierter KI-Assistent für das Profil "${profileData.name || 'Unbekannt'}".
-
-PROFIL-KONTEXT:
-Kategorie: ${profileData.category || 'Allgemein'}`;
-
-            // Add detailed profile information if available
-            if (profileData.goals && profileData.goals.length > 0) {
-                systemPrompt += `
-Ziele: ${profileData.goals.join(', ')}
-Vorlieben: ${profileData.preferences ? profileData.preferences.join(', ') : 'Keine spezifischen Vorlieben erwähnt'}
-Herausforderungen: ${profileData.challenges && profileData.challenges.length > 0 ? profileData.challenges.join(', ') : 'Keine spezifischen Herausforderungen erwähnt'}
-Erfahrung: ${profileData.experience || 'Unbekannt'}
-Häufigkeit: ${profileData.frequency || 'Unbekannt'}
-Zusatzinfos: ${profileData.notes || 'Keine zusätzlichen Informationen'}
-
-Nutze diese Informationen, um personalisierte, relevante und hilfreiche Antworten zu geben. 
-Baue auf den Zielen und Vorlieben auf und hilf bei den Herausforderungen.`;
-            }
-
-            systemPrompt += `\n\nAntworte freundlich, hilfreich und auf Deutsch. 
-Halte deine Antworten präzise aber informativ. 
-Stelle gelegentlich Rückfragen um das Profil noch besser zu verstehen.`;
+            const prompt = this.renderContextualPrompt(profileData, options);
 
             // Build messages array
             const messages = [
                 {
                     role: "system",
-                    content: systemPrompt
+                    content: prompt.content
                 }
             ];
 
-            // Add recent conversation history (last 10 messages to stay within limits)
-            const recentHistory = conversationHistory.slice(-10);
-            recentHistory.forEach(msg => {
-                messages.push({
-                    role: msg.role,
-                    content: msg.content
-                });
-            });
+            // Add recent conversation history (within token budget, older turns as summary)
+            messages.push(...this.buildHistoryMessages(conversationHistory, options));
 
             // Add current message
             messages.push({
@@ -288,154 +452,224 @@ Stelle gelegentlich Rückfragen um das Profil noch besser zu verstehen.`;
                 content: message
             });
 
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: messages,
-                max_tokens: 600,
-                temperature: 0.7,
+            // Kreativität -> temperature, Antwortlänge -> max_tokens (siehe personality)
+            const completion = await this.completeWithTools(messages, {
+                ...options,
+                ...personality.getGenerationSettings(profileData.personality),
+                operation: options.operation || 'chat'
             });
 
-            return completion.choices[0].message.content.trim();
+            return { ...completion, promptVersion: prompt.key };
         } catch (error) {
+            if (isQuotaError(error)) throw error;
             console.error('OpenAI Contextual Chat Error:', error);
             throw new Error('Kontextuelle Antwort konnte nicht generiert werden');
         }
     }
 
-    // Generate smart suggestions based on profile
-    async generateSuggestions(profileData, context = 'general') {
-        if (!this.client) {
-            throw new Error('OpenAI API nicht konfiguriert');
-        }
+    // Profil, Persönlichkeit, eigene Anweisungen (profile.systemPrompt) und Erinnerungen -> System-Prompt
+    renderContextualPrompt(profileData, options = {}) {
+        const unknown = i18n.t(options.language, 'prompt.unknown');
+        const profile = {
+            name: profileData.name || unknown,
+            category: profileData.category || i18n.t(options.language, 'prompt.generalCategory'),
+            goals: profileData.goals || [],
+            preferences: profileData.preferences || [],
+            challenges: profileData.challenges || [],
+            experience: profileData.experience || unknown,
+            frequency: profileData.frequency || unknown,
+            notes: profileData.notes || profileData.description || ''
+        };
 
-        try {
-            const systemPrompt = `Du bist ein intelligenter Vorschlag-Generator für das ALL-KI System.
-
-AUFGABE: Generiere 3-5 personalisierte, actionable Vorschläge für den User basierend auf seinem Profil.
-
-PROFIL:
-- Name: ${profileData.name}
-- Kategorie: ${profileData.category}
-- Ziele: ${profileData.goals?.join(', ') || 'Keine'}
-- Erfahrung: ${profileData.experience || 'Unbekannt'}
-- Häufigkeit: ${profileData.frequency || 'Unbekannt'}
-
-KONTEXT: ${context}
-
-FORMAT: Antworte mit einem JSON Array von Objekten:
-[
-    {
-        "title": "Kurzer Titel",
-        "description": "Detaillierte Beschreibung",
-        "action": "Konkrete Handlungsaufforderung",
-        "priority": "high|medium|low"
+        return promptRegistry.render('contextualChat', {
+            profile,
+            personality: personality.describePersonality(profileData.personality, options.language),
+            // Eigene Anweisungen dürfen {{profile.name}} usw. verwenden
+            instructions: promptRegistry.renderText(profileData.systemPrompt, { profile }).trim(),
+            memories: options.memories || [],
+            language: i18n.promptLanguage(options.language)
+        });
     }
-]
 
-Die Vorschläge sollen:
-- Spezifisch für die Kategorie sein
-- Auf die Ziele eingehen
-- Dem Erfahrungslevel entsprechen
-- Praktisch umsetzbar sein`;
+    // Rollierende Zusammenfassung: bisherige Zusammenfassung + aus dem Fenster gefallene Nachrichten
+    async summarizeConversation(previousSummary, messages, options = {}) {
+        this.resolveProvider(options);
 
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-3.5-turbo",
-                messages: [
-                    {
-                        role: "system",
-                        content: systemPrompt
-                    }
-                ],
-                max_tokens: 800,
-                temperature: 0.8,
+        try {
+            const prompt = promptRegistry.render('summarizeConversation', {
+                previousSummary,
+                messages: toConversation(messages, speakerLabels(options.language)),
+                language: i18n.promptLanguage(options.language)
             });
 
-            const response = completion.choices[0].message.content.trim();
-            
-            try {
-                return JSON.parse(response);
-            } catch (jsonError) {
-                console.error('Suggestions JSON Parse Error:', jsonError);
-                return this.getFallbackSuggestions(profileData);
-            }
-
+            return await this.createChatCompletion([
+                {
+                    role: "system",
+                    content: prompt.content
+                }
+            ], {
+                provider: options.provider,
+                model: options.model,
+                meter: options.meter,
+                operation: 'summary',
+                maxTokens: 300,
+                temperature: 0.3
+            });
         } catch (error) {
-            console.error('OpenAI Generate Suggestions Error:', error);
-            return this.getFallbackSuggestions(profileData);
+            if (isQuotaError(error)) throw error;
+            console.error('OpenAI Summarize Error:', error);
+            throw new Error('Zusammenfassung konnte nicht erstellt werden');
         }
     }
 
-    // Fallback suggestions when AI generation fails
-    getFallbackSuggestions(profileData) {
-        const category = profileData.category || 'general';
-        
-        const fallbackSuggestions = {
-            sport: [
-                {
-                    title: "Trainingsplan erstellen",
-                    description: "Erstelle einen personalisierten Trainingsplan basierend auf deinen Zielen",
-                    action: "Erzähle mir von deinen Fitnesszielen",
-                    priority: "high"
-                }
-            ],
-            kochen: [
-                {
-                    title: "Neues Rezept ausprobieren",
-                    description: "Entdecke ein Rezept, das zu deinen Vorlieben passt",
-                    action: "Sage mir, was du gerne isst",
-                    priority: "medium"
-                }
-            ],
-            general: [
+    // Dauerhafte Fakten über den Benutzer aus neuen Chat-Nachrichten -> ['Fakt', ...]
+    // knownFacts werden mitgeschickt, damit das Modell nichts doppelt liefert
+    async extractMemories(messages, knownFacts = [], options = {}) {
+        this.resolveProvider(options);
+
+        let completion;
+        try {
+            const prompt = promptRegistry.render('extractMemories', {
+                knownFacts,
+                messages: toConversation(messages, speakerLabels(options.language)),
+                language: i18n.promptLanguage(options.language)
+            });
+
+            completion = await this.createChatCompletion([
                 {
-                    title: "Profil vervollständigen",
-                    description: "Teile mehr Informationen, um bessere Empfehlungen zu erhalten",
-                    action: "Erzähle mir mehr über deine Ziele",
-                    priority: "medium"
+                    role: "system",
+                    content: prompt.content
                 }
-            ]
-        };
+            ], {
+                provider: options.provider,
+                model: options.model,
+                meter: options.meter,
+                operation: 'memory',
+                maxTokens: 300,
+                temperature: 0.2
+            });
+        } catch (error) {
+            if (isQuotaError(error)) throw error;
+            console.error('OpenAI Extract Memories Error:', error);
+            throw new Error('Erinnerungen konnten nicht extrahiert werden');
+        }
 
-        return fallbackSuggestions[category] || fallbackSuggestions.general;
+        try {
+            const facts = JSON.parse(completion.content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            return Array.isArray(facts)
+                ? facts.filter(fact => typeof fact === 'string' && fact.trim()).slice(0, 5).map(fact => fact.trim())
+                : [];
+        } catch (jsonError) {
+            console.warn('Memories JSON Parse Error:', jsonError.message);
+            return [];
+        }
     }
 
-    // Health check method
-    async testConnection() {
-        if (!this.client) {
-            return { success: false, error: 'API Key nicht konfiguriert' };
-        }
+    // Generate smart suggestions based on profile
+    // Die Antwort muss SUGGESTIONS_SCHEMA erfüllen (Repair-and-Retry wie bei extractProfileData)
+    async generateSuggestions(profileData, context = 'general', options = {}) {
+        this.resolveProvider(options);
+
+        const prompt = promptRegistry.render('generateSuggestions', {
+            profile: {
+                name: profileData.name,
+                category: profileData.category,
+                goals: profileData.goals || [],
+                experience: profileData.experience || i18n.t(options.language, 'prompt.unknown'),
+                frequency: profileData.frequency || i18n.t(options.language, 'prompt.unknown')
+            },
+            context,
+            language: i18n.promptLanguage(options.language)
+        });
 
         try {
-            const completion = await this.client.chat.completions.create({
-                model: "gpt-4o-mini",
+            const { data } = await structuredOutput.generate({
+                label: 'Vorschläge',
+                language: options.language,
                 messages: [
                     {
-                        role: "user",
-                        content: "Hallo! Antworte nur mit 'Test erfolgreich!'"
+                        role: "system",
+                        content: prompt.content
                     }
                 ],
-                max_tokens: 50,
-                temperature: 0,
+                schema: SUGGESTIONS_SCHEMA,
+                // Manche Modelle verpacken das Array in { "suggestions": [...] }
+                normalize: data => {
+                    const list = Array.isArray(data?.suggestions) ? data.suggestions : data;
+                    return Array.isArray(list)
+                        ? list.map(entry => entry && typeof entry === 'object'
+                            ? { ...entry, priority: toKey(entry.priority) }
+                            : entry)
+                        : list;
+                },
+                complete: messages => this.createChatCompletion(messages, {
+                    provider: options.provider,
+                    model: options.model,
+                    meter: options.meter,
+                    operation: 'suggestions',
+                    maxTokens: 800,
+                    temperature: 0.8
+                })
+            });
+
+            return data;
+        } catch (error) {
+            if (isQuotaError(error) || structuredOutput.isStructuredOutputError(error)) throw error;
+            console.error('OpenAI Generate Suggestions Error:', error);
+            throw new Error('Vorschläge konnten nicht generiert werden');
+        }
+    }
+
+    // Health check method - error ist ein fester Text für die Antwort der API (options.language),
+    // die Fehlermeldung des Providers landet nur im Server-Log
+    async testConnection(options = {}) {
+        const { provider } = llmProviders.resolve({ provider: options.provider, model: options.model });
+        if (!provider.isConfigured()) {
+            return { success: false, code: 'LLM_NOT_CONFIGURED', error: i18n.t(options.language, 'chat.connection.notConfigured') };
+        }
+
+        try {
+            const completion = await this.createChatCompletion([
+                {
+                    role: "user",
+                    content: i18n.t(options.language, 'prompt.connectionTest')
+                }
+            ], {
+                provider: options.provider,
+                model: options.model,
+                meter: options.meter,
+                operation: 'test',
+                maxTokens: 50,
+                temperature: 0
             });
 
             return { 
                 success: true, 
-                response: completion.choices[0].message.content.trim() 
+                provider: completion.provider,
+                model: completion.model,
+                response: completion.content
             };
         } catch (error) {
             console.error('OpenAI Connection Test Error:', error);
-            return { 
-                success: false, 
-                error: error.message 
+            return {
+                success: false,
+                code: 'LLM_UNAVAILABLE',
+                error: i18n.t(options.language, 'errors.LLM_UNAVAILABLE')
             };
         }
     }
 
     // Get AI service status
     getStatus() {
+        const { provider, model } = llmProviders.resolve();
+
         return {
-            configured: !!this.client,
-            apiKeyPresent: !!process.env.OPENAI_API_KEY,
+            configured: provider.isConfigured(),
+            apiKeyPresent: !!(process.env.LLM_API_KEY || process.env.OPENAI_API_KEY),
+            provider: provider.name,
+            model,
+            providers: llmProviders.list(),
+            allowedModels: llmProviders.getAllowedModels(),
             timestamp: new Date().toISOString()
         };
     }
@@ -0,0 +1,140 @@
+/**
+ * 🎭 PERSONALITY
+ * profile.personality -> Modellparameter und Stilvorgaben für Profil-Chats
+ *
+ * - traits.creativity (1-10)  -> temperature: 0.1 + creativity / 10, also 0.2 … 1.1 (Standard 6 = 0.7)
+ * - responseLength            -> max_tokens: short 250, medium 600, detailed 1200
+ * - alle Werte                -> Stilvorgaben im Partial personality (promptTemplates),
+ *                                Eigenschaften in drei Stufen: 1-3 niedrig, 4-7 mittel, 8-10 hoch;
+ *                                die Texte stehen in src/locales (prompt.personality)
+ * - merge(): prüft Änderungen aus dem Profil-Editor gegen die Grenzen im Profile-Schema
+ *
+ * Fehlende oder ungültige gespeicherte Werte fallen auf die Schema-Standards zurück
+ */
+
+const Profile = require('../models/Profile');
+const i18n = require('./i18n');
+
+const TRAITS = ['friendliness', 'formality', 'creativity'];
+
+const traitPath = (trait) => Profile.schema.path(`personality.traits.${trait}`);
+const stylePath = Profile.schema.path('personality.communicationStyle');
+const lengthPath = Profile.schema.path('personality.responseLength');
+
+const TRAIT_RANGE = { min: traitPath('creativity').options.min, max: traitPath('creativity').options.max };
+
+const DEFAULTS = {
+    traits: Object.fromEntries(TRAITS.map(trait => [trait, traitPath(trait).options.default])),
+    communicationStyle: stylePath.options.default,
+    responseLength: lengthPath.options.default
+};
+
+const MAX_TOKENS = {
+    short: 250,
+    medium: 600,
+    detailed: 1200
+};
+
+const isTrait = (value) => Number.isInteger(value) && value >= TRAIT_RANGE.min && value <= TRAIT_RANGE.max;
+
+const traitLevel = (value) => {
+    if (value <= 3) return 0;
+    if (value >= 8) return 2;
+    return 1;
+};
+
+// Gespeicherte (oder unvollständige) Persönlichkeit -> vollständige mit gültigen Werten
+const resolve = (personality = {}) => {
+    const traits = personality?.traits || {};
+
+    return {
+        traits: Object.fromEntries(TRAITS.map(trait => [trait, isTrait(traits[trait]) ? traits[trait] : DEFAULTS.traits[trait]])),
+        communicationStyle: stylePath.enumValues.includes(personality?.communicationStyle)
+            ? personality.communicationStyle
+            : DEFAULTS.communicationStyle,
+        responseLength: lengthPath.enumValues.includes(personality?.responseLength)
+            ? personality.responseLength
+            : DEFAULTS.responseLength
+    };
+};
+
+// -> { temperature, maxTokens } für createChatCompletion
+const getGenerationSettings = (personality) => {
+    const { traits, responseLength } = resolve(personality);
+
+    return {
+        temperature: Math.round((0.1 + traits.creativity / 10) * 100) / 100,
+        maxTokens: MAX_TOKENS[responseLength]
+    };
+};
+
+// -> Variablen für das Partial personality, Texte in der Sprache language
+const describePersonality = (personality, language) => {
+    const { traits, communicationStyle, responseLength } = resolve(personality);
+    const text = (key) => i18n.get(language, `prompt.personality.${key}`);
+
+    return {
+        ...Object.fromEntries(TRAITS.map(trait => [trait, text(`traits.${trait}`)[traitLevel(traits[trait])]])),
+        style: text(`styles.${communicationStyle}`),
+        length: text(`lengths.${responseLength}`)
+    };
+};
+
+// Änderungen { traits: { creativity: 8 }, responseLength: 'short' } auf die aktuelle Persönlichkeit
+// anwenden -> { personality, errors } - bei Fehlern bleibt personality die aktuelle,
+// errors in der Sprache language (profiles.personality.* in src/locales)
+const merge = (current, changes, language) => {
+    const personality = resolve(current);
+    const errors = [];
+    const error = (key, variables) => errors.push(i18n.t(language, `profiles.personality.${key}`, variables));
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        error('notAnObject');
+        return { personality, errors };
+    }
+
+    Object.keys(changes)
+        .filter(key => !['traits', 'communicationStyle', 'responseLength'].includes(key))
+        .forEach(key => error('unknownSetting', { key }));
+
+    const traits = changes.traits ?? {};
+    if (typeof traits !== 'object' || Array.isArray(traits)) {
+        error('traitsNotAnObject');
+    } else {
+        Object.entries(traits).forEach(([trait, value]) => {
+            if (!TRAITS.includes(trait)) {
+                error('unknownTrait', { trait });
+            } else if (!isTrait(value)) {
+                error('traitRange', { trait, ...TRAIT_RANGE });
+            }
+        });
+    }
+
+    if (changes.communicationStyle !== undefined && !stylePath.enumValues.includes(changes.communicationStyle)) {
+        error('invalidChoice', { key: 'communicationStyle', values: stylePath.enumValues.join(', ') });
+    }
+
+    if (changes.responseLength !== undefined && !lengthPath.enumValues.includes(changes.responseLength)) {
+        error('invalidChoice', { key: 'responseLength', values: lengthPath.enumValues.join(', ') });
+    }
+
+    if (errors.length > 0) return { personality, errors };
+
+    return {
+        personality: {
+            traits: { ...personality.traits, ...traits },
+            communicationStyle: changes.communicationStyle ?? personality.communicationStyle,
+            responseLength: changes.responseLength ?? personality.responseLength
+        },
+        errors
+    };
+};
+
+module.exports = {
+    DEFAULTS,
+    TRAIT_RANGE,
+    resolve,
+    merge,
+    getGenerationSettings,
+    describePersonality
+};
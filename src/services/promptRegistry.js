@@ -0,0 +1,229 @@
+/**
+ * 📝 PROMPT REGISTRY
+ * Versionierte System-Prompts mit Variablen und Partials
+ *
+ * Ein Template beschreibt:
+ *   name, version   - z.B. 'contextualChat', 2 - eine neue Fassung bekommt eine neue Version,
+ *                     alte bleiben registriert, damit sich ältere Antworten nachvollziehen lassen
+ *   description     - wofür der Prompt gedacht ist
+ *   template        - Text mit Platzhaltern:
+ *                       {{profile.name}}                 Variable (Punkt-Pfade, Arrays mit ", ")
+ *                       {{> personality}}                Partial mit denselben Variablen
+ *                       {{#if profile.goals}}…{{else}}…{{/if}}
+ *                       {{#each memories}}- {{this}}{{/each}}
+ *
+ * render(name, variables, { version }) -> { content, name, version, key: 'name@version' }
+ * Ohne version gilt die höchste registrierte - PROMPT_VERSIONS=contextualChat@1,quickChat@1
+ * hält eine ältere Fassung fest. Die key landet in message.metadata.promptVersion.
+ *
+ * Templates und Partials siehe src/services/promptTemplates.js
+ */
+
+const createPromptError = (message, code = 'PROMPT_TEMPLATE_ERROR') => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// {{name}} | {{> partial}} | {{#if path}} | {{#each path}} | {{else}} | {{/if}} | {{/each}}
+const TAG_PATTERN = /\{\{\s*(?:(>)\s*([\w.]+)|#(if|each)\s+([\w.]+)|\/(if|each)|(else)|([\w.]+))\s*\}\}/g;
+
+// Text -> [{ type: 'text' | 'variable' | 'partial' | 'if' | 'each', ... }]
+const parse = (source, templateName) => {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let position = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, partialSigil, partialName, blockType, blockPath, closeType, elseTag, variable] = match;
+
+        if (match.index > position) {
+            current().children.push({ type: 'text', value: source.slice(position, match.index) });
+        }
+        position = match.index + tag.length;
+
+        if (partialSigil) {
+            current().children.push({ type: 'partial', name: partialName });
+        } else if (blockType) {
+            const node = { type: blockType, path: blockPath, children: [], otherwise: [] };
+            current().children.push(node);
+            stack.push(node);
+        } else if (closeType) {
+            if (current().type !== closeType) {
+                throw createPromptError(`${templateName}: {{/${closeType}}} ohne passendes {{#${closeType}}}`);
+            }
+            const node = stack.pop();
+            if (node.inElse) {
+                [node.children, node.otherwise] = [node.thenChildren, node.children];
+                delete node.thenChildren;
+                delete node.inElse;
+            }
+        } else if (elseTag) {
+            const node = current();
+            if (node.type !== 'if' || node.inElse) {
+                throw createPromptError(`${templateName}: {{else}} außerhalb von {{#if}}`);
+            }
+            node.thenChildren = node.children;
+            node.children = [];
+            node.inElse = true;
+        } else {
+            current().children.push({ type: 'variable', path: variable });
+        }
+    }
+
+    if (position < source.length) {
+        current().children.push({ type: 'text', value: source.slice(position) });
+    }
+
+    if (stack.length > 1) {
+        throw createPromptError(`${templateName}: {{#${current().type}}} wird nicht geschlossen`);
+    }
+    return root.children;
+};
+
+const getPath = (variables, path) => path === 'this'
+    ? variables.this
+    : path.split('.').reduce((value, key) => value?.[key], variables);
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+const toText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+};
+
+// Partials dürfen weitere Partials einbinden - begrenzt, falls sie sich gegenseitig aufrufen
+const MAX_PARTIAL_DEPTH = 5;
+
+class PromptRegistry {
+    constructor() {
+        this.templates = new Map(); // name -> Map(version -> { ..., nodes })
+        this.partials = new Map();  // name -> nodes
+        this.pinned = this.parsePins(process.env.PROMPT_VERSIONS);
+    }
+
+    // 'contextualChat@1,quickChat@1' -> Map(name -> version)
+    parsePins(value) {
+        return new Map((value || '')
+            .split(',')
+            .map(entry => entry.trim().split('@'))
+            .filter(([name, version]) => name && Number.isInteger(Number(version)))
+            .map(([name, version]) => [name, Number(version)]));
+    }
+
+    registerPartial(name, template) {
+        this.partials.set(name, parse(template, `Partial ${name}`));
+        return this;
+    }
+
+    register({ name, version, description = '', template }) {
+        if (!name || !Number.isInteger(version) || version < 1 || typeof template !== 'string') {
+            throw createPromptError(`Ungültige Template-Definition: ${name || 'ohne Namen'}`);
+        }
+
+        if (!this.templates.has(name)) this.templates.set(name, new Map());
+        if (this.templates.get(name).has(version)) {
+            throw createPromptError(`Template ${name}@${version} ist bereits registriert`);
+        }
+
+        this.templates.get(name).set(version, { name, version, description, nodes: parse(template, `${name}@${version}`) });
+        return this;
+    }
+
+    // Prüft, dass alle verwendeten Partials existieren - einmal nach dem Registrieren
+    validate() {
+        const check = (nodes, owner) => nodes.forEach(node => {
+            if (node.type === 'partial' && !this.partials.has(node.name)) {
+                throw createPromptError(`${owner}: unbekanntes Partial {{> ${node.name}}}`);
+            }
+            if (node.children) check(node.children, owner);
+            if (node.otherwise) check(node.otherwise, owner);
+        });
+
+        this.partials.forEach((nodes, name) => check(nodes, `Partial ${name}`));
+        this.templates.forEach(versions => versions.forEach(entry => check(entry.nodes, `${entry.name}@${entry.version}`)));
+        return this;
+    }
+
+    get(name, version = null) {
+        const versions = this.templates.get(name);
+        if (!versions) {
+            throw createPromptError(`Unbekanntes Prompt-Template: ${name}`, 'UNKNOWN_PROMPT_TEMPLATE');
+        }
+
+        const wanted = version ?? this.pinned.get(name) ?? Math.max(...versions.keys());
+        const entry = versions.get(wanted);
+        if (!entry) {
+            throw createPromptError(`Unbekannte Version ${name}@${wanted}`, 'UNKNOWN_PROMPT_TEMPLATE');
+        }
+        return entry;
+    }
+
+    // [{ name, versions: [1, 2], current, description }]
+    list() {
+        return [...this.templates.entries()].map(([name, versions]) => ({
+            name,
+            versions: [...versions.keys()].sort((a, b) => a - b),
+            current: this.get(name).version,
+            description: this.get(name).description
+        }));
+    }
+
+    renderNodes(nodes, variables, depth = 0) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'variable':
+                    return toText(getPath(variables, node.path));
+                case 'partial':
+                    if (depth >= MAX_PARTIAL_DEPTH) {
+                        throw createPromptError(`Partials zu tief verschachtelt: ${node.name}`);
+                    }
+                    return this.renderNodes(this.partials.get(node.name) || [], variables, depth + 1);
+                case 'if':
+                    return this.renderNodes(isTruthy(getPath(variables, node.path)) ? node.children : node.otherwise, variables, depth);
+                case 'each': {
+                    const list = getPath(variables, node.path);
+                    return Array.isArray(list)
+                        ? list.map(item => this.renderNodes(node.children, { ...variables, this: item }, depth)).join('')
+                        : '';
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    // Freitext mit Variablen, z.B. profile.systemPrompt - ohne Partials und Blöcke aus fremder Hand
+    renderText(text, variables) {
+        return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (tag, path) => toText(getPath(variables, path)));
+    }
+
+    render(name, variables = {}, { version = null } = {}) {
+        const entry = this.get(name, version);
+        const content = this.renderNodes(entry.nodes, variables)
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        return {
+            content,
+            name: entry.name,
+            version: entry.version,
+            key: `${entry.name}@${entry.version}`
+        };
+    }
+}
+
+const promptRegistry = new PromptRegistry();
+const { partials, templates } = require('./promptTemplates');
+
+Object.entries(partials).forEach(([name, template]) => promptRegistry.registerPartial(name, template));
+templates.forEach(template => promptRegistry.register(template));
+promptRegistry.validate();
+
+module.exports = promptRegistry;
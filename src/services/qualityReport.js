@@ -0,0 +1,126 @@
+/**
+ * ⭐ QUALITY REPORT
+ * Wertet das Feedback zu Antworten (Daumen, Sterne, Kommentar) pro Profil aus
+ *
+ * - getProfileReport(): je Profil Anzahl Bewertungen, Anteil hilfreich, Sterne-Schnitt,
+ *   mittlere Chat-Qualität (chat.calculateQuality) und die letzten Kritikpunkte
+ * - status 'poor', sobald genug Feedback da ist und es überwiegend negativ ausfällt -
+ *   schlechte Profile stehen oben
+ */
+
+const { chats: chatRepository, profiles: profileRepository } = require('../repositories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 366;
+const MIN_FEEDBACK = 3;
+const POOR_HELPFUL_RATE = 0.5;
+const POOR_RATING = 3;
+const MAX_COMMENTS = 3;
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const average = (values) => values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+const hasFeedback = (feedback) => Boolean(feedback) &&
+    (typeof feedback.helpful === 'boolean' || Boolean(feedback.rating) || Boolean(feedback.comment));
+
+const isCritical = (feedback) => feedback.helpful === false || (feedback.rating && feedback.rating < POOR_RATING);
+
+// Kennzahlen für die Chats eines Profils
+const summarize = (chats) => {
+    const rated = chats.flatMap(chat => chat.messages
+        .filter(message => message.role === 'assistant' && hasFeedback(message.feedback))
+        .map(message => ({ chat, message, feedback: message.feedback })));
+
+    const votes = rated.filter(entry => typeof entry.feedback.helpful === 'boolean');
+    const helpful = votes.filter(entry => entry.feedback.helpful).length;
+    const ratings = rated.map(entry => entry.feedback.rating).filter(Boolean);
+
+    const helpfulRate = votes.length > 0 ? helpful / votes.length : null;
+    const averageRating = average(ratings);
+
+    let status = 'good';
+    if (rated.length < MIN_FEEDBACK) {
+        status = 'insufficient_data';
+    } else if ((helpfulRate !== null && helpfulRate < POOR_HELPFUL_RATE) || (averageRating !== null && averageRating < POOR_RATING)) {
+        status = 'poor';
+    }
+
+    return {
+        chats: chats.length,
+        answers: chats.reduce((sum, chat) => sum + chat.messages.filter(message => message.role === 'assistant').length, 0),
+        feedbackCount: rated.length,
+        helpful,
+        notHelpful: votes.length - helpful,
+        helpfulRate: round(helpfulRate),
+        ratingCount: ratings.length,
+        averageRating: round(averageRating, 1),
+        averageQuality: round(average(chats.map(chat => chat.analysis?.quality?.score ?? 0.5))),
+        status,
+        criticism: rated
+            .filter(entry => isCritical(entry.feedback))
+            .sort((a, b) => new Date(b.message.timestamp) - new Date(a.message.timestamp))
+            .slice(0, MAX_COMMENTS)
+            .map(({ chat, message, feedback }) => ({
+                chatId: chat._id,
+                messageId: message._id,
+                helpful: feedback.helpful,
+                rating: feedback.rating,
+                comment: feedback.comment || '',
+                excerpt: message.content.substring(0, 160),
+                timestamp: message.timestamp
+            }))
+    };
+};
+
+const STATUS_ORDER = { poor: 0, good: 1, insufficient_data: 2 };
+
+class QualityReportService {
+    // Chats mit Aktivität in den letzten `days` Tagen, gruppiert nach Profil
+    async getProfileReport(userId, { days = 30 } = {}) {
+        const dayCount = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_REPORT_DAYS);
+        const from = new Date(Date.now() - dayCount * DAY_MS);
+
+        const [chats, profiles] = await Promise.all([
+            chatRepository.find(
+                { userId, 'stats.lastActivity': { $gte: from } },
+                { select: 'profileId messages analysis.quality', lean: true }
+            ),
+            profileRepository.find({ userId }, { select: 'name category isActive', lean: true })
+        ]);
+
+        const groups = new Map();
+        chats.forEach(chat => {
+            const key = chat.profileId ? String(chat.profileId) : 'none';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(chat);
+        });
+
+        const profileInfo = new Map(profiles.map(profile => [String(profile._id), profile]));
+
+        const entries = [...groups.entries()].map(([key, profileChats]) => {
+            const profile = profileInfo.get(key);
+            return {
+                profileId: key === 'none' ? null : key,
+                name: key === 'none' ? 'Ohne Profil' : profile?.name || 'Gelöschtes Profil',
+                category: profile?.category || null,
+                isActive: profile ? profile.isActive !== false : key === 'none',
+                ...summarize(profileChats)
+            };
+        });
+
+        entries.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] ||
+            (a.averageQuality ?? 1) - (b.averageQuality ?? 1));
+
+        return {
+            period: { from, to: new Date(), days: dayCount },
+            thresholds: { minFeedback: MIN_FEEDBACK, helpfulRate: POOR_HELPFUL_RATE, rating: POOR_RATING },
+            totals: summarize(chats),
+            profiles: entries
+        };
+    }
+}
+
+module.exports = new QualityReportService();
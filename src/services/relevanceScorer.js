@@ -0,0 +1,101 @@
+/**
+ * 🎯 RELEVANCE SCORER
+ * Lexikalische Relevanz ohne externe Dienste (läuft offline)
+ *
+ * - tokenize(): Kleinbuchstaben, Umlaute gefaltet (ä -> ae, ß -> ss), Stoppwörter
+ *   entfernt, leichtes Stemming für deutsche und englische Endungen
+ * - rank(): BM25 über eine kleine Dokumentmenge (z.B. die Erinnerungen eines Profils)
+ * - similarity(): Jaccard-Ähnlichkeit zweier Texte zum Erkennen von Dubletten
+ */
+
+const STOPWORDS = new Set([
+    // Deutsch
+    'aber', 'alle', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'bist',
+    'da', 'dann', 'das', 'dass', 'dein', 'deine', 'dem', 'den', 'der', 'des', 'die', 'dich', 'dir',
+    'doch', 'du', 'durch', 'ein', 'eine', 'einem', 'einen', 'einer', 'eines', 'er', 'es', 'etwas',
+    'fuer', 'hab', 'habe', 'haben', 'hat', 'hast', 'ich', 'ihr', 'im', 'in', 'ist', 'ja', 'kann',
+    'kannst', 'kein', 'mal', 'man', 'mein', 'meine', 'mich', 'mir', 'mit', 'nach', 'nicht', 'noch',
+    'nur', 'ob', 'oder', 'schon', 'sehr', 'sein', 'sich', 'sie', 'sind', 'so', 'und', 'uns', 'unter',
+    'vom', 'von', 'vor', 'war', 'was', 'weil', 'wenn', 'wer', 'wie', 'wir', 'wird', 'wo', 'zu', 'zum',
+    'zur', 'benutzer',
+    // Englisch
+    'a', 'about', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'have',
+    'he', 'i', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that', 'the', 'this', 'to',
+    'user', 'was', 'we', 'what', 'with', 'you', 'your'
+]);
+
+// Längste Endung zuerst - bleibt mindestens MIN_STEM_LENGTH übrig, wird sie abgeschnitten.
+// Zwei Durchgänge, damit z.B. "vegetarische" und "vegetarisch" denselben Stamm bekommen
+const SUFFIXES = ['ungen', 'heit', 'keit', 'lich', 'isch', 'ung', 'ing', 'ern', 'en', 'er', 'es', 'em', 'ed', 'e', 'n', 's'];
+const MIN_STEM_LENGTH = 4;
+
+const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+const normalize = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[äöüß]/g, char => UMLAUTS[char])
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '');
+
+const stripSuffix = (word) => {
+    const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH);
+    return suffix ? word.slice(0, -suffix.length) : word;
+};
+
+const stem = (word) => stripSuffix(stripSuffix(word));
+
+const tokenize = (text) => (normalize(text).match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+
+// documents: beliebige Objekte, getText liefert den Text
+// -> [{ document, score }] absteigend, nur Treffer mit score > 0
+const rank = (query, documents, { getText = (document) => document, k1 = 1.2, b = 0.75 } = {}) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || documents.length === 0) return [];
+
+    const docs = documents.map(document => {
+        const terms = tokenize(getText(document));
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        return { document, length: terms.length, frequencies };
+    });
+
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+    const idf = new Map(queryTerms.map(term => {
+        const containing = docs.filter(doc => doc.frequencies.has(term)).length;
+        return [term, Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    return docs
+        .map(doc => {
+            const score = queryTerms.reduce((sum, term) => {
+                const frequency = doc.frequencies.get(term) || 0;
+                if (!frequency) return sum;
+
+                const norm = frequency + k1 * (1 - b + b * (doc.length / averageLength));
+                return sum + idf.get(term) * ((frequency * (k1 + 1)) / norm);
+            }, 0);
+
+            return { document: doc.document, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+};
+
+const similarity = (a, b) => {
+    const termsA = new Set(tokenize(a));
+    const termsB = new Set(tokenize(b));
+    if (termsA.size === 0 || termsB.size === 0) return 0;
+
+    const shared = [...termsA].filter(term => termsB.has(term)).length;
+    return shared / (termsA.size + termsB.size - shared);
+};
+
+module.exports = {
+    normalize,
+    tokenize,
+    rank,
+    similarity
+};
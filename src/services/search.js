@@ -0,0 +1,168 @@
+/**
+ * 🔍 SEARCH SERVICE
+ * Volltextsuche über Chats (Titel, Tags, Nachrichten) und Profile (Name, Beschreibung, Ziele)
+ *
+ * - Kandidaten über den Textindex (repository.textSearch): MongoDB $text bzw.
+ *   invertierter Index im Dateispeicher
+ * - Treffer pro Nachricht werden danach in-process per BM25 gerankt (relevanceScorer)
+ * - Snippets mit highlights: [[start, end], ...] als Zeichen-Offsets im Snippet -
+ *   die Oberfläche setzt daraus <mark> (kein HTML aus der API)
+ * - link: Deep Link in die Chat-Oberfläche, z.B. /chat?chat=<id>&message=<id>
+ */
+
+const database = require('../config/database');
+const { chats: chatRepository, profiles: profileRepository } = require('../repositories');
+const relevanceScorer = require('./relevanceScorer');
+
+const CANDIDATE_LIMIT = 100;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+// [[start, end], ...] aller Wörter in text, deren Stamm ein Suchbegriff ist
+const findHighlights = (text, terms) => {
+    const ranges = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+        const [term] = relevanceScorer.tokenize(match[0]);
+        if (term && terms.has(term)) {
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+    }
+    return ranges;
+};
+
+// Ausschnitt um den ersten Treffer, Offsets relativ zum Ausschnitt
+const buildSnippet = (text, terms) => {
+    const content = String(text || '').replace(/\s+/g, ' ').trim();
+    const highlights = findHighlights(content, terms);
+
+    if (content.length <= SNIPPET_LENGTH) {
+        return { snippet: content, highlights };
+    }
+
+    let start = highlights.length ? Math.max(0, highlights[0][0] - SNIPPET_LEAD) : 0;
+    if (start > 0) {
+        const space = content.indexOf(' ', start);
+        start = space !== -1 && space < highlights[0][0] ? space + 1 : start;
+    }
+
+    let end = Math.min(content.length, start + SNIPPET_LENGTH);
+    if (end < content.length) {
+        const space = content.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < content.length ? ' …' : '';
+
+    return {
+        snippet: `${prefix}${content.slice(start, end)}${suffix}`,
+        highlights: highlights
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+    };
+};
+
+class SearchService {
+    constructor() {
+        this.types = ['message', 'chat', 'profile'];
+    }
+
+    getEngine() {
+        return database.getAdapter().name === 'mongo' ? 'mongo-text' : 'inverted-index';
+    }
+
+    // options: { types: ['message', 'chat', 'profile'], profileId, limit }
+    async search(userId, query, { types = this.types, profileId = null, limit = 20 } = {}) {
+        const terms = new Set(relevanceScorer.tokenize(query));
+        const results = { messages: [], chats: [], profiles: [] };
+
+        if (terms.size === 0) {
+            return { engine: this.getEngine(), results, total: 0 };
+        }
+
+        const searchChats = types.includes('message') || types.includes('chat');
+        const chatFilter = { userId, ...(profileId && { profileId }) };
+
+        const [chats, profiles, ownProfiles] = await Promise.all([
+            searchChats ? chatRepository.textSearch(query, chatFilter, { limit: CANDIDATE_LIMIT }) : [],
+            types.includes('profile') && !profileId
+                ? profileRepository.textSearch(query, { userId, isActive: true }, { limit })
+                : [],
+            profileRepository.find({ userId }, { select: 'name', lean: true })
+        ]);
+
+        const profileNames = new Map(ownProfiles.map(profile => [String(profile._id), profile.name]));
+        const profileName = (id) => id ? profileNames.get(String(id)) || null : null;
+
+        if (types.includes('message')) {
+            const messages = chats.flatMap(chat => chat.messages
+                .filter(message => message.role === 'user' || message.role === 'assistant')
+                .map(message => ({ chat, message })));
+
+            results.messages = relevanceScorer
+                .rank(query, messages, { getText: entry => entry.message.content })
+                .slice(0, limit)
+                .map(({ document: { chat, message }, score }) => ({
+                    type: 'message',
+                    chatId: chat._id,
+                    messageId: message._id,
+                    chatTitle: chat.title,
+                    profileId: chat.profileId || null,
+                    profileName: profileName(chat.profileId),
+                    role: message.role,
+                    timestamp: message.timestamp,
+                    ...buildSnippet(message.content, terms),
+                    score: Math.round(score * 1000) / 1000,
+                    link: `/chat?chat=${chat._id}&message=${message._id}`
+                }));
+        }
+
+        if (types.includes('chat')) {
+            results.chats = chats
+                .map(chat => ({
+                    chat,
+                    title: buildSnippet(chat.title, terms),
+                    tags: (chat.tags || []).filter(tag => findHighlights(tag, terms).length > 0)
+                }))
+                .filter(entry => entry.title.highlights.length > 0 || entry.tags.length > 0)
+                .slice(0, limit)
+                .map(({ chat, title, tags }) => ({
+                    type: 'chat',
+                    chatId: chat._id,
+                    title: chat.title,
+                    titleHighlights: title.highlights,
+                    matchedTags: tags,
+                    status: chat.status,
+                    profileId: chat.profileId || null,
+                    profileName: profileName(chat.profileId),
+                    lastActivity: chat.stats?.lastActivity || chat.updatedAt,
+                    score: Math.round(chat.score * 1000) / 1000,
+                    link: `/chat?chat=${chat._id}`
+                }));
+        }
+
+        results.profiles = profiles.map(profile => {
+            const details = [profile.description, ...(profile.goals || []), ...(profile.preferences || [])]
+                .find(text => findHighlights(text, terms).length > 0) || profile.description || '';
+
+            return {
+                type: 'profile',
+                profileId: profile._id,
+                name: profile.name,
+                nameHighlights: findHighlights(profile.name, terms),
+                category: profile.category,
+                ...buildSnippet(details, terms),
+                score: Math.round(profile.score * 1000) / 1000,
+                link: `/chat?profile=${profile._id}`
+            };
+        });
+
+        return {
+            engine: this.getEngine(),
+            results,
+            total: results.messages.length + results.chats.length + results.profiles.length
+        };
+    }
+}
+
+module.exports = new SearchService();
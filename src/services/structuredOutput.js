@@ -0,0 +1,96 @@
+/**
+ * 🧾 STRUCTURED OUTPUT
+ * JSON-Antworten des Modells parsen, normalisieren und gegen ein Schema prüfen
+ *
+ * - parseJson(): toleriert ```json-Codeblöcke und Text vor oder nach dem JSON
+ * - generate(): ruft das Modell auf; ist die Antwort kein JSON oder verletzt sie das Schema,
+ *   bekommt das Modell die Fehler zurück und soll korrigieren (Repair-and-Retry).
+ *   Nach maxAttempts Versuchen wird ein Fehler mit code INVALID_STRUCTURED_OUTPUT geworfen -
+ *   ungültige Daten gehen nie an den Aufrufer
+ */
+
+const { validateSchema } = require('./jsonSchema');
+const i18n = require('./i18n');
+
+const MAX_ATTEMPTS = 3;
+const MAX_REPORTED_ERRORS = 10;
+
+const createStructuredOutputError = (message, details = {}) => {
+    const error = new Error(message);
+    error.code = 'INVALID_STRUCTURED_OUTPUT';
+    error.status = 502;
+    error.errors = details.errors || [];
+    error.attempts = details.attempts || 0;
+    error.raw = details.raw || '';
+    return error;
+};
+
+const isStructuredOutputError = (error) => error?.code === 'INVALID_STRUCTURED_OUTPUT';
+
+// Erstes JSON-Objekt bzw. -Array im Text
+const parseJson = (text) => {
+    const content = String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        const start = content.search(/[[{]/);
+        const end = Math.max(content.lastIndexOf('}'), content.lastIndexOf(']'));
+        if (start === -1 || end <= start) throw error;
+
+        return JSON.parse(content.slice(start, end + 1));
+    }
+};
+
+// Korrekturaufforderung in der Sprache des Gesprächs (prompt.repair in src/locales)
+const buildRepairPrompt = (errors, language) => i18n.t(language, 'prompt.repair', {
+    errors: errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')
+});
+
+// messages: Prompt wie für createChatCompletion
+// complete(messages, attempt) -> { content } - der Aufrufer entscheidet über Modell und Metering
+// normalize(value): z.B. Aliasse auflösen, Strings trimmen - läuft vor der Prüfung
+// language: Sprache der Korrekturaufforderungen
+// -> { data, attempts }
+const generate = async ({ messages, schema, complete, normalize = value => value, maxAttempts = MAX_ATTEMPTS, label = 'Structured Output', language }) => {
+    const conversation = [...messages];
+    let errors = [];
+    let content = '';
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        content = (await complete(conversation, attempt)).content;
+
+        let data = null;
+        try {
+            data = normalize(parseJson(content));
+            errors = validateSchema(schema, data, 'antwort');
+        } catch (error) {
+            errors = [i18n.t(language, 'prompt.invalidJson', { message: error.message })];
+        }
+
+        if (errors.length === 0) {
+            if (attempt > 1) console.log(`🧾 ${label}: gültig nach ${attempt} Versuchen`);
+            return { data, attempts: attempt };
+        }
+
+        console.warn(`⚠️ ${label}: ungültige Ausgabe (Versuch ${attempt}/${maxAttempts}): ${errors.slice(0, 3).join('; ')}`);
+
+        conversation.push(
+            { role: 'assistant', content },
+            { role: 'user', content: buildRepairPrompt(errors, language) }
+        );
+    }
+
+    throw createStructuredOutputError(`${label}: keine gültige Antwort nach ${maxAttempts} Versuchen`, {
+        errors,
+        attempts: maxAttempts,
+        raw: content
+    });
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    parseJson,
+    generate,
+    isStructuredOutputError
+};
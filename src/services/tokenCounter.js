@@ -0,0 +1,64 @@
+/**
+ * 🔢 TOKEN COUNTER
+ * Schätzt Tokens für Prompt-Budgets und metadata.tokenCount
+ *
+ * Ohne Tokenizer-Abhängigkeit: Näherung an BPE-Tokenizer wie cl100k
+ * - Wörter: ca. 1 Token pro 4 Zeichen (mindestens 1)
+ * - Zahlen: ca. 1 Token pro 3 Ziffern
+ * - Satz- und Sonderzeichen: je 1 Token
+ * - Chat-Nachrichten: +4 Tokens Overhead für Rolle/Trenner, +3 pro Anfrage
+ *
+ * Echte Werte aus der Provider-usage haben immer Vorrang (siehe llmProviders).
+ */
+
+const PIECE_PATTERN = /[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu;
+
+const MESSAGE_OVERHEAD = 4;
+const REQUEST_OVERHEAD = 3;
+
+// Budget für den Gesprächsverlauf im Prompt (ohne System-Prompt und neue Nachricht)
+const getHistoryBudget = () => parseInt(process.env.CONTEXT_HISTORY_TOKENS, 10) || 3000;
+
+const countText = (text) => {
+    const pieces = String(text || '').match(PIECE_PATTERN) || [];
+
+    return pieces.reduce((total, piece) => {
+        if (/^\p{N}/u.test(piece)) return total + Math.ceil(piece.length / 3);
+        if (/^[\p{L}\p{M}]/u.test(piece)) return total + Math.ceil(piece.length / 4);
+        return total + 1;
+    }, 0);
+};
+
+const countMessage = (message) => countText(message.content) + MESSAGE_OVERHEAD;
+
+const countMessages = (messages) => messages.length === 0
+    ? 0
+    : messages.reduce((total, message) => total + countMessage(message), REQUEST_OVERHEAD);
+
+// Neueste Nachrichten, die zusammen ins Budget passen - chronologisch sortiert.
+// minMessages werden auch über dem Budget behalten, damit die letzte Frage nie fehlt.
+const fitToBudget = (messages, budget, minMessages = 2) => {
+    const selected = [];
+    let used = REQUEST_OVERHEAD;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = countMessage(messages[i]);
+
+        if (used + cost > budget && selected.length >= minMessages) {
+            break;
+        }
+
+        selected.unshift(messages[i]);
+        used += cost;
+    }
+
+    return selected;
+};
+
+module.exports = {
+    countText,
+    countMessage,
+    countMessages,
+    fitToBudget,
+    getHistoryBudget
+};
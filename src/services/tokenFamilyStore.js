@@ -0,0 +1,103 @@
+/**
+ * 🔁 TOKEN FAMILY STORE
+ * Persistenz für Refresh-Token-Familien über die Repositories (MongoDB oder Dateispeicher),
+ * Sitzungen überstehen also auch im Datei-Modus einen Neustart
+ *
+ * rotate() liefert einen Status statt zu werfen:
+ * 'rotated' | 'reused' | 'revoked' | 'not_found'
+ *
+ * Sitzungsdaten (userAgent, ip, lastActivityAt) werden beim Login, bei jedem Refresh
+ * und über touch() höchstens einmal pro Minute aktualisiert.
+ *
+ * Abgelaufene Familien gelten als nicht vorhanden - MongoDB löscht sie über den TTL-Index,
+ * der Dateispeicher behält sie, bis der User sich neu anmeldet oder sie widerrufen werden.
+ */
+
+const { refreshTokenFamilies } = require('../repositories');
+
+const ACTIVITY_THROTTLE_MS = 60 * 1000;
+
+// Nur gesetzte Felder übernehmen, User-Agent begrenzen
+const buildContext = ({ userAgent, ip } = {}) => {
+    const context = {};
+    if (userAgent) context.userAgent = String(userAgent).slice(0, 512);
+    if (ip) context.ip = ip;
+    return context;
+};
+
+const notExpired = () => ({ expiresAt: { $gt: new Date() } });
+
+module.exports = {
+    async create({ userId, familyId, jti, expiresAt, ...context }) {
+        return refreshTokenFamilies.create({ userId, familyId, currentJti: jti, expiresAt, ...buildContext(context) });
+    },
+
+    async find(familyId) {
+        return refreshTokenFamilies.findOne({ familyId, ...notExpired() }, { lean: true });
+    },
+
+    async listActiveForUser(userId) {
+        return refreshTokenFamilies.find(
+            { userId, revokedAt: null, ...notExpired() },
+            { sort: { lastActivityAt: -1 }, lean: true }
+        );
+    },
+
+    async rotate(familyId, oldJti, newJti, expiresAt, context = {}) {
+        const now = new Date();
+
+        // Atomar: nur das aktuelle, nicht widerrufene Token darf rotieren
+        const rotated = await refreshTokenFamilies.updateOne(
+            { familyId, currentJti: oldJti, revokedAt: null, ...notExpired() },
+            {
+                $set: { currentJti: newJti, lastUsedAt: now, lastActivityAt: now, expiresAt, ...buildContext(context) },
+                $inc: { rotationCount: 1 }
+            }
+        );
+
+        if (rotated) return 'rotated';
+
+        const family = await this.find(familyId);
+        if (!family) return 'not_found';
+        if (family.revokedAt) return 'revoked';
+
+        await this.revoke(familyId, 'reuse_detected');
+        return 'reused';
+    },
+
+    // Gedrosselt über die Query: nur schreiben, wenn die letzte Aktivität älter als eine Minute ist
+    async touch(familyId, context = {}) {
+        const now = new Date();
+        const updated = await refreshTokenFamilies.updateOne(
+            {
+                familyId,
+                revokedAt: null,
+                // null trifft auch Familien von vor der Einführung von lastActivityAt
+                $or: [{ lastActivityAt: { $lt: new Date(now - ACTIVITY_THROTTLE_MS) } }, { lastActivityAt: null }]
+            },
+            { $set: { lastActivityAt: now, ...buildContext(context) } }
+        );
+        return updated > 0;
+    },
+
+    async revoke(familyId, reason, userId = null) {
+        const filter = { familyId, revokedAt: null };
+        if (userId) filter.userId = userId;
+
+        const updated = await refreshTokenFamilies.updateOne(
+            filter,
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return updated > 0;
+    },
+
+    async revokeAllForUser(userId, reason, exceptFamilyId = null) {
+        const filter = { userId, revokedAt: null };
+        if (exceptFamilyId) filter.familyId = { $ne: exceptFamilyId };
+
+        return refreshTokenFamilies.updateMany(
+            filter,
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+};
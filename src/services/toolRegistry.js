@@ -0,0 +1,138 @@
+/**
+ * 🛠️ TOOL REGISTRY
+ * Serverseitige Werkzeuge, die der Assistent im Chat aufrufen kann (Function Calling)
+ *
+ * Ein Tool beschreibt:
+ *   name                        - so sieht es das Modell
+ *   parameters                  - JSON Schema der Argumente (wird vor der Ausführung geprüft)
+ *   permission, feature         - z.B. 'widgets:write' / 'widgets' - geprüft gegen Rolle,
+ *                                 API-Key-Scopes und Feature-Flags des aktuellen Users
+ *   requiresConfirmation        - true, wenn das Tool Daten ändert: der Aufruf wird nur
+ *                                 vorgeschlagen und läuft erst nach Bestätigung im Chat
+ *   describe(args, t)           - Satz für die Bestätigung, z.B. 'Aufgabe „Milch kaufen“ hinzufügen'
+ *   execute(args, context)      - context: { user, chat, profile, language, t } -> { summary, data }
+ *
+ * Texte stehen in den Sprachdateien unter tools.<name> (description, parameters.<argument>,
+ * describe..., summary...); t(key, variables) übersetzt darin in die Sprache des Chats.
+ * Fehler tragen einen code (errors.<code>, siehe i18n.translateError).
+ *
+ * Eingebaute Tools siehe src/services/assistantTools.js
+ */
+
+const permissions = require('../config/permissions');
+const { validateSchema } = require('./jsonSchema');
+const i18n = require('./i18n');
+
+const createToolError = (message, code, status = 400, params = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    error.params = params;
+    return error;
+};
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+        this.enabled = process.env.ASSISTANT_TOOLS !== 'false';
+    }
+
+    register(tool) {
+        if (!tool.name || typeof tool.execute !== 'function' || tool.parameters?.type !== 'object') {
+            throw new Error(`Ungültige Tool-Definition: ${tool.name || 'ohne Namen'}`);
+        }
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    // Rolle + API-Key-Scope + Feature-Flag, wie authorize() und requireFeature() in der Middleware
+    isAllowed(tool, user) {
+        if (!user) return false;
+
+        const role = user.role || permissions.DEFAULT_ROLE;
+        if (!permissions.hasPermission(role, tool.permission)) return false;
+        if (user.isApiUser && !permissions.scopesAllow(user.scopes, tool.permission)) return false;
+        if (tool.feature && !user.features?.[tool.feature]) return false;
+
+        return true;
+    }
+
+    // Tools, die dieser User im Chat verwenden darf
+    list(user) {
+        if (!this.enabled || !user?.features?.tools) return [];
+        return [...this.tools.values()].filter(tool => this.isAllowed(tool, user));
+    }
+
+    // Übersetzer für die Texte unter tools.<name>
+    translator(name, language) {
+        return (key, variables) => i18n.t(language, `tools.${name}.${key}`, variables);
+    }
+
+    // Definitionen im Format der Chat Completions API, Beschreibungen in der Sprache des Chats
+    getDefinitions(user, language) {
+        return this.list(user).map(tool => {
+            const texts = i18n.get(language, `tools.${tool.name}`) || {};
+            const properties = Object.fromEntries(Object.entries(tool.parameters.properties || {}).map(([key, schema]) =>
+                [key, texts.parameters?.[key] ? { ...schema, description: texts.parameters[key] } : schema]));
+
+            return {
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: texts.description || tool.name,
+                    parameters: { ...tool.parameters, properties }
+                }
+            };
+        });
+    }
+
+    // Prüft einen Aufruf des Modells -> { tool, args } oder wirft TOOL_*-Fehler
+    prepare(name, args, user) {
+        const tool = this.get(name);
+
+        if (!tool) {
+            throw createToolError(`Unbekanntes Tool: ${name}`, 'TOOL_NOT_FOUND', 404, { name });
+        }
+
+        if (!this.isAllowed(tool, user)) {
+            throw createToolError(`Keine Berechtigung für ${name}`, 'TOOL_FORBIDDEN', 403, { name });
+        }
+
+        const errors = validateSchema(tool.parameters, args ?? null);
+        if (errors.length > 0) {
+            const details = errors.join('; ');
+            const error = createToolError(`Ungültige Argumente für ${name}: ${details}`, 'INVALID_TOOL_ARGUMENTS', 400, { name, details });
+            error.details = errors;
+            throw error;
+        }
+
+        return { tool, args };
+    }
+
+    describe(name, args, language) {
+        const tool = this.get(name);
+        try {
+            return tool?.describe ? tool.describe(args, this.translator(name, language)) : name;
+        } catch (error) {
+            return name;
+        }
+    }
+
+    // Ausführen nach erneuter Prüfung - context: { user, chat, profile, language }
+    async execute(name, args, context) {
+        const { tool } = this.prepare(name, args, context.user);
+        const result = await tool.execute(args, { ...context, t: this.translator(name, context.language) });
+
+        console.log(`🛠️ Tool executed: ${name} for user ${context.user.id}`);
+        return result;
+    }
+}
+
+const toolRegistry = new ToolRegistry();
+require('./assistantTools').forEach(tool => toolRegistry.register(tool));
+
+module.exports = toolRegistry;
@@ -0,0 +1,149 @@
+/**
+ * 🔢 TOTP SERVICE
+ * Zeitbasierte Einmal-Codes nach RFC 6238 (HMAC-SHA1, 6 Stellen, 30s) für 2FA
+ *
+ * - Secrets werden Base32-kodiert ausgegeben (kompatibel mit Authenticator-Apps)
+ * - verify() liefert den Zeitschritt des Treffers, damit ein Code nicht zweimal gilt
+ * - Recovery Codes werden nur als SHA-256 gespeichert (zufällig genug, kein bcrypt nötig)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+    constructor() {
+        this.digits = 6;
+        this.period = 30;
+        this.window = 1; // ±1 Zeitschritt Toleranz für Uhrabweichungen
+        this.issuer = process.env.TOTP_ISSUER || 'All-KI';
+    }
+
+    // ========================================
+    // BASE32
+    // ========================================
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    base32Decode(input) {
+        const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Ungültiges Base32-Secret');
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    // ========================================
+    // TOTP
+    // ========================================
+
+    generateSecret(size = 20) {
+        return this.base32Encode(crypto.randomBytes(size));
+    }
+
+    getTimeStep(time = Date.now()) {
+        return Math.floor(time / 1000 / this.period);
+    }
+
+    // HOTP (RFC 4226) für einen Zeitschritt
+    generateCode(secret, step = this.getTimeStep()) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+    }
+
+    // Liefert den passenden Zeitschritt oder null; Schritte <= lastUsedStep gelten als verbraucht
+    verify(secret, code, lastUsedStep = null) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+            return null;
+        }
+
+        const currentStep = this.getTimeStep();
+
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const step = currentStep + offset;
+            if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    // otpauth:// URI für QR-Codes in Authenticator-Apps
+    buildOtpauthUrl(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.period)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    // ========================================
+    // RECOVERY CODES
+    // ========================================
+
+    generateRecoveryCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const raw = this.base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,251 @@
+/**
+ * 📈 USAGE METER
+ * Token-Verbrauch pro User und Profil: Ledger, Kosten, Quotas und Auswertung
+ *
+ * - record():            ein UsageRecord pro KI-Aufruf (aufgerufen aus OpenAIService.createChatCompletion)
+ * - assertWithinQuota(): prüft vor dem Aufruf Tages- und Monatslimit, wirft USAGE_QUOTA_EXCEEDED (429)
+ * - getReport():         Summen, Tagesreihe und Aufschlüsselung nach Modell, Profil und Vorgang
+ *
+ * Quotas (Tokens, 0 = unbegrenzt): USAGE_DAILY_TOKENS / USAGE_MONTHLY_TOKENS,
+ * pro User über user.usageLimits überschreibbar (PUT /api/admin/users/:id/usage-limits).
+ * Kosten in USD pro 1 Mio. Tokens - eigene Preise über LLM_PRICING='{"mein-modell":{"prompt":1,"completion":2}}'.
+ * Tage und Monate zählen in UTC.
+ */
+
+const { usage: usageRepository, users, profiles: profileRepository } = require('../repositories');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 366;
+
+// USD pro 1 Mio. Tokens - Modellnamen mit Datums-Suffix (gpt-4o-2024-08-06) treffen über das Präfix
+const DEFAULT_PRICING = {
+    'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+    'gpt-4': { prompt: 30, completion: 60 },
+    'gpt-4-turbo': { prompt: 10, completion: 30 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-4.1': { prompt: 2, completion: 8 },
+    'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 }
+};
+
+const createUsageError = (message, code, status, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    Object.assign(error, details);
+    return error;
+};
+
+const startOfUtcDay = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const startOfUtcMonth = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+const parseLimit = (value) => {
+    const limit = parseInt(value, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : 0;
+};
+
+const SUMMED_FIELDS = ['promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+
+// rows: Gruppen aus usageRepository.sumBy (count = Anzahl Aufrufe)
+const sumRows = (rows) => rows.reduce((totals, row) => {
+    totals.requests += row.count || 0;
+    totals.promptTokens += row.promptTokens || 0;
+    totals.completionTokens += row.completionTokens || 0;
+    totals.totalTokens += row.totalTokens || 0;
+    totals.cost = roundCost(totals.cost + (row.cost || 0));
+    return totals;
+}, { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+
+// [{ key, ...Summen }] absteigend nach Tokens
+const groupRows = (rows, keyOf) => {
+    const groups = new Map();
+
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    return [...groups.entries()]
+        .map(([key, entries]) => ({ key, ...sumRows(entries) }))
+        .sort((a, b) => b.totalTokens - a.totalTokens);
+};
+
+class UsageMeterService {
+    constructor() {
+        this.pricing = { ...DEFAULT_PRICING };
+
+        if (process.env.LLM_PRICING) {
+            try {
+                Object.assign(this.pricing, JSON.parse(process.env.LLM_PRICING));
+            } catch (error) {
+                console.warn(`⚠️ LLM_PRICING ist kein gültiges JSON: ${error.message}`);
+            }
+        }
+    }
+
+    // ========================================
+    // KOSTEN
+    // ========================================
+
+    getPrice(model) {
+        if (this.pricing[model]) return this.pricing[model];
+
+        const prefix = Object.keys(this.pricing)
+            .filter(name => String(model).startsWith(`${name}-`))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return prefix ? this.pricing[prefix] : null;
+    }
+
+    // Lokale und unbekannte Modelle kosten 0
+    estimateCost(model, usage = {}) {
+        const price = this.getPrice(model);
+        if (!price) return 0;
+
+        return roundCost(
+            ((usage.promptTokens || 0) * (price.prompt || 0) +
+            (usage.completionTokens || 0) * (price.completion || 0)) / 1e6
+        );
+    }
+
+    // ========================================
+    // LEDGER
+    // ========================================
+
+    // meter: { userId, profileId, chatId }, completion: Ergebnis von createChatCompletion
+    async record(meter, operation, completion) {
+        const usage = completion.usage || {};
+
+        return usageRepository.create({
+            userId: meter.userId,
+            profileId: meter.profileId || null,
+            chatId: meter.chatId || null,
+            operation: operation || 'chat',
+            provider: completion.provider,
+            model: completion.model,
+            promptTokens: usage.promptTokens || 0,
+            completionTokens: usage.completionTokens || 0,
+            totalTokens: usage.totalTokens || 0,
+            cost: this.estimateCost(completion.model, usage)
+        });
+    }
+
+    // ========================================
+    // QUOTAS
+    // ========================================
+
+    async getLimits(userId) {
+        const user = await users.findById(userId, { select: 'usageLimits', lean: true });
+        const overrides = user?.usageLimits || {};
+
+        return {
+            daily: overrides.dailyTokens ?? parseLimit(process.env.USAGE_DAILY_TOKENS),
+            monthly: overrides.monthlyTokens ?? parseLimit(process.env.USAGE_MONTHLY_TOKENS)
+        };
+    }
+
+    // Stand der Quotas - limit 0 heißt unbegrenzt (remaining dann null)
+    async getQuotaStatus(userId, now = new Date()) {
+        const dayStart = startOfUtcDay(now);
+        const monthStart = startOfUtcMonth(now);
+
+        // Summen in der Datenbank (Index userId + createdAt) statt aller Einträge des Monats
+        const [limits, dailyUsed, monthlyUsed] = await Promise.all([
+            this.getLimits(userId),
+            usageRepository.sum('totalTokens', { userId, createdAt: { $gte: dayStart } }),
+            usageRepository.sum('totalTokens', { userId, createdAt: { $gte: monthStart } })
+        ]);
+
+        const toStatus = (limit, used, resetsAt) => ({
+            limit,
+            used,
+            remaining: limit ? Math.max(limit - used, 0) : null,
+            exceeded: !!limit && used >= limit,
+            resetsAt
+        });
+
+        return {
+            daily: toStatus(limits.daily, dailyUsed, new Date(dayStart.getTime() + DAY_MS)),
+            monthly: toStatus(limits.monthly, monthlyUsed,
+                new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 1)))
+        };
+    }
+
+    async assertWithinQuota(userId) {
+        const quota = await this.getQuotaStatus(userId);
+
+        if (quota.daily.exceeded) {
+            throw createUsageError('Tageslimit für KI-Anfragen erreicht', 'USAGE_QUOTA_EXCEEDED', 429,
+                { period: 'daily', quota: quota.daily });
+        }
+
+        if (quota.monthly.exceeded) {
+            throw createUsageError('Monatslimit für KI-Anfragen erreicht', 'USAGE_QUOTA_EXCEEDED', 429,
+                { period: 'monthly', quota: quota.monthly });
+        }
+
+        return quota;
+    }
+
+    // ========================================
+    // AUSWERTUNG
+    // ========================================
+
+    // Tagesreihe ohne Lücken (Tage ohne Aufrufe mit 0), damit das Dashboard direkt zeichnen kann.
+    // Die Datenbank summiert je Tag, Modell, Profil und Vorgang - geladen werden nur diese Gruppen
+    async getReport(userId, { days = 30 } = {}) {
+        const dayCount = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_REPORT_DAYS);
+        const today = startOfUtcDay();
+        const from = new Date(today.getTime() - (dayCount - 1) * DAY_MS);
+
+        const [rows, quota] = await Promise.all([
+            usageRepository.sumBy(
+                { day: { day: 'createdAt' }, provider: 'provider', model: 'model', profileId: 'profileId', operation: 'operation' },
+                SUMMED_FIELDS,
+                { userId, createdAt: { $gte: from } }
+            ),
+            this.getQuotaStatus(userId)
+        ]);
+
+        const byDay = new Map(groupRows(rows, row => row.day).map(({ key, ...totals }) => [key, totals]));
+
+        const daily = Array.from({ length: dayCount }, (_, index) => {
+            const date = new Date(from.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+            return { date, ...(byDay.get(date) || sumRows([])) };
+        });
+
+        const byProfile = groupRows(rows, row => row.profileId ? String(row.profileId) : 'none');
+        const profileIds = byProfile.map(entry => entry.key).filter(key => key !== 'none');
+        const profiles = profileIds.length > 0
+            ? await profileRepository.find({ _id: { $in: profileIds }, userId }, { select: 'name', lean: true })
+            : [];
+        const profileNames = new Map(profiles.map(profile => [String(profile._id), profile.name]));
+
+        return {
+            period: { from, to: new Date(), days: dayCount },
+            totals: sumRows(rows),
+            quota,
+            daily,
+            byModel: groupRows(rows, row => `${row.provider}/${row.model}`)
+                .map(({ key, ...totals }) => {
+                    const [provider, ...model] = key.split('/');
+                    return { provider, model: model.join('/'), ...totals };
+                }),
+            byProfile: byProfile.map(({ key, ...totals }) => ({
+                profileId: key === 'none' ? null : key,
+                name: key === 'none' ? null : (profileNames.get(key) || 'Gelöschtes Profil'),
+                ...totals
+            })),
+            byOperation: groupRows(rows, row => row.operation || 'chat')
+                .map(({ key, ...totals }) => ({ operation: key, ...totals }))
+        };
+    }
+}
+
+module.exports = new UsageMeterService();
@@ -0,0 +1,84 @@
+/**
+ * 🧪 API KEYS
+ * Persönliche API Keys: Scopes, X-API-Key/Bearer, kein Zugriff auf Kontoverwaltung, Widerruf
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('api keys', () => {
+    let app;
+    let owner;
+    let key;
+
+    before(async () => {
+        app = await startTestServer();
+        owner = await app.register('keys@example.com');
+        const created = await app.request('POST', '/api/users/api-keys', {
+            token: owner.accessToken,
+            body: { name: 'Nur lesen', scopes: ['chat:read'] }
+        });
+        assert.equal(created.status, 201);
+        key = created.body.key;
+    });
+
+    after(() => app.close());
+
+    it('erlaubt, was der Scope abdeckt', async () => {
+        const { status } = await app.request('GET', '/api/chats', { token: key });
+        assert.equal(status, 200);
+
+        const viaHeader = await app.request('GET', '/api/chats', { headers: { 'x-api-key': key } });
+        assert.equal(viaHeader.status, 200);
+    });
+
+    it('zeigt den Key nur beim Anlegen', async () => {
+        const { body } = await app.request('GET', '/api/users/api-keys', { token: owner.accessToken });
+        const listed = body.apiKeys.find(apiKey => apiKey.name === 'Nur lesen');
+
+        assert.ok(key.startsWith(listed.prefix));
+        assert.ok(!JSON.stringify(body).includes(key));
+    });
+
+    it('lehnt Schreiben und andere Ressourcen ab', async () => {
+        const write = await app.request('POST', '/api/chat', { token: key, body: { message: 'Hallo' } });
+        assert.equal(write.status, 403);
+        assert.equal(write.body.code, 'INSUFFICIENT_SCOPE');
+
+        const other = await app.request('GET', '/api/profiles', { token: key });
+        assert.equal(other.status, 403);
+        assert.equal(other.body.code, 'INSUFFICIENT_SCOPE');
+    });
+
+    it('kann auch mit passendem Scope keine Keys verwalten', async () => {
+        const created = await app.request('POST', '/api/users/api-keys', {
+            token: owner.accessToken,
+            body: { name: 'Konto', scopes: ['account:*'] }
+        });
+
+        const { status, body } = await app.request('GET', '/api/users/api-keys', { token: created.body.key });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'API_KEY_NOT_ALLOWED');
+    });
+
+    it('lehnt unbekannte Scopes ab', async () => {
+        const { status, body } = await app.request('POST', '/api/users/api-keys', {
+            token: owner.accessToken,
+            body: { name: 'Admin', scopes: ['admin:write'] }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_SCOPE');
+    });
+
+    it('gilt nicht mehr, sobald er widerrufen ist', async () => {
+        const { body } = await app.request('GET', '/api/users/api-keys', { token: owner.accessToken });
+        const { id } = body.apiKeys.find(apiKey => apiKey.name === 'Nur lesen');
+
+        const revoked = await app.request('DELETE', `/api/users/api-keys/${id}`, { token: owner.accessToken });
+        assert.equal(revoked.status, 200);
+
+        const { status } = await app.request('GET', '/api/chats', { token: key });
+        assert.equal(status, 401);
+    });
+});
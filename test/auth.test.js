@@ -0,0 +1,74 @@
+/**
+ * 🧪 AUTH
+ * Registrierung und Login liefern signierte Access und Refresh Tokens
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('auth', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestServer();
+    });
+
+    after(() => app.close());
+
+    describe('register', () => {
+        it('legt einen User an und liefert eine Sitzung', async () => {
+            const body = await app.register('neu@example.com');
+
+            assert.equal(body.success, true);
+            assert.ok(body.accessToken);
+            assert.ok(body.refreshToken);
+            assert.equal(body.user.role, 'user');
+        });
+
+        it('lehnt eine doppelte E-Mail ab', async () => {
+            await app.register('doppelt@example.com');
+            const { status, body } = await app.request('POST', '/api/auth/register', {
+                body: { firstName: 'A', lastName: 'B', email: 'Doppelt@example.com', password: 'geheim123' }
+            });
+
+            assert.equal(status, 409);
+            assert.equal(body.error, 'Ein Benutzer mit dieser E-Mail existiert bereits');
+        });
+    });
+
+    describe('login', () => {
+        it('liefert ein Access Token, das requireAuth annimmt', async () => {
+            await app.register('login@example.com');
+            const body = await app.login('login@example.com');
+
+            assert.equal(jwt.verify(body.accessToken, process.env.JWT_SECRET).type, 'access');
+            assert.equal(jwt.decode(body.refreshToken).type, 'refresh');
+
+            const { status } = await app.request('GET', '/api/users/profile', { token: body.accessToken });
+            assert.equal(status, 200);
+        });
+
+        it('lehnt ein falsches Passwort und fremd signierte Tokens ab', async () => {
+            const wrong = await app.request('POST', '/api/auth/login', {
+                body: { email: 'login@example.com', password: 'falsch123' }
+            });
+            assert.equal(wrong.status, 401);
+            assert.equal(wrong.body.accessToken, undefined);
+
+            const forged = jwt.sign({ userId: 'x', type: 'access' }, 'anderes-secret');
+            const { status, body } = await app.request('GET', '/api/users/profile', { token: forged });
+            assert.equal(status, 401);
+            assert.equal(body.code, 'MALFORMED_TOKEN');
+        });
+
+        it('nimmt ein Refresh Token nicht als Access Token an', async () => {
+            const { refreshToken } = await app.login('login@example.com');
+
+            const { status, body } = await app.request('GET', '/api/users/profile', { token: refreshToken });
+            assert.equal(status, 401);
+            assert.equal(body.code, 'INVALID_TOKEN_TYPE');
+        });
+    });
+});
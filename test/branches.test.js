@@ -0,0 +1,80 @@
+/**
+ * 🧪 VERZWEIGUNGEN
+ * Neu generieren, Frage bearbeiten und zwischen Zweigen wechseln (Mock-Provider, siehe llmProviders)
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('branches', () => {
+    let app;
+    let mock;
+    let token;
+
+    const chat = (body) => app.request('POST', '/api/chat', { token, body });
+    const loadChat = async (chatId) => (await app.request('GET', `/api/chats/${chatId}`, { token })).body.chat;
+
+    before(async () => {
+        app = await startTestServer();
+        mock = require('../src/services/llmProviders').get('mock');
+        token = (await app.register('branches@example.com')).accessToken;
+    });
+
+    afterEach(() => {
+        mock.setScript([]);
+    });
+
+    after(() => app.close());
+
+    it('behält die alte Antwort als Alternative, wenn neu generiert wird', async () => {
+        const first = await chat({ message: 'Erzähl mir einen Witz' });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.aiResponse, 'Mock-Antwort: Erzähl mir einen Witz');
+
+        mock.setScript([{ match: 'Witz', reply: 'Ein anderer Witz' }]);
+        const second = await chat({ chatId: first.body.chatId, regenerate: true });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.aiResponse, 'Ein anderer Witz');
+
+        const detail = await loadChat(first.body.chatId);
+        assert.equal(detail.messages.length, 2);
+        const answer = detail.messages[1];
+        assert.equal(answer.content, 'Ein anderer Witz');
+        assert.deepEqual({ index: answer.branch.index, count: answer.branch.count }, { index: 1, count: 2 });
+
+        const switched = await app.request('POST', `/api/chats/${first.body.chatId}/branch`, {
+            token,
+            body: { messageId: first.body.message.id }
+        });
+        assert.equal(switched.status, 200);
+        assert.equal(switched.body.chat.messages[1].content, 'Mock-Antwort: Erzähl mir einen Witz');
+        assert.equal(switched.body.chat.messages[1].branch.index, 0);
+    });
+
+    it('startet mit einer bearbeiteten Frage einen neuen Zweig', async () => {
+        const first = await chat({ message: 'Wie wird das Wetter?' });
+        const followUp = await chat({ chatId: first.body.chatId, message: 'Und morgen?' });
+
+        const edited = await chat({
+            chatId: first.body.chatId,
+            editMessageId: followUp.body.userMessage.id,
+            message: 'Und am Wochenende?'
+        });
+        assert.equal(edited.status, 200);
+
+        const detail = await loadChat(first.body.chatId);
+        assert.deepEqual(detail.messages.map(message => message.content), [
+            'Wie wird das Wetter?',
+            'Mock-Antwort: Wie wird das Wetter?',
+            'Und am Wochenende?',
+            'Mock-Antwort: Und am Wochenende?'
+        ]);
+        assert.equal(detail.messages[2].branch.count, 2);
+    });
+
+    it('verlangt für regenerate eine chatId', async () => {
+        const { status } = await chat({ regenerate: true });
+        assert.equal(status, 400);
+    });
+});
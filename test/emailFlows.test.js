@@ -0,0 +1,75 @@
+/**
+ * 🧪 E-MAIL-BESTÄTIGUNG UND PASSWORT-RESET
+ * Einmal-Tokens per Mail (MAIL_TRANSPORT=file) und Antworten, die nichts über registrierte Adressen verraten
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('email flows', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestServer();
+    });
+
+    after(() => app.close());
+
+    describe('verification', () => {
+        it('bestätigt die Adresse genau einmal', async () => {
+            await app.register('bestaetigen@example.com');
+
+            const first = await app.verifyEmail('bestaetigen@example.com');
+            assert.equal(first.status, 200);
+
+            const again = await app.verifyEmail('bestaetigen@example.com');
+            assert.equal(again.status, 400);
+            assert.equal(again.body.code, 'ACTION_TOKEN_USED');
+        });
+
+        it('lehnt ein Reset-Token als Bestätigung ab', async () => {
+            await app.register('zweck@example.com');
+            await app.request('POST', '/api/auth/password-reset/request', { body: { email: 'zweck@example.com' } });
+
+            const { status } = await app.request('POST', '/api/auth/verify-email/confirm', {
+                body: { token: app.tokenFromMail('zweck@example.com', 'resetToken') }
+            });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('password reset', () => {
+        it('antwortet für unbekannte Adressen genauso', async () => {
+            await app.register('bekannt@example.com');
+
+            const known = await app.request('POST', '/api/auth/password-reset/request', { body: { email: 'bekannt@example.com' } });
+            const unknown = await app.request('POST', '/api/auth/password-reset/request', { body: { email: 'niemand@example.com' } });
+
+            assert.equal(known.status, 200);
+            assert.deepEqual(known.body, unknown.body);
+            assert.equal(app.readMail('niemand@example.com'), null);
+        });
+
+        it('setzt das Passwort neu und beendet alle Sitzungen', async () => {
+            const session = await app.register('reset@example.com');
+            await app.request('POST', '/api/auth/password-reset/request', { body: { email: 'reset@example.com' } });
+            const token = app.tokenFromMail('reset@example.com', 'resetToken');
+
+            const { status } = await app.request('POST', '/api/auth/password-reset/confirm', {
+                body: { token, password: 'neuesPasswort1' }
+            });
+            assert.equal(status, 200);
+
+            const refresh = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+            assert.equal(refresh.status, 401);
+
+            await app.login('reset@example.com', 'neuesPasswort1');
+
+            const reused = await app.request('POST', '/api/auth/password-reset/confirm', {
+                body: { token, password: 'nochEinPasswort1' }
+            });
+            assert.equal(reused.status, 400);
+        });
+    });
+});
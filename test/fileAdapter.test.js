@@ -0,0 +1,125 @@
+/**
+ * 🧪 FILE ADAPTER
+ * JSON-Dateispeicher hinter src/repositories: Filter, Updates, Schreib-Warteschlange und Sitzungen
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'all-ki-file-adapter-'));
+process.env.DB_ADAPTER = 'file';
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const fileAdapter = require('../src/repositories/fileAdapter');
+const authTokens = require('../src/services/authTokens');
+const { chats, usage, users } = require('../src/repositories');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+describe('fileAdapter', () => {
+    // Neues Verzeichnis = neue, leere Collections
+    beforeEach(() => {
+        process.env.FILE_DB_DIR = fs.mkdtempSync(path.join(root, 'db-'));
+    });
+
+    after(async () => {
+        await fileAdapter.flush();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('liefert Mongoose-Dokumente und speichert sie als Datei', async () => {
+        const chat = await chats.create({ userId, title: 'Einkauf', tags: ['haushalt'] });
+
+        assert.ok(chat instanceof chats.Model);
+        assert.equal(chat.isNew, false);
+
+        await fileAdapter.flush();
+        const [stored] = JSON.parse(fs.readFileSync(path.join(process.env.FILE_DB_DIR, 'chats.json'), 'utf8'));
+        assert.equal(stored._id, String(chat._id));
+        assert.equal(stored.userId, String(userId));
+    });
+
+    it('filtert, sortiert und blättert wie MongoDB', async () => {
+        for (const [title, tokens] of [['a', 10], ['b', 30], ['c', 20]]) {
+            await usage.create({ userId, provider: 'mock', model: title, totalTokens: tokens });
+        }
+        await usage.create({ userId: otherUserId, provider: 'mock', model: 'd', totalTokens: 99 });
+
+        const found = await usage.find(
+            { userId, totalTokens: { $gte: 15 } },
+            { sort: { totalTokens: -1 }, lean: true }
+        );
+        assert.deepEqual(found.map(record => record.model), ['b', 'c']);
+
+        const page = await usage.find({ userId }, { sort: { model: 1 }, skip: 1, limit: 1, lean: true });
+        assert.deepEqual(page.map(record => record.model), ['b']);
+
+        assert.equal(await usage.count({ model: { $in: ['a', 'd'] } }), 2);
+        assert.equal(await usage.count({ model: { $regex: '^[ab]$' } }), 2);
+        assert.equal(await usage.count({ $or: [{ model: 'a' }, { totalTokens: 99 }] }), 2);
+    });
+
+    it('zählt mit updateMany und $inc alle passenden Dokumente', async () => {
+        await chats.create({ userId, title: 'Eins' });
+        await chats.create({ userId, title: 'Zwei' });
+        await chats.create({ userId: otherUserId, title: 'Fremd' });
+
+        assert.equal(await chats.updateMany({ userId }, { $inc: { 'stats.messageCount': 2 } }), 2);
+        assert.equal(await chats.updateMany({ title: 'Gibt es nicht' }, { $set: { status: 'paused' } }), 0);
+
+        const own = await chats.find({ userId }, { lean: true });
+        assert.deepEqual(own.map(chat => chat.stats.messageCount), [2, 2]);
+    });
+
+    it('schreibt nach einem fehlgeschlagenen Schreibvorgang weiter', async () => {
+        const chat = await chats.create({ userId, title: 'Vorher' });
+        const collection = fileAdapter.getCollection('chats');
+        const filePath = collection.filePath;
+
+        // Zielordner ist eine Datei -> mkdir schlägt fehl
+        const blocker = path.join(process.env.FILE_DB_DIR, 'blocker');
+        fs.writeFileSync(blocker, '');
+        collection.filePath = path.join(blocker, 'chats.json');
+        await assert.rejects(collection.persist());
+
+        collection.filePath = filePath;
+        chat.title = 'Nachher';
+        await chat.save();
+        await fileAdapter.flush();
+
+        const [stored] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        assert.equal(stored.title, 'Nachher');
+    });
+
+    it('behält Refresh-Token-Familien über einen Neustart', async () => {
+        const user = await users.create({ firstName: 'A', lastName: 'B', email: 'sitzung@example.com', password: 'geheim123' });
+        const { refreshToken } = await authTokens.createSession(user);
+        const decoded = jwt.decode(refreshToken);
+        await fileAdapter.flush();
+
+        // Neustart: Collections werden aus den Dateien neu geladen
+        fileAdapter.collections.clear();
+
+        assert.equal(await authTokens.isSessionActive(decoded.fid), true);
+        const rotated = await authTokens.rotateSession(decoded, user);
+        assert.ok(rotated.refreshToken);
+
+        await assert.rejects(authTokens.rotateSession(decoded, user), { code: 'REFRESH_TOKEN_REUSED' });
+        assert.equal(await authTokens.isSessionActive(decoded.fid), false);
+    });
+
+    it('prüft unique-Felder beim Speichern', async () => {
+        await users.create({ firstName: 'A', lastName: 'B', email: 'gleich@example.com', password: 'geheim123' });
+
+        await assert.rejects(
+            users.create({ firstName: 'C', lastName: 'D', email: 'gleich@example.com', password: 'geheim123' }),
+            { code: 11000 }
+        );
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * 🧪 TEST SERVER
+ * Startet den echten Server im Testprozess: Dateispeicher und Mail-Outbox in einem
+ * temporären Verzeichnis, Mock-LLM (siehe llmProviders), freier Port
+ *
+ * node --test startet jede Testdatei in einem eigenen Prozess - pro Datei also ein
+ * frischer Server mit leerem Speicher. Umgebungsvariablen vor dem ersten require setzen.
+ *
+ * TEST_VERBOSE=1 zeigt die Logs des Servers.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_PASSWORD = 'geheim123';
+
+const startTestServer = async (env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'all-ki-test-'));
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        DB_ADAPTER: 'file',
+        FILE_DB_DIR: path.join(dir, 'db'),
+        MAIL_TRANSPORT: 'file',
+        MAIL_OUTBOX_DIR: path.join(dir, 'mail'),
+        LLM_PROVIDER: 'mock',
+        JWT_SECRET: 'test-secret',
+        ...env
+    });
+
+    if (!process.env.TEST_VERBOSE) {
+        console.log = () => {};
+    }
+
+    const { startServer } = require('../../server');
+    const database = require('../../src/config/database');
+    const server = await startServer(0);
+
+    if (!server.listening) {
+        await new Promise(resolve => server.once('listening', resolve));
+    }
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // -> { status, body } - token ist ein Access Token oder API Key
+    const request = async (method, url, { token, body, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                'content-type': 'application/json',
+                ...(token && { authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (error) {
+            json = text;
+        }
+        return { status: response.status, body: json };
+    };
+
+    // Neueste Mail an diese Adresse aus der Outbox (MAIL_TRANSPORT=file)
+    const readMail = (to) => {
+        const outbox = process.env.MAIL_OUTBOX_DIR;
+        if (!fs.existsSync(outbox)) return null;
+
+        return fs.readdirSync(outbox)
+            .sort()
+            .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')))
+            .filter(mail => mail.to === to)
+            .pop() || null;
+    };
+
+    // Token aus einem Link der Mail, z.B. verifyToken oder resetToken
+    const tokenFromMail = (to, param) => {
+        const mail = readMail(to);
+        const match = mail && mail.text.match(new RegExp(`${param}=([^\\s&]+)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    };
+
+    const register = async (email, { password = DEFAULT_PASSWORD, headers } = {}) => {
+        const { status, body } = await request('POST', '/api/auth/register', {
+            headers,
+            body: { firstName: 'Test', lastName: 'User', email, password }
+        });
+        if (status !== 201) {
+            throw new Error(`Registrierung fehlgeschlagen (${status}): ${JSON.stringify(body)}`);
+        }
+        return body;
+    };
+
+    const login = async (email, password = DEFAULT_PASSWORD) => {
+        const { status, body } = await request('POST', '/api/auth/login', { body: { email, password } });
+        if (status !== 200 || !body.accessToken) {
+            throw new Error(`Login fehlgeschlagen (${status}): ${JSON.stringify(body)}`);
+        }
+        return body;
+    };
+
+    // Bestätigt die E-Mail über den Link aus der Outbox - die Mail geht im Hintergrund raus
+    const verifyEmail = async (email) => {
+        let token = null;
+        for (let attempt = 0; attempt < 50 && !token; attempt++) {
+            token = tokenFromMail(email, 'verifyToken');
+            if (!token) await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return request('POST', '/api/auth/verify-email/confirm', { body: { token } });
+    };
+
+    // Admin über ADMIN_EMAILS (muss beim Start gesetzt sein) und bestätigte Adresse
+    const createAdmin = async (email) => {
+        await register(email);
+        await verifyEmail(email);
+        return login(email);
+    };
+
+    const close = async () => {
+        await new Promise(resolve => server.close(resolve));
+        await database.getAdapter().flush();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return { baseUrl, request, readMail, tokenFromMail, register, login, verifyEmail, createAdmin, close };
+};
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    startTestServer
+};
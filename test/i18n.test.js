@@ -0,0 +1,102 @@
+/**
+ * 🌐 I18N
+ * Antworten und Fehlermeldungen der API in der Sprache des Users (Einstellung vor Accept-Language)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+// Alle Blätter eines Sprachobjekts als 'a.b.c'
+const flattenKeys = (object, prefix = '') => Object.entries(object).flatMap(([key, value]) =>
+    value && typeof value === 'object' && !Array.isArray(value)
+        ? flattenKeys(value, `${prefix}${key}.`)
+        : [`${prefix}${key}`]);
+
+const ADMIN_EMAIL = 'i18n-admin@example.com';
+
+describe('i18n', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestServer({ ADMIN_EMAILS: ADMIN_EMAIL });
+    });
+
+    after(() => app.close());
+
+    // Die Einstellung des Users geht Accept-Language vor
+    const registerEnglish = async (email) => {
+        const session = await app.register(email);
+        await app.request('PUT', '/api/users/preferences', {
+            token: session.accessToken,
+            body: { preferences: { language: 'en' } }
+        });
+        return session;
+    };
+
+    it('hat in jeder Sprachdatei dieselben Schlüssel', () => {
+        const de = flattenKeys(require('../src/locales/de.json')).sort();
+        const en = flattenKeys(require('../src/locales/en.json')).sort();
+
+        assert.deepEqual(en.filter(key => !de.includes(key)), []);
+        assert.deepEqual(de.filter(key => !en.includes(key)), []);
+    });
+
+    it('antwortet in der Sprache aus Accept-Language', async () => {
+        const { status, body } = await app.request('POST', '/api/auth/register', {
+            headers: { 'accept-language': 'en' },
+            body: { email: 'x@example.com' }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'All fields are required');
+    });
+
+    it('übersetzt Fehler der Auth-Middleware', async () => {
+        const { status, body } = await app.request('GET', '/api/users/profile', {
+            headers: { 'accept-language': 'en' }
+        });
+
+        assert.equal(status, 401);
+        assert.equal(body.error, 'Authorization token required');
+    });
+
+    it('übersetzt Validierungsfehler beim Erstellen eines API Keys', async () => {
+        const { accessToken } = await registerEnglish('i18n-keys@example.com');
+
+        const { status, body } = await app.request('POST', '/api/users/api-keys', {
+            token: accessToken,
+            body: { name: 'CI', scopes: ['chat:read', 'gibtsnicht:read'] }
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVALID_SCOPE');
+        assert.equal(body.error, 'Invalid scopes: gibtsnicht:read');
+    });
+
+    it('liefert die Widget-Typen in der Sprache des Users', async () => {
+        const { accessToken } = await registerEnglish('i18n-widgets@example.com');
+
+        const { body } = await app.request('GET', '/api/widgets/meta/types', { token: accessToken });
+
+        assert.equal(body.types.find(type => type.type === 'weather').name, 'Weather');
+    });
+
+    it('gibt beim Verbindungstest keine Fehlermeldung des Providers weiter', async () => {
+        const { accessToken } = await app.createAdmin(ADMIN_EMAIL);
+        const mock = require('../src/services/llmProviders').get('mock');
+        const complete = mock.complete;
+        mock.complete = async () => { throw new Error('upstream 500: internal host llm-7.local'); };
+
+        try {
+            const { body } = await app.request('GET', '/api/chat/test', { token: accessToken });
+
+            assert.equal(body.success, false);
+            assert.equal(body.code, 'LLM_UNAVAILABLE');
+            assert.equal(body.details, 'Die KI ist gerade nicht erreichbar - bitte versuche es später erneut');
+            assert.doesNotMatch(JSON.stringify(body), /llm-7/);
+        } finally {
+            mock.complete = complete;
+        }
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * 🧪 LLM-AUSWAHL
+ * Provider und Modell pro Aufruf oder pro Profil wählen in Produktion nur Admins (llmProviders.canSelectPerCall)
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const ADMIN_EMAIL = 'llm-admin@example.com';
+
+describe('llm selection', () => {
+    let app;
+    let admin;
+    let user;
+
+    before(async () => {
+        app = await startTestServer({ ADMIN_EMAILS: ADMIN_EMAIL });
+        admin = await app.createAdmin(ADMIN_EMAIL);
+        user = await app.register('llm-user@example.com');
+    });
+
+    // canSelectPerCall liest NODE_ENV bei jedem Aufruf
+    afterEach(() => {
+        process.env.NODE_ENV = 'test';
+    });
+
+    after(() => app.close());
+
+    const createProfile = async (token) => {
+        const { body } = await app.request('POST', '/api/profiles', {
+            token,
+            body: { name: 'Sport', category: 'fitness' }
+        });
+        return body.profile._id;
+    };
+
+    const pinProvider = (token, profileId, llm) => app.request('PUT', `/api/profiles/${profileId}`, {
+        token,
+        body: { llm }
+    });
+
+    it('lässt in Produktion nur Admins Provider und Modell eines Profils festlegen', async () => {
+        process.env.NODE_ENV = 'production';
+        const profileId = await createProfile(user.accessToken);
+
+        const pinned = await pinProvider(user.accessToken, profileId, { provider: 'mock' });
+        assert.equal(pinned.status, 403);
+        assert.equal(pinned.body.code, 'LLM_SELECTION_FORBIDDEN');
+
+        const reset = await pinProvider(user.accessToken, profileId, null);
+        assert.equal(reset.status, 200);
+
+        const adminProfileId = await createProfile(admin.accessToken);
+        const byAdmin = await pinProvider(admin.accessToken, adminProfileId, { provider: 'mock' });
+        assert.equal(byAdmin.status, 200);
+        assert.equal(byAdmin.body.profile.llm.provider, 'mock');
+    });
+
+    it('erlaubt die Auswahl außerhalb von Produktion für alle', async () => {
+        const profileId = await createProfile(user.accessToken);
+
+        const { status } = await pinProvider(user.accessToken, profileId, { provider: 'mock' });
+        assert.equal(status, 200);
+    });
+
+    it('lehnt Provider pro Anfrage in Produktion für normale User ab', async () => {
+        process.env.NODE_ENV = 'production';
+
+        const { status, body } = await app.request('POST', '/api/chat', {
+            token: user.accessToken,
+            body: { message: 'Hallo', provider: 'mock' }
+        });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'LLM_SELECTION_FORBIDDEN');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * 🧪 LOGIN-SPERRE
+ * Fehlversuche am User Model, Sperre mit Backoff, Sperrstatus in /api/auth/status und Entsperren durch Admins
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const ADMIN_EMAIL = 'admin@example.com';
+
+describe('lockout', () => {
+    let app;
+    let admin;
+
+    before(async () => {
+        app = await startTestServer({ ADMIN_EMAILS: ADMIN_EMAIL, LOGIN_MAX_ATTEMPTS: '3' });
+        admin = await app.createAdmin(ADMIN_EMAIL);
+    });
+
+    after(() => app.close());
+
+    it('sperrt nach LOGIN_MAX_ATTEMPTS Fehlversuchen, auch für das richtige Passwort', async () => {
+        await app.register('gesperrt@example.com');
+
+        const wrong = { body: { email: 'gesperrt@example.com', password: 'falsch' } };
+        const first = await app.request('POST', '/api/auth/login', wrong);
+        assert.equal(first.status, 401);
+        assert.equal(first.body.attemptsRemaining, 2);
+
+        await app.request('POST', '/api/auth/login', wrong);
+        const locked = await app.request('POST', '/api/auth/login', wrong);
+        assert.equal(locked.status, 423);
+        assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+        assert.ok(locked.body.retryAfterSeconds > 0);
+
+        const correct = await app.request('POST', '/api/auth/login', {
+            body: { email: 'gesperrt@example.com', password: 'geheim123' }
+        });
+        assert.equal(correct.status, 423);
+    });
+
+    it('zeigt den Sperrstatus in /status nur Admins', async () => {
+        const anonymous = await app.request('GET', '/api/auth/status?email=gesperrt@example.com');
+        const unknown = await app.request('GET', '/api/auth/status?email=niemand@example.com');
+
+        assert.equal(anonymous.status, 200);
+        assert.equal(anonymous.body.account, undefined);
+        assert.deepEqual(Object.keys(anonymous.body), Object.keys(unknown.body));
+
+        const { body } = await app.request('GET', '/api/auth/status?email=gesperrt@example.com', { token: admin.accessToken });
+        assert.equal(body.account.locked, true);
+    });
+
+    it('lässt Admins die Sperre aufheben', async () => {
+        const user = await app.register('user@example.com');
+        const forbidden = await app.request('POST', '/api/auth/admin/unlock', {
+            token: user.accessToken,
+            body: { email: 'gesperrt@example.com' }
+        });
+        assert.equal(forbidden.status, 403);
+
+        const { status, body } = await app.request('POST', '/api/auth/admin/unlock', {
+            token: admin.accessToken,
+            body: { email: 'gesperrt@example.com' }
+        });
+        assert.equal(status, 200);
+        assert.equal(body.account.locked, false);
+
+        await app.login('gesperrt@example.com');
+    });
+
+    it('zeigt den Sperrstatus nicht für Refresh-, 2FA-Teil- oder widerrufene Tokens', async () => {
+        const totp = require('../src/services/totp');
+        const statusWith = async (token) =>
+            (await app.request('GET', '/api/auth/status?email=gesperrt@example.com', { token })).body;
+
+        // Refresh Token ist mit demselben Secret signiert
+        assert.equal((await statusWith(admin.refreshToken)).account, undefined);
+
+        // Teil-Token aus dem ersten Login-Schritt - zweiter Faktor noch nicht geprüft
+        const session = await app.login(ADMIN_EMAIL);
+        const setup = await app.request('POST', '/api/auth/2fa/setup', { token: session.accessToken });
+        await app.request('POST', '/api/auth/2fa/enable', {
+            token: session.accessToken,
+            body: { code: totp.generateCode(setup.body.secret) }
+        });
+        const partial = await app.request('POST', '/api/auth/login', {
+            body: { email: ADMIN_EMAIL, password: 'geheim123' }
+        });
+        assert.ok(partial.body.twoFactorToken);
+        assert.equal((await statusWith(partial.body.twoFactorToken)).account, undefined);
+
+        // Access Token einer beendeten Sitzung
+        assert.ok((await statusWith(session.accessToken)).account);
+        await app.request('POST', '/api/auth/logout', { body: { refreshToken: session.refreshToken } });
+        assert.equal((await statusWith(session.accessToken)).account, undefined);
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * 🧪 PERMISSIONS
+ * Rollen (admin / user / readonly) laut src/config/permissions.js und ADMIN_EMAILS
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+const ADMIN_EMAIL = 'admin@example.com';
+const LATER_ADMIN_EMAIL = 'spaeter@example.com';
+
+describe('permissions', () => {
+    let app;
+    let admin;
+
+    before(async () => {
+        app = await startTestServer({ ADMIN_EMAILS: `${ADMIN_EMAIL},${LATER_ADMIN_EMAIL}` });
+        admin = await app.createAdmin(ADMIN_EMAIL);
+    });
+
+    after(() => app.close());
+
+    describe('roles', () => {
+        it('sperrt /api/admin für normale User', async () => {
+            const user = await app.register('user@example.com');
+
+            const { status, body } = await app.request('GET', '/api/admin/users', { token: user.accessToken });
+            assert.equal(status, 403);
+            assert.equal(body.code, 'ADMIN_REQUIRED');
+
+            const allowed = await app.request('GET', '/api/admin/users', { token: admin.accessToken });
+            assert.equal(allowed.status, 200);
+        });
+
+        it('lässt readonly lesen, aber nicht schreiben', async () => {
+            const reader = await app.register('reader@example.com');
+            const role = await app.request('PUT', `/api/admin/users/${reader.user.id}/role`, {
+                token: admin.accessToken,
+                body: { role: 'readonly' }
+            });
+            assert.equal(role.status, 200);
+
+            // Die Rolle gilt sofort, auch für das bereits ausgestellte Access Token
+            const read = await app.request('GET', '/api/profiles', { token: reader.accessToken });
+            assert.equal(read.status, 200);
+
+            const write = await app.request('POST', '/api/profiles', {
+                token: reader.accessToken,
+                body: { name: 'Sport', category: 'fitness' }
+            });
+            assert.equal(write.status, 403);
+            assert.equal(write.body.code, 'INSUFFICIENT_PERMISSIONS');
+            assert.equal(write.body.required, 'profiles:write');
+        });
+
+        it('macht ADMIN_EMAILS erst nach der Bestätigung zum Admin', async () => {
+            const registered = await app.register(LATER_ADMIN_EMAIL);
+            assert.equal(registered.user.role, 'user');
+
+            const { status } = await app.verifyEmail(LATER_ADMIN_EMAIL);
+            assert.equal(status, 200);
+
+            const loggedIn = await app.login(LATER_ADMIN_EMAIL);
+            assert.equal(loggedIn.user.role, 'admin');
+        });
+
+        it('verbietet Admins die eigene Rolle zu ändern', async () => {
+            const { status } = await app.request('PUT', `/api/admin/users/${admin.user.id}/role`, {
+                token: admin.accessToken,
+                body: { role: 'user' }
+            });
+            assert.equal(status, 400);
+        });
+    });
+});
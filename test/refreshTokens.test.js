@@ -0,0 +1,59 @@
+/**
+ * 🧪 REFRESH TOKENS
+ * Rotation mit Erkennung wiederverwendeter Tokens und serverseitiger Logout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('refresh tokens', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestServer();
+    });
+
+    after(() => app.close());
+
+    it('rotiert: jedes Refresh Token gilt nur einmal', async () => {
+        const session = await app.register('rotation@example.com');
+
+        const first = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.refreshToken);
+        assert.notEqual(first.body.refreshToken, session.refreshToken);
+
+        const second = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+        assert.equal(second.status, 200);
+    });
+
+    it('widerruft die ganze Sitzung, wenn ein altes Token wieder auftaucht', async () => {
+        const session = await app.register('reuse@example.com');
+        const rotated = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+
+        const reused = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+        assert.equal(reused.status, 401);
+        assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+        // Auch das neueste Token der Familie ist jetzt ungültig
+        const latest = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+        assert.equal(latest.status, 401);
+        assert.equal(latest.body.code, 'SESSION_REVOKED');
+    });
+
+    it('beendet die Sitzung beim Logout', async () => {
+        const session = await app.register('logout@example.com');
+
+        const logout = await app.request('POST', '/api/auth/logout', { body: { refreshToken: session.refreshToken } });
+        assert.equal(logout.status, 200);
+
+        const refresh = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+        assert.equal(refresh.status, 401);
+
+        // Das Access Token derselben Sitzung gilt ebenfalls nicht mehr
+        const { status, body } = await app.request('GET', '/api/users/profile', { token: session.accessToken });
+        assert.equal(status, 401);
+        assert.equal(body.code, 'SESSION_REVOKED');
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * 🧪 TOOL CALLS
+ * Ändernde Tools des Assistenten laufen erst nach Bestätigung und genau einmal (Mock-Provider, siehe llmProviders)
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startTestServer } = require('./helpers/testServer');
+
+const pendingCall = (callId) => ({ callId, name: 'add_task', arguments: { title: callId }, status: 'pending' });
+
+describe('tool calls', () => {
+    let app;
+    let mock;
+    let token;
+
+    const chat = (body) => app.request('POST', '/api/chat', { token, body });
+
+    before(async () => {
+        app = await startTestServer();
+        mock = require('../src/services/llmProviders').get('mock');
+        token = (await app.register('tools@example.com')).accessToken;
+    });
+
+    afterEach(() => {
+        mock.setScript([]);
+    });
+
+    after(() => app.close());
+
+    const proposeTask = async () => {
+        mock.setScript([{ match: 'aufgabe', reply: 'Mache ich', toolCall: { name: 'add_task', arguments: { title: 'Milch kaufen' } } }]);
+        const { body } = await chat({ message: 'Neue Aufgabe: Milch kaufen' });
+        const [call] = body.message.toolCalls;
+        return { chatId: body.chatId, call };
+    };
+
+    const countTasks = async () => {
+        const { body } = await app.request('GET', '/api/widgets', { token });
+        return body.widgets
+            .filter(widget => widget.type === 'todo')
+            .reduce((count, widget) => count + (widget.settings.tasks || []).length, 0);
+    };
+
+    it('schlägt ändernde Tools nur vor und führt sie erst nach Bestätigung aus', async () => {
+        const { chatId, call } = await proposeTask();
+        assert.equal(call.name, 'add_task');
+        assert.equal(call.status, 'pending');
+        assert.equal(await countTasks(), 0);
+
+        const confirmed = await app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/confirm`, { token });
+        assert.equal(confirmed.status, 200);
+        assert.equal(confirmed.body.toolCall.status, 'executed');
+        assert.equal(await countTasks(), 1);
+    });
+
+    it('führt einen Aufruf bei gleichzeitigen Bestätigungen nur einmal aus', async () => {
+        const before = await countTasks();
+        const { chatId, call } = await proposeTask();
+        const confirm = () => app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/confirm`, { token });
+
+        const results = await Promise.all([confirm(), confirm(), confirm()]);
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 409, 409]);
+        assert.equal(await countTasks(), before + 1);
+
+        const rejected = await app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/reject`, { token });
+        assert.equal(rejected.status, 409);
+        assert.equal(rejected.body.code, 'TOOL_CALL_NOT_PENDING');
+    });
+
+    it('führt abgelehnte Aufrufe nicht mehr aus', async () => {
+        const before = await countTasks();
+        const { chatId, call } = await proposeTask();
+
+        const rejected = await app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/reject`, { token });
+        assert.equal(rejected.status, 200);
+
+        const confirmed = await app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/confirm`, { token });
+        assert.equal(confirmed.status, 409);
+        assert.equal(await countTasks(), before);
+    });
+
+    it('lässt fremde Chats nicht bestätigen', async () => {
+        const { chatId, call } = await proposeTask();
+        const other = await app.register('fremd@example.com');
+
+        const { status } = await app.request('POST', `/api/chats/${chatId}/tool-calls/${call.callId}/confirm`, {
+            token: other.accessToken
+        });
+        assert.equal(status, 403);
+    });
+
+    it('vergibt einen Aufruf per bedingtem updateOne nur einmal', async () => {
+        const { chats } = require('../src/repositories');
+        const stored = await chats.create({
+            userId: new mongoose.Types.ObjectId(),
+            title: 'Tools',
+            messages: [{ role: 'assistant', content: 'Mache ich', toolCalls: [pendingCall('call_1'), pendingCall('call_2')] }]
+        });
+
+        // Wie claimToolCall in src/routes/chats.js
+        const claim = () => chats.updateOne(
+            { _id: stored._id, 'messages.toolCalls': { $elemMatch: { callId: 'call_1', status: 'pending' } } },
+            { $set: { 'messages.$[message].toolCalls.$[call].status': 'running' } },
+            { arrayFilters: [{ 'message.toolCalls.callId': 'call_1' }, { 'call.callId': 'call_1', 'call.status': 'pending' }] }
+        );
+
+        const results = await Promise.all([claim(), claim(), claim()]);
+        assert.deepEqual(results.sort(), [0, 0, 1]);
+
+        const reloaded = await chats.findById(stored._id);
+        assert.deepEqual(reloaded.messages[0].toolCalls.map(call => call.status), ['running', 'pending']);
+    });
+
+    it('beschreibt Aufrufe und Fehler in der Sprache des Users', async () => {
+        const { accessToken } = await app.register('tools-en@example.com');
+        await app.request('PUT', '/api/users/preferences', {
+            token: accessToken,
+            body: { preferences: { language: 'en' } }
+        });
+
+        mock.setScript([{ match: 'goal', reply: 'Sure', toolCall: { name: 'update_profile_goal', arguments: { action: 'remove', goal: 'Run a marathon', profileName: 'Sport' } } }]);
+        const { body } = await app.request('POST', '/api/chat', {
+            token: accessToken,
+            body: { message: 'Please remove the goal from my profile' }
+        });
+        const [call] = body.message.toolCalls;
+        assert.equal(call.summary, 'Remove goal "Run a marathon" from profile "Sport"');
+
+        const confirmed = await app.request('POST', `/api/chats/${body.chatId}/tool-calls/${call.callId}/confirm`, { token: accessToken });
+        assert.equal(confirmed.status, 404);
+        assert.equal(confirmed.body.code, 'PROFILE_NOT_FOUND');
+        assert.equal(confirmed.body.error, 'Profile "Sport" not found');
+    });
+});
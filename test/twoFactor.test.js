@@ -0,0 +1,134 @@
+/**
+ * 🧪 ZWEI-FAKTOR-AUTHENTIFIZIERUNG
+ * Einrichtung, Login in zwei Schritten, Recovery Codes, Schutz vor wiederverwendeten Codes und Deaktivieren
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('2fa', () => {
+    let app;
+    let totp;
+    let secret;
+    let enableCode;
+    let recoveryCodes;
+
+    // Erster Login-Schritt -> Teil-Token für /2fa/verify
+    const startLogin = async () => (await app.request('POST', '/api/auth/login', {
+        body: { email: 'totp@example.com', password: 'geheim123' }
+    })).body.twoFactorToken;
+
+    before(async () => {
+        app = await startTestServer();
+        totp = require('../src/services/totp');
+        await app.register('totp@example.com');
+    });
+
+    after(() => app.close());
+
+    it('aktiviert 2FA erst mit einem gültigen Code', async () => {
+        const { accessToken } = await app.login('totp@example.com');
+
+        const setup = await app.request('POST', '/api/auth/2fa/setup', { token: accessToken });
+        assert.equal(setup.status, 200);
+        assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\//);
+        secret = setup.body.secret;
+
+        const wrong = await app.request('POST', '/api/auth/2fa/enable', { token: accessToken, body: { code: '000000' } });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.code, 'INVALID_2FA_CODE');
+
+        enableCode = totp.generateCode(secret);
+        const enabled = await app.request('POST', '/api/auth/2fa/enable', {
+            token: accessToken,
+            body: { code: enableCode }
+        });
+        assert.equal(enabled.status, 200);
+        assert.equal(enabled.body.recoveryCodes.length, 10);
+        recoveryCodes = enabled.body.recoveryCodes;
+    });
+
+    it('verlangt nach dem Passwort den zweiten Faktor', async () => {
+        const first = await app.request('POST', '/api/auth/login', {
+            body: { email: 'totp@example.com', password: 'geheim123' }
+        });
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.twoFactorRequired, true);
+        assert.equal(first.body.accessToken, undefined);
+
+        // Der Code aus der Einrichtung ist verbraucht, der des nächsten Zeitschritts gilt noch
+        const replayed = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: first.body.twoFactorToken, code: enableCode }
+        });
+        assert.equal(replayed.status, 401);
+
+        const next = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: first.body.twoFactorToken, code: totp.generateCode(secret, totp.getTimeStep() + 1) }
+        });
+        assert.equal(next.status, 200);
+        assert.equal(next.body.twoFactorMethod, 'totp');
+        assert.ok(next.body.accessToken);
+    });
+
+    it('gibt mit dem Teil-Token allein keinen Zugriff', async () => {
+        const { status, body } = await app.request('GET', '/api/users/profile', { token: await startLogin() });
+        assert.equal(status, 401);
+        assert.equal(body.code, 'INVALID_TOKEN_TYPE');
+    });
+
+    it('nimmt jeden Recovery Code nur einmal an', async () => {
+        const used = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: await startLogin(), code: recoveryCodes[0] }
+        });
+        assert.equal(used.status, 200);
+        assert.equal(used.body.twoFactorMethod, 'recovery');
+        assert.equal(used.body.recoveryCodesRemaining, 9);
+
+        const again = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: await startLogin(), code: recoveryCodes[0] }
+        });
+        assert.equal(again.status, 401);
+        assert.equal(again.body.code, 'INVALID_2FA_CODE');
+    });
+
+    it('lässt ein Teil-Token nur einmal zu', async () => {
+        const { body } = await app.request('POST', '/api/auth/login', {
+            body: { email: 'totp@example.com', password: 'geheim123' }
+        });
+
+        const first = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: body.twoFactorToken, code: recoveryCodes[1] }
+        });
+        assert.equal(first.status, 200);
+
+        const second = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: body.twoFactorToken, code: recoveryCodes[2] }
+        });
+        assert.equal(second.status, 401);
+        assert.equal(second.body.code, 'ACTION_TOKEN_USED');
+    });
+
+    it('deaktiviert 2FA nur mit Passwort und Code', async () => {
+        const verified = await app.request('POST', '/api/auth/2fa/verify', {
+            body: { twoFactorToken: await startLogin(), code: recoveryCodes[3] }
+        });
+        const { accessToken } = verified.body;
+
+        const wrongPassword = await app.request('POST', '/api/auth/2fa/disable', {
+            token: accessToken,
+            body: { password: 'falsch123', code: recoveryCodes[4] }
+        });
+        assert.equal(wrongPassword.status, 401);
+
+        const disabled = await app.request('POST', '/api/auth/2fa/disable', {
+            token: accessToken,
+            body: { password: 'geheim123', code: recoveryCodes[4] }
+        });
+        assert.equal(disabled.status, 200);
+
+        const login = await app.login('totp@example.com');
+        assert.ok(login.accessToken);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * 🧪 USAGE
+ * Token-Verbrauch pro User, Tages-/Monatsquotas und Auswertung unter /api/users/usage
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { startTestServer } = require('./helpers/testServer');
+
+describe('usage', () => {
+    let app;
+
+    const chat = (token, message) => app.request('POST', '/api/chat', { token, body: { message } });
+
+    before(async () => {
+        app = await startTestServer();
+    });
+
+    afterEach(() => {
+        delete process.env.USAGE_DAILY_TOKENS;
+    });
+
+    after(() => app.close());
+
+    it('blockiert weitere Anfragen, sobald das Tageslimit erreicht ist', async () => {
+        const { accessToken } = await app.register('quota@example.com');
+        process.env.USAGE_DAILY_TOKENS = '50';
+
+        const first = await chat(accessToken, 'Hallo, wie geht es dir heute?');
+        assert.equal(first.status, 200);
+
+        const blocked = await chat(accessToken, 'Noch eine Frage');
+        assert.equal(blocked.status, 429);
+        assert.equal(blocked.body.code, 'USAGE_QUOTA_EXCEEDED');
+        assert.equal(blocked.body.period, 'daily');
+        assert.equal(blocked.body.quota.limit, 50);
+        assert.ok(blocked.body.quota.used >= first.body.usage.totalTokens);
+
+        const { body } = await app.request('GET', '/api/users/usage', { token: accessToken });
+        assert.equal(body.usage.quota.daily.used, blocked.body.quota.used);
+        assert.equal(body.usage.totals.requests, 1);
+    });
+
+    it('zählt jeden User für sich', async () => {
+        process.env.USAGE_DAILY_TOKENS = '50';
+
+        const { accessToken } = await app.register('frisch@example.com');
+
+        const { status } = await chat(accessToken, 'Ich habe noch nichts verbraucht');
+        assert.equal(status, 200);
+    });
+
+    it('erfasst Quick-Chat und Interview unter /api/profiles als Verbrauch', async () => {
+        const { accessToken } = await app.register('profil-ki@example.com');
+
+        const quick = await app.request('POST', '/api/profiles/quick-chat', {
+            token: accessToken,
+            body: { message: 'Was ist ein Pomodoro?' }
+        });
+        assert.equal(quick.status, 200);
+        assert.equal(quick.body.response, 'Mock-Antwort: Was ist ein Pomodoro?');
+
+        const interview = await app.request('POST', '/api/profiles/interview', {
+            token: accessToken,
+            body: { message: 'Ich möchte fitter werden' }
+        });
+        assert.equal(interview.status, 200);
+        assert.equal(interview.body.fallback, undefined);
+
+        const { body } = await app.request('GET', '/api/users/usage', { token: accessToken });
+        assert.equal(body.usage.totals.requests, 2);
+    });
+
+    it('summiert ein Feld in der Datenbank über alle passenden Einträge', async () => {
+        const { usage } = require('../src/repositories');
+        const userId = new mongoose.Types.ObjectId();
+        const since = new Date(Date.now() - 60 * 1000);
+
+        await usage.create({ userId, provider: 'mock', model: 'm', totalTokens: 40 });
+        await usage.create({ userId, provider: 'mock', model: 'm', totalTokens: 2 });
+        await usage.create({ userId: new mongoose.Types.ObjectId(), provider: 'mock', model: 'm', totalTokens: 1000 });
+
+        assert.equal(await usage.sum('totalTokens', { userId, createdAt: { $gte: since } }), 42);
+        assert.equal(await usage.sum('totalTokens', { userId, createdAt: { $gte: new Date(Date.now() + 60 * 1000) } }), 0);
+    });
+
+    it('summiert je Gruppe in der Datenbank und baut daraus die Auswertung', async () => {
+        const { usage } = require('../src/repositories');
+        const usageMeter = require('../src/services/usageMeter');
+        const userId = new mongoose.Types.ObjectId();
+        const today = new Date().toISOString().slice(0, 10);
+
+        await usage.create({ userId, provider: 'mock', model: 'a', operation: 'chat', totalTokens: 10, cost: 0.5 });
+        await usage.create({ userId, provider: 'mock', model: 'a', operation: 'chat', totalTokens: 5, cost: 0.25 });
+        await usage.create({ userId, provider: 'mock', model: 'b', operation: 'summary', totalTokens: 1 });
+
+        const rows = await usage.sumBy({ day: { day: 'createdAt' }, model: 'model' }, ['totalTokens', 'cost'], { userId });
+        assert.deepEqual(rows.sort((x, y) => x.model.localeCompare(y.model)), [
+            { day: today, model: 'a', count: 2, totalTokens: 15, cost: 0.75 },
+            { day: today, model: 'b', count: 1, totalTokens: 1, cost: 0 }
+        ]);
+
+        const report = await usageMeter.getReport(userId, { days: 7 });
+        assert.equal(report.totals.requests, 3);
+        assert.equal(report.totals.totalTokens, 16);
+        assert.equal(report.daily.at(-1).totalTokens, 16);
+        assert.deepEqual(report.byModel.map(entry => [entry.model, entry.requests]), [['a', 2], ['b', 1]]);
+        assert.deepEqual(report.byOperation.map(entry => [entry.operation, entry.totalTokens]), [['chat', 15], ['summary', 1]]);
+    });
+});